@@ -0,0 +1,755 @@
+#!/usr/bin/env node
+// ============================================
+// NumLab-VPN - Outil d'administration en ligne de commande
+// Créé par Merdi Madimba
+// ============================================
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: numlab-admin <commande> [options]
+
+Commandes:
+  hash [code]                    Générer le hash bcrypt (ADMIN_HASH) d'un code à 14 chiffres
+                                 (un code aléatoire est tiré s'il n'est pas fourni)
+  rotate [--username admin] [--code CODE]
+                                 Changer le code d'un compte admin (sessions fermées)
+  files list [--q TEXTE] [--network RÉSEAU] [--status active|expired] [--private true|false]
+  files show <id>
+  files add <fichier> --name NOM --network RÉSEAU --expiry DATE [--description TEXTE]
+            [--private] [--max-downloads N] [--secret-policy warn|block|redact]
+            [--template schema.json] [--part rôle=fichier ...]
+  files edit <id> [--name NOM] [--network RÉSEAU] [--expiry DATE] [--description TEXTE]
+            [--private | --public] [--max-downloads N|none]
+  files delete <id> --yes
+  prune [--dry-run]              Nettoyer les fichiers expirés (masquer, archiver, supprimer)
+  stats                          Statistiques du catalogue
+
+Options communes:
+  --server URL                   Passer par l'API d'un serveur en marche (ou NUMLAB_SERVER)
+  --token JETON                  Jeton de session admin pour --server (ou NUMLAB_ADMIN_TOKEN)
+  --json                         Sortie JSON
+
+Sans --server, la commande travaille directement sur data/ et uploads/, comme le serveur.`;
+
+const OPTIONS = {
+    server: { type: 'string' },
+    token: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    username: { type: 'string' },
+    code: { type: 'string' },
+    q: { type: 'string' },
+    network: { type: 'string' },
+    status: { type: 'string' },
+    name: { type: 'string' },
+    expiry: { type: 'string' },
+    description: { type: 'string' },
+    private: { type: 'string' },
+    public: { type: 'boolean' },
+    'max-downloads': { type: 'string' },
+    'secret-policy': { type: 'string' },
+    template: { type: 'string' },
+    part: { type: 'string', multiple: true },
+    yes: { type: 'boolean' },
+    'dry-run': { type: 'boolean' }
+};
+
+// Erreur d'utilisation (commande ou option invalide): code de sortie 2
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+// "--private" seul vaut "true"; parseArgs exige une valeur pour une option de type chaîne
+function normalizeArgs(argv) {
+    return argv.flatMap((arg, index) => {
+        const next = argv[index + 1];
+        return arg === '--private' && (next === undefined || next.startsWith('--')) ? ['--private', 'true'] : [arg];
+    });
+}
+
+// ============================================
+// MODE LOCAL (data/ et uploads/ du serveur)
+// ============================================
+
+// Les modules du serveur ne sont chargés qu'en mode local: le mode --server n'ouvre pas la base
+function localBackend() {
+    const db = require('../lib/db');
+    const catalog = require('../lib/catalog');
+    const accounts = require('../lib/accounts');
+    const networks = require('../lib/networks');
+    const search = require('../lib/search');
+    const secrets = require('../lib/secrets');
+    const sweeper = require('../lib/sweeper');
+    const webhooks = require('../lib/webhooks');
+    const audit = require('../lib/audit');
+    const encryption = require('../lib/encryption');
+    const templates = require('../lib/templates');
+    const uploads = require('../lib/uploads');
+
+    // Les actions de la ligne de commande sont journalisées au nom de l'utilisateur système
+    const actor = `cli:${os.userInfo().username}`;
+
+    function record(action, targetType, targetId, details) {
+        audit.record({ actor, ip: null, action, targetType, targetId, details });
+    }
+
+    // Réseau désigné par identifiant, slug ou nom, et date d'expiration future
+    function checkMetadata({ network, expiryDate }) {
+        if (isNaN(new Date(expiryDate)) || new Date(expiryDate) <= new Date()) {
+            throw Object.assign(new Error('La date d\'expiration doit être future.'), { code: 'EXPIRY_IN_PAST' });
+        }
+        const selected = networks.findNetwork(network);
+        if (!selected) {
+            throw Object.assign(new Error(`Réseau inconnu: "${network}".`), { code: 'UNKNOWN_NETWORK' });
+        }
+        return selected;
+    }
+
+    function withParts(file) {
+        return { ...file, parts: catalog.listParts(file.id) };
+    }
+
+    return {
+        async init() {
+            await fs.ensureDir(uploads.UPLOADS_DIR);
+            db.openDatabase();
+            await encryption.initEncryption();
+        },
+
+        async listFiles(query) {
+            const criteria = search.parseFileQuery(query, { admin: true });
+            const result = search.searchFiles(catalog.listFiles(), criteria);
+            return { files: result.files.map(withParts), nextCursor: result.nextCursor };
+        },
+
+        async getFile(id) {
+            const file = catalog.getFile(id);
+            return file ? withParts(file) : null;
+        },
+
+        async addFile({ filePath, parts, template, ...metadata }) {
+            const network = checkMetadata(metadata);
+            const unknownRole = parts.find(part => !catalog.PART_ROLES.includes(part.role));
+            if (unknownRole) {
+                throw usageError(`Rôle de fichier joint inconnu: ${unknownRole.role} (rôles: ${catalog.PART_ROLES.join(', ')}).`);
+            }
+            const schema = template ? templates.parseSchema(template) : null;
+            const secretPolicy = metadata.secretPolicy || secrets.DEFAULT_POLICY;
+
+            const stored = [];
+            try {
+                const file = await uploads.storeLocalFile(filePath);
+                stored.push(file);
+                const storedParts = [];
+                for (const part of parts) {
+                    const partFile = await uploads.storeLocalFile(part.filePath);
+                    stored.push(partFile);
+                    storedParts.push({ role: part.role, file: partFile });
+                }
+
+                const processed = await uploads.processUpload(file, secretPolicy, schema);
+                if (processed.redactedFilename) {
+                    stored.push({ path: path.join(uploads.UPLOADS_DIR, processed.redactedFilename) });
+                }
+                const records = await uploads.processParts(storedParts, secretPolicy);
+
+                const created = catalog.createFile({
+                    id: uuidv4(),
+                    filename: file.originalname,
+                    storedFilename: file.filename,
+                    name: metadata.name,
+                    network: network.name,
+                    networkId: network.id,
+                    expiryDate: metadata.expiryDate,
+                    size: uploads.formatFileSize(processed.size),
+                    description: metadata.description || '',
+                    isPrivate: metadata.isPrivate,
+                    maxDownloads: metadata.maxDownloads,
+                    downloadCount: 0,
+                    createdAt: new Date().toISOString(),
+                    config: processed.config,
+                    redactedFilename: processed.redactedFilename,
+                    secretScan: processed.secretScan,
+                    sha256: processed.sha256,
+                    archiveEntries: processed.archiveEntries,
+                    template: schema
+                }, actor);
+                created.parts = records.length > 0 ? catalog.addParts(created.id, records) : [];
+
+                record('file.create', 'file', created.id, {
+                    filename: created.filename,
+                    size: created.size,
+                    sha256: created.sha256,
+                    parts: created.parts.map(part => ({ role: part.role, filename: part.filename, sha256: part.sha256 })),
+                    template: schema ? Object.keys(schema.variables) : null,
+                    values: audit.fileValues(created)
+                });
+                webhooks.emit('file.created', { file: webhooks.filePayload(created), by: actor });
+                return created;
+            } catch (error) {
+                for (const file of stored) {
+                    await fs.remove(file.path);
+                }
+                throw error;
+            }
+        },
+
+        async editFile(id, changes) {
+            const existing = catalog.getFile(id);
+            if (!existing) {
+                return null;
+            }
+
+            const next = { ...existing, ...changes };
+            const network = checkMetadata({ network: changes.network || existing.networkId || existing.network, expiryDate: next.expiryDate });
+            const updated = catalog.updateFile(id, {
+                name: next.name,
+                network: network.name,
+                networkId: network.id,
+                expiryDate: next.expiryDate,
+                description: next.description,
+                isPrivate: next.isPrivate,
+                maxDownloads: next.maxDownloads
+            });
+
+            // La nouvelle date d'expiration est future: remettre en ligne un fichier archivé
+            if (existing.archivedAt) {
+                await sweeper.restoreFile(existing);
+            }
+
+            const file = existing.archivedAt ? catalog.getFile(id) : updated;
+            record('file.update', 'file', id, {
+                changes: audit.diff(existing, file, audit.FILE_FIELDS),
+                restoredFromArchive: Boolean(existing.archivedAt)
+            });
+            webhooks.emit('file.updated', { file: webhooks.filePayload(file), by: actor });
+            return withParts(file);
+        },
+
+        async deleteFile(id) {
+            const file = catalog.getFile(id);
+            if (!file) {
+                return false;
+            }
+
+            for (const filename of sweeper.storedFilenames(file)) {
+                await fs.remove(sweeper.storedPath(file, filename));
+            }
+            catalog.deleteFile(file.id);
+
+            record('file.delete', 'file', file.id, {
+                filename: file.filename,
+                versions: file.currentVersion,
+                values: audit.fileValues(file)
+            });
+            webhooks.emit('file.deleted', { file: webhooks.filePayload(file), by: actor });
+            return true;
+        },
+
+        async prune({ dryRun }) {
+            if (dryRun) {
+                return sweeper.runSweep({ dryRun: true });
+            }
+            const run = await sweeper.runSweep();
+            record('sweeper.run', 'sweep', String(run.id), { archived: run.archived, purged: run.purged });
+            return run;
+        },
+
+        async stats() {
+            return sweeper.catalogStats();
+        },
+
+        async rotateCode(username, code) {
+            const account = (await accounts.listAccounts()).find(item => item.username === username);
+            if (!account) {
+                return null;
+            }
+
+            const updated = await accounts.updateAccount(account.id, { code });
+            record('account.update', 'account', account.id, { username: account.username, changes: {}, codeChanged: true });
+            return updated;
+        }
+    };
+}
+
+// ============================================
+// MODE SERVEUR (API admin d'un serveur en marche)
+// ============================================
+
+function remoteBackend(server, token) {
+    const base = server.replace(/\/+$/, '');
+
+    async function request(method, route, { json, form } = {}) {
+        const response = await fetch(base + route, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(json ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: json ? JSON.stringify(json) : form
+        });
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body || !body.success) {
+            const error = new Error(body && body.message ? body.message : `Réponse HTTP ${response.status}`);
+            error.code = body && body.code;
+            error.status = response.status;
+            error.errors = body && body.errors;
+            error.findings = body && body.findings;
+            throw error;
+        }
+        return body;
+    }
+
+    async function fileBlob(filePath) {
+        return new Blob([await fs.readFile(filePath)]);
+    }
+
+    async function getFile(id) {
+        let cursor;
+        do {
+            const page = await request('GET', `/api/admin/files?${new URLSearchParams({ limit: '200', ...(cursor ? { cursor } : {}) })}`);
+            const file = page.files.find(item => item.id === id);
+            if (file) {
+                return file;
+            }
+            cursor = page.nextCursor;
+        } while (cursor);
+        return null;
+    }
+
+    return {
+        async init() {
+            if (!token) {
+                throw usageError('--server demande un jeton de session admin (--token ou NUMLAB_ADMIN_TOKEN).');
+            }
+        },
+
+        async listFiles(query) {
+            const page = await request('GET', `/api/admin/files?${new URLSearchParams(query)}`);
+            return { files: page.files, nextCursor: page.nextCursor };
+        },
+
+        getFile,
+
+        async addFile({ filePath, parts, template, ...metadata }) {
+            const form = new FormData();
+            form.append('file', await fileBlob(filePath), path.basename(filePath));
+            form.append('name', metadata.name);
+            form.append('network', metadata.network);
+            form.append('expiryDate', metadata.expiryDate);
+            form.append('description', metadata.description || '');
+            form.append('isPrivate', String(metadata.isPrivate));
+            if (metadata.maxDownloads !== null) {
+                form.append('maxDownloads', String(metadata.maxDownloads));
+            }
+            if (metadata.secretPolicy) {
+                form.append('secretPolicy', metadata.secretPolicy);
+            }
+            if (template) {
+                form.append('template', template);
+            }
+            for (const part of parts) {
+                form.append(part.role, await fileBlob(part.filePath), path.basename(part.filePath));
+            }
+            return (await request('POST', '/api/admin/files', { form })).file;
+        },
+
+        async editFile(id, changes) {
+            const existing = await getFile(id);
+            if (!existing) {
+                return null;
+            }
+
+            // La route remplace toutes les métadonnées: les valeurs non modifiées sont renvoyées telles quelles
+            const next = { ...existing, ...changes };
+            const network = changes.network
+                ? { network: changes.network }
+                : (existing.networkId ? { networkId: existing.networkId } : { network: existing.network });
+            return (await request('PUT', `/api/admin/files/${encodeURIComponent(id)}`, {
+                json: {
+                    name: next.name,
+                    ...network,
+                    expiryDate: next.expiryDate,
+                    description: next.description,
+                    isPrivate: next.isPrivate,
+                    maxDownloads: next.maxDownloads
+                }
+            })).file;
+        },
+
+        async deleteFile(id) {
+            try {
+                await request('DELETE', `/api/admin/files/${encodeURIComponent(id)}`);
+                return true;
+            } catch (error) {
+                if (error.status === 404) {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        async prune({ dryRun }) {
+            return dryRun
+                ? (await request('GET', '/api/admin/sweeper/dry-run')).result
+                : (await request('POST', '/api/admin/sweeper/run', { json: {} })).run;
+        },
+
+        async stats() {
+            return (await request('GET', '/api/admin/stats')).stats;
+        },
+
+        async rotateCode(username, code) {
+            const { accounts } = await request('GET', '/api/admin/accounts');
+            const account = accounts.find(item => item.username === username);
+            if (!account) {
+                return null;
+            }
+            return (await request('PUT', `/api/admin/accounts/${account.id}`, { json: { code } })).account;
+        }
+    };
+}
+
+// ============================================
+// COMMANDES
+// ============================================
+
+function isValidCode(code) {
+    return typeof code === 'string' && /^\d{14}$/.test(code);
+}
+
+// Code admin aléatoire à 14 chiffres
+function randomCode() {
+    return Array.from({ length: 14 }, () => crypto.randomInt(10)).join('');
+}
+
+function parseBooleanOption(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!['true', 'false'].includes(value)) {
+        throw usageError(`--${name} attend true ou false.`);
+    }
+    return value === 'true';
+}
+
+function parseMaxDownloads(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === 'none') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw usageError('--max-downloads attend un entier positif ou "none".');
+    }
+    return number;
+}
+
+// "--part ca=ca.crt" -> { role: 'ca', filePath: 'ca.crt' }
+function parsePart(value) {
+    const separator = value.indexOf('=');
+    if (separator <= 0) {
+        throw usageError(`--part attend rôle=fichier (reçu "${value}").`);
+    }
+    return { role: value.slice(0, separator), filePath: value.slice(separator + 1) };
+}
+
+function fileStatus(file, now = new Date()) {
+    if (file.archivedAt) {
+        return 'archivé';
+    }
+    return new Date(file.expiryDate) < now ? 'expiré' : 'actif';
+}
+
+function printFile(file) {
+    const lines = [
+        ['Identifiant', file.id],
+        ['Nom', file.name],
+        ['Fichier', file.filename],
+        ['Réseau', file.network],
+        ['Expiration', `${file.expiryDate} (${fileStatus(file)})`],
+        ['Taille', file.size],
+        ['Téléchargements', file.maxDownloads ? `${file.downloadCount} / ${file.maxDownloads}` : String(file.downloadCount)],
+        ['Privé', file.isPrivate ? 'oui' : 'non'],
+        ['Version', String(file.currentVersion)],
+        ['SHA-256', file.sha256 || '-'],
+        ['Modèle', file.template ? Object.keys(file.template.variables).join(', ') : '-'],
+        ['Fichiers joints', (file.parts || []).map(part => `${part.role}:${part.filename}`).join(', ') || '-'],
+        ['Description', file.description || '-']
+    ];
+    for (const [label, value] of lines) {
+        console.log(`${label.padEnd(16)} ${value}`);
+    }
+}
+
+function printTable(rows, columns) {
+    const widths = columns.map(([label, key]) => Math.max(label.length, ...rows.map(row => String(row[key]).length)));
+    console.log(columns.map(([label], index) => label.padEnd(widths[index])).join('  ').trimEnd());
+    for (const row of rows) {
+        console.log(columns.map(([, key], index) => String(row[key]).padEnd(widths[index])).join('  ').trimEnd());
+    }
+}
+
+function output(values, result, print) {
+    if (values.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        print(result);
+    }
+}
+
+async function commandHash(positionals) {
+    const given = positionals[1];
+    if (given !== undefined && !isValidCode(given)) {
+        throw usageError('Le code admin doit contenir exactement 14 chiffres.');
+    }
+
+    const code = given || randomCode();
+    const hash = await bcrypt.hash(code, 10);
+    if (!given) {
+        console.log(`Code admin généré (à conserver, il ne sera plus affiché): ${code}`);
+    }
+    console.log(`ADMIN_HASH=${hash}`);
+}
+
+async function commandRotate(backend, values) {
+    if (values.code !== undefined && !isValidCode(values.code)) {
+        throw usageError('Le code admin doit contenir exactement 14 chiffres.');
+    }
+
+    const username = (values.username || 'admin').trim().toLowerCase();
+    const code = values.code || randomCode();
+    const account = await backend.rotateCode(username, code);
+    if (!account) {
+        throw new Error(`Compte "${username}" introuvable.`);
+    }
+
+    // ADMIN_HASH ne sert qu'à créer le premier compte: le garder aligné évite une surprise sur une base neuve
+    const adminHash = account.username === 'admin' ? await bcrypt.hash(code, 10) : null;
+
+    const result = { account, ...(values.code ? {} : { code }), ...(adminHash ? { adminHash } : {}) };
+    output(values, result, () => {
+        console.log(`Code du compte "${account.username}" changé; ses sessions ont été fermées.`);
+        if (!values.code) {
+            console.log(`Nouveau code (à conserver, il ne sera plus affiché): ${code}`);
+        }
+        if (adminHash) {
+            console.log(`ADMIN_HASH correspondant, pour .env: ${adminHash}`);
+        }
+    });
+}
+
+async function commandFiles(backend, values, positionals) {
+    const action = positionals[1];
+    const target = positionals[2];
+
+    if (action === 'list') {
+        const query = { limit: '200' };
+        for (const key of ['q', 'network', 'status', 'private']) {
+            if (values[key] !== undefined) {
+                query[key] = values[key];
+            }
+        }
+
+        const files = [];
+        do {
+            const page = await backend.listFiles(query);
+            files.push(...page.files);
+            query.cursor = page.nextCursor;
+        } while (query.cursor);
+
+        return output(values, { files }, () => {
+            if (files.length === 0) {
+                return console.log('Aucun fichier.');
+            }
+            printTable(files.map(file => ({
+                ...file,
+                status: fileStatus(file),
+                downloads: file.maxDownloads ? `${file.downloadCount}/${file.maxDownloads}` : file.downloadCount,
+                visibility: file.isPrivate ? 'privé' : 'public'
+            })), [
+                ['ID', 'id'], ['NOM', 'name'], ['RÉSEAU', 'network'], ['EXPIRATION', 'expiryDate'],
+                ['STATUT', 'status'], ['TÉLÉCH.', 'downloads'], ['VISIBILITÉ', 'visibility']
+            ]);
+        });
+    }
+
+    if (!target) {
+        throw usageError(`files ${action || ''}: argument manquant.`);
+    }
+
+    if (action === 'show') {
+        const file = await backend.getFile(target);
+        if (!file) {
+            throw new Error('Fichier non trouvé.');
+        }
+        return output(values, { file }, () => printFile(file));
+    }
+
+    if (action === 'add') {
+        if (!values.name || !values.name.trim() || !values.network || !values.expiry) {
+            throw usageError('files add demande --name, --network et --expiry.');
+        }
+        if (!(await fs.pathExists(target))) {
+            throw new Error(`Fichier introuvable: ${target}`);
+        }
+
+        const parts = (values.part || []).map(parsePart);
+        for (const part of parts) {
+            if (!(await fs.pathExists(part.filePath))) {
+                throw new Error(`Fichier joint introuvable: ${part.filePath}`);
+            }
+        }
+
+        const file = await backend.addFile({
+            filePath: target,
+            parts,
+            template: values.template ? await fs.readFile(values.template, 'utf8') : null,
+            name: values.name.trim(),
+            network: values.network,
+            expiryDate: values.expiry,
+            description: values.description ? values.description.trim() : '',
+            isPrivate: parseBooleanOption(values.private, 'private') || false,
+            maxDownloads: parseMaxDownloads(values['max-downloads']) || null,
+            secretPolicy: values['secret-policy']
+        });
+        return output(values, { file }, () => {
+            console.log('Fichier ajouté.');
+            printFile(file);
+        });
+    }
+
+    if (action === 'edit') {
+        if (values.private !== undefined && values.public) {
+            throw usageError('--private et --public sont incompatibles.');
+        }
+
+        const changes = {
+            name: values.name !== undefined ? values.name.trim() : undefined,
+            network: values.network,
+            expiryDate: values.expiry,
+            description: values.description !== undefined ? values.description.trim() : undefined,
+            isPrivate: values.public ? false : parseBooleanOption(values.private, 'private'),
+            maxDownloads: parseMaxDownloads(values['max-downloads'])
+        };
+        for (const key of Object.keys(changes)) {
+            if (changes[key] === undefined) {
+                delete changes[key];
+            }
+        }
+        if (Object.keys(changes).length === 0) {
+            throw usageError('files edit: aucune modification demandée.');
+        }
+
+        const file = await backend.editFile(target, changes);
+        if (!file) {
+            throw new Error('Fichier non trouvé.');
+        }
+        return output(values, { file }, () => {
+            console.log('Fichier modifié.');
+            printFile(file);
+        });
+    }
+
+    if (action === 'delete') {
+        if (!values.yes) {
+            throw usageError('files delete supprime aussi toutes les versions et fichiers joints: confirmez avec --yes.');
+        }
+        if (!(await backend.deleteFile(target))) {
+            throw new Error('Fichier non trouvé.');
+        }
+        return output(values, { deleted: target }, () => console.log('Fichier supprimé.'));
+    }
+
+    throw usageError(`Action inconnue: files ${action}`);
+}
+
+async function commandPrune(backend, values) {
+    const dryRun = Boolean(values['dry-run']);
+    const result = await backend.prune({ dryRun });
+    if (!result) {
+        throw new Error('Un nettoyage est déjà en cours.');
+    }
+
+    output(values, result, () => {
+        const count = value => (Array.isArray(value) ? value.length : value);
+        console.log(dryRun ? 'Simulation du nettoyage (rien n\'est modifié):' : 'Nettoyage terminé:');
+        console.log(`  masqués de la liste publique: ${count(result.hidden)}`);
+        console.log(`  archivés: ${count(result.archived)}`);
+        console.log(`  supprimés: ${count(result.purged)}`);
+        if (result.error) {
+            console.log(`  erreur: ${result.error}`);
+        }
+    });
+}
+
+async function commandStats(backend, values) {
+    const stats = await backend.stats();
+    output(values, { stats }, () => {
+        console.log(`Fichiers:            ${stats.totalFiles} (${stats.activeFiles} actifs, ${stats.expiredFiles} expirés)`);
+        console.log(`Masqués / archivés:  ${stats.hiddenFiles} / ${stats.archivedFiles}`);
+        console.log(`Téléchargements:     ${stats.totalDownloads}`);
+        console.log(`Dernier nettoyage:   ${stats.lastSweep ? stats.lastSweep.finishedAt : 'jamais'}`);
+    });
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: normalizeArgs(argv), options: OPTIONS, allowPositionals: true });
+    const command = positionals[0];
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    // hash ne touche ni aux données ni au serveur
+    if (command === 'hash') {
+        return commandHash(positionals);
+    }
+
+    const commands = {
+        rotate: backend => commandRotate(backend, values),
+        files: backend => commandFiles(backend, values, positionals),
+        prune: backend => commandPrune(backend, values),
+        stats: backend => commandStats(backend, values)
+    };
+    if (!commands[command]) {
+        throw usageError(`Commande inconnue: ${command}`);
+    }
+
+    const server = values.server || process.env.NUMLAB_SERVER;
+    const backend = server
+        ? remoteBackend(server, values.token || process.env.NUMLAB_ADMIN_TOKEN)
+        : localBackend();
+    await backend.init();
+    await commands[command](backend);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    if (error.usage || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        console.error(`Erreur: ${error.message}\nAide: numlab-admin --help`);
+        process.exit(2);
+    }
+
+    console.error(`Erreur: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    for (const item of error.errors || []) {
+        console.error(`  - ${item.message}`);
+    }
+    for (const finding of error.findings || []) {
+        console.error(`  - ligne ${finding.line}: ${finding.description}`);
+    }
+    process.exit(1);
+});
@@ -0,0 +1,278 @@
+// ============================================
+// NumLab-VPN - Comptes administrateurs et sessions
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./db');
+
+// Nom du compte créé à partir de ADMIN_HASH lors du premier démarrage
+const DEFAULT_ADMIN_USERNAME = 'admin';
+
+// Durée de vie d'une session (12 heures par défaut)
+const SESSION_TTL_MS = (parseFloat(process.env.ADMIN_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Permissions accordées à chaque rôle
+const ROLES = {
+    owner: [
+        'files:read', 'files:write', 'files:delete', 'stats:read', 'accounts:manage', 'webhooks:manage', 'backup:manage',
+        'audit:read', 'storage:manage', 'networks:manage'
+    ],
+    uploader: ['files:read', 'files:write', 'stats:read']
+};
+
+// Hash utilisé quand le compte n'existe pas, pour garder un temps de réponse constant
+const DUMMY_HASH = bcrypt.hashSync('00000000000000', 10);
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Version d'un compte sans son hash, pour les réponses API
+function publicAccount(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        disabled: Boolean(row.disabled),
+        totpEnabled: Boolean(row.totp_enabled),
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at || null
+    };
+}
+
+function publicSession(row) {
+    return {
+        id: row.id,
+        accountId: row.account_id,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        ip: row.ip,
+        userAgent: row.user_agent
+    };
+}
+
+function hasPermission(role, permission) {
+    return Boolean(ROLES[role]) && ROLES[role].includes(permission);
+}
+
+function isValidCode(code) {
+    return typeof code === 'string' && /^\d{14}$/.test(code);
+}
+
+function conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+}
+
+// ============================================
+// COMPTES
+// ============================================
+
+// Créer le compte propriétaire à partir de ADMIN_HASH si aucun compte n'existe
+async function initAccounts(adminHash) {
+    const db = getDb();
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM admin_accounts').get();
+
+    if (count === 0 && adminHash) {
+        db.prepare(`
+            INSERT INTO admin_accounts (id, username, hash, role, created_at)
+            VALUES (?, ?, ?, 'owner', ?)
+        `).run(uuidv4(), DEFAULT_ADMIN_USERNAME, adminHash, new Date().toISOString());
+        console.log(`Compte administrateur "${DEFAULT_ADMIN_USERNAME}" créé à partir de ADMIN_HASH.`);
+    }
+
+    // Purger les sessions expirées au démarrage
+    db.prepare('DELETE FROM admin_sessions WHERE expires_at <= ?').run(new Date().toISOString());
+}
+
+async function listAccounts() {
+    return getDb()
+        .prepare('SELECT * FROM admin_accounts ORDER BY created_at')
+        .all()
+        .map(publicAccount);
+}
+
+async function getAccount(accountId) {
+    const row = getDb().prepare('SELECT * FROM admin_accounts WHERE id = ?').get(accountId);
+    return row ? publicAccount(row) : null;
+}
+
+async function createAccount({ username, code, role }) {
+    const db = getDb();
+    const normalized = username.trim().toLowerCase();
+
+    if (db.prepare('SELECT 1 FROM admin_accounts WHERE username = ?').get(normalized)) {
+        throw conflict('Ce nom d\'utilisateur existe déjà.');
+    }
+
+    const id = uuidv4();
+    db.prepare(`
+        INSERT INTO admin_accounts (id, username, hash, role, created_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(id, normalized, await bcrypt.hash(code, 10), role, new Date().toISOString());
+
+    return publicAccount(db.prepare('SELECT * FROM admin_accounts WHERE id = ?').get(id));
+}
+
+async function updateAccount(accountId, { code, role, disabled }) {
+    const db = getDb();
+    const hash = code ? await bcrypt.hash(code, 10) : null;
+
+    return db.transaction(() => {
+        const account = db.prepare('SELECT * FROM admin_accounts WHERE id = ?').get(accountId);
+
+        if (!account) {
+            return null;
+        }
+
+        const losesOwner = account.role === 'owner' && !account.disabled && ((role && role !== 'owner') || disabled === true);
+        if (losesOwner && countActiveOwners() <= 1) {
+            throw conflict('Impossible de retirer le dernier propriétaire actif.');
+        }
+
+        db.prepare(`
+            UPDATE admin_accounts SET hash = ?, role = ?, disabled = ? WHERE id = ?
+        `).run(
+            hash || account.hash,
+            role || account.role,
+            typeof disabled === 'boolean' ? (disabled ? 1 : 0) : account.disabled,
+            accountId
+        );
+
+        // Un changement de code, de rôle ou une désactivation invalide les sessions existantes
+        db.prepare('DELETE FROM admin_sessions WHERE account_id = ?').run(accountId);
+
+        return publicAccount(db.prepare('SELECT * FROM admin_accounts WHERE id = ?').get(accountId));
+    })();
+}
+
+async function deleteAccount(accountId) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const account = db.prepare('SELECT * FROM admin_accounts WHERE id = ?').get(accountId);
+
+        if (!account) {
+            return false;
+        }
+
+        if (account.role === 'owner' && !account.disabled && countActiveOwners() <= 1) {
+            throw conflict('Impossible de supprimer le dernier propriétaire actif.');
+        }
+
+        // Les sessions du compte sont supprimées en cascade
+        db.prepare('DELETE FROM admin_accounts WHERE id = ?').run(accountId);
+        return true;
+    })();
+}
+
+function countActiveOwners() {
+    return getDb()
+        .prepare('SELECT COUNT(*) AS count FROM admin_accounts WHERE role = \'owner\' AND disabled = 0')
+        .get().count;
+}
+
+// Vérifier un couple nom d'utilisateur / code
+async function authenticate(username, code) {
+    const db = getDb();
+    const normalized = (username || DEFAULT_ADMIN_USERNAME).trim().toLowerCase();
+    const account = db.prepare('SELECT * FROM admin_accounts WHERE username = ? AND disabled = 0').get(normalized);
+
+    try {
+        const isValid = await bcrypt.compare(code, account ? account.hash : DUMMY_HASH);
+        if (!isValid || !account) {
+            return null;
+        }
+    } catch (error) {
+        console.error('Erreur lors de la vérification du code admin:', error);
+        return null;
+    }
+
+    return publicAccount(account);
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+// Ouvrir une session pour un compte. Seul le hash du jeton est conservé.
+async function createSession(account, { ip, userAgent } = {}) {
+    const db = getDb();
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const id = uuidv4();
+
+    db.prepare(`
+        INSERT INTO admin_sessions (id, account_id, token_hash, created_at, expires_at, ip, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        id,
+        account.id,
+        hashToken(token),
+        now.toISOString(),
+        new Date(now.getTime() + SESSION_TTL_MS).toISOString(),
+        ip || null,
+        userAgent || null
+    );
+    db.prepare('UPDATE admin_accounts SET last_login_at = ? WHERE id = ?').run(now.toISOString(), account.id);
+
+    return { token, session: publicSession(db.prepare('SELECT * FROM admin_sessions WHERE id = ?').get(id)) };
+}
+
+// Retrouver la session et le compte associés à un jeton
+async function findSession(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const row = getDb().prepare(`
+        SELECT s.*, a.username, a.role, a.disabled, a.totp_enabled, a.created_at AS account_created_at, a.last_login_at
+        FROM admin_sessions s
+        JOIN admin_accounts a ON a.id = s.account_id
+        WHERE s.token_hash = ? AND s.expires_at > ? AND a.disabled = 0
+    `).get(hashToken(token), new Date().toISOString());
+
+    if (!row) {
+        return null;
+    }
+
+    return {
+        session: publicSession(row),
+        account: publicAccount({ ...row, id: row.account_id, created_at: row.account_created_at })
+    };
+}
+
+async function listSessions(accountId) {
+    const db = getDb();
+    const now = new Date().toISOString();
+    const rows = accountId
+        ? db.prepare('SELECT * FROM admin_sessions WHERE account_id = ? AND expires_at > ? ORDER BY created_at').all(accountId, now)
+        : db.prepare('SELECT * FROM admin_sessions WHERE expires_at > ? ORDER BY created_at').all(now);
+    return rows.map(publicSession);
+}
+
+async function revokeSession(sessionId) {
+    return getDb().prepare('DELETE FROM admin_sessions WHERE id = ?').run(sessionId).changes > 0;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ADMIN_USERNAME,
+    hasPermission,
+    isValidCode,
+    initAccounts,
+    listAccounts,
+    getAccount,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    authenticate,
+    createSession,
+    findSession,
+    listSessions,
+    revokeSession
+};
@@ -0,0 +1,184 @@
+// ============================================
+// NumLab-VPN - Journal des téléchargements et statistiques
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getDb, DATA_DIR } = require('./db');
+
+const SALT_FILE = path.join(DATA_DIR, 'analytics-salt');
+
+// Intervalles de regroupement acceptés
+const INTERVALS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Nombre maximum de tranches dans une série temporelle
+const MAX_BUCKETS = 1000;
+
+let ipSalt = null;
+
+// Charger le sel de hachage des IP depuis ANALYTICS_IP_SALT, ou le générer une fois
+async function initAnalytics() {
+    if (process.env.ANALYTICS_IP_SALT) {
+        ipSalt = process.env.ANALYTICS_IP_SALT;
+    } else if (await fs.pathExists(SALT_FILE)) {
+        ipSalt = (await fs.readFile(SALT_FILE, 'utf8')).trim();
+    } else {
+        ipSalt = crypto.randomBytes(32).toString('hex');
+        await fs.outputFile(SALT_FILE, ipSalt, { mode: 0o600 });
+    }
+}
+
+// Les adresses IP ne sont jamais stockées en clair
+function hashIp(ip) {
+    return crypto.createHmac('sha256', ipSalt).update(ip || '').digest('hex').slice(0, 32);
+}
+
+// ============================================
+// ENREGISTREMENT
+// ============================================
+
+// Ajouter un événement de téléchargement au journal
+async function recordDownload({ fileId, network, ip, userAgent }) {
+    const event = {
+        timestamp: new Date().toISOString(),
+        fileId: fileId,
+        network: network,
+        ipHash: hashIp(ip),
+        userAgent: userAgent ? String(userAgent).slice(0, 512) : null
+    };
+
+    getDb().prepare(`
+        INSERT INTO download_events (timestamp, file_id, network, ip_hash, user_agent)
+        VALUES (@timestamp, @fileId, @network, @ipHash, @userAgent)
+    `).run(event);
+
+    return event;
+}
+
+// Lire les événements compris dans [from, to[
+async function readEvents(from, to, filter = {}) {
+    const conditions = ['timestamp >= @from', 'timestamp < @to'];
+    if (filter.fileId) conditions.push('file_id = @fileId');
+    if (filter.network) conditions.push('network = @network');
+
+    return getDb().prepare(`
+        SELECT timestamp, file_id AS fileId, network, ip_hash AS ipHash
+        FROM download_events
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp
+    `).all({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        fileId: filter.fileId || null,
+        network: filter.network || null
+    });
+}
+
+// ============================================
+// AGRÉGATION
+// ============================================
+
+// Début de la tranche contenant une date (UTC, semaines commençant le lundi)
+function bucketStart(date, interval) {
+    const d = new Date(date);
+
+    if (interval === 'hour') {
+        d.setUTCMinutes(0, 0, 0);
+    } else {
+        d.setUTCHours(0, 0, 0, 0);
+        if (interval === 'week') {
+            const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+            d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+        }
+    }
+
+    return d;
+}
+
+function countBuckets(from, to, interval) {
+    return Math.ceil((to - bucketStart(from, interval)) / INTERVALS[interval]);
+}
+
+// Série complète, avec des zéros pour les tranches sans téléchargement
+function buildSeries(events, from, to, interval) {
+    const buckets = new Map();
+
+    for (let t = bucketStart(from, interval).getTime(); t < to.getTime(); t += INTERVALS[interval]) {
+        buckets.set(t, { downloads: 0, clients: new Set() });
+    }
+
+    for (const event of events) {
+        const bucket = buckets.get(bucketStart(event.timestamp, interval).getTime());
+        if (bucket) {
+            bucket.downloads++;
+            bucket.clients.add(event.ipHash);
+        }
+    }
+
+    return Array.from(buckets, ([time, bucket]) => ({
+        bucket: new Date(time).toISOString(),
+        downloads: bucket.downloads,
+        uniqueClients: bucket.clients.size
+    }));
+}
+
+function groupBy(events, key) {
+    const groups = new Map();
+    for (const event of events) {
+        const value = event[key] || '';
+        if (!groups.has(value)) {
+            groups.set(value, []);
+        }
+        groups.get(value).push(event);
+    }
+    return groups;
+}
+
+// Calculer les statistiques de téléchargement sur une période
+async function getAnalytics({ from, to, interval, fileId, network, limit, files }) {
+    const events = await readEvents(from, to, { fileId, network });
+    const namesById = new Map(files.map(f => [f.id, f.name]));
+
+    const byFile = Array.from(groupBy(events, 'fileId'), ([id, group]) => ({
+        fileId: id,
+        name: namesById.get(id) || null,
+        network: group[group.length - 1].network,
+        downloads: group.length,
+        uniqueClients: new Set(group.map(e => e.ipHash)).size,
+        series: buildSeries(group, from, to, interval)
+    })).sort((a, b) => b.downloads - a.downloads);
+
+    const byNetwork = Array.from(groupBy(events, 'network'), ([name, group]) => ({
+        network: name,
+        downloads: group.length,
+        uniqueClients: new Set(group.map(e => e.ipHash)).size,
+        series: buildSeries(group, from, to, interval)
+    })).sort((a, b) => b.downloads - a.downloads);
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        interval: interval,
+        totalDownloads: events.length,
+        uniqueClients: new Set(events.map(e => e.ipHash)).size,
+        series: buildSeries(events, from, to, interval),
+        topFiles: byFile.slice(0, limit).map(({ series, ...file }) => file),
+        byFile: byFile,
+        byNetwork: byNetwork
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    MAX_BUCKETS,
+    initAnalytics,
+    recordDownload,
+    countBuckets,
+    getAnalytics
+};
@@ -0,0 +1,193 @@
+// ============================================
+// NumLab-VPN - Inspection des archives .zip et extraction d'une entrée
+// Créé par Merdi Madimba
+// ============================================
+
+const path = require('path');
+const yauzl = require('yauzl');
+const vpnConfig = require('./vpn-config');
+const encryption = require('./encryption');
+
+// Extensions inspectées à l'upload
+const INSPECTED_EXTENSIONS = ['.zip'];
+
+// Limites contre les archives piégées (zip bombs)
+const MAX_ENTRIES = 1000;
+const MAX_TOTAL_UNCOMPRESSED = 500 * 1024 * 1024; // 500 Mo une fois décompressée
+const MAX_RATIO = 100; // taux de compression maximal pour une entrée de plus de 1 Mo
+const RATIO_THRESHOLD = 1024 * 1024;
+
+// Taille d'un en-tête local sans nom ni champ extra
+const LOCAL_HEADER_SIZE = 30;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ARCHIVE';
+    return error;
+}
+
+// Lecteur à accès aléatoire sur le contenu déchiffré: yauzl lit le répertoire central
+// puis chaque entrée par plages, que le format chiffré permet de déchiffrer séparément
+class StoredFileReader extends yauzl.RandomAccessReader {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+    }
+
+    _readStreamForRange(start, end) {
+        return encryption.createReadStream(this.filePath, { start, end: end - 1 });
+    }
+}
+
+async function openZip(filePath) {
+    const size = await encryption.plainSize(filePath);
+
+    return new Promise((resolve, reject) => {
+        yauzl.fromRandomAccessReader(new StoredFileReader(filePath), size, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+            if (error) {
+                return reject(invalid(`Archive zip illisible: ${error.message}`));
+            }
+            resolve(zipfile);
+        });
+    });
+}
+
+// Lire la liste des entrées (répertoire central), sans décompresser
+function readEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+
+        zipfile.on('entry', entry => {
+            entries.push(entry);
+            if (entries.length > MAX_ENTRIES) {
+                return reject(invalid(`Archive refusée: plus de ${MAX_ENTRIES} entrées.`));
+            }
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(entries));
+        zipfile.on('error', error => {
+            // yauzl refuse lui-même les chemins absolus et les remontées "../"
+            if (/^(absolute path|invalid relative path)/.test(error.message)) {
+                return reject(invalid(`Archive refusée: chemin d'entrée non autorisé (${error.message.split(': ').slice(1).join(': ')}).`));
+            }
+            reject(invalid(`Archive zip invalide: ${error.message}`));
+        });
+
+        zipfile.readEntry();
+    });
+}
+
+function openEntryStream(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+    });
+}
+
+async function readEntryContent(zipfile, entry) {
+    const stream = await openEntryStream(zipfile, entry);
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function isDirectory(entry) {
+    return entry.fileName.endsWith('/');
+}
+
+// Détecter les zip bombs: trop de données décompressées, taux de compression anormal,
+// ou entrées qui se chevauchent (une même zone de données référencée plusieurs fois)
+function checkBomb(entries) {
+    let total = 0;
+
+    for (const entry of entries) {
+        total += entry.uncompressedSize;
+
+        if (entry.uncompressedSize > RATIO_THRESHOLD
+            && entry.uncompressedSize > MAX_RATIO * Math.max(entry.compressedSize, 1)) {
+            throw invalid(`Archive refusée: taux de compression suspect pour "${entry.fileName}".`);
+        }
+    }
+
+    if (total > MAX_TOTAL_UNCOMPRESSED) {
+        throw invalid(`Archive refusée: plus de ${MAX_TOTAL_UNCOMPRESSED / 1024 / 1024} Mo une fois décompressée.`);
+    }
+
+    const byOffset = [...entries].sort((a, b) => a.relativeOffsetOfLocalHeader - b.relativeOffsetOfLocalHeader);
+    for (let i = 1; i < byOffset.length; i++) {
+        const previous = byOffset[i - 1];
+        const end = previous.relativeOffsetOfLocalHeader + LOCAL_HEADER_SIZE + previous.fileNameLength + previous.compressedSize;
+        if (byOffset[i].relativeOffsetOfLocalHeader < end) {
+            throw invalid('Archive refusée: entrées qui se chevauchent.');
+        }
+    }
+}
+
+// Lister le contenu d'une archive uploadée: noms, tailles, et métadonnées des configurations
+// OpenVPN / WireGuard qu'elle contient. Lève une erreur INVALID_ARCHIVE si l'archive est refusée.
+async function inspectArchive(filePath) {
+    const zipfile = await openZip(filePath);
+
+    try {
+        const entries = (await readEntries(zipfile)).filter(entry => !isDirectory(entry));
+        checkBomb(entries);
+
+        const result = [];
+        for (const entry of entries) {
+            const extension = path.extname(entry.fileName).toLowerCase();
+            const item = {
+                name: entry.fileName,
+                size: entry.uncompressedSize,
+                compressedSize: entry.compressedSize,
+                encrypted: entry.isEncrypted(),
+                config: null
+            };
+
+            // Une configuration invalide n'empêche pas l'upload de l'archive: elle est simplement signalée
+            if (vpnConfig.PARSED_EXTENSIONS.includes(extension) && !item.encrypted
+                && entry.uncompressedSize <= vpnConfig.MAX_CONFIG_SIZE) {
+                try {
+                    const content = await readEntryContent(zipfile, entry);
+                    item.config = vpnConfig.parseConfig(extension, content.toString('utf8'));
+                } catch (error) {
+                    if (error.code !== 'INVALID_CONFIG') {
+                        throw invalid(`Archive zip invalide: ${error.message}`);
+                    }
+                    item.configError = error.message;
+                }
+            }
+
+            result.push(item);
+        }
+
+        return result;
+    } finally {
+        zipfile.close();
+    }
+}
+
+// Ouvrir le flux décompressé d'une entrée. Retourne { entry, stream } ou null si l'entrée n'existe pas.
+async function openEntry(filePath, name) {
+    const zipfile = await openZip(filePath);
+
+    try {
+        const entry = (await readEntries(zipfile)).find(item => item.fileName === name && !isDirectory(item));
+        if (!entry || entry.isEncrypted()) {
+            return null;
+        }
+
+        const stream = await openEntryStream(zipfile, entry);
+        return { entry: { name: entry.fileName, size: entry.uncompressedSize }, stream };
+    } finally {
+        // Le descripteur reste ouvert tant que le flux de l'entrée n'est pas terminé
+        zipfile.close();
+    }
+}
+
+module.exports = {
+    INSPECTED_EXTENSIONS,
+    MAX_ENTRIES,
+    inspectArchive,
+    openEntry
+};
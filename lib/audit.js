@@ -0,0 +1,190 @@
+// ============================================
+// NumLab-VPN - Journal d'audit des actions admin (chaîné par hash)
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+// Hash précédent de la toute première entrée
+const GENESIS_HASH = '0'.repeat(64);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Chaque entrée est scellée par le hash de son contenu et du hash de l'entrée précédente:
+// modifier, supprimer ou réordonner une entrée casse la chaîne à partir de ce point
+function computeHash(entry) {
+    const content = JSON.stringify([
+        entry.id,
+        entry.created_at,
+        entry.actor,
+        entry.ip,
+        entry.action,
+        entry.target_type,
+        entry.target_id,
+        entry.details,
+        entry.prev_hash
+    ]);
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function rowToEntry(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        actor: row.actor,
+        ip: row.ip,
+        action: row.action,
+        targetType: row.target_type,
+        targetId: row.target_id,
+        details: row.details ? JSON.parse(row.details) : null,
+        hash: row.hash
+    };
+}
+
+// Champs des fichiers dont les modifications sont tracées (avant / après)
+const FILE_FIELDS = ['name', 'network', 'networkId', 'expiryDate', 'description', 'isPrivate', 'maxDownloads'];
+
+function fileValues(file) {
+    const values = {};
+    for (const field of FILE_FIELDS) {
+        values[field] = file[field];
+    }
+    return values;
+}
+
+// Différences champ par champ entre deux versions d'un objet: { champ: { before, after } }
+function diff(before, after, fields) {
+    const changes = {};
+    for (const field of fields) {
+        const previous = before ? before[field] : undefined;
+        const next = after ? after[field] : undefined;
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            changes[field] = { before: previous === undefined ? null : previous, after: next === undefined ? null : next };
+        }
+    }
+    return changes;
+}
+
+// Ajouter une entrée au journal. N'échoue jamais: l'action auditée a déjà eu lieu.
+function record({ actor, ip, action, targetType, targetId, details }) {
+    const db = getDb();
+
+    try {
+        return db.transaction(() => {
+            const last = db.prepare('SELECT id, hash FROM audit_log ORDER BY id DESC LIMIT 1').get();
+            const entry = {
+                id: last ? last.id + 1 : 1,
+                created_at: new Date().toISOString(),
+                actor: actor || null,
+                ip: ip || null,
+                action,
+                target_type: targetType || null,
+                target_id: targetId || null,
+                details: details ? JSON.stringify(details) : null,
+                prev_hash: last ? last.hash : GENESIS_HASH
+            };
+            entry.hash = computeHash(entry);
+
+            db.prepare(`
+                INSERT INTO audit_log (id, created_at, actor, ip, action, target_type, target_id, details, prev_hash, hash)
+                VALUES (@id, @created_at, @actor, @ip, @action, @target_type, @target_id, @details, @prev_hash, @hash)
+            `).run(entry);
+
+            return entry.id;
+        })();
+    } catch (error) {
+        console.error(`Erreur lors de l'écriture du journal d'audit (${action}):`, error);
+        return null;
+    }
+}
+
+// Parcourir le journal, du plus récent au plus ancien. Le curseur est l'id de la dernière entrée reçue.
+function listEntries({ actor, action, targetId, from, to, cursor, limit = DEFAULT_LIMIT } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (actor) {
+        conditions.push('actor = ?');
+        params.push(actor);
+    }
+    if (action) {
+        // "file" filtre toutes les actions file.*
+        conditions.push('(action = ? OR action LIKE ?)');
+        params.push(action, `${action}.%`);
+    }
+    if (targetId) {
+        conditions.push('target_id = ?');
+        params.push(targetId);
+    }
+    if (from) {
+        conditions.push('created_at >= ?');
+        params.push(from.toISOString());
+    }
+    if (to) {
+        conditions.push('created_at < ?');
+        params.push(to.toISOString());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const db = getDb();
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(...params).count;
+
+    const pageConditions = cursor ? [...conditions, 'id < ?'] : conditions;
+    const pageParams = cursor ? [...params, cursor] : params;
+    const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+    const rows = db
+        .prepare(`SELECT * FROM audit_log ${pageWhere} ORDER BY id DESC LIMIT ?`)
+        .all(...pageParams, limit + 1);
+
+    const hasMore = rows.length > limit;
+    const entries = rows.slice(0, limit).map(rowToEntry);
+
+    return {
+        entries,
+        total,
+        nextCursor: hasMore ? String(entries[entries.length - 1].id) : null
+    };
+}
+
+// Recalculer toute la chaîne. Retourne { valid, checked, headHash, brokenAt, reason }.
+function verifyChain() {
+    let previousHash = GENESIS_HASH;
+    let expectedId = 1;
+    let checked = 0;
+
+    for (const row of getDb().prepare('SELECT * FROM audit_log ORDER BY id').iterate()) {
+        let reason = null;
+
+        if (row.id !== expectedId) {
+            reason = `Entrée(s) manquante(s) avant l'entrée ${row.id}.`;
+        } else if (row.prev_hash !== previousHash) {
+            reason = 'Le hash précédent ne correspond pas à l\'entrée précédente.';
+        } else if (computeHash(row) !== row.hash) {
+            reason = 'Le contenu de l\'entrée a été modifié.';
+        }
+
+        if (reason) {
+            return { valid: false, checked, headHash: null, brokenAt: row.id, reason };
+        }
+
+        previousHash = row.hash;
+        expectedId = row.id + 1;
+        checked++;
+    }
+
+    return { valid: true, checked, headHash: checked > 0 ? previousHash : null, brokenAt: null, reason: null };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    FILE_FIELDS,
+    fileValues,
+    diff,
+    record,
+    listEntries,
+    verifyChain
+};
@@ -0,0 +1,455 @@
+// ============================================
+// NumLab-VPN - Sauvegarde et restauration du catalogue
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const tar = require('tar-stream');
+const { pipeline } = require('stream/promises');
+const { getDb } = require('./db');
+const catalog = require('./catalog');
+const networks = require('./networks');
+const checksums = require('./checksums');
+const encryption = require('./encryption');
+const sweeper = require('./sweeper');
+const templates = require('./templates');
+const webhooks = require('./webhooks');
+
+// Format de l'archive (.tar.gz):
+// - manifest.json: liste des entrées avec taille et empreinte SHA-256
+// - catalog.json: réseaux, métadonnées des fichiers et historique des versions
+// - files/<nom stocké>: fichiers physiques de toutes les versions
+const FORMAT = 'numlab-vpn-backup';
+const FORMAT_VERSION = 1;
+
+const MANIFEST_ENTRY = 'manifest.json';
+const CATALOG_ENTRY = 'catalog.json';
+const FILES_PREFIX = 'files/';
+
+const MODES = ['merge', 'replace'];
+
+// Limites d'extraction d'une archive envoyée pour restauration (même principe que lib/archives.js)
+const MAX_ENTRIES = numberFromEnv('BACKUP_MAX_ENTRIES', 100000);
+const MAX_EXTRACTED_SIZE = numberFromEnv('BACKUP_MAX_EXTRACTED_MB', 4096) * 1024 * 1024;
+
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+function invalidBackup(message, errors) {
+    const error = new Error(message);
+    error.status = 400;
+    error.errors = errors;
+    return error;
+}
+
+// Un nom de fichier stocké ne doit jamais permettre de sortir du dossier de destination
+function isSafeStoredName(name) {
+    return typeof name === 'string' && name.length > 0 && name === path.basename(name) && name !== '.' && name !== '..';
+}
+
+// Ajouter une entrée à l'archive et attendre qu'elle soit écrite
+function addEntry(pack, name, size, source) {
+    return new Promise((resolve, reject) => {
+        const entry = pack.entry({ name, size, mode: 0o600 }, error => (error ? reject(error) : resolve()));
+        if (Buffer.isBuffer(source)) {
+            entry.end(source);
+        } else {
+            source.on('error', error => {
+                entry.destroy(error);
+                reject(error);
+            });
+            source.pipe(entry);
+        }
+    });
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Préparer le contenu d'une sauvegarde: catalogue, fichiers physiques et manifeste
+async function buildSnapshot() {
+    const files = [];
+    const stored = [];
+    const missing = [];
+
+    for (const file of catalog.listFiles()) {
+        const versions = catalog.listVersions(file.id);
+        files.push({ ...file, versions, parts: catalog.listParts(file.id) });
+
+        for (const name of sweeper.storedFilenames(file)) {
+            const filePath = sweeper.storedPath(file, name);
+            if (await fs.pathExists(filePath)) {
+                const stat = await fs.stat(filePath);
+                stored.push({ path: FILES_PREFIX + name, filePath, size: stat.size, sha256: await checksums.hashFile(filePath) });
+            } else {
+                missing.push({ fileId: file.id, filename: name });
+            }
+        }
+    }
+
+    const createdAt = new Date().toISOString();
+    const catalogBuffer = Buffer.from(JSON.stringify({
+        format: FORMAT,
+        formatVersion: FORMAT_VERSION,
+        createdAt,
+        networks: networks.listNetworks(),
+        files
+    }, null, 2));
+    const entries = [
+        { path: CATALOG_ENTRY, size: catalogBuffer.length, sha256: checksums.hashBuffer(catalogBuffer) },
+        ...stored.map(({ path: entryPath, size, sha256: digest }) => ({ path: entryPath, size, sha256: digest }))
+    ];
+    const manifest = { format: FORMAT, formatVersion: FORMAT_VERSION, createdAt, fileCount: files.length, entries, missing };
+
+    return { manifest, catalogBuffer, stored };
+}
+
+// Écrire une sauvegarde complète (tar.gz) dans un flux, par exemple la réponse HTTP
+async function exportBackup(output) {
+    const { manifest, catalogBuffer, stored } = await buildSnapshot();
+    const pack = tar.pack();
+    const done = pipeline(pack, zlib.createGzip(), output);
+
+    try {
+        const manifestBuffer = Buffer.from(JSON.stringify(manifest, null, 2));
+        await addEntry(pack, MANIFEST_ENTRY, manifestBuffer.length, manifestBuffer);
+        await addEntry(pack, CATALOG_ENTRY, catalogBuffer.length, catalogBuffer);
+        for (const entry of stored) {
+            await addEntry(pack, entry.path, entry.size, fs.createReadStream(entry.filePath));
+        }
+        pack.finalize();
+    } catch (error) {
+        pack.destroy(error);
+    }
+
+    await done;
+    return manifest;
+}
+
+// ============================================
+// LECTURE ET VALIDATION
+// ============================================
+
+// Extraire l'archive dans un dossier temporaire en calculant l'empreinte de chaque entrée
+async function extractArchive(archivePath, targetDir) {
+    const extract = tar.extract();
+    const received = {};
+    let entries = 0;
+    let extracted = 0;
+
+    extract.on('entry', (header, stream, next) => {
+        // Les archives recréées à la main peuvent contenir des dossiers et des noms en "./"
+        const name = header.name.replace(/^\.\//, '');
+
+        // La taille annoncée par l'en-tête tar est celle que l'entrée écrira sur le disque
+        entries++;
+        extracted += header.size || 0;
+        if (entries > MAX_ENTRIES) {
+            stream.resume();
+            return next(invalidBackup(`Archive refusée: plus de ${MAX_ENTRIES} entrées.`));
+        }
+        if (extracted > MAX_EXTRACTED_SIZE) {
+            stream.resume();
+            return next(invalidBackup(`Archive refusée: plus de ${MAX_EXTRACTED_SIZE / 1024 / 1024} Mo une fois décompressée.`));
+        }
+
+        if (header.type === 'directory') {
+            stream.resume();
+            return next();
+        }
+
+        const allowed = name === MANIFEST_ENTRY || name === CATALOG_ENTRY
+            || (name.startsWith(FILES_PREFIX) && isSafeStoredName(name.slice(FILES_PREFIX.length)));
+
+        if (header.type !== 'file' || !allowed || received[name]) {
+            stream.resume();
+            return next(invalidBackup(`Entrée d'archive non autorisée: ${name}`));
+        }
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        stream.on('data', chunk => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+
+        pipeline(stream, fs.createWriteStream(path.join(targetDir, name)))
+            .then(() => {
+                received[name] = { size, sha256: hash.digest('hex') };
+                next();
+            })
+            .catch(next);
+    });
+
+    await fs.ensureDir(path.join(targetDir, FILES_PREFIX));
+
+    try {
+        await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), extract);
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        throw invalidBackup('Archive illisible: un fichier .tar.gz produit par l\'export est attendu.');
+    }
+
+    return received;
+}
+
+async function readJson(filePath, label) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw invalidBackup(`${label} illisible.`);
+    }
+}
+
+// Vérifier le manifeste: chaque entrée listée doit être présente avec la bonne empreinte,
+// et aucune entrée non listée ne doit se trouver dans l'archive
+function verifyManifest(manifest, received) {
+    if (!manifest || manifest.format !== FORMAT || !Array.isArray(manifest.entries)) {
+        throw invalidBackup('Manifeste invalide: ce fichier n\'est pas une sauvegarde NumLab-VPN.');
+    }
+
+    if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > FORMAT_VERSION) {
+        throw invalidBackup(`Version de sauvegarde non prise en charge: ${manifest.formatVersion}.`);
+    }
+
+    const errors = [];
+    const listed = new Set();
+
+    for (const entry of manifest.entries) {
+        listed.add(entry.path);
+        const actual = received[entry.path];
+        if (!actual) {
+            errors.push({ type: 'missing-entry', path: entry.path });
+        } else if (actual.size !== entry.size || actual.sha256 !== entry.sha256) {
+            errors.push({ type: 'checksum-mismatch', path: entry.path });
+        }
+    }
+
+    for (const name of Object.keys(received)) {
+        if (name !== MANIFEST_ENTRY && !listed.has(name)) {
+            errors.push({ type: 'unlisted-entry', path: name });
+        }
+    }
+
+    if (!listed.has(CATALOG_ENTRY)) {
+        errors.push({ type: 'missing-entry', path: CATALOG_ENTRY });
+    }
+
+    if (errors.length > 0) {
+        throw invalidBackup('L\'archive ne correspond pas à son manifeste.', errors);
+    }
+}
+
+function isValidTemplate(template) {
+    try {
+        templates.parseSchema(template);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isValidRecord(file) {
+    return file && typeof file.id === 'string' && file.id
+        && typeof file.name === 'string' && typeof file.network === 'string'
+        && !isNaN(new Date(file.expiryDate).getTime())
+        && isSafeStoredName(file.storedFilename)
+        && (!file.template || isValidTemplate(file.template))
+        && Array.isArray(file.versions) && file.versions.length > 0
+        && file.versions.every(version => Number.isInteger(version.version) && version.version > 0
+            && isSafeStoredName(version.storedFilename)
+            && (!version.redactedFilename || isSafeStoredName(version.redactedFilename)))
+        && (file.parts === undefined || (Array.isArray(file.parts)
+            && file.parts.every(part => part && typeof part.id === 'string' && Number.isInteger(part.position)
+                && catalog.PART_ROLES.includes(part.role) && typeof part.filename === 'string'
+                && isSafeStoredName(part.storedFilename)
+                && (!part.redactedFilename || isSafeStoredName(part.redactedFilename)))));
+}
+
+function recordFilenames(file) {
+    const names = [];
+    for (const item of [...file.versions, ...(file.parts || [])]) {
+        names.push(item.storedFilename);
+        if (item.redactedFilename) {
+            names.push(item.redactedFilename);
+        }
+    }
+    return names;
+}
+
+// ============================================
+// RESTAURATION
+// ============================================
+
+// Déterminer les fichiers à importer et les conflits, sans rien modifier
+async function planRestore(files, received, mode) {
+    const plan = { imports: [], conflicts: [] };
+    const existingNames = new Set();
+    const seenIds = new Set();
+    // Les identifiants des fichiers joints sont uniques dans tout le catalogue, pas seulement par fichier
+    const partIds = new Set();
+
+    if (mode === 'merge') {
+        for (const file of catalog.listFiles()) {
+            sweeper.storedFilenames(file).forEach(name => existingNames.add(name));
+        }
+        getDb().prepare('SELECT id FROM file_parts').pluck().all().forEach(id => partIds.add(id));
+    }
+
+    for (const file of files) {
+        if (!isValidRecord(file)) {
+            plan.conflicts.push({ type: 'invalid-record', id: file && file.id ? String(file.id) : null });
+            continue;
+        }
+
+        if (seenIds.has(file.id)) {
+            plan.conflicts.push({ type: 'duplicate-id', id: file.id, name: file.name, source: 'archive' });
+            continue;
+        }
+        seenIds.add(file.id);
+
+        if (mode === 'merge' && catalog.getFile(file.id)) {
+            plan.conflicts.push({ type: 'duplicate-id', id: file.id, name: file.name, source: 'catalog' });
+            continue;
+        }
+
+        const names = recordFilenames(file);
+        const missing = names.filter(name => !received[FILES_PREFIX + name]);
+        if (missing.length > 0) {
+            plan.conflicts.push({ type: 'missing-file', id: file.id, name: file.name, files: missing });
+            continue;
+        }
+
+        const taken = names.filter(name => existingNames.has(name));
+        if (taken.length > 0) {
+            plan.conflicts.push({ type: 'duplicate-stored-file', id: file.id, name: file.name, files: taken });
+            continue;
+        }
+
+        const parts = (file.parts || []).map(part => part.id);
+        const takenParts = parts.filter((id, index) => partIds.has(id) || parts.indexOf(id) !== index);
+        if (takenParts.length > 0) {
+            plan.conflicts.push({ type: 'duplicate-part-id', id: file.id, name: file.name, parts: takenParts });
+            continue;
+        }
+        parts.forEach(id => partIds.add(id));
+
+        plan.imports.push(file);
+    }
+
+    return plan;
+}
+
+// Restaurer une sauvegarde.
+// - merge: ajoute les fichiers absents du catalogue, les conflits sont ignorés et signalés
+// - replace: remplace tout le catalogue par le contenu de l'archive
+// En mode dryRun, l'archive est vérifiée et le rapport retourné sans rien modifier.
+async function restoreBackup(archivePath, { mode = 'merge', dryRun = false } = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'numlab-restore-'));
+
+    try {
+        const received = await extractArchive(archivePath, workDir);
+
+        if (!received[MANIFEST_ENTRY]) {
+            throw invalidBackup('Manifeste absent de l\'archive.');
+        }
+
+        const manifest = await readJson(path.join(workDir, MANIFEST_ENTRY), 'Manifeste');
+        verifyManifest(manifest, received);
+
+        const backup = await readJson(path.join(workDir, CATALOG_ENTRY), 'Catalogue');
+        if (!backup || backup.format !== FORMAT || !Array.isArray(backup.files)) {
+            throw invalidBackup('Catalogue invalide.');
+        }
+
+        const plan = await planRestore(backup.files, received, mode);
+        const previous = mode === 'replace' ? catalog.listFiles() : [];
+        const report = {
+            mode,
+            dryRun,
+            backupCreatedAt: manifest.createdAt || null,
+            imported: plan.imports.map(file => ({ id: file.id, name: file.name })),
+            removed: previous.map(file => ({ id: file.id, name: file.name })),
+            conflicts: plan.conflicts
+        };
+
+        if (dryRun) {
+            return report;
+        }
+
+        // Noms des fichiers physiques actuels, supprimés après la bascule du catalogue
+        const previousPaths = [];
+        for (const file of previous) {
+            sweeper.storedFilenames(file).forEach(name => previousPaths.push(sweeper.storedPath(file, name)));
+        }
+
+        // Mettre les fichiers en place avant la bascule: le catalogue ne référence jamais un fichier absent
+        const placed = [];
+        for (const file of plan.imports) {
+            for (const name of recordFilenames(file)) {
+                const destination = sweeper.storedPath(file, name);
+                await fs.ensureDir(path.dirname(destination));
+                await fs.copy(path.join(workDir, FILES_PREFIX, name), destination, { overwrite: true });
+                placed.push(destination);
+            }
+        }
+
+        const db = getDb();
+        db.transaction(() => {
+            for (const file of previous) {
+                catalog.deleteFile(file.id);
+            }
+            // Les réseaux de l'archive sont ajoutés s'ils manquent. Un fichier dont le réseau est inconnu
+            // (sauvegarde antérieure au catalogue des réseaux) est rattaché d'après son texte libre.
+            const networkIds = networks.importNetworks(Array.isArray(backup.networks) ? backup.networks : []);
+            for (const file of plan.imports) {
+                const { versions, parts, ...record } = file;
+                record.networkId = networkIds.get(record.networkId) || null;
+                catalog.importFile(record, versions, parts || []);
+            }
+            networks.linkFreeTextNetworks();
+        })();
+
+        const kept = new Set(placed);
+        for (const filePath of previousPaths) {
+            if (!kept.has(filePath)) {
+                await fs.remove(filePath);
+            }
+        }
+
+        // Les sauvegardes antérieures au chiffrement au repos contiennent des fichiers en clair,
+        // et celles antérieures aux empreintes n'en contiennent pas
+        await encryption.migratePlaintext();
+        await checksums.backfillChecksums();
+
+        for (const file of previous) {
+            webhooks.emit('file.deleted', { file: webhooks.filePayload(file), reason: 'restore' });
+        }
+        for (const file of plan.imports) {
+            webhooks.emit('file.created', { file: webhooks.filePayload(catalog.getFile(file.id)), reason: 'restore' });
+        }
+
+        return report;
+    } finally {
+        await fs.remove(workDir);
+    }
+}
+
+module.exports = {
+    FORMAT,
+    FORMAT_VERSION,
+    MODES,
+    MAX_ENTRIES,
+    MAX_EXTRACTED_SIZE,
+    exportBackup,
+    restoreBackup
+};
@@ -0,0 +1,66 @@
+// ============================================
+// NumLab-VPN - Lots zip d'une entrée et de ses fichiers joints
+// Créé par Merdi Madimba
+// ============================================
+
+const path = require('path');
+const yazl = require('yazl');
+const encryption = require('./encryption');
+
+// Nom unique dans le lot: un second "client.key" devient "client (2).key"
+function uniqueName(name, used) {
+    const extension = path.extname(name);
+    const base = path.basename(name, extension);
+    let candidate = name;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+        candidate = `${base} (${i})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function bundleFilename(file) {
+    const base = path.basename(file.filename, path.extname(file.filename)) || 'numlab-vpn';
+    return `${base}.zip`;
+}
+
+// Composer le lot: le fichier principal puis les fichiers joints, dans leur ordre.
+// Chaque élément est { name, filePath } où filePath désigne la copie publique si elle existe.
+function bundleItems(file, parts, storedPath) {
+    const used = new Set();
+    const items = [{
+        name: uniqueName(path.basename(file.filename), used),
+        filePath: storedPath(file.redactedFilename || file.storedFilename)
+    }];
+
+    for (const part of parts) {
+        items.push({
+            name: uniqueName(path.basename(part.filename), used),
+            filePath: storedPath(part.redactedFilename || part.storedFilename)
+        });
+    }
+
+    return items;
+}
+
+// Générer le zip au fil de l'eau: chaque fichier est déchiffré et compressé pendant l'envoi,
+// rien n'est écrit sur le disque. Retourne le flux de sortie de l'archive.
+function createBundleStream(items, mtime = new Date()) {
+    const zip = new yazl.ZipFile();
+
+    for (const item of items) {
+        zip.addReadStream(encryption.createReadStream(item.filePath), item.name, { mtime });
+    }
+    zip.end();
+
+    // Une erreur de lecture (fichier corrompu) interrompt le flux de sortie
+    zip.on('error', error => zip.outputStream.destroy(error));
+
+    return zip.outputStream;
+}
+
+module.exports = {
+    bundleFilename,
+    bundleItems,
+    createBundleStream
+};
@@ -0,0 +1,531 @@
+// ============================================
+// NumLab-VPN - Catalogue des fichiers (dépôt SQLite)
+// Créé par Merdi Madimba
+// ============================================
+
+const { getDb } = require('./db');
+const quotas = require('./quotas');
+
+// Les fichiers sont toujours lus avec le réseau auquel ils sont rattachés
+const FILE_SELECT = `
+    SELECT files.*, networks.name AS network_name, networks.slug AS network_slug
+    FROM files LEFT JOIN networks ON networks.id = files.network_id
+`;
+
+// Convertir une ligne SQLite en enregistrement de fichier (même forme que l'ancien files.json)
+function rowToFile(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        filename: row.filename,
+        storedFilename: row.stored_filename,
+        name: row.name,
+        // Nom du réseau rattaché, ou le texte libre d'origine si le fichier n'est pas encore rattaché
+        network: row.network_name || row.network,
+        networkId: row.network_id || null,
+        networkSlug: row.network_slug || null,
+        expiryDate: row.expiry_date,
+        size: row.size,
+        description: row.description,
+        isPrivate: Boolean(row.is_private),
+        downloadCount: row.download_count,
+        createdAt: row.created_at,
+        config: row.config_metadata ? JSON.parse(row.config_metadata) : null,
+        redactedFilename: row.redacted_filename || null,
+        secretScan: row.secret_scan ? JSON.parse(row.secret_scan) : null,
+        currentVersion: row.current_version,
+        archivedAt: row.archived_at || null,
+        sha256: row.sha256 || null,
+        archiveEntries: row.archive_entries ? JSON.parse(row.archive_entries) : null,
+        maxDownloads: row.max_downloads || null,
+        template: row.template ? JSON.parse(row.template) : null
+    };
+}
+
+function rowToVersion(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        fileId: row.file_id,
+        version: row.version,
+        filename: row.filename,
+        storedFilename: row.stored_filename,
+        redactedFilename: row.redacted_filename || null,
+        size: row.size,
+        config: row.config_metadata ? JSON.parse(row.config_metadata) : null,
+        secretScan: row.secret_scan ? JSON.parse(row.secret_scan) : null,
+        sha256: row.sha256 || null,
+        archiveEntries: row.archive_entries ? JSON.parse(row.archive_entries) : null,
+        downloadCount: row.download_count,
+        createdAt: row.created_at,
+        createdBy: row.created_by || null
+    };
+}
+
+function fileToRow(file) {
+    return {
+        id: file.id,
+        filename: file.filename,
+        stored_filename: file.storedFilename,
+        name: file.name,
+        network: file.network,
+        network_id: file.networkId || null,
+        expiry_date: file.expiryDate,
+        size: file.size,
+        description: file.description || '',
+        is_private: file.isPrivate ? 1 : 0,
+        download_count: file.downloadCount || 0,
+        created_at: file.createdAt,
+        config_metadata: file.config ? JSON.stringify(file.config) : null,
+        redacted_filename: file.redactedFilename || null,
+        secret_scan: file.secretScan ? JSON.stringify(file.secretScan) : null,
+        sha256: file.sha256 || null,
+        archive_entries: file.archiveEntries ? JSON.stringify(file.archiveEntries) : null,
+        max_downloads: file.maxDownloads || null,
+        template: file.template ? JSON.stringify(file.template) : null
+    };
+}
+
+// Lister tous les fichiers, par ordre d'ajout
+function listFiles() {
+    return getDb()
+        .prepare(`${FILE_SELECT} ORDER BY files.created_at, files.rowid`)
+        .all()
+        .map(rowToFile);
+}
+
+function getFile(id) {
+    return rowToFile(getDb().prepare(`${FILE_SELECT} WHERE files.id = ?`).get(id));
+}
+
+// Créer un fichier et sa version 1
+function createFile(file, createdBy) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const row = fileToRow(file);
+        db.prepare(`
+            INSERT INTO files (id, filename, stored_filename, name, network, network_id, expiry_date, size,
+                description, is_private, download_count, created_at, config_metadata, redacted_filename, secret_scan, sha256,
+                archive_entries, max_downloads, template)
+            VALUES (@id, @filename, @stored_filename, @name, @network, @network_id, @expiry_date, @size,
+                @description, @is_private, @download_count, @created_at, @config_metadata, @redacted_filename, @secret_scan,
+                @sha256, @archive_entries, @max_downloads, @template)
+        `).run(row);
+        insertVersion(row.id, 1, row, createdBy);
+
+        return getFile(file.id);
+    })();
+}
+
+// Modifier les métadonnées d'un fichier. Retourne null s'il n'existe pas.
+function updateFile(id, changes) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const current = getFile(id);
+        if (!current) {
+            return null;
+        }
+
+        const row = fileToRow({ ...current, ...changes, id: current.id });
+        db.prepare(`
+            UPDATE files SET filename = @filename, stored_filename = @stored_filename, name = @name,
+                network = @network, network_id = @network_id, expiry_date = @expiry_date, size = @size,
+                description = @description, is_private = @is_private, config_metadata = @config_metadata,
+                redacted_filename = @redacted_filename, secret_scan = @secret_scan, sha256 = @sha256,
+                archive_entries = @archive_entries, max_downloads = @max_downloads, template = @template
+            WHERE id = @id
+        `).run(row);
+
+        return getFile(id);
+    })();
+}
+
+// Supprimer un fichier. Retourne l'enregistrement supprimé, ou null.
+function deleteFile(id) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const file = getFile(id);
+        if (file) {
+            db.prepare('DELETE FROM files WHERE id = ?').run(id);
+        }
+        return file;
+    })();
+}
+
+// Marquer un fichier comme archivé (date ISO) ou le remettre en ligne (null)
+function setArchived(id, archivedAt) {
+    getDb().prepare('UPDATE files SET archived_at = ? WHERE id = ?').run(archivedAt, id);
+}
+
+// Incrément atomique des compteurs: aucun téléchargement concurrent n'est perdu.
+// Le compteur du fichier est global, celui de la version ne compte que ses téléchargements.
+// Retourne null si le fichier n'existe pas ou a déjà atteint sa limite de téléchargements.
+function incrementDownloadCount(id, version) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const row = db.prepare(`
+            UPDATE files SET download_count = download_count + 1
+            WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)
+            RETURNING download_count, current_version
+        `).get(id);
+        if (!row) {
+            return null;
+        }
+        db.prepare('UPDATE file_versions SET download_count = download_count + 1 WHERE file_id = ? AND version = ?')
+            .run(id, version || row.current_version);
+        return row.download_count;
+    })();
+}
+
+// Remettre à zéro le compteur global d'un fichier (les compteurs par version restent un historique)
+function resetDownloadCount(id) {
+    return getDb().prepare('UPDATE files SET download_count = 0 WHERE id = ?').run(id).changes > 0;
+}
+
+// ============================================
+// VERSIONS
+// ============================================
+
+function insertVersion(fileId, version, row, createdBy) {
+    getDb().prepare(`
+        INSERT INTO file_versions (file_id, version, filename, stored_filename, redacted_filename, size,
+            config_metadata, secret_scan, sha256, archive_entries, download_count, created_at, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+    `).run(fileId, version, row.filename, row.stored_filename, row.redacted_filename, row.size,
+        row.config_metadata, row.secret_scan, row.sha256, row.archive_entries, new Date().toISOString(), createdBy || null);
+}
+
+// Copier le contenu d'une version dans la ligne du fichier et en faire la version courante
+function applyVersion(fileId, version) {
+    getDb().prepare(`
+        UPDATE files SET
+            filename = v.filename, stored_filename = v.stored_filename, redacted_filename = v.redacted_filename,
+            size = v.size, config_metadata = v.config_metadata, secret_scan = v.secret_scan,
+            sha256 = v.sha256, archive_entries = v.archive_entries, current_version = v.version
+        FROM (SELECT * FROM file_versions WHERE file_id = ? AND version = ?) AS v
+        WHERE files.id = v.file_id
+    `).run(fileId, version);
+}
+
+function listVersions(fileId) {
+    return getDb()
+        .prepare('SELECT * FROM file_versions WHERE file_id = ? ORDER BY version DESC')
+        .all(fileId)
+        .map(rowToVersion);
+}
+
+function getVersion(fileId, version) {
+    return rowToVersion(getDb()
+        .prepare('SELECT * FROM file_versions WHERE file_id = ? AND version = ?')
+        .get(fileId, version));
+}
+
+// Ajouter une nouvelle version du contenu sous le même identifiant et la rendre courante.
+// Retourne { file, version } ou null si le fichier n'existe pas.
+function addVersion(fileId, content, createdBy) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const current = getFile(fileId);
+        if (!current) {
+            return null;
+        }
+
+        const { next } = db
+            .prepare('SELECT COALESCE(MAX(version), 0) + 1 AS next FROM file_versions WHERE file_id = ?')
+            .get(fileId);
+
+        insertVersion(fileId, next, fileToRow({ ...current, ...content }), createdBy);
+        applyVersion(fileId, next);
+
+        return { file: getFile(fileId), version: getVersion(fileId, next) };
+    })();
+}
+
+// Enregistrer l'empreinte d'une version (calculée après coup pour les fichiers plus anciens)
+function setVersionChecksum(fileId, version, sha256) {
+    const db = getDb();
+
+    db.transaction(() => {
+        db.prepare('UPDATE file_versions SET sha256 = ? WHERE file_id = ? AND version = ?').run(sha256, fileId, version);
+        db.prepare('UPDATE files SET sha256 = ? WHERE id = ? AND current_version = ?').run(sha256, fileId, version);
+    })();
+}
+
+// Versions dont l'empreinte n'a pas encore été calculée
+function listVersionsWithoutChecksum() {
+    return getDb()
+        .prepare('SELECT * FROM file_versions WHERE sha256 IS NULL ORDER BY file_id, version')
+        .all()
+        .map(rowToVersion);
+}
+
+// Revenir à une version antérieure. Retourne le fichier, ou null si la version n'existe pas.
+function rollbackToVersion(fileId, version) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        if (!getVersion(fileId, version)) {
+            return null;
+        }
+        applyVersion(fileId, version);
+        return getFile(fileId);
+    })();
+}
+
+// ============================================
+// ENTRÉES D'ARCHIVES
+// ============================================
+
+// Compter le téléchargement d'une seule entrée d'une archive, séparément du fichier complet
+function incrementEntryDownloadCount(fileId, version, entryName) {
+    return getDb().prepare(`
+        INSERT INTO archive_entry_downloads (file_id, version, entry_name, download_count, last_downloaded_at)
+        VALUES (?, ?, ?, 1, ?)
+        ON CONFLICT (file_id, version, entry_name)
+        DO UPDATE SET download_count = download_count + 1, last_downloaded_at = excluded.last_downloaded_at
+        RETURNING download_count
+    `).get(fileId, version, entryName, new Date().toISOString()).download_count;
+}
+
+// Nombre de téléchargements de chaque entrée d'une version, indexé par nom d'entrée
+function getEntryDownloadCounts(fileId, version) {
+    const counts = {};
+    const rows = getDb()
+        .prepare('SELECT entry_name, download_count FROM archive_entry_downloads WHERE file_id = ? AND version = ?')
+        .all(fileId, version);
+    for (const row of rows) {
+        counts[row.entry_name] = row.download_count;
+    }
+    return counts;
+}
+
+// ============================================
+// FICHIERS JOINTS
+// ============================================
+
+// Rôles d'un fichier joint à une entrée. Le fichier principal de l'entrée tient le rôle "config".
+const PART_ROLES = ['config', 'ca', 'cert', 'key', 'docs'];
+
+function rowToPart(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        fileId: row.file_id,
+        position: row.position,
+        role: row.role,
+        filename: row.filename,
+        storedFilename: row.stored_filename,
+        redactedFilename: row.redacted_filename || null,
+        size: row.size,
+        sha256: row.sha256 || null,
+        config: row.config_metadata ? JSON.parse(row.config_metadata) : null,
+        secretScan: row.secret_scan ? JSON.parse(row.secret_scan) : null,
+        downloadCount: row.download_count,
+        createdAt: row.created_at
+    };
+}
+
+function insertPart(fileId, position, part) {
+    getDb().prepare(`
+        INSERT INTO file_parts (id, file_id, position, role, filename, stored_filename, redacted_filename, size,
+            sha256, config_metadata, secret_scan, download_count, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        part.id,
+        fileId,
+        position,
+        part.role,
+        part.filename,
+        part.storedFilename,
+        part.redactedFilename || null,
+        part.size,
+        part.sha256 || null,
+        part.config ? JSON.stringify(part.config) : null,
+        part.secretScan ? JSON.stringify(part.secretScan) : null,
+        part.downloadCount || 0,
+        part.createdAt || new Date().toISOString()
+    );
+}
+
+function listParts(fileId) {
+    return getDb()
+        .prepare('SELECT * FROM file_parts WHERE file_id = ? ORDER BY position')
+        .all(fileId)
+        .map(rowToPart);
+}
+
+function getPart(fileId, partId) {
+    return rowToPart(getDb().prepare('SELECT * FROM file_parts WHERE file_id = ? AND id = ?').get(fileId, partId));
+}
+
+// Joindre des fichiers à une entrée, à la suite des fichiers existants. Retourne null si l'entrée n'existe pas.
+function addParts(fileId, parts) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        if (!getFile(fileId)) {
+            return null;
+        }
+
+        let { next } = db
+            .prepare('SELECT COALESCE(MAX(position), 0) + 1 AS next FROM file_parts WHERE file_id = ?')
+            .get(fileId);
+        for (const part of parts) {
+            insertPart(fileId, next++, part);
+        }
+
+        return listParts(fileId);
+    })();
+}
+
+// Retirer un fichier joint. Retourne l'enregistrement supprimé, ou null.
+function deletePart(fileId, partId) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const part = getPart(fileId, partId);
+        if (part) {
+            db.prepare('DELETE FROM file_parts WHERE id = ?').run(partId);
+        }
+        return part;
+    })();
+}
+
+function incrementPartDownloadCount(partId) {
+    const row = getDb()
+        .prepare('UPDATE file_parts SET download_count = download_count + 1 WHERE id = ? RETURNING download_count')
+        .get(partId);
+    return row ? row.download_count : null;
+}
+
+// ============================================
+// VERSION PUBLIQUE
+// ============================================
+
+// Version publique d'un fichier joint
+function publicPart(part) {
+    return {
+        id: part.id,
+        role: part.role,
+        filename: part.filename,
+        size: part.size,
+        sha256: part.sha256,
+        config: part.config,
+        downloadCount: part.downloadCount
+    };
+}
+
+// Champs d'un fichier exposés sans session: liste /api/files et flux d'événements publics
+function publicFile(file, now = new Date()) {
+    return {
+        id: file.id,
+        name: file.name,
+        network: file.network,
+        networkId: file.networkId,
+        networkSlug: file.networkSlug,
+        expiryDate: file.expiryDate,
+        size: file.size,
+        downloadCount: file.downloadCount,
+        isExpired: new Date(file.expiryDate) < now,
+        isExhausted: quotas.isExhausted(file),
+        downloadsRemaining: quotas.downloadsRemaining(file),
+        description: file.description,
+        config: file.config,
+        version: file.currentVersion,
+        sha256: file.sha256,
+        entryCount: file.archiveEntries ? file.archiveEntries.length : null,
+        parts: listParts(file.id).map(publicPart),
+        template: file.template
+    };
+}
+
+// ============================================
+// RESTAURATION
+// ============================================
+
+// Insérer un fichier avec son historique complet, en conservant identifiants, compteurs et dates
+// (utilisé par la restauration d'une sauvegarde)
+function importFile(file, versions, parts = []) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const row = fileToRow(file);
+        db.prepare(`
+            INSERT INTO files (id, filename, stored_filename, name, network, network_id, expiry_date, size,
+                description, is_private, download_count, created_at, config_metadata, redacted_filename, secret_scan,
+                sha256, archive_entries, max_downloads, template, current_version, archived_at)
+            VALUES (@id, @filename, @stored_filename, @name, @network, @network_id, @expiry_date, @size,
+                @description, @is_private, @download_count, @created_at, @config_metadata, @redacted_filename, @secret_scan,
+                @sha256, @archive_entries, @max_downloads, @template, @current_version, @archived_at)
+        `).run({ ...row, current_version: file.currentVersion || 1, archived_at: file.archivedAt || null });
+
+        const insert = db.prepare(`
+            INSERT INTO file_versions (file_id, version, filename, stored_filename, redacted_filename, size,
+                config_metadata, secret_scan, sha256, archive_entries, download_count, created_at, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const version of versions) {
+            insert.run(
+                file.id,
+                version.version,
+                version.filename,
+                version.storedFilename,
+                version.redactedFilename || null,
+                version.size,
+                version.config ? JSON.stringify(version.config) : null,
+                version.secretScan ? JSON.stringify(version.secretScan) : null,
+                version.sha256 || null,
+                version.archiveEntries ? JSON.stringify(version.archiveEntries) : null,
+                version.downloadCount || 0,
+                version.createdAt,
+                version.createdBy || null
+            );
+        }
+
+        for (const part of parts) {
+            insertPart(file.id, part.position, part);
+        }
+
+        return getFile(file.id);
+    })();
+}
+
+module.exports = {
+    PART_ROLES,
+    listFiles,
+    getFile,
+    createFile,
+    updateFile,
+    deleteFile,
+    setArchived,
+    incrementDownloadCount,
+    resetDownloadCount,
+    listVersions,
+    getVersion,
+    addVersion,
+    rollbackToVersion,
+    setVersionChecksum,
+    incrementEntryDownloadCount,
+    getEntryDownloadCounts,
+    listVersionsWithoutChecksum,
+    listParts,
+    getPart,
+    addParts,
+    deletePart,
+    incrementPartDownloadCount,
+    publicFile,
+    importFile
+};
@@ -0,0 +1,66 @@
+// ============================================
+// NumLab-VPN - Empreintes SHA-256 des fichiers
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const catalog = require('./catalog');
+const encryption = require('./encryption');
+const sweeper = require('./sweeper');
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Calculer l'empreinte d'un fichier sans le charger entièrement en mémoire
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// Empreinte du contenu en clair d'un fichier stocké (chiffré au repos)
+async function hashContent(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(encryption.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// ETag fort dérivé de l'empreinte du contenu servi
+function etagFor(sha256) {
+    return sha256 ? `"${sha256}"` : null;
+}
+
+// Calculer les empreintes manquantes (fichiers ajoutés avant leur introduction ou restaurés
+// depuis une ancienne sauvegarde). L'empreinte porte sur le contenu servi publiquement.
+async function backfillChecksums() {
+    let updated = 0;
+
+    for (const version of catalog.listVersionsWithoutChecksum()) {
+        const file = catalog.getFile(version.fileId);
+        const filePath = sweeper.storedPath(file, version.redactedFilename || version.storedFilename);
+
+        if (!(await fs.pathExists(filePath))) {
+            continue;
+        }
+
+        catalog.setVersionChecksum(version.fileId, version.version, await hashContent(filePath));
+        updated++;
+    }
+
+    if (updated > 0) {
+        console.log(`Empreintes SHA-256 calculées pour ${updated} version(s) existante(s).`);
+    }
+
+    return updated;
+}
+
+module.exports = {
+    hashBuffer,
+    hashFile,
+    hashContent,
+    etagFor,
+    backfillChecksums
+};
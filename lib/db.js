@@ -0,0 +1,526 @@
+// ============================================
+// NumLab-VPN - Base de données SQLite
+// Créé par Merdi Madimba
+// ============================================
+
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DB_FILE = path.join(DATA_DIR, 'numlab.db');
+
+// Migrations du schéma, appliquées dans l'ordre selon PRAGMA user_version.
+// Ne jamais modifier une migration existante: en ajouter une nouvelle.
+const MIGRATIONS = [
+    `
+    CREATE TABLE files (
+        id TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        stored_filename TEXT NOT NULL,
+        name TEXT NOT NULL,
+        network TEXT NOT NULL,
+        expiry_date TEXT NOT NULL,
+        size TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        is_private INTEGER NOT NULL DEFAULT 0,
+        download_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE admin_accounts (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_login_at TEXT
+    );
+
+    CREATE TABLE admin_sessions (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL REFERENCES admin_accounts(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT
+    );
+
+    CREATE TABLE download_links (
+        id TEXT PRIMARY KEY,
+        file_id TEXT NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+        expires_at TEXT NOT NULL,
+        max_uses INTEGER,
+        uses INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        last_used_at TEXT
+    );
+
+    CREATE TABLE download_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        file_id TEXT NOT NULL,
+        network TEXT,
+        ip_hash TEXT,
+        user_agent TEXT
+    );
+
+    CREATE INDEX idx_download_events_timestamp ON download_events(timestamp);
+    `,
+    // Métadonnées extraites des configurations OpenVPN / WireGuard (JSON)
+    `
+    ALTER TABLE files ADD COLUMN config_metadata TEXT;
+    `,
+    // Copie publique expurgée et résultat de la détection de secrets
+    `
+    ALTER TABLE files ADD COLUMN redacted_filename TEXT;
+    ALTER TABLE files ADD COLUMN secret_scan TEXT;
+    `,
+    // Historique des versions: la ligne de files reflète la version courante
+    `
+    CREATE TABLE file_versions (
+        file_id TEXT NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        stored_filename TEXT NOT NULL,
+        redacted_filename TEXT,
+        size TEXT NOT NULL,
+        config_metadata TEXT,
+        secret_scan TEXT,
+        download_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        PRIMARY KEY (file_id, version)
+    );
+
+    ALTER TABLE files ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1;
+
+    INSERT INTO file_versions (file_id, version, filename, stored_filename, redacted_filename, size,
+        config_metadata, secret_scan, download_count, created_at)
+    SELECT id, 1, filename, stored_filename, redacted_filename, size,
+        config_metadata, secret_scan, download_count, created_at
+    FROM files;
+    `,
+    // Archivage des fichiers expirés et historique des nettoyages
+    `
+    ALTER TABLE files ADD COLUMN archived_at TEXT;
+
+    CREATE TABLE sweep_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        hidden INTEGER NOT NULL DEFAULT 0,
+        archived INTEGER NOT NULL DEFAULT 0,
+        purged INTEGER NOT NULL DEFAULT 0,
+        details TEXT,
+        error TEXT
+    );
+    `,
+    // Webhooks sortants, file de livraison persistante et événements d'expiration déjà notifiés
+    `
+    CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        created_by TEXT
+    );
+
+    CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+    );
+
+    CREATE INDEX idx_webhook_deliveries_queue ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+
+    CREATE TABLE webhook_notices (
+        file_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        expiry_date TEXT NOT NULL,
+        sent_at TEXT NOT NULL,
+        PRIMARY KEY (file_id, event, expiry_date)
+    );
+    `,
+    // Empreinte SHA-256 du contenu servi publiquement (copie expurgée si elle existe)
+    `
+    ALTER TABLE files ADD COLUMN sha256 TEXT;
+    ALTER TABLE file_versions ADD COLUMN sha256 TEXT;
+    `,
+    // Contenu des archives .zip et téléchargements entrée par entrée
+    `
+    ALTER TABLE files ADD COLUMN archive_entries TEXT;
+    ALTER TABLE file_versions ADD COLUMN archive_entries TEXT;
+
+    CREATE TABLE archive_entry_downloads (
+        file_id TEXT NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        entry_name TEXT NOT NULL,
+        download_count INTEGER NOT NULL DEFAULT 0,
+        last_downloaded_at TEXT,
+        PRIMARY KEY (file_id, version, entry_name)
+    );
+    `,
+    // Journal d'audit des actions admin, chaîné par hash
+    `
+    CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        actor TEXT,
+        ip TEXT,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        details TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_audit_log_actor ON audit_log(actor, id);
+    CREATE INDEX idx_audit_log_target ON audit_log(target_id, id);
+    `,
+    // Second facteur TOTP des comptes admin et codes de récupération à usage unique
+    `
+    ALTER TABLE admin_accounts ADD COLUMN totp_secret TEXT;
+    ALTER TABLE admin_accounts ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE admin_accounts ADD COLUMN totp_last_step INTEGER;
+
+    CREATE TABLE admin_recovery_codes (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL REFERENCES admin_accounts(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        used_at TEXT
+    );
+    CREATE INDEX idx_admin_recovery_codes_account ON admin_recovery_codes(account_id, code_hash);
+    `,
+    // Limite de téléchargements par fichier et quotas quotidiens par client
+    `
+    ALTER TABLE files ADD COLUMN max_downloads INTEGER;
+
+    CREATE TABLE download_quotas (
+        client_key TEXT NOT NULL,
+        day TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (client_key, day)
+    );
+    CREATE INDEX idx_download_quotas_day ON download_quotas(day);
+    `,
+    // Fichiers joints d'une entrée du catalogue (CA, certificat, clé, documentation...)
+    `
+    CREATE TABLE file_parts (
+        id TEXT PRIMARY KEY,
+        file_id TEXT NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        stored_filename TEXT NOT NULL,
+        redacted_filename TEXT,
+        size TEXT,
+        sha256 TEXT,
+        config_metadata TEXT,
+        secret_scan TEXT,
+        download_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_file_parts_file ON file_parts(file_id, position);
+    `,
+    // Catalogue des réseaux. L'ancienne colonne network garde le texte libre saisi à l'upload:
+    // networks.linkFreeTextNetworks() le rattache à un réseau au démarrage.
+    `
+    CREATE TABLE networks (
+        id TEXT PRIMARY KEY,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        country TEXT,
+        description TEXT NOT NULL DEFAULT '',
+        icon TEXT,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    ALTER TABLE files ADD COLUMN network_id TEXT REFERENCES networks(id);
+    CREATE INDEX idx_files_network ON files(network_id);
+    `,
+    // Modèles de configuration: schéma JSON des variables rendues au téléchargement
+    `
+    ALTER TABLE files ADD COLUMN template TEXT;
+    `,
+    // Journal des flux d'événements en direct (SSE). L'id sert de Last-Event-ID à la reconnexion;
+    // public_data est NULL pour les événements réservés au flux admin.
+    `
+    CREATE TABLE live_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        data TEXT NOT NULL,
+        public_data TEXT,
+        created_at TEXT NOT NULL
+    );
+    `,
+    // Fichiers importés depuis data/files.json sans ligne d'historique: leur version courante
+    `
+    INSERT INTO file_versions (file_id, version, filename, stored_filename, redacted_filename, size,
+        config_metadata, secret_scan, download_count, created_at)
+    SELECT id, current_version, filename, stored_filename, redacted_filename, size,
+        config_metadata, secret_scan, download_count, created_at
+    FROM files
+    WHERE NOT EXISTS (SELECT 1 FROM file_versions WHERE file_versions.file_id = files.id);
+    `,
+    // Reprises autorisées: un client ne reprend (Range) que le contenu qu'il a téléchargé, et compté,
+    // récemment. La clé client est celle des quotas, jamais l'IP en clair.
+    `
+    CREATE TABLE download_resumes (
+        client_key TEXT NOT NULL,
+        resource_id TEXT NOT NULL,
+        etag TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        PRIMARY KEY (client_key, resource_id, etag)
+    );
+    CREATE INDEX idx_download_resumes_expiry ON download_resumes(expires_at);
+    `,
+    // Flux en direct: un fichier devenu privé est supprimé du flux public (public_event) d'après
+    // la dernière visibilité publiée de chaque fichier
+    `
+    ALTER TABLE live_events ADD COLUMN public_event TEXT;
+
+    CREATE TABLE live_visibility (
+        file_id TEXT PRIMARY KEY,
+        public INTEGER NOT NULL
+    );
+
+    INSERT INTO live_visibility (file_id, public)
+    SELECT id, CASE WHEN is_private = 1 THEN 0 ELSE 1 END FROM files;
+    `
+];
+
+let db = null;
+
+// Ouvrir la base et appliquer les migrations en attente
+function openDatabase(file = DB_FILE) {
+    if (db) {
+        return db;
+    }
+
+    fs.ensureDirSync(path.dirname(file));
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.pragma('busy_timeout = 5000');
+
+    migrate(db);
+    return db;
+}
+
+function migrate(database) {
+    const current = database.pragma('user_version', { simple: true });
+
+    for (let version = current; version < MIGRATIONS.length; version++) {
+        database.transaction(() => {
+            database.exec(MIGRATIONS[version]);
+            database.pragma(`user_version = ${version + 1}`);
+        })();
+    }
+}
+
+function getDb() {
+    if (!db) {
+        throw new Error('Base de données non initialisée. Appelez openDatabase() au démarrage.');
+    }
+    return db;
+}
+
+function closeDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+// ============================================
+// IMPORT DES ANCIENS FICHIERS JSON
+// ============================================
+
+async function readLegacyJson(file) {
+    if (!(await fs.pathExists(file))) {
+        return null;
+    }
+    const content = (await fs.readFile(file, 'utf8')).trim();
+    return content === '' ? [] : JSON.parse(content);
+}
+
+async function readLegacyLines(file) {
+    if (!(await fs.pathExists(file))) {
+        return null;
+    }
+    const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+    const events = [];
+    for (const line of lines) {
+        try {
+            events.push(JSON.parse(line));
+        } catch (error) {
+            // Ligne tronquée: ignorée comme à la lecture
+        }
+    }
+    return events;
+}
+
+// Importer une seule fois les données de data/*.json dans SQLite.
+// Les fichiers importés sont renommés en *.migrated pour ne pas être relus.
+async function migrateLegacyData(dataDir = DATA_DIR) {
+    const database = getDb();
+    const legacy = {
+        files: path.join(dataDir, 'files.json'),
+        accounts: path.join(dataDir, 'admins.json'),
+        sessions: path.join(dataDir, 'sessions.json'),
+        links: path.join(dataDir, 'links.json'),
+        events: path.join(dataDir, 'downloads.jsonl')
+    };
+
+    const files = await readLegacyJson(legacy.files);
+    const accounts = await readLegacyJson(legacy.accounts);
+    const sessions = await readLegacyJson(legacy.sessions);
+    const links = await readLegacyJson(legacy.links);
+    const events = await readLegacyLines(legacy.events);
+
+    if (!files && !accounts && !sessions && !links && !events) {
+        return;
+    }
+
+    const counts = { files: 0, accounts: 0, sessions: 0, links: 0, events: 0 };
+
+    database.transaction(() => {
+        const insertFile = database.prepare(`
+            INSERT OR IGNORE INTO files (id, filename, stored_filename, name, network, expiry_date, size,
+                description, is_private, download_count, created_at)
+            VALUES (@id, @filename, @storedFilename, @name, @network, @expiryDate, @size,
+                @description, @isPrivate, @downloadCount, @createdAt)
+        `);
+        // Version 1 de chaque fichier importé, comme la migration de l'historique des versions
+        // pour les fichiers déjà en base: sans elle, ni empreinte, ni ETag, ni fichier stocké connu
+        const insertVersion = database.prepare(`
+            INSERT OR IGNORE INTO file_versions (file_id, version, filename, stored_filename, size, download_count, created_at)
+            VALUES (@id, 1, @filename, @storedFilename, @size, @downloadCount, @createdAt)
+        `);
+        for (const file of files || []) {
+            const row = {
+                id: file.id,
+                filename: file.filename,
+                storedFilename: file.storedFilename,
+                name: file.name,
+                network: file.network,
+                expiryDate: file.expiryDate,
+                size: file.size,
+                description: file.description || '',
+                isPrivate: file.isPrivate ? 1 : 0,
+                downloadCount: file.downloadCount || 0,
+                createdAt: file.createdAt || new Date().toISOString()
+            };
+            if (insertFile.run(row).changes > 0) {
+                insertVersion.run(row);
+                counts.files++;
+            }
+        }
+
+        const insertAccount = database.prepare(`
+            INSERT OR IGNORE INTO admin_accounts (id, username, hash, role, disabled, created_at, last_login_at)
+            VALUES (@id, @username, @hash, @role, @disabled, @createdAt, @lastLoginAt)
+        `);
+        for (const account of accounts || []) {
+            counts.accounts += insertAccount.run({
+                id: account.id,
+                username: account.username,
+                hash: account.hash,
+                role: account.role,
+                disabled: account.disabled ? 1 : 0,
+                createdAt: account.createdAt,
+                lastLoginAt: account.lastLoginAt || null
+            }).changes;
+        }
+
+        const accountExists = database.prepare('SELECT 1 FROM admin_accounts WHERE id = ?');
+        const insertSession = database.prepare(`
+            INSERT OR IGNORE INTO admin_sessions (id, account_id, token_hash, created_at, expires_at, ip, user_agent)
+            VALUES (@id, @accountId, @tokenHash, @createdAt, @expiresAt, @ip, @userAgent)
+        `);
+        for (const session of sessions || []) {
+            if (!accountExists.get(session.accountId)) continue;
+            counts.sessions += insertSession.run({
+                id: session.id,
+                accountId: session.accountId,
+                tokenHash: session.tokenHash,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt,
+                ip: session.ip || null,
+                userAgent: session.userAgent || null
+            }).changes;
+        }
+
+        const fileExists = database.prepare('SELECT 1 FROM files WHERE id = ?');
+        const insertLink = database.prepare(`
+            INSERT OR IGNORE INTO download_links (id, file_id, expires_at, max_uses, uses, created_at, created_by, last_used_at)
+            VALUES (@id, @fileId, @expiresAt, @maxUses, @uses, @createdAt, @createdBy, @lastUsedAt)
+        `);
+        for (const link of links || []) {
+            if (!fileExists.get(link.fileId)) continue;
+            counts.links += insertLink.run({
+                id: link.id,
+                fileId: link.fileId,
+                expiresAt: link.expiresAt,
+                maxUses: link.maxUses || null,
+                uses: link.uses || 0,
+                createdAt: link.createdAt,
+                createdBy: link.createdBy || null,
+                lastUsedAt: link.lastUsedAt || null
+            }).changes;
+        }
+
+        const insertEvent = database.prepare(`
+            INSERT INTO download_events (timestamp, file_id, network, ip_hash, user_agent)
+            VALUES (@timestamp, @fileId, @network, @ipHash, @userAgent)
+        `);
+        for (const event of events || []) {
+            insertEvent.run({
+                timestamp: event.timestamp,
+                fileId: event.fileId,
+                network: event.network || null,
+                ipHash: event.ipHash || null,
+                userAgent: event.userAgent || null
+            });
+            counts.events++;
+        }
+    })();
+
+    for (const file of Object.values(legacy)) {
+        if (await fs.pathExists(file)) {
+            await fs.move(file, file + '.migrated', { overwrite: true });
+        }
+    }
+
+    console.log(`Migration des données JSON vers SQLite: ${counts.files} fichier(s), ${counts.accounts} compte(s), ` +
+        `${counts.sessions} session(s), ${counts.links} lien(s), ${counts.events} téléchargement(s).`);
+}
+
+module.exports = {
+    DATA_DIR,
+    DB_FILE,
+    openDatabase,
+    getDb,
+    closeDatabase,
+    migrateLegacyData
+};
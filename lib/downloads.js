@@ -0,0 +1,207 @@
+// ============================================
+// NumLab-VPN - Téléchargements conditionnels et reprises
+// Créé par Merdi Madimba
+// ============================================
+
+const { getDb } = require('./db');
+const catalog = require('./catalog');
+const quotas = require('./quotas');
+const links = require('./links');
+const analytics = require('./analytics');
+const webhooks = require('./webhooks');
+
+// ============================================
+// REQUÊTES CONDITIONNELLES
+// ============================================
+
+// If-None-Match correspond au contenu actuel: le client a déjà ce fichier
+function isNotModified(req, etag) {
+    const header = req.headers['if-none-match'];
+    if (!etag || !header) {
+        return false;
+    }
+    return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Une reprise est une seule plage "bytes=<début>-[<fin>]" qui commence après le premier octet et
+// avant la fin du contenu, avec If-Range égal à l'ETag actuel. Une plage suffixe ("bytes=-500"),
+// plusieurs plages ou une plage depuis le début sont des nouveaux téléchargements.
+function isResumeRange(req, etag, size) {
+    const range = req.headers.range;
+    if (!etag || !range || req.headers['if-range'] !== etag) {
+        return false;
+    }
+
+    const match = /^bytes=(\d+)-(\d*)$/.exec(range.trim());
+    if (!match) {
+        return false;
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] === '' ? size - 1 : Number(match[2]);
+    return start > 0 && start < size && end >= start;
+}
+
+// ============================================
+// REPRISES AUTORISÉES
+// ============================================
+
+// Autoriser ce client à reprendre ce contenu pendant links.RESUME_WINDOW_MS, après un téléchargement compté
+function grantResume(clientKey, resourceId, etag, now = new Date()) {
+    if (!etag) {
+        return;
+    }
+
+    const db = getDb();
+    db.prepare('DELETE FROM download_resumes WHERE expires_at <= ?').run(now.toISOString());
+    db.prepare(`
+        INSERT INTO download_resumes (client_key, resource_id, etag, expires_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (client_key, resource_id, etag) DO UPDATE SET expires_at = excluded.expires_at
+    `).run(clientKey, resourceId, etag, new Date(now.getTime() + links.RESUME_WINDOW_MS).toISOString());
+}
+
+// La requête reprend-elle un téléchargement de ce contenu déjà compté pour ce client?
+function isResumedDownload(req, { clientKey, resourceId, etag, size }, now = new Date()) {
+    if (!isResumeRange(req, etag, size)) {
+        return false;
+    }
+
+    return Boolean(getDb()
+        .prepare('SELECT 1 FROM download_resumes WHERE client_key = ? AND resource_id = ? AND etag = ? AND expires_at > ?')
+        .get(clientKey, resourceId, etag, now.toISOString()));
+}
+
+// ============================================
+// CONTRÔLE D'ACCÈS COMMUN
+// ============================================
+
+function sendExhausted(res) {
+    res.status(403).json({ success: false, code: 'FILE_EXHAUSTED', message: 'Ce fichier a atteint sa limite de téléchargements.' });
+}
+
+function sendQuotaExceeded(res, quota) {
+    quotas.setHeaders(res, { quota });
+    res.status(429).json({ success: false, code: 'QUOTA_EXCEEDED', message: 'Quota quotidien de téléchargements atteint.', quota: quota });
+}
+
+// Un refus après la consommation d'un usage de lien le rend, comme l'usage du quota:
+// une requête concurrente qui atteint la limite ne gaspille pas un lien à usage unique
+function releaseLinkUse(file, req, linkUsed) {
+    if (linkUsed) {
+        links.releaseLink(file.id, req.query);
+    }
+}
+
+// Vérifications et comptage communs à toutes les routes de téléchargement: expiration, limite du
+// fichier et quota du client (reprises comprises), lien signé des fichiers privés, puis comptage,
+// statistiques et webhook file.downloaded. Renvoie null après avoir envoyé la réponse (refus ou 304).
+// Options:
+// - version: version servie, sinon la version courante
+// - etag, size, resourceId: contenu servi tel quel, qui accepte revalidation (304) et reprise
+// - count: compteur propre d'une partie du fichier (entrée d'archive, fichier joint), compté dans
+//   le quota du client mais hors limite du fichier et hors statistiques
+// - event: champs ajoutés à l'événement file.downloaded
+async function authorizeDownload(req, res, file, options = {}) {
+    const version = options.version || file.currentVersion;
+
+    if (new Date(file.expiryDate) < new Date()) {
+        res.status(403).json({ success: false, code: 'FILE_EXPIRED', message: 'Ce fichier est expiré.' });
+        return null;
+    }
+
+    // Un fichier épuisé n'est plus servi, reprises et parties comprises, comme un fichier expiré
+    if (quotas.isExhausted(file)) {
+        sendExhausted(res);
+        return null;
+    }
+
+    // Requête conditionnelle ou reprise par ce client d'un téléchargement déjà compté:
+    // ni l'une ni l'autre ne compte comme un nouveau téléchargement
+    const client = quotas.clientKey(req, res);
+    const notModified = isNotModified(req, options.etag);
+    const resumed = !notModified && Boolean(options.resourceId) && isResumedDownload(req, {
+        clientKey: client,
+        resourceId: options.resourceId,
+        etag: options.etag,
+        size: options.size
+    });
+
+    // Quota quotidien du client, vérifié avant de consommer un usage de lien signé
+    let quota = quotas.getAllowance(client);
+    if (!notModified && quota && quota.remaining === 0) {
+        sendQuotaExceeded(res, quota);
+        return null;
+    }
+
+    // Les fichiers privés ne sont servis qu'avec un lien signé valide.
+    // Une reprise ou une revalidation ne consomme pas d'usage supplémentaire.
+    let linkUsed = false;
+    if (file.isPrivate) {
+        const redeemed = notModified || resumed
+            ? await links.verifyResume(file.id, req.query)
+            : await links.redeemLink(file.id, req.query);
+        if (!redeemed.ok) {
+            res.status(redeemed.status).json({ success: false, code: redeemed.code, message: redeemed.message });
+            return null;
+        }
+        linkUsed = !notModified && !resumed;
+    }
+
+    if (notModified) {
+        res.setHeader('ETag', options.etag);
+        res.status(304).end();
+        return null;
+    }
+
+    let downloadCount = file.downloadCount;
+    if (!resumed) {
+        const consumed = quotas.consume(client);
+        quota = consumed.allowance;
+        if (!consumed.ok) {
+            releaseLinkUse(file, req, linkUsed);
+            sendQuotaExceeded(res, quota);
+            return null;
+        }
+
+        if (options.count) {
+            options.count();
+        } else {
+            // Compteurs du fichier et de la version (mise à jour atomique, dans la limite du fichier)
+            downloadCount = catalog.incrementDownloadCount(file.id, version);
+            if (downloadCount === null) {
+                quotas.release(client);
+                releaseLinkUse(file, req, linkUsed);
+                sendExhausted(res);
+                return null;
+            }
+
+            await analytics.recordDownload({
+                fileId: file.id,
+                network: file.network,
+                ip: req.ip,
+                userAgent: req.headers['user-agent']
+            });
+        }
+
+        webhooks.emit('file.downloaded', {
+            file: webhooks.filePayload(file),
+            version: version,
+            ...options.event
+        });
+
+        if (options.resourceId) {
+            grantResume(client, options.resourceId, options.etag);
+        }
+    }
+
+    quotas.setHeaders(res, { quota, file: options.count ? null : { ...file, downloadCount } });
+    return { client, quota, resumed, downloadCount };
+}
+
+module.exports = {
+    isNotModified,
+    isResumeRange,
+    grantResume,
+    isResumedDownload,
+    authorizeDownload
+};
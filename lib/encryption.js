@@ -0,0 +1,548 @@
+// ============================================
+// NumLab-VPN - Chiffrement au repos des fichiers stockés
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DATA_DIR } = require('./db');
+
+const KEY_FILE = path.join(DATA_DIR, 'master-key');
+const PREVIOUS_KEY_FILE = path.join(DATA_DIR, 'master-key.previous');
+
+const STORAGE_DIRS = [
+    path.join(__dirname, '..', 'uploads'),
+    path.join(__dirname, '..', 'archive')
+];
+
+// Format d'un fichier chiffré:
+//   en-tête: MAGIC | id de la clé maître | nonce | clé de données chiffrée | tag | préfixe des nonces
+//   puis le contenu découpé en blocs de CHUNK_SIZE octets, chacun chiffré en AES-256-GCM avec son tag.
+// Les blocs permettent de déchiffrer une plage (reprises, entrées d'archive) sans tout relire;
+// l'index du bloc et l'indicateur de dernier bloc sont authentifiés, ce qui détecte
+// les blocs réordonnés ou un fichier tronqué.
+const MAGIC = Buffer.from('NLVENC01');
+const KEY_ID_SIZE = 8;
+const NONCE_SIZE = 12;
+const KEY_SIZE = 32;
+const TAG_SIZE = 16;
+const NONCE_PREFIX_SIZE = 8;
+const HEADER_SIZE = MAGIC.length + KEY_ID_SIZE + NONCE_SIZE + KEY_SIZE + TAG_SIZE + NONCE_PREFIX_SIZE;
+
+const CHUNK_SIZE = 64 * 1024;
+const SEALED_CHUNK_SIZE = CHUNK_SIZE + TAG_SIZE;
+
+const TEMP_SUFFIX = '.enc-tmp';
+
+// Clé maître active et anciennes clés encore acceptées pour déchiffrer
+let activeKey = null;
+let previousKeys = [];
+let keySource = null;
+
+// Écritures chiffrées en cours (uploads, migration), avec la clé maître capturée à leur création
+const openWriters = new Set();
+
+// ============================================
+// CLÉS MAÎTRES
+// ============================================
+
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_SIZE);
+}
+
+function toMasterKey(key) {
+    return { key, id: keyId(key) };
+}
+
+// Une clé maître fait 32 octets, en hexadécimal (64 caractères) ou en base64
+function parseKey(value, name) {
+    const text = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    if (key.length !== KEY_SIZE) {
+        throw new Error(`${name} invalide: 32 octets attendus (64 caractères hexadécimaux ou base64).`);
+    }
+    return toMasterKey(key);
+}
+
+function parseKeyList(value, name) {
+    return String(value).split(/[,\n]/).map(item => item.trim()).filter(Boolean).map(item => parseKey(item, name));
+}
+
+// Charger la clé maître depuis STORAGE_MASTER_KEY, ou la générer une fois dans data/.
+// Les anciennes clés (STORAGE_MASTER_KEY_PREVIOUS, ou data/master-key.previous pendant une rotation)
+// restent utilisables en lecture jusqu'à ce que toutes les clés de données aient été rechiffrées.
+async function initEncryption() {
+    if (process.env.STORAGE_MASTER_KEY) {
+        activeKey = parseKey(process.env.STORAGE_MASTER_KEY, 'STORAGE_MASTER_KEY');
+        keySource = 'env';
+    } else if (await fs.pathExists(KEY_FILE)) {
+        activeKey = parseKey(await fs.readFile(KEY_FILE, 'utf8'), 'data/master-key');
+        keySource = 'file';
+    } else {
+        activeKey = toMasterKey(crypto.randomBytes(KEY_SIZE));
+        await fs.outputFile(KEY_FILE, activeKey.key.toString('hex'), { mode: 0o600 });
+        keySource = 'file';
+        console.log('AVERTISSEMENT: STORAGE_MASTER_KEY non trouvée dans .env. Clé maître générée dans data/master-key.');
+    }
+
+    previousKeys = process.env.STORAGE_MASTER_KEY_PREVIOUS
+        ? parseKeyList(process.env.STORAGE_MASTER_KEY_PREVIOUS, 'STORAGE_MASTER_KEY_PREVIOUS')
+        : [];
+    if (await fs.pathExists(PREVIOUS_KEY_FILE)) {
+        previousKeys.push(...parseKeyList(await fs.readFile(PREVIOUS_KEY_FILE, 'utf8'), 'data/master-key.previous'));
+    }
+}
+
+function findKey(id) {
+    return [activeKey, ...previousKeys].find(candidate => candidate.id.equals(id)) || null;
+}
+
+// ============================================
+// EN-TÊTE ET BLOCS
+// ============================================
+
+function wrapDataKey(masterKey, dataKey) {
+    const nonce = crypto.randomBytes(NONCE_SIZE);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey.key, nonce);
+    cipher.setAAD(Buffer.concat([MAGIC, masterKey.id]));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return Buffer.concat([masterKey.id, nonce, wrapped, cipher.getAuthTag()]);
+}
+
+// Partie de l'en-tête qui dépend de la clé maître: c'est la seule réécrite lors d'une rotation
+function buildHeader(masterKey, dataKey, noncePrefix) {
+    return Buffer.concat([MAGIC, wrapDataKey(masterKey, dataKey), noncePrefix]);
+}
+
+// Lire l'en-tête d'un fichier ouvert. Retourne null pour un fichier en clair (pas encore migré).
+async function readHeader(handle) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await handle.read(header, 0, HEADER_SIZE, 0);
+    if (bytesRead < HEADER_SIZE || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+        return null;
+    }
+
+    let offset = MAGIC.length;
+    const take = size => header.subarray(offset, (offset += size));
+    return {
+        keyId: take(KEY_ID_SIZE),
+        nonce: take(NONCE_SIZE),
+        wrappedKey: take(KEY_SIZE),
+        tag: take(TAG_SIZE),
+        noncePrefix: take(NONCE_PREFIX_SIZE)
+    };
+}
+
+function unwrapDataKey(header) {
+    const masterKey = findKey(header.keyId);
+    if (!masterKey) {
+        throw new Error(`Clé maître inconnue (${header.keyId.toString('hex')}): fichier illisible avec les clés configurées.`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey.key, header.nonce);
+    decipher.setAAD(Buffer.concat([MAGIC, header.keyId]));
+    decipher.setAuthTag(header.tag);
+    return Buffer.concat([decipher.update(header.wrappedKey), decipher.final()]);
+}
+
+function chunkParams(noncePrefix, index, final) {
+    const nonce = Buffer.alloc(NONCE_SIZE);
+    noncePrefix.copy(nonce);
+    nonce.writeUInt32BE(index, NONCE_PREFIX_SIZE);
+
+    const aad = Buffer.alloc(5);
+    aad.writeUInt32BE(index, 0);
+    aad[4] = final ? 1 : 0;
+
+    return { nonce, aad };
+}
+
+function sealChunk(dataKey, noncePrefix, index, plaintext, final) {
+    const { nonce, aad } = chunkParams(noncePrefix, index, final);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, nonce);
+    cipher.setAAD(aad);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(dataKey, noncePrefix, index, sealed, final) {
+    const { nonce, aad } = chunkParams(noncePrefix, index, final);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, nonce);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+    try {
+        return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_SIZE)), decipher.final()]);
+    } catch (error) {
+        throw new Error(`Fichier chiffré corrompu ou modifié (bloc ${index}).`);
+    }
+}
+
+// Nombre de blocs et taille en clair, déduits de la taille sur le disque.
+// Un fichier vide contient tout de même un dernier bloc (vide) authentifié.
+function layout(storedSize) {
+    const body = Math.max(storedSize - HEADER_SIZE, 0);
+    const chunks = Math.max(Math.ceil(body / SEALED_CHUNK_SIZE), 1);
+    return { chunks, size: Math.max(body - chunks * TAG_SIZE, 0) };
+}
+
+// ============================================
+// CHIFFREMENT
+// ============================================
+
+// Flux de chiffrement avec une nouvelle clé de données, enveloppée par la clé maître active
+function createEncryptStream() {
+    const dataKey = crypto.randomBytes(KEY_SIZE);
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_SIZE);
+    const header = buildHeader(activeKey, dataKey, noncePrefix);
+    const writer = { key: activeKey };
+
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    let headerSent = false;
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            if (!headerSent) {
+                this.push(header);
+                headerSent = true;
+            }
+
+            // Le dernier bloc plein est gardé jusqu'à la fin: il peut être le dernier du fichier
+            pending = Buffer.concat([pending, chunk]);
+            while (pending.length > CHUNK_SIZE) {
+                this.push(sealChunk(dataKey, noncePrefix, index++, pending.subarray(0, CHUNK_SIZE), false));
+                pending = pending.subarray(CHUNK_SIZE);
+            }
+            callback();
+        },
+        flush(callback) {
+            if (!headerSent) {
+                this.push(header);
+            }
+            this.push(sealChunk(dataKey, noncePrefix, index, pending, true));
+            callback();
+        }
+    });
+
+    openWriters.add(writer);
+    stream.once('close', () => openWriters.delete(writer));
+    return stream;
+}
+
+async function writeFile(filePath, data) {
+    await pipeline(Readable.from([Buffer.from(data)]), createEncryptStream(), fs.createWriteStream(filePath));
+}
+
+// Chiffrer un fichier existant en clair. Le remplacement est atomique (fichier temporaire puis renommage).
+async function encryptFile(filePath) {
+    const temporary = filePath + TEMP_SUFFIX;
+    await pipeline(fs.createReadStream(filePath), createEncryptStream(), fs.createWriteStream(temporary));
+
+    // Le fichier a pu être supprimé ou archivé entre-temps
+    if (!(await fs.pathExists(filePath))) {
+        await fs.remove(temporary);
+        return false;
+    }
+    await fs.rename(temporary, filePath);
+    return true;
+}
+
+// Moteur de stockage multer: le fichier uploadé est chiffré pendant l'écriture
+// et n'existe jamais en clair sur le disque
+function uploadStorage({ destination, filename }) {
+    return {
+        _handleFile(req, file, callback) {
+            const name = filename(file);
+            const filePath = path.join(destination, name);
+            let size = 0;
+
+            const counter = new Transform({
+                transform(chunk, encoding, done) {
+                    size += chunk.length;
+                    done(null, chunk);
+                }
+            });
+
+            pipeline(file.stream, counter, createEncryptStream(), fs.createWriteStream(filePath))
+                .then(() => callback(null, { destination, filename: name, path: filePath, size }))
+                .catch(error => fs.remove(filePath).finally(() => callback(error)));
+        },
+        _removeFile(req, file, callback) {
+            fs.remove(file.path).then(() => callback(), callback);
+        }
+    };
+}
+
+// ============================================
+// DÉCHIFFREMENT
+// ============================================
+
+// Taille du contenu en clair d'un fichier stocké, chiffré ou non
+async function plainSize(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const header = await readHeader(handle);
+        const { size } = await handle.stat();
+        return header ? layout(size).size : size;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function* readRange(filePath, start, end) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const header = await readHeader(handle);
+        const { size: storedSize } = await handle.stat();
+
+        // Fichier pas encore migré: lu tel quel
+        if (!header) {
+            const last = Math.min(end === undefined ? storedSize - 1 : end, storedSize - 1);
+            for (let position = start; position <= last; position += CHUNK_SIZE) {
+                const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, last - position + 1));
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+                yield buffer.subarray(0, bytesRead);
+            }
+            return;
+        }
+
+        const dataKey = unwrapDataKey(header);
+        const { chunks, size } = layout(storedSize);
+        const last = Math.min(end === undefined ? size - 1 : end, size - 1);
+
+        for (let index = Math.floor(start / CHUNK_SIZE); index <= Math.floor(last / CHUNK_SIZE) && start <= last; index++) {
+            const sealed = Buffer.alloc(Math.min(SEALED_CHUNK_SIZE, storedSize - HEADER_SIZE - index * SEALED_CHUNK_SIZE));
+            await handle.read(sealed, 0, sealed.length, HEADER_SIZE + index * SEALED_CHUNK_SIZE);
+
+            const plaintext = openChunk(dataKey, header.noncePrefix, index, sealed, index === chunks - 1);
+            const chunkStart = index * CHUNK_SIZE;
+            yield plaintext.subarray(Math.max(start - chunkStart, 0), last - chunkStart + 1);
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Flux du contenu en clair, éventuellement limité à une plage d'octets (bornes incluses, comme fs)
+function createReadStream(filePath, { start = 0, end } = {}) {
+    return Readable.from(readRange(filePath, start, end), { objectMode: false });
+}
+
+// Ouvrir un fichier stocké avant d'envoyer quoi que ce soit: la clé de données est déchiffrée
+// tout de suite, une clé maître inconnue est donc signalée avant le début de la réponse.
+// Retourne { size, encrypted, createReadStream({ start, end }) }.
+async function openStored(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let header = null;
+    let storedSize = 0;
+
+    try {
+        header = await readHeader(handle);
+        storedSize = (await handle.stat()).size;
+        if (header) {
+            unwrapDataKey(header);
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return {
+        size: header ? layout(storedSize).size : storedSize,
+        encrypted: Boolean(header),
+        createReadStream: (range = {}) => createReadStream(filePath, range)
+    };
+}
+
+async function readFile(filePath) {
+    const chunks = [];
+    for await (const chunk of createReadStream(filePath)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// ============================================
+// MIGRATION ET ROTATION
+// ============================================
+
+async function storedFiles() {
+    const files = [];
+    for (const directory of STORAGE_DIRS) {
+        if (!(await fs.pathExists(directory))) {
+            continue;
+        }
+        for (const name of await fs.readdir(directory)) {
+            const filePath = path.join(directory, name);
+            if ((await fs.stat(filePath)).isFile()) {
+                files.push(filePath);
+            }
+        }
+    }
+    return files;
+}
+
+async function readStoredHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        return await readHeader(handle);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Chiffrer les fichiers encore en clair (stockés avant l'activation du chiffrement, ou restaurés
+// depuis une ancienne sauvegarde). Les fichiers en clair restent lisibles pendant la migration.
+async function migratePlaintext() {
+    let migrated = 0;
+
+    for (const filePath of await storedFiles()) {
+        // Restes d'une migration interrompue
+        if (filePath.endsWith(TEMP_SUFFIX)) {
+            await fs.remove(filePath);
+            continue;
+        }
+        if (!(await readStoredHeader(filePath)) && await encryptFile(filePath)) {
+            migrated++;
+        }
+    }
+
+    if (migrated > 0) {
+        console.log(`Chiffrement au repos: ${migrated} fichier(s) existant(s) chiffré(s).`);
+    }
+
+    return migrated;
+}
+
+// Rechiffrer la clé de données d'un fichier avec la clé maître active.
+// Seule la partie de l'en-tête qui enveloppe la clé est réécrite: le contenu n'est pas relu.
+async function rewrapFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r+');
+
+    try {
+        const header = await readHeader(handle);
+        if (!header) {
+            return 'plaintext';
+        }
+        if (header.keyId.equals(activeKey.id)) {
+            return 'current';
+        }
+        if (!findKey(header.keyId)) {
+            return 'unknown-key';
+        }
+
+        const wrapped = wrapDataKey(activeKey, unwrapDataKey(header));
+        await handle.write(wrapped, 0, wrapped.length, MAGIC.length);
+        await handle.sync();
+        return 'rewrapped';
+    } finally {
+        await handle.close();
+    }
+}
+
+// Écritures en cours avec une autre clé que la clé active. Commencée avant une rotation, une écriture garde
+// l'ancienne clé jusqu'au bout: son fichier, encore vide ou en .enc-tmp pendant le parcours, en dépendra une fois terminé.
+function countPendingWrites() {
+    return [...openWriters].filter(writer => !writer.key.id.equals(activeKey.id)).length;
+}
+
+// État des fichiers stockés, par clé maître
+async function getStatus() {
+    const files = { total: 0, plaintext: 0, currentKey: 0, previousKey: 0, unknownKey: 0 };
+
+    for (const filePath of await storedFiles()) {
+        const header = await readStoredHeader(filePath);
+        files.total++;
+        if (!header) {
+            files.plaintext++;
+        } else if (header.keyId.equals(activeKey.id)) {
+            files.currentKey++;
+        } else if (findKey(header.keyId)) {
+            files.previousKey++;
+        } else {
+            files.unknownKey++;
+        }
+    }
+
+    return {
+        keyId: activeKey.id.toString('hex'),
+        keySource: keySource,
+        previousKeys: previousKeys.map(key => key.id.toString('hex')),
+        pendingWrites: countPendingWrites(),
+        files: files
+    };
+}
+
+// Rotation de la clé maître: toutes les clés de données sont rechiffrées avec la clé active.
+// Avec generate, une nouvelle clé est d'abord créée dans data/master-key (impossible si la clé vient
+// de l'environnement: il faut alors définir la nouvelle clé et l'ancienne dans STORAGE_MASTER_KEY_PREVIOUS).
+async function rotateMasterKey({ generate = false } = {}) {
+    if (generate) {
+        if (keySource === 'env') {
+            const error = new Error('La clé maître vient de STORAGE_MASTER_KEY: définissez la nouvelle clé dans l\'environnement ' +
+                'et l\'ancienne dans STORAGE_MASTER_KEY_PREVIOUS, redémarrez, puis relancez la rotation.');
+            error.status = 409;
+            throw error;
+        }
+
+        // L'ancienne clé est conservée sur le disque avant d'écrire la nouvelle:
+        // une rotation interrompue peut toujours être reprise
+        const fileKeys = (await fs.pathExists(PREVIOUS_KEY_FILE)) ? (await fs.readFile(PREVIOUS_KEY_FILE, 'utf8')).trim() : '';
+        await fs.outputFile(PREVIOUS_KEY_FILE, [fileKeys, activeKey.key.toString('hex')].filter(Boolean).join('\n'), { mode: 0o600 });
+
+        previousKeys.push(activeKey);
+        activeKey = toMasterKey(crypto.randomBytes(KEY_SIZE));
+        await fs.outputFile(KEY_FILE + TEMP_SUFFIX, activeKey.key.toString('hex'), { mode: 0o600 });
+        await fs.rename(KEY_FILE + TEMP_SUFFIX, KEY_FILE);
+    }
+
+    // Compté avant le parcours: une écriture qui se termine pendant celui-ci a pu y être vue vide
+    const report = {
+        keyId: activeKey.id.toString('hex'),
+        generated: generate,
+        rewrapped: 0,
+        current: 0,
+        plaintext: 0,
+        unknownKey: [],
+        pendingWrites: countPendingWrites()
+    };
+
+    for (const filePath of await storedFiles()) {
+        if (filePath.endsWith(TEMP_SUFFIX)) {
+            continue;
+        }
+        const result = await rewrapFile(filePath);
+        if (result === 'rewrapped') report.rewrapped++;
+        if (result === 'current') report.current++;
+        if (result === 'plaintext') report.plaintext++;
+        if (result === 'unknown-key') report.unknownKey.push(path.basename(filePath));
+    }
+
+    // Plus aucun fichier ne dépend des anciennes clés générées: elles peuvent être oubliées.
+    // Avec des écritures en cours, elles sont gardées: une prochaine rotation rechiffrera ces fichiers.
+    if (report.unknownKey.length === 0 && report.pendingWrites === 0 && await fs.pathExists(PREVIOUS_KEY_FILE)) {
+        await fs.remove(PREVIOUS_KEY_FILE);
+        previousKeys = process.env.STORAGE_MASTER_KEY_PREVIOUS
+            ? parseKeyList(process.env.STORAGE_MASTER_KEY_PREVIOUS, 'STORAGE_MASTER_KEY_PREVIOUS')
+            : [];
+    }
+
+    return report;
+}
+
+module.exports = {
+    STORAGE_DIRS,
+    initEncryption,
+    createEncryptStream,
+    writeFile,
+    uploadStorage,
+    plainSize,
+    createReadStream,
+    openStored,
+    readFile,
+    migratePlaintext,
+    getStatus,
+    rotateMasterKey
+};
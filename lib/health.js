@@ -0,0 +1,63 @@
+// ============================================
+// NumLab-VPN - Vérifications de disponibilité (readiness)
+// Créé par Merdi Madimba
+// ============================================
+
+const fs = require('fs-extra');
+const { getDb } = require('./db');
+const { UPLOADS_DIR } = require('./uploads');
+
+// Espace disque libre minimal sous uploads/ (100 Mo par défaut)
+const MIN_FREE_DISK_BYTES = numberFromEnv('HEALTH_MIN_FREE_DISK_MB', 100) * 1024 * 1024;
+
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// La base SQLite répond et le catalogue est lisible
+async function checkDataStore() {
+    try {
+        const { count } = getDb().prepare('SELECT COUNT(*) AS count FROM files').get();
+        return { ok: true, files: count };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// uploads/ existe et accepte l'écriture (droits et système de fichiers en lecture seule).
+// Aucun fichier témoin n'est créé: il croiserait le chiffrement et les empreintes en arrière-plan.
+async function checkUploads() {
+    try {
+        await fs.access(UPLOADS_DIR, fs.constants.W_OK);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+async function checkDisk() {
+    try {
+        const stats = await fs.promises.statfs(UPLOADS_DIR);
+        const freeBytes = stats.bavail * stats.bsize;
+        return { ok: freeBytes >= MIN_FREE_DISK_BYTES, freeBytes, minFreeBytes: MIN_FREE_DISK_BYTES };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// Le service peut-il traiter des téléchargements et des uploads?
+// Retourne { ready, checks: { dataStore, uploads, disk } }.
+async function checkReadiness() {
+    const checks = {
+        dataStore: await checkDataStore(),
+        uploads: await checkUploads(),
+        disk: await checkDisk()
+    };
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+module.exports = {
+    MIN_FREE_DISK_BYTES,
+    checkReadiness
+};
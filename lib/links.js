@@ -0,0 +1,224 @@
+// ============================================
+// NumLab-VPN - Liens de téléchargement signés
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, DATA_DIR } = require('./db');
+
+const SECRET_FILE = path.join(DATA_DIR, 'link-secret');
+
+// Durée de validité maximale d'un lien signé (90 jours)
+const MAX_LINK_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Délai pendant lequel un téléchargement commencé avec un lien peut être repris
+const RESUME_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let linkSecret = null;
+
+// ============================================
+// SECRET DE SIGNATURE
+// ============================================
+
+// Charger le secret HMAC depuis DOWNLOAD_LINK_SECRET, ou le générer une fois
+// et le conserver dans data/ pour que les liens survivent aux redémarrages
+async function initLinks() {
+    if (process.env.DOWNLOAD_LINK_SECRET) {
+        linkSecret = process.env.DOWNLOAD_LINK_SECRET;
+    } else if (await fs.pathExists(SECRET_FILE)) {
+        linkSecret = (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+    } else {
+        linkSecret = crypto.randomBytes(32).toString('hex');
+        await fs.outputFile(SECRET_FILE, linkSecret, { mode: 0o600 });
+        console.log('AVERTISSEMENT: DOWNLOAD_LINK_SECRET non trouvé dans .env. Secret généré dans data/link-secret.');
+    }
+
+    // Purger les liens expirés
+    getDb().prepare('DELETE FROM download_links WHERE expires_at <= ?').run(new Date().toISOString());
+}
+
+function sign(fileId, linkId, expires, maxUses) {
+    return crypto
+        .createHmac('sha256', linkSecret)
+        .update(`${fileId}:${linkId}:${expires}:${maxUses || ''}`)
+        .digest('hex');
+}
+
+function publicLink(row) {
+    return {
+        id: row.id,
+        fileId: row.file_id,
+        expiresAt: row.expires_at,
+        maxUses: row.max_uses,
+        uses: row.uses,
+        createdAt: row.created_at,
+        createdBy: row.created_by
+    };
+}
+
+// ============================================
+// LIENS
+// ============================================
+
+// Créer un lien signé pour un fichier. Retourne le lien et les paramètres de l'URL.
+async function createLink(fileId, { expiresAt, maxUses, createdBy }) {
+    const db = getDb();
+    const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+    const id = uuidv4();
+
+    db.prepare(`
+        INSERT INTO download_links (id, file_id, expires_at, max_uses, uses, created_at, created_by)
+        VALUES (?, ?, ?, ?, 0, ?, ?)
+    `).run(id, fileId, new Date(expires * 1000).toISOString(), maxUses || null, new Date().toISOString(), createdBy || null);
+
+    const link = publicLink(db.prepare('SELECT * FROM download_links WHERE id = ?').get(id));
+
+    const query = new URLSearchParams({ link: link.id, expires: String(expires) });
+    if (link.maxUses) {
+        query.set('max', String(link.maxUses));
+    }
+    query.set('sig', sign(fileId, link.id, expires, link.maxUses));
+
+    return { link: link, query: query.toString() };
+}
+
+async function listLinks(fileId) {
+    return getDb()
+        .prepare('SELECT * FROM download_links WHERE file_id = ? AND expires_at > ? ORDER BY created_at')
+        .all(fileId, new Date().toISOString())
+        .map(publicLink);
+}
+
+async function revokeLink(linkId) {
+    return getDb().prepare('DELETE FROM download_links WHERE id = ?').run(linkId).changes > 0;
+}
+
+// Vérifier la signature et l'échéance d'un lien. Retourne un échec, ou null si le lien est valide.
+function checkSignature(fileId, query) {
+    const { link: linkId, expires, max, sig } = query;
+
+    if (!linkId || !expires || !sig || typeof sig !== 'string') {
+        return { ok: false, status: 403, code: 'LINK_REQUIRED', message: 'Lien de téléchargement requis pour ce fichier.' };
+    }
+
+    const expected = Buffer.from(sign(fileId, linkId, expires, max), 'hex');
+    const given = Buffer.from(sig, 'hex');
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { ok: false, status: 403, code: 'LINK_INVALID', message: 'Signature du lien invalide.' };
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+        return { ok: false, status: 410, code: 'LINK_EXPIRED', message: 'Ce lien de téléchargement a expiré.' };
+    }
+
+    return null;
+}
+
+// Vérifier la signature d'un lien et consommer une utilisation.
+// Retourne { ok: true } ou { ok: false, status, code, message }.
+async function redeemLink(fileId, query) {
+    const failure = checkSignature(fileId, query);
+    if (failure) {
+        return failure;
+    }
+
+    const linkId = query.link;
+    const db = getDb();
+
+    // Consommation atomique: deux requêtes simultanées ne peuvent pas rejouer un lien à usage unique
+    const consumed = db.prepare(`
+        UPDATE download_links SET uses = uses + 1, last_used_at = ?
+        WHERE id = ? AND file_id = ? AND (max_uses IS NULL OR uses < max_uses)
+    `).run(new Date().toISOString(), linkId, fileId).changes;
+
+    if (consumed === 0) {
+        // Un lien correctement signé mais absent du registre a été révoqué
+        const exists = db.prepare('SELECT 1 FROM download_links WHERE id = ? AND file_id = ?').get(linkId, fileId);
+        return exists
+            ? { ok: false, status: 410, code: 'LINK_USED', message: 'Ce lien de téléchargement a déjà été utilisé.' }
+            : { ok: false, status: 410, code: 'LINK_REVOKED', message: 'Ce lien de téléchargement a été révoqué.' };
+    }
+
+    return { ok: true };
+}
+
+// Rendre l'utilisation consommée par redeemLink quand le téléchargement est finalement refusé
+// (limite du fichier ou quota atteints entre-temps)
+function releaseLink(fileId, query) {
+    getDb()
+        .prepare('UPDATE download_links SET uses = uses - 1 WHERE id = ? AND file_id = ? AND uses > 0')
+        .run(query.link, fileId);
+}
+
+// Autoriser la reprise d'un téléchargement (requête Range) sans consommer un nouvel usage:
+// le lien doit avoir déjà été utilisé, récemment, et ne pas avoir été révoqué
+async function verifyResume(fileId, query) {
+    const failure = checkSignature(fileId, query);
+    if (failure) {
+        return failure;
+    }
+
+    const row = getDb()
+        .prepare('SELECT uses, last_used_at FROM download_links WHERE id = ? AND file_id = ?')
+        .get(query.link, fileId);
+
+    if (!row) {
+        return { ok: false, status: 410, code: 'LINK_REVOKED', message: 'Ce lien de téléchargement a été révoqué.' };
+    }
+
+    if (row.uses === 0 || Date.now() - new Date(row.last_used_at).getTime() > RESUME_WINDOW_MS) {
+        return { ok: false, status: 403, code: 'RESUME_NOT_ALLOWED', message: 'Reprise impossible: relancez le téléchargement depuis le début.' };
+    }
+
+    return { ok: true };
+}
+
+// ============================================
+// JETONS SIGNÉS
+// ============================================
+
+// Jeton autoporteur "<données en base64url>.<signature>", signé avec le même secret que les liens.
+// purpose sépare les usages: un jeton émis pour un usage n'est jamais accepté pour un autre.
+function createToken(purpose, data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    const signature = crypto.createHmac('sha256', linkSecret).update(`${purpose}:${payload}`).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+// Lire un jeton signé. Retourne ses données, ou null si le jeton est malformé ou mal signé.
+function readToken(purpose, token) {
+    const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature || extra !== undefined) {
+        return null;
+    }
+
+    const expected = crypto.createHmac('sha256', linkSecret).update(`${purpose}:${payload}`).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    MAX_LINK_TTL_MS,
+    RESUME_WINDOW_MS,
+    initLinks,
+    createLink,
+    listLinks,
+    revokeLink,
+    redeemLink,
+    releaseLink,
+    verifyResume,
+    createToken,
+    readToken
+};
@@ -0,0 +1,267 @@
+// ============================================
+// NumLab-VPN - Flux d'événements en direct (Server-Sent Events)
+// Créé par Merdi Madimba
+// ============================================
+
+const { getDb } = require('./db');
+const catalog = require('./catalog');
+
+// Événements du flux public, et ceux que le flux admin reçoit en plus
+const PUBLIC_EVENTS = ['file.created', 'file.updated', 'file.deleted', 'file.expired'];
+const ADMIN_EVENTS = [...PUBLIC_EVENTS, 'file.downloaded'];
+
+// Événements gardés pour la reprise via Last-Event-ID (les plus anciens sont purgés)
+const RETENTION = numberFromEnv('LIVE_EVENTS_RETENTION', 1000);
+
+// Connexions simultanées acceptées par audience: les clients anonymes ne peuvent pas
+// occuper les places du flux admin
+const MAX_CLIENTS = {
+    public: numberFromEnv('LIVE_MAX_PUBLIC_CLIENTS', 200),
+    admin: numberFromEnv('LIVE_MAX_ADMIN_CLIENTS', 20)
+};
+
+// Commentaire envoyé régulièrement pour que les proxys ne coupent pas une connexion silencieuse
+const HEARTBEAT_MS = 25 * 1000;
+
+// Délai de reconnexion conseillé aux clients
+const RETRY_MS = 5 * 1000;
+
+// Relecture du journal pour les événements écrits par un autre processus (numlab-admin)
+const POLL_INTERVAL_MS = 2 * 1000;
+
+const subscribers = new Set();
+
+// Dernier événement diffusé aux abonnés (null tant que personne n'est abonné)
+let cursor = null;
+let timer = null;
+
+function numberFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value < 1 ? fallback : value;
+}
+
+// ============================================
+// JOURNAL
+// ============================================
+
+// Enregistrer un événement du catalogue pour les flux. Appelé par webhooks.emit();
+// n'échoue jamais, comme lui.
+function record(event, data) {
+    if (!ADMIN_EVENTS.includes(event)) {
+        return;
+    }
+
+    try {
+        const db = getDb();
+        const stored = catalog.getFile(data.file.id);
+        // Un fichier supprimé n'est plus au catalogue: il reste les champs portés par l'événement
+        const { isPrivate, ...removed } = data.file;
+        const file = stored ? catalog.publicFile(stored) : removed;
+        const visible = stored ? !stored.isPrivate : !isPrivate;
+        const wasVisible = updateVisibility(db, event, data.file.id, visible);
+
+        const adminData = { ...data, file: { ...file, isPrivate: !visible } };
+        // Le flux public reçoit les champs de PublicFile, sauf pour une disparition (suppression,
+        // ou fichier devenu privé): file.deleted n'y porte que { file: { id } }
+        let publicEvent = null;
+        let publicData = null;
+        if (event === 'file.deleted') {
+            publicData = visible || wasVisible ? { file: { id: file.id } } : null;
+        } else if (PUBLIC_EVENTS.includes(event) && visible) {
+            publicData = { file };
+        } else if (PUBLIC_EVENTS.includes(event) && wasVisible) {
+            publicEvent = 'file.deleted';
+            publicData = { file: { id: file.id } };
+        }
+
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO live_events (event, data, public_event, public_data, created_at) VALUES (?, ?, ?, ?, ?)
+        `).run(event, JSON.stringify(adminData), publicEvent, publicData ? JSON.stringify(publicData) : null, new Date().toISOString());
+        db.prepare('DELETE FROM live_events WHERE id <= ?').run(Number(lastInsertRowid) - RETENTION);
+
+        if (subscribers.size > 0) {
+            setImmediate(dispatch);
+        }
+    } catch (error) {
+        console.error(`Erreur lors de l'enregistrement de l'événement ${event} pour les flux:`, error);
+    }
+}
+
+// Enregistrer la visibilité publique actuelle d'un fichier et renvoyer la précédente
+// (false si le fichier n'a encore jamais été publié)
+function updateVisibility(db, event, fileId, visible) {
+    const previous = db.prepare('SELECT public FROM live_visibility WHERE file_id = ?').get(fileId);
+
+    if (event === 'file.deleted') {
+        db.prepare('DELETE FROM live_visibility WHERE file_id = ?').run(fileId);
+    } else {
+        db.prepare(`
+            INSERT INTO live_visibility (file_id, public) VALUES (?, ?)
+            ON CONFLICT (file_id) DO UPDATE SET public = excluded.public
+        `).run(fileId, visible ? 1 : 0);
+    }
+
+    return Boolean(previous && previous.public);
+}
+
+function latestId() {
+    return getDb().prepare('SELECT COALESCE(MAX(id), 0) AS id FROM live_events').get().id;
+}
+
+function readAfter(id, until) {
+    return getDb()
+        .prepare('SELECT * FROM live_events WHERE id > ? AND id <= ? ORDER BY id')
+        .all(id, until);
+}
+
+// ============================================
+// ABONNEMENTS
+// ============================================
+
+// Ce que reçoit une audience: le flux public ne voit ni les fichiers privés ni les téléchargements
+function deliver(subscriber, row) {
+    const admin = subscriber.audience === 'admin';
+    const data = admin ? row.data : row.public_data;
+    if (data !== null) {
+        subscriber.listener({ id: row.id, event: admin ? row.event : row.public_event || row.event, data: JSON.parse(data) });
+    }
+}
+
+// Diffuser aux abonnés les événements enregistrés depuis le dernier passage
+function dispatch() {
+    try {
+        if (cursor === null) {
+            cursor = latestId();
+        }
+        for (const row of readAfter(cursor, Number.MAX_SAFE_INTEGER)) {
+            cursor = row.id;
+            for (const subscriber of subscribers) {
+                deliver(subscriber, row);
+            }
+        }
+    } catch (error) {
+        console.error('Erreur lors de la diffusion des événements en direct:', error);
+    }
+}
+
+// S'abonner à une audience ("public" ou "admin"). Avec lastEventId, les événements manqués
+// sont rejoués d'abord; resync vaut true s'ils ne sont plus tous au journal ou si l'identifiant
+// est inconnu (le client doit alors recharger la liste complète).
+function subscribe(audience, lastEventId, listener) {
+    dispatch();
+
+    const subscriber = { audience, listener };
+    let resync = false;
+
+    if (lastEventId !== null) {
+        const { oldest } = getDb().prepare('SELECT MIN(id) AS oldest FROM live_events').get();
+        if (lastEventId < 0 || lastEventId > cursor || (oldest !== null && lastEventId < oldest - 1)) {
+            resync = true;
+        } else {
+            for (const row of readAfter(lastEventId, cursor)) {
+                deliver(subscriber, row);
+            }
+        }
+    }
+
+    subscribers.add(subscriber);
+    if (!timer) {
+        timer = setInterval(dispatch, POLL_INTERVAL_MS);
+        timer.unref();
+    }
+
+    return {
+        resync,
+        lastEventId: cursor,
+        unsubscribe() {
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0 && timer) {
+                clearInterval(timer);
+                timer = null;
+            }
+        }
+    };
+}
+
+// Abonnés actuels par audience (métriques)
+function countStreams() {
+    const counts = { public: 0, admin: 0 };
+    for (const subscriber of subscribers) {
+        counts[subscriber.audience]++;
+    }
+    return counts;
+}
+
+// ============================================
+// FLUX HTTP
+// ============================================
+
+// Last-Event-ID (envoyé par EventSource à la reconnexion) ou ?lastEventId=.
+// Un identifiant illisible force une resynchronisation plutôt qu'une reprise silencieuse.
+function requestedEventId(req) {
+    const value = req.headers['last-event-id'] || req.query.lastEventId;
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const id = Number(value);
+    return Number.isInteger(id) && id >= 0 ? id : -1;
+}
+
+function formatEvent(event, data, id) {
+    return (id !== undefined ? `id: ${id}\n` : '') + `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Ouvrir un flux SSE sur la réponse. onEvent est appelé après chaque événement envoyé.
+// Retourne send(event, data) pour les messages hors journal (sans id), ou null si le
+// nombre maximal de connexions de cette audience est atteint (réponse 503 déjà envoyée).
+function openStream(req, res, audience, onEvent) {
+    if (countStreams()[audience] >= MAX_CLIENTS[audience]) {
+        res.setHeader('Retry-After', Math.ceil(RETRY_MS / 1000));
+        res.status(503).json({ success: false, code: 'TOO_MANY_STREAMS', message: 'Trop de flux ouverts, réessayez plus tard.' });
+        return null;
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Désactiver la mise en tampon des proxys nginx
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    let opened = false;
+    const write = chunk => {
+        if (!opened) {
+            opened = true;
+            chunk = `retry: ${RETRY_MS}\n\n` + chunk;
+        }
+        res.write(chunk);
+    };
+
+    const subscription = subscribe(audience, requestedEventId(req), ({ id, event, data }) => {
+        write(formatEvent(event, data, id));
+        if (onEvent) {
+            onEvent(event, data);
+        }
+    });
+
+    // Toujours annoncer la position atteinte: une reconnexion reprendra d'ici, même sans événement
+    write(formatEvent(subscription.resync ? 'resync' : 'ready', { lastEventId: subscription.lastEventId }, subscription.lastEventId));
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    res.once('close', () => {
+        clearInterval(heartbeat);
+        subscription.unsubscribe();
+    });
+
+    return (event, data) => write(formatEvent(event, data));
+}
+
+module.exports = {
+    PUBLIC_EVENTS,
+    ADMIN_EVENTS,
+    RETENTION,
+    MAX_CLIENTS,
+    record,
+    countStreams,
+    openStream
+};
@@ -0,0 +1,197 @@
+// ============================================
+// NumLab-VPN - Métriques au format texte Prometheus
+// Créé par Merdi Madimba
+// ============================================
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seuils des histogrammes: durées en secondes, tailles en octets (1 Ko à 50 Mo)
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SIZE_BUCKETS = [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 10 * 1024 * 1024, 50 * 1024 * 1024];
+
+// Métriques enregistrées, dans l'ordre d'exposition
+const registry = [];
+
+// ============================================
+// TYPES DE MÉTRIQUES
+// ============================================
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+}
+
+function counter(name, help) {
+    const metric = { name, help, type: 'counter', series: new Map() };
+    registry.push(metric);
+    return metric;
+}
+
+function histogram(name, help, buckets) {
+    const metric = { name, help, type: 'histogram', buckets, series: new Map() };
+    registry.push(metric);
+    return metric;
+}
+
+// Jauge calculée à chaque collecte: collect() retourne [{ labels, value }]
+function gauge(name, help, collect) {
+    registry.push({ name, help, type: 'gauge', collect });
+}
+
+function inc(metric, labels, value = 1) {
+    const key = labelKey(labels);
+    const series = metric.series.get(key) || { labels, value: 0 };
+    series.value += value;
+    metric.series.set(key, series);
+}
+
+function observe(metric, labels, value) {
+    const key = labelKey(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+        series = { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, series);
+    }
+    metric.buckets.forEach((bound, index) => {
+        if (value <= bound) {
+            series.counts[index]++;
+        }
+    });
+    series.sum += value;
+    series.count++;
+}
+
+// ============================================
+// MÉTRIQUES DU SERVICE
+// ============================================
+
+const httpRequests = counter('numlab_http_requests_total', 'Requêtes HTTP traitées, par route et statut');
+const httpDuration = histogram('numlab_http_request_duration_seconds', 'Durée de traitement des requêtes HTTP', DURATION_BUCKETS);
+const downloadBytes = counter('numlab_download_bytes_total', 'Octets servis par les routes de téléchargement');
+const uploadSizes = histogram('numlab_upload_size_bytes', 'Taille des fichiers uploadés acceptés', SIZE_BUCKETS);
+const uploadRejections = counter('numlab_upload_rejections_total', 'Uploads refusés, par route et code d\'erreur');
+const rateLimitHits = counter('numlab_rate_limit_hits_total', 'Requêtes refusées par un limiteur de débit');
+
+const startTime = Math.floor(Date.now() / 1000);
+gauge('process_start_time_seconds', 'Date de démarrage du processus (secondes Unix)', () => [{ labels: {}, value: startTime }]);
+gauge('process_resident_memory_bytes', 'Mémoire résidente du processus', () => [{ labels: {}, value: process.memoryUsage().rss }]);
+
+function recordRateLimitHit(limiter) {
+    inc(rateLimitHits, { limiter });
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Route Express qui a traité la requête ("/api/download/:id"), pour garder peu de séries
+function routeLabel(req) {
+    return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+function chunkLength(chunk, encoding) {
+    if (!chunk || typeof chunk === 'function') {
+        return 0;
+    }
+    return Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+// Mesurer chaque requête: nombre et durée par route, octets des téléchargements,
+// tailles des uploads acceptés et codes des uploads refusés.
+// À installer en premier pour voir aussi les réponses des limiteurs et des erreurs.
+function requestMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+    let errorCode = null;
+
+    const { write, end, json } = res;
+    res.write = function (chunk, encoding) {
+        bytes += chunkLength(chunk, encoding);
+        return write.apply(this, arguments);
+    };
+    res.end = function (chunk, encoding) {
+        bytes += chunkLength(chunk, encoding);
+        return end.apply(this, arguments);
+    };
+    res.json = function (body) {
+        if (body && body.success === false) {
+            errorCode = body.code || null;
+        }
+        return json.call(this, body);
+    };
+
+    // "close" est émis aussi quand le client interrompt un téléchargement
+    res.once('close', () => {
+        const route = routeLabel(req);
+        const status = String(res.statusCode);
+        inc(httpRequests, { method: req.method, route, status });
+        observe(httpDuration, { method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+
+        if (route.startsWith('/api/download') && res.statusCode < 400) {
+            inc(downloadBytes, { route }, bytes);
+        }
+
+        if (req.is('multipart/form-data')) {
+            if (res.statusCode < 400) {
+                const files = req.files ? Object.values(req.files).flat() : [req.file].filter(Boolean);
+                for (const file of files) {
+                    observe(uploadSizes, { route }, file.size);
+                }
+            } else {
+                inc(uploadRejections, { route, code: errorCode || status });
+            }
+        }
+    });
+
+    next();
+}
+
+// ============================================
+// EXPOSITION
+// ============================================
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'gauge') {
+        for (const { labels, value } of metric.collect()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        }
+    } else if (metric.type === 'counter') {
+        for (const { labels, value } of metric.series.values()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        }
+    } else {
+        for (const { labels, counts, sum, count } of metric.series.values()) {
+            metric.buckets.forEach((bound, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// Toutes les métriques au format texte Prometheus (version 0.0.4)
+function render() {
+    return registry.map(renderMetric).join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    gauge,
+    recordRateLimitHit,
+    requestMetrics,
+    render
+};
@@ -0,0 +1,267 @@
+// ============================================
+// NumLab-VPN - Catalogue des réseaux (opérateurs)
+// Créé par Merdi Madimba
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./db');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 64;
+
+function conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// "Orange CD " -> "orange-cd", "Télécel" -> "telecel"
+function slugify(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+function isValidSlug(slug) {
+    return typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+}
+
+function rowToNetwork(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        slug: row.slug,
+        name: row.name,
+        country: row.country || null,
+        description: row.description,
+        icon: row.icon || null,
+        sortOrder: row.sort_order,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// ============================================
+// GESTION DES RÉSEAUX
+// ============================================
+
+// Réseaux dans l'ordre d'affichage
+function listNetworks() {
+    return getDb()
+        .prepare('SELECT * FROM networks ORDER BY sort_order, name COLLATE NOCASE, id')
+        .all()
+        .map(rowToNetwork);
+}
+
+function getNetwork(id) {
+    return rowToNetwork(getDb().prepare('SELECT * FROM networks WHERE id = ?').get(id));
+}
+
+function getNetworkBySlug(slug) {
+    return rowToNetwork(getDb().prepare('SELECT * FROM networks WHERE slug = ?').get(slug));
+}
+
+// Retrouver un réseau par identifiant, slug ou nom (ex. "Orange CD" -> orange-cd)
+function findNetwork(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    return getNetwork(value.trim()) || getNetworkBySlug(slugify(value));
+}
+
+function insertNetwork(network) {
+    const now = new Date().toISOString();
+    getDb().prepare(`
+        INSERT INTO networks (id, slug, name, country, description, icon, sort_order, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        network.id,
+        network.slug,
+        network.name,
+        network.country || null,
+        network.description || '',
+        network.icon || null,
+        network.sortOrder || 0,
+        network.createdAt || now,
+        network.updatedAt || now
+    );
+}
+
+// Créer un réseau. Le slug est dérivé du nom s'il n'est pas fourni.
+function createNetwork({ slug, name, country, description, icon, sortOrder }) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const finalSlug = slug || slugify(name);
+        if (!isValidSlug(finalSlug)) {
+            throw invalid('Impossible de dériver un slug de ce nom: fournissez un slug.');
+        }
+        if (getNetworkBySlug(finalSlug)) {
+            throw conflict(`Un réseau utilise déjà le slug "${finalSlug}".`);
+        }
+
+        const id = uuidv4();
+        insertNetwork({ id, slug: finalSlug, name, country, description, icon, sortOrder });
+        return getNetwork(id);
+    })();
+}
+
+// Modifier un réseau. Retourne null s'il n'existe pas.
+function updateNetwork(id, changes) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const current = getNetwork(id);
+        if (!current) {
+            return null;
+        }
+
+        const next = { ...current };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value !== undefined) {
+                next[key] = value;
+            }
+        }
+
+        const owner = getNetworkBySlug(next.slug);
+        if (owner && owner.id !== id) {
+            throw conflict(`Un réseau utilise déjà le slug "${next.slug}".`);
+        }
+
+        db.prepare(`
+            UPDATE networks SET slug = ?, name = ?, country = ?, description = ?, icon = ?, sort_order = ?, updated_at = ?
+            WHERE id = ?
+        `).run(next.slug, next.name, next.country, next.description, next.icon, next.sortOrder, new Date().toISOString(), id);
+
+        return getNetwork(id);
+    })();
+}
+
+// Supprimer un réseau. Un réseau encore utilisé n'est supprimé que si ses fichiers sont
+// déplacés vers un autre réseau (moveTo): c'est ainsi que deux réseaux en doublon sont fusionnés.
+// Retourne { network, moved } ou null si le réseau n'existe pas.
+function deleteNetwork(id, { moveTo } = {}) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const network = getNetwork(id);
+        if (!network) {
+            return null;
+        }
+
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM files WHERE network_id = ?').get(id);
+        let moved = 0;
+
+        if (count > 0) {
+            if (!moveTo) {
+                throw conflict(`Ce réseau est utilisé par ${count} fichier(s). Indiquez un réseau de destination (moveTo).`);
+            }
+            const target = getNetwork(moveTo);
+            if (!target || target.id === id) {
+                throw invalid('Réseau de destination invalide.');
+            }
+            moved = db.prepare('UPDATE files SET network_id = ?, network = ? WHERE network_id = ?')
+                .run(target.id, target.name, id).changes;
+        }
+
+        db.prepare('DELETE FROM networks WHERE id = ?').run(id);
+        return { network, moved };
+    })();
+}
+
+// ============================================
+// RATTACHEMENT DU TEXTE LIBRE ET RESTAURATION
+// ============================================
+
+// Rattacher à un réseau les fichiers qui n'ont que le texte libre saisi à l'upload
+// (base migrée, ancien files.json, ancienne sauvegarde). Les variantes d'un même nom
+// ("Orange", "orange ", "ORANGE") donnent le même slug et sont fusionnées; le réseau créé
+// prend l'orthographe la plus fréquente. Retourne le nombre de fichiers rattachés.
+function linkFreeTextNetworks() {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const rows = db.prepare('SELECT id, network FROM files WHERE network_id IS NULL').all();
+        const groups = new Map();
+
+        for (const row of rows) {
+            const slug = slugify(row.network);
+            if (!slug) {
+                continue;
+            }
+            if (!groups.has(slug)) {
+                groups.set(slug, { fileIds: [], spellings: new Map() });
+            }
+            const group = groups.get(slug);
+            const spelling = row.network.trim().replace(/\s+/g, ' ');
+            group.fileIds.push(row.id);
+            group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + 1);
+        }
+
+        const link = db.prepare('UPDATE files SET network_id = ? WHERE id = ?');
+        let linked = 0;
+
+        for (const [slug, group] of groups) {
+            let network = getNetworkBySlug(slug);
+            if (!network) {
+                const [name] = [...group.spellings].sort((a, b) => b[1] - a[1])[0];
+                network = { id: uuidv4(), slug, name };
+                insertNetwork(network);
+            }
+            for (const fileId of group.fileIds) {
+                linked += link.run(network.id, fileId).changes;
+            }
+        }
+
+        return linked;
+    })();
+}
+
+// Importer les réseaux d'une sauvegarde. Un réseau déjà présent (même identifiant ou même slug)
+// est conservé tel quel. Retourne la correspondance identifiant de l'archive -> identifiant local.
+function importNetworks(networks) {
+    const mapping = new Map();
+
+    for (const network of networks) {
+        if (!network || typeof network.id !== 'string' || !isValidSlug(network.slug) || typeof network.name !== 'string') {
+            continue;
+        }
+        const existing = getNetwork(network.id) || getNetworkBySlug(network.slug);
+        if (existing) {
+            mapping.set(network.id, existing.id);
+        } else {
+            insertNetwork(network);
+            mapping.set(network.id, network.id);
+        }
+    }
+
+    return mapping;
+}
+
+module.exports = {
+    MAX_SLUG_LENGTH,
+    slugify,
+    isValidSlug,
+    listNetworks,
+    getNetwork,
+    findNetwork,
+    createNetwork,
+    updateNetwork,
+    deleteNetwork,
+    linkFreeTextNetworks,
+    importNetworks
+};
@@ -0,0 +1,1562 @@
+// ============================================
+// NumLab-VPN - Contrat OpenAPI de l'API, validation des requêtes et codes d'erreur
+// Créé par Merdi Madimba
+// ============================================
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const fs = require('fs-extra');
+const packageInfo = require('../package.json');
+const accounts = require('./accounts');
+const analytics = require('./analytics');
+const audit = require('./audit');
+const backup = require('./backup');
+const catalog = require('./catalog');
+const networks = require('./networks');
+const qr = require('./qr');
+const search = require('./search');
+const secrets = require('./secrets');
+const webhooks = require('./webhooks');
+
+// Adresse du document, annoncée aussi par l'en-tête Link (rel="service-desc") des réponses /api
+const SPEC_PATH = '/api/openapi.json';
+
+// ============================================
+// CODES D'ERREUR
+// ============================================
+
+// Toutes les erreurs ont la forme { success: false, code, message }. Le code est stable et
+// destiné aux programmes, le message est destiné aux personnes.
+const ERROR_CODES = {
+    BAD_REQUEST: 'Requête refusée.',
+    VALIDATION_ERROR: 'La requête ne respecte pas le contrat OpenAPI (détail dans errors).',
+    INVALID_JSON: 'Le corps de la requête n\'est pas un JSON valide.',
+    INVALID_UPLOAD: 'Fichier uploadé refusé (configuration ou archive invalide).',
+    SECRETS_DETECTED: 'Secrets détectés dans le fichier uploadé (détail dans findings).',
+    UPLOAD_TOO_LARGE: 'Fichier uploadé trop volumineux.',
+    UPLOAD_REJECTED: 'Upload refusé (champ inattendu ou trop de fichiers).',
+    EXPIRY_IN_PAST: 'La date d\'expiration doit être future.',
+    UNKNOWN_NETWORK: 'Le réseau indiqué n\'existe pas dans le catalogue.',
+    UNAUTHORIZED: 'Session admin absente ou expirée.',
+    INVALID_CREDENTIALS: 'Nom d\'utilisateur ou code admin incorrect.',
+    TOTP_REQUIRED: 'Un code TOTP (ou un code de récupération) est requis.',
+    TOTP_INVALID: 'Code TOTP ou code de récupération invalide.',
+    FORBIDDEN: 'Action non autorisée pour ce rôle ou cette ressource.',
+    FILE_EXPIRED: 'Le fichier est expiré.',
+    FILE_EXHAUSTED: 'Le fichier a atteint sa limite de téléchargements.',
+    LINK_REQUIRED: 'Un lien signé est requis pour ce fichier privé.',
+    LINK_INVALID: 'La signature du lien est invalide.',
+    LINK_EXPIRED: 'Le lien signé a expiré.',
+    LINK_USED: 'Le lien signé a déjà été utilisé.',
+    LINK_REVOKED: 'Le lien signé a été révoqué.',
+    RESUME_NOT_ALLOWED: 'La reprise du téléchargement n\'est plus possible avec ce lien.',
+    NOT_FOUND: 'Ressource non trouvée.',
+    STORED_FILE_MISSING: 'Le fichier est catalogué mais absent du stockage.',
+    CONFLICT: 'Conflit avec l\'état actuel de la ressource.',
+    GONE: 'Ressource qui n\'est plus disponible.',
+    PAYLOAD_TOO_LARGE: 'Requête trop volumineuse.',
+    RANGE_NOT_SATISFIABLE: 'Plage d\'octets non satisfiable.',
+    QUOTA_EXCEEDED: 'Quota quotidien de téléchargements atteint.',
+    RATE_LIMITED: 'Trop de requêtes: réessayer plus tard.',
+    INVALID_BACKUP: 'Archive de sauvegarde invalide ou altérée (détail dans errors).',
+    NOT_READY: 'Le service n\'est pas prêt (détail dans checks).',
+    KEY_ROTATION_INCOMPLETE: 'Des fichiers chiffrés avec une clé maître inconnue n\'ont pas été rechiffrés.',
+    INVALID_TEMPLATE: 'Schéma de modèle invalide, ou qui ne correspond pas aux emplacements du fichier.',
+    INVALID_TEMPLATE_VALUES: 'Valeurs du modèle manquantes ou refusées par son schéma (détail dans errors).',
+    NOT_A_TEMPLATE: 'Le fichier n\'est pas un modèle de configuration.',
+    TEMPLATE_RENDER_REQUIRED: 'Le fichier est un modèle: il se télécharge rendu, via /api/download/{id}/render.',
+    TOKEN_INVALID: 'Le jeton de rendu est invalide ou émis pour un autre fichier.',
+    TOKEN_EXPIRED: 'Le jeton de rendu a expiré.',
+    QR_UNSUPPORTED_FILE: 'Seules les configurations .conf et .ovpn s\'exportent en code QR.',
+    QR_TOO_LARGE: 'Configuration trop volumineuse pour un code QR (size et maxSize en octets).',
+    TOO_MANY_STREAMS: 'Trop de connexions ouvertes sur ce flux d\'événements: réessayer après Retry-After.',
+    INTERNAL_ERROR: 'Erreur serveur.'
+};
+
+// Code par défaut d'une erreur qui n'en précise pas
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    416: 'RANGE_NOT_SATISFIABLE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR'
+};
+
+function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Middleware: ajouter le code par défaut aux réponses d'erreur JSON qui n'en ont pas
+function errorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (body && body.success === false && !body.code) {
+            body = { success: false, code: codeForStatus(res.statusCode), ...body };
+        }
+        return json(body);
+    };
+    next();
+}
+
+// ============================================
+// BRIQUES DES SCHÉMAS
+// ============================================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const text = (extra = {}) => ({ type: 'string', ...extra });
+const NON_EMPTY = '\\S';
+const nonEmpty = (maxLength, extra = {}) => ({ type: 'string', pattern: NON_EMPTY, maxLength, ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+// Les dates sont au format ISO 8601: "2030-01-01" ou "2030-01-01T12:00:00Z"
+const isoDate = (description) => ({
+    type: 'string',
+    anyOf: [{ format: 'date' }, { format: 'date-time' }],
+    description
+});
+
+// Booléen d'un formulaire multipart ("true", "on", "1") ou du JSON
+const formBoolean = (description) => ({
+    anyOf: [{ type: 'boolean' }, { type: 'string', enum: ['true', 'false', 'on', 'off', '1', '0', ''] }],
+    description
+});
+
+const binary = (description) => ({ type: 'string', format: 'binary', description });
+
+const ADMIN_CODE = text({ pattern: '^\\d{14}$', description: 'Code admin à 14 chiffres' });
+
+// Paramètres des liens signés, requis pour télécharger un fichier privé
+const LINK_QUERY = {
+    link: text({ description: 'Identifiant du lien signé (fichiers privés)' }),
+    expires: text({ pattern: '^\\d+$', description: 'Échéance du lien (secondes Unix)' }),
+    max: text({ pattern: '^\\d+$', description: 'Nombre maximum d\'utilisations du lien' }),
+    sig: text({ pattern: '^[a-f0-9]+$', description: 'Signature HMAC du lien' })
+};
+
+const FILE_QUERY = {
+    q: text({ description: 'Recherche dans le nom, la description et le réseau' }),
+    network: text({ description: 'Réseaux (slugs ou noms), séparés par des virgules' }),
+    type: text({ description: 'Types (openvpn, wireguard ou extension), séparés par des virgules' }),
+    status: text({ enum: search.STATUSES }),
+    expiresAfter: isoDate(),
+    expiresBefore: isoDate(),
+    sort: text({ enum: Object.keys(search.SORTS), default: 'createdAt' }),
+    order: text({ enum: ['asc', 'desc'], default: 'desc' }),
+    limit: integer({ minimum: 1, maximum: search.MAX_LIMIT, default: search.DEFAULT_LIMIT }),
+    cursor: text({ description: 'Curseur nextCursor de la page précédente' }),
+    groupBy: text({ enum: search.GROUPS, description: 'Regrouper les fichiers (liste non paginée)' })
+};
+
+const FILE_METADATA = {
+    name: nonEmpty(200),
+    networkId: text({ description: 'Identifiant du réseau dans le catalogue' }),
+    network: text({ description: 'Slug ou nom du réseau, à défaut de networkId' }),
+    expiryDate: isoDate('Date d\'expiration, obligatoirement future'),
+    description: text({ maxLength: 2000 }),
+    isPrivate: formBoolean('Fichier servi uniquement par lien signé'),
+    maxDownloads: {
+        anyOf: [integer({ minimum: 1 }), { type: 'string', pattern: '^(\\d*[1-9]\\d*)?$' }, { type: 'null' }],
+        description: 'Limite de téléchargements (vide ou null: aucune limite)'
+    }
+};
+
+// Le réseau est désigné par networkId ou, à défaut, par network
+const NETWORK_REQUIRED = { anyOf: [{ required: ['networkId'] }, { required: ['network'] }] };
+
+// Variable d'un modèle de configuration ({{variable}} dans le fichier)
+const TEMPLATE_VARIABLE = {
+    type: 'object',
+    description: 'Une liste de valeurs (enum) ou une expression régulière (pattern)',
+    properties: {
+        description: text({ maxLength: 500 }),
+        enum: { type: 'array', minItems: 1, maxItems: 100, items: text({ maxLength: 255 }) },
+        pattern: text({ minLength: 1, maxLength: 500, description: 'Doit couvrir toute la valeur. Refusée si elle répète sans limite un groupe contenant une répétition ou une alternative (ex. "(a+)+"), ou si elle utilise une référence arrière' }),
+        default: text({ maxLength: 255, description: 'Sans valeur par défaut, la variable est obligatoire' })
+    }
+};
+
+// Valeurs imposées aux variables d'un modèle: { variable: valeur }
+const TEMPLATE_VALUES = {
+    type: 'object',
+    additionalProperties: text({ maxLength: 255 }),
+    description: 'Valeurs des variables du modèle'
+};
+
+// Reprise d'un flux SSE pour les clients qui ne peuvent pas envoyer l'en-tête Last-Event-ID
+const LIVE_QUERY = {
+    lastEventId: text({ pattern: '^\\d+$', description: 'Dernier id reçu (l\'en-tête Last-Event-ID est prioritaire)' })
+};
+
+const SECRET_POLICY = text({ enum: secrets.POLICIES, description: 'Politique appliquée aux secrets détectés' });
+
+const NETWORK_FIELDS = {
+    slug: text({ pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', maxLength: networks.MAX_SLUG_LENGTH }),
+    name: nonEmpty(100),
+    country: nullable(text({ pattern: '^([A-Za-z]{2})?$', description: 'Code pays ISO 3166-1 alpha-2' })),
+    description: text({ maxLength: 2000 }),
+    icon: nullable(text({ maxLength: 500, description: 'URL ou nom d\'icône' })),
+    sortOrder: integer({ description: 'Ordre d\'affichage (croissant)' })
+};
+
+const WEBHOOK_FIELDS = {
+    url: text({ format: 'uri', pattern: '^https?://', description: 'Adresse http ou https appelée en POST' }),
+    events: { type: 'array', minItems: 1, items: text({ enum: webhooks.EVENTS }) },
+    description: text({ maxLength: 500 })
+};
+
+// ============================================
+// SCHÉMAS DES RÉPONSES
+// ============================================
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['success', 'code', 'message'],
+        properties: {
+            success: { const: false },
+            code: text({ enum: Object.keys(ERROR_CODES) }),
+            message: text({ description: 'Message lisible, en français' }),
+            errors: {
+                type: 'array',
+                description: 'VALIDATION_ERROR: { in, field, message }; INVALID_BACKUP: { type, path }',
+                items: {
+                    type: 'object',
+                    properties: {
+                        in: text({ enum: ['path', 'query', 'body'] }),
+                        field: text(),
+                        message: text(),
+                        type: text(),
+                        path: text()
+                    }
+                }
+            },
+            findings: { type: 'array', items: ref('SecretFinding') },
+            quota: ref('Quota'),
+            totpRequired: { type: 'boolean' }
+        }
+    },
+    Success: {
+        type: 'object',
+        required: ['success'],
+        properties: { success: { const: true }, message: text() }
+    },
+    Quota: nullable({
+        type: 'object',
+        properties: {
+            limit: integer(),
+            used: integer(),
+            remaining: integer(),
+            resetsAt: text({ format: 'date-time' })
+        }
+    }),
+    SecretFinding: {
+        type: 'object',
+        properties: { type: text(), line: integer(), description: text() }
+    },
+    Network: {
+        type: 'object',
+        properties: {
+            id: text(),
+            slug: text(),
+            name: text(),
+            country: nullable(text()),
+            description: text(),
+            icon: nullable(text()),
+            sortOrder: integer(),
+            fileCount: integer(),
+            activeCount: integer()
+        }
+    },
+    TemplateVariable: TEMPLATE_VARIABLE,
+    Template: nullable({
+        type: 'object',
+        description: 'Schéma des variables d\'un modèle de configuration ({{variable}} dans le fichier)',
+        properties: {
+            variables: { type: 'object', additionalProperties: ref('TemplateVariable') }
+        }
+    }),
+    Part: {
+        type: 'object',
+        properties: {
+            id: text(),
+            role: text({ enum: catalog.PART_ROLES }),
+            filename: text(),
+            size: text(),
+            sha256: nullable(text()),
+            config: nullable({ type: 'object' }),
+            downloadCount: integer()
+        }
+    },
+    PublicFile: {
+        type: 'object',
+        properties: {
+            id: text(),
+            name: text(),
+            network: text(),
+            networkId: nullable(text()),
+            networkSlug: nullable(text()),
+            expiryDate: text(),
+            size: text(),
+            downloadCount: integer(),
+            isExpired: { type: 'boolean' },
+            isExhausted: { type: 'boolean' },
+            downloadsRemaining: nullable(integer()),
+            description: text(),
+            config: nullable({ type: 'object', description: 'Métadonnées OpenVPN / WireGuard' }),
+            version: integer(),
+            sha256: nullable(text()),
+            entryCount: nullable(integer()),
+            parts: { type: 'array', items: ref('Part') },
+            template: ref('Template')
+        }
+    },
+    File: {
+        type: 'object',
+        description: 'Fichier du catalogue, avec ses champs internes (admin)',
+        properties: {
+            id: text(),
+            filename: text(),
+            storedFilename: text(),
+            name: text(),
+            network: text(),
+            networkId: nullable(text()),
+            networkSlug: nullable(text()),
+            expiryDate: text(),
+            size: text(),
+            description: text(),
+            isPrivate: { type: 'boolean' },
+            maxDownloads: nullable(integer()),
+            downloadCount: integer(),
+            createdAt: text({ format: 'date-time' }),
+            config: nullable({ type: 'object' }),
+            redactedFilename: nullable(text()),
+            secretScan: nullable({ type: 'object' }),
+            currentVersion: integer(),
+            archivedAt: nullable(text()),
+            sha256: nullable(text()),
+            archiveEntries: nullable({ type: 'array', items: { type: 'object' } }),
+            parts: { type: 'array', items: { type: 'object' } },
+            template: ref('Template')
+        }
+    },
+    Version: {
+        type: 'object',
+        properties: {
+            version: integer(),
+            filename: text(),
+            size: text(),
+            sha256: nullable(text()),
+            downloadCount: integer(),
+            createdAt: text({ format: 'date-time' }),
+            isCurrent: { type: 'boolean' }
+        }
+    },
+    Account: {
+        type: 'object',
+        properties: {
+            id: text(),
+            username: text(),
+            role: text({ enum: Object.keys(accounts.ROLES) }),
+            disabled: { type: 'boolean' },
+            totpEnabled: { type: 'boolean' },
+            createdAt: text({ format: 'date-time' }),
+            lastLoginAt: nullable(text())
+        }
+    },
+    Session: {
+        type: 'object',
+        properties: {
+            id: text(),
+            accountId: text(),
+            createdAt: text({ format: 'date-time' }),
+            expiresAt: text({ format: 'date-time' }),
+            ip: nullable(text()),
+            userAgent: nullable(text())
+        }
+    },
+    Link: {
+        type: 'object',
+        properties: {
+            id: text(),
+            fileId: text(),
+            expiresAt: text({ format: 'date-time' }),
+            maxUses: nullable(integer()),
+            uses: integer(),
+            createdAt: text({ format: 'date-time' }),
+            createdBy: nullable(text()),
+            lastUsedAt: nullable(text())
+        }
+    },
+    Webhook: {
+        type: 'object',
+        properties: {
+            id: text(),
+            url: text(),
+            events: { type: 'array', items: text({ enum: webhooks.EVENTS }) },
+            description: text(),
+            active: { type: 'boolean' },
+            createdAt: text({ format: 'date-time' }),
+            createdBy: nullable(text())
+        }
+    },
+    AuditEntry: {
+        type: 'object',
+        properties: {
+            id: integer(),
+            createdAt: text({ format: 'date-time' }),
+            actor: nullable(text()),
+            ip: nullable(text()),
+            action: text(),
+            targetType: nullable(text()),
+            targetId: nullable(text()),
+            details: nullable({ type: 'object' }),
+            hash: text()
+        }
+    },
+    ReadinessChecks: {
+        type: 'object',
+        description: 'Résultat de chaque vérification: { ok, error? } et ses mesures',
+        properties: {
+            dataStore: { type: 'object', properties: { ok: { type: 'boolean' }, files: integer(), error: text() } },
+            uploads: { type: 'object', properties: { ok: { type: 'boolean' }, error: text() } },
+            disk: {
+                type: 'object',
+                properties: { ok: { type: 'boolean' }, freeBytes: integer(), minFreeBytes: integer(), error: text() }
+            }
+        }
+    }
+};
+
+// ============================================
+// OPÉRATIONS
+// ============================================
+
+// Réponse JSON { success: true, ...properties }
+const ok = (description, properties = {}) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: { allOf: [ref('Success'), { type: 'object', properties }] }
+        }
+    }
+});
+
+const download = (description, type = 'application/octet-stream') => ({
+    description,
+    headers: {
+        ETag: { schema: text(), description: 'Empreinte SHA-256 du contenu servi' },
+        'X-Download-Quota-Remaining': { schema: integer(), description: 'Téléchargements restants aujourd\'hui' },
+        'X-File-Downloads-Remaining': { schema: integer(), description: 'Téléchargements restants pour ce fichier' }
+    },
+    content: { [type]: { schema: binary() } }
+});
+
+// Flux Server-Sent Events, refusé quand trop de flux sont déjà ouverts
+const eventStream = description => ({
+    200: { description, content: { 'text/event-stream': { schema: text() } } },
+    503: {
+        description: 'Nombre maximal de connexions à ce flux atteint (code TOO_MANY_STREAMS, en-tête Retry-After)',
+        content: { 'application/json': { schema: ref('Error') } }
+    }
+});
+
+// Chaque opération est décrite une fois ici, avec le chemin Express (":id") utilisé dans server.js.
+// permission: undefined pour une route publique, null pour toute session admin valide.
+const OPERATIONS = [
+    // ---------- Public ----------
+    {
+        method: 'get', path: '/api/files', tag: 'Public',
+        summary: 'Lister les fichiers publics (recherche, filtres, tri, pagination)',
+        query: FILE_QUERY,
+        responses: {
+            200: ok('Page de fichiers', {
+                files: { type: 'array', items: ref('PublicFile') },
+                total: integer(),
+                nextCursor: nullable(text()),
+                quota: ref('Quota'),
+                groups: {
+                    type: 'array',
+                    description: 'Présent avec groupBy=network',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            network: nullable(ref('Network')),
+                            count: integer(),
+                            files: { type: 'array', items: ref('PublicFile') }
+                        }
+                    }
+                }
+            })
+        },
+        errors: [400, 429]
+    },
+    {
+        method: 'get', path: '/api/networks', tag: 'Public',
+        summary: 'Lister les réseaux avec le nombre de fichiers publics de chacun',
+        responses: { 200: ok('Réseaux', { networks: { type: 'array', items: ref('Network') } }) },
+        errors: [429]
+    },
+    {
+        method: 'get', path: '/api/events', tag: 'Public',
+        summary: 'Flux SSE des fichiers publics: file.created, file.updated, file.deleted et file.expired',
+        query: LIVE_QUERY,
+        responses: eventStream('Événements dont data vaut { file } (champs de PublicFile), précédés de ready ou resync '
+            + 'avec la position atteinte. file.deleted annonce un fichier supprimé ou devenu privé et ne porte que '
+            + '{ file: { id } }'),
+        errors: [429]
+    },
+    {
+        method: 'get', path: '/api/download/:id', tag: 'Public',
+        summary: 'Télécharger un fichier (Range, If-None-Match et If-Range acceptés)',
+        query: { version: integer({ minimum: 1, description: 'Version à télécharger (courante par défaut)' }), ...LINK_QUERY },
+        responses: {
+            200: download('Contenu du fichier'),
+            206: download('Plage demandée'),
+            304: { description: 'Le client a déjà ce contenu' }
+        },
+        errors: [403, 404, 409, 410, 416, 429]
+    },
+    {
+        method: 'get', path: '/api/files/:id/entries', tag: 'Public',
+        summary: 'Lister le contenu d\'une archive .zip publique',
+        responses: {
+            200: ok('Entrées de l\'archive', {
+                version: integer(),
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: text(),
+                            size: integer(),
+                            config: nullable({ type: 'object' }),
+                            downloadable: { type: 'boolean' },
+                            downloadCount: integer()
+                        }
+                    }
+                }
+            })
+        },
+        errors: [400, 404, 429]
+    },
+    {
+        method: 'get', path: '/api/download/:id/entry', tag: 'Public',
+        summary: 'Télécharger une seule entrée d\'une archive',
+        query: { name: text({ minLength: 1, description: 'Chemin de l\'entrée dans l\'archive' }), ...LINK_QUERY },
+        requiredQuery: ['name'],
+        responses: { 200: download('Contenu de l\'entrée') },
+        errors: [400, 403, 404, 410, 429]
+    },
+    {
+        method: 'get', path: '/api/download/:id/parts/:partId', tag: 'Public',
+        summary: 'Télécharger un fichier joint d\'une entrée (CA, certificat, clé, documentation)',
+        query: LINK_QUERY,
+        responses: {
+            200: download('Contenu du fichier joint'),
+            206: download('Plage demandée'),
+            304: { description: 'Le client a déjà ce contenu' }
+        },
+        errors: [403, 404, 410, 416, 429]
+    },
+    {
+        method: 'get', path: '/api/download/:id/bundle', tag: 'Public',
+        summary: 'Télécharger une entrée et ses fichiers joints dans un zip généré à la volée',
+        query: LINK_QUERY,
+        responses: { 200: download('Archive zip', 'application/zip') },
+        errors: [403, 404, 409, 410, 429]
+    },
+    {
+        method: 'get', path: '/api/download/:id/render', tag: 'Public',
+        summary: 'Télécharger un modèle rendu pour ce client. Les autres paramètres de requête sont '
+            + 'les variables du modèle (ex. ?server=vpn1.example.com&proto=udp)',
+        query: {
+            token: text({ description: 'Jeton de rendu signé: ses valeurs ne peuvent pas être modifiées' }),
+            ...LINK_QUERY
+        },
+        responses: {
+            200: {
+                description: 'Configuration rendue (jamais mise en cache)',
+                content: { 'application/octet-stream': { schema: binary() } }
+            }
+        },
+        errors: [400, 403, 404, 409, 410, 429]
+    },
+    {
+        method: 'get', path: '/api/download/:id/qr', tag: 'Public',
+        summary: 'Code QR d\'une configuration .conf ou .ovpn, à scanner depuis l\'application mobile '
+            + '(compte comme un téléchargement)',
+        query: {
+            format: text({ enum: Object.keys(qr.FORMATS), default: 'png' }),
+            width: integer({ minimum: qr.MIN_WIDTH, maximum: qr.MAX_WIDTH, default: qr.DEFAULT_WIDTH, description: 'Largeur de l\'image PNG en pixels' }),
+            version: integer({ minimum: 1, description: 'Version à exporter (courante par défaut)' }),
+            ...LINK_QUERY
+        },
+        responses: {
+            200: {
+                description: 'Code QR contenant la configuration (jamais mis en cache)',
+                content: {
+                    'image/png': { schema: binary() },
+                    'image/svg+xml': { schema: text() }
+                }
+            }
+        },
+        errors: [400, 403, 404, 409, 410, 429]
+    },
+    {
+        method: 'get', path: '/api/files/:id/versions', tag: 'Public',
+        summary: 'Lister les versions d\'un fichier public',
+        responses: { 200: ok('Versions', { versions: { type: 'array', items: ref('Version') } }) },
+        errors: [404, 429]
+    },
+
+    // ---------- Authentification ----------
+    {
+        method: 'post', path: '/api/admin/login', tag: 'Authentification',
+        summary: 'Ouvrir une session admin',
+        body: {
+            properties: {
+                username: text({ description: 'Compte (propriétaire par défaut si absent)' }),
+                code: text({ description: 'Code admin à 14 chiffres' }),
+                otp: text({ description: 'Code TOTP si le second facteur est activé' }),
+                recoveryCode: text({ description: 'Code de récupération, à défaut du code TOTP' })
+            },
+            required: ['code']
+        },
+        responses: {
+            200: ok('Session ouverte', {
+                token: text(),
+                expiresAt: text({ format: 'date-time' }),
+                account: { type: 'object', properties: { username: text(), role: text() } },
+                recoveryCodesLeft: integer()
+            })
+        },
+        errors: [400, 401, 429]
+    },
+    {
+        method: 'post', path: '/api/admin/logout', tag: 'Authentification', permission: null,
+        summary: 'Révoquer la session courante',
+        responses: { 200: ok('Session révoquée') },
+        errors: [401]
+    },
+    {
+        method: 'get', path: '/api/admin/me', tag: 'Authentification', permission: null,
+        summary: 'Compte connecté et ses permissions',
+        responses: {
+            200: ok('Compte connecté', {
+                account: ref('Account'),
+                permissions: { type: 'array', items: text() },
+                session: ref('Session')
+            })
+        },
+        errors: [401]
+    },
+    {
+        method: 'get', path: '/api/admin/totp', tag: 'Second facteur', permission: null,
+        summary: 'État du TOTP du compte connecté',
+        responses: {
+            200: ok('État du TOTP', {
+                totp: {
+                    type: 'object',
+                    properties: { enabled: { type: 'boolean' }, pending: { type: 'boolean' }, recoveryCodesLeft: integer() }
+                }
+            })
+        },
+        errors: [401]
+    },
+    {
+        method: 'post', path: '/api/admin/totp/enroll', tag: 'Second facteur', permission: null,
+        summary: 'Générer un secret TOTP à confirmer',
+        responses: { 200: ok('Secret en attente de confirmation', { secret: text(), otpauthUri: text() }) },
+        errors: [401, 409]
+    },
+    {
+        method: 'post', path: '/api/admin/totp/activate', tag: 'Second facteur', permission: null,
+        summary: 'Activer le TOTP avec un premier code',
+        body: { properties: { otp: text({ pattern: '^\\d{6}$' }) }, required: ['otp'] },
+        responses: { 200: ok('TOTP activé', { recoveryCodes: { type: 'array', items: text() } }) },
+        errors: [400, 401, 409]
+    },
+    {
+        method: 'post', path: '/api/admin/totp/recovery-codes', tag: 'Second facteur', permission: null,
+        summary: 'Régénérer les codes de récupération',
+        body: { properties: { otp: text({ pattern: '^\\d{6}$' }) }, required: ['otp'] },
+        responses: { 200: ok('Nouveaux codes', { recoveryCodes: { type: 'array', items: text() } }) },
+        errors: [400, 401, 409]
+    },
+    {
+        method: 'post', path: '/api/admin/totp/disable', tag: 'Second facteur', permission: null,
+        summary: 'Désactiver le TOTP (code admin et second facteur requis)',
+        body: {
+            properties: { code: ADMIN_CODE, otp: text(), recoveryCode: text() },
+            required: ['code']
+        },
+        responses: { 200: ok('TOTP désactivé') },
+        errors: [400, 401, 409]
+    },
+
+    // ---------- Comptes et sessions ----------
+    {
+        method: 'get', path: '/api/admin/accounts', tag: 'Comptes', permission: 'accounts:manage',
+        summary: 'Lister les comptes admin',
+        responses: { 200: ok('Comptes', { accounts: { type: 'array', items: ref('Account') } }) },
+        errors: [401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/accounts', tag: 'Comptes', permission: 'accounts:manage',
+        summary: 'Créer un compte admin',
+        body: {
+            properties: {
+                username: text({ pattern: '^[a-zA-Z0-9._-]{3,32}$' }),
+                code: ADMIN_CODE,
+                role: text({ enum: Object.keys(accounts.ROLES) })
+            },
+            required: ['username', 'code', 'role']
+        },
+        responses: { 200: ok('Compte créé', { account: ref('Account') }) },
+        errors: [400, 401, 403, 409]
+    },
+    {
+        method: 'put', path: '/api/admin/accounts/:id', tag: 'Comptes', permission: 'accounts:manage',
+        summary: 'Modifier le code, le rôle ou la désactivation d\'un compte',
+        body: {
+            properties: {
+                code: ADMIN_CODE,
+                role: text({ enum: Object.keys(accounts.ROLES) }),
+                disabled: { type: 'boolean' }
+            }
+        },
+        responses: { 200: ok('Compte modifié', { account: ref('Account') }) },
+        errors: [400, 401, 403, 404, 409]
+    },
+    {
+        method: 'delete', path: '/api/admin/accounts/:id', tag: 'Comptes', permission: 'accounts:manage',
+        summary: 'Supprimer un compte admin',
+        responses: { 200: ok('Compte supprimé') },
+        errors: [401, 403, 404, 409]
+    },
+    {
+        method: 'delete', path: '/api/admin/accounts/:id/totp', tag: 'Comptes', permission: 'accounts:manage',
+        summary: 'Réinitialiser le TOTP d\'un compte (appareil perdu)',
+        responses: { 200: ok('TOTP réinitialisé') },
+        errors: [401, 403, 404]
+    },
+    {
+        method: 'get', path: '/api/admin/sessions', tag: 'Comptes', permission: null,
+        summary: 'Lister les sessions (les siennes, ou celles d\'un compte avec accounts:manage)',
+        query: { accountId: text() },
+        responses: { 200: ok('Sessions', { sessions: { type: 'array', items: ref('Session') } }) },
+        errors: [401]
+    },
+    {
+        method: 'delete', path: '/api/admin/sessions/:id', tag: 'Comptes', permission: null,
+        summary: 'Révoquer une session',
+        responses: { 200: ok('Session révoquée') },
+        errors: [401, 404]
+    },
+
+    // ---------- Fichiers ----------
+    {
+        method: 'get', path: '/api/admin/files', tag: 'Fichiers', permission: 'files:read',
+        summary: 'Lister tous les fichiers, privés compris',
+        query: { ...FILE_QUERY, private: text({ enum: ['true', 'false'] }) },
+        responses: {
+            200: ok('Page de fichiers', {
+                files: { type: 'array', items: ref('File') },
+                total: integer(),
+                nextCursor: nullable(text())
+            })
+        },
+        errors: [400, 401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/files', tag: 'Fichiers', permission: 'files:write',
+        summary: 'Ajouter un fichier, avec ses éventuels fichiers joints (un champ par rôle)',
+        multipart: {
+            properties: {
+                file: binary('Fichier principal'),
+                ...FILE_METADATA,
+                secretPolicy: SECRET_POLICY,
+                template: text({ description: 'Schéma JSON des variables ({ "variables": { ... } }): le fichier devient un modèle' }),
+                ...Object.fromEntries(catalog.PART_ROLES.map(role => [role, {
+                    type: 'array',
+                    items: binary(),
+                    description: `Fichier(s) joint(s) de rôle ${role}`
+                }]))
+            },
+            required: ['file', 'name', 'expiryDate'],
+            ...NETWORK_REQUIRED
+        },
+        responses: { 200: ok('Fichier ajouté', { file: ref('File') }) },
+        errors: [400, 401, 403]
+    },
+    {
+        method: 'get', path: '/api/admin/files/:id/original', tag: 'Fichiers', permission: 'files:read',
+        summary: 'Télécharger l\'original d\'un fichier, avant retrait des secrets',
+        responses: { 200: download('Fichier original'), 206: download('Plage demandée') },
+        errors: [401, 403, 404, 416]
+    },
+    {
+        method: 'put', path: '/api/admin/files/:id', tag: 'Fichiers', permission: 'files:write',
+        summary: 'Modifier les métadonnées d\'un fichier',
+        body: {
+            properties: FILE_METADATA,
+            required: ['name', 'expiryDate'],
+            ...NETWORK_REQUIRED
+        },
+        responses: { 200: ok('Fichier modifié', { file: ref('File') }) },
+        errors: [400, 401, 403, 404]
+    },
+    {
+        method: 'delete', path: '/api/admin/files/:id', tag: 'Fichiers', permission: 'files:delete',
+        summary: 'Supprimer un fichier, ses versions et ses fichiers joints',
+        responses: { 200: ok('Fichier supprimé') },
+        errors: [401, 403, 404]
+    },
+    {
+        method: 'post', path: '/api/admin/files/:id/parts', tag: 'Fichiers', permission: 'files:write',
+        summary: 'Joindre un fichier à une entrée',
+        multipart: {
+            properties: {
+                file: binary(),
+                role: text({ enum: catalog.PART_ROLES }),
+                secretPolicy: SECRET_POLICY
+            },
+            required: ['file', 'role']
+        },
+        responses: {
+            200: ok('Fichier joint ajouté', {
+                part: ref('Part'),
+                parts: { type: 'array', items: ref('Part') }
+            })
+        },
+        errors: [400, 401, 403, 404]
+    },
+    {
+        method: 'delete', path: '/api/admin/files/:id/parts/:partId', tag: 'Fichiers', permission: 'files:write',
+        summary: 'Retirer un fichier joint',
+        responses: { 200: ok('Fichier joint retiré') },
+        errors: [401, 403, 404]
+    },
+
+    // ---------- Réseaux ----------
+    {
+        method: 'get', path: '/api/admin/networks', tag: 'Réseaux', permission: 'files:read',
+        summary: 'Lister les réseaux avec le nombre de fichiers, privés compris',
+        responses: { 200: ok('Réseaux', { networks: { type: 'array', items: ref('Network') } }) },
+        errors: [401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/networks', tag: 'Réseaux', permission: 'networks:manage',
+        summary: 'Créer un réseau (slug dérivé du nom s\'il est absent)',
+        body: { properties: NETWORK_FIELDS, required: ['name'] },
+        responses: { 200: ok('Réseau créé', { network: ref('Network') }) },
+        errors: [400, 401, 403, 409]
+    },
+    {
+        method: 'put', path: '/api/admin/networks/:id', tag: 'Réseaux', permission: 'networks:manage',
+        summary: 'Modifier un réseau',
+        body: { properties: NETWORK_FIELDS },
+        responses: { 200: ok('Réseau modifié', { network: ref('Network') }) },
+        errors: [400, 401, 403, 404, 409]
+    },
+    {
+        method: 'delete', path: '/api/admin/networks/:id', tag: 'Réseaux', permission: 'networks:manage',
+        summary: 'Supprimer un réseau, ou le fusionner dans un autre avec moveTo',
+        query: { moveTo: text({ description: 'Réseau qui reçoit les fichiers du réseau supprimé' }) },
+        responses: { 200: ok('Réseau supprimé', { moved: integer() }) },
+        errors: [400, 401, 403, 404, 409]
+    },
+
+    // ---------- Limites et quotas ----------
+    {
+        method: 'post', path: '/api/admin/files/:id/downloads/reset', tag: 'Quotas', permission: 'files:write',
+        summary: 'Remettre à zéro le compteur de téléchargements d\'un fichier',
+        responses: { 200: ok('Compteur remis à zéro', { file: ref('File') }) },
+        errors: [401, 403, 404]
+    },
+    {
+        method: 'get', path: '/api/admin/quotas', tag: 'Quotas', permission: 'files:read',
+        summary: 'Consommation des quotas quotidiens, client par client',
+        responses: {
+            200: ok('Quotas', {
+                dailyQuota: nullable(integer()),
+                keyMode: text({ enum: ['ip', 'cookie'] }),
+                clients: { type: 'array', items: { type: 'object' } }
+            })
+        },
+        errors: [401, 403]
+    },
+    {
+        method: 'delete', path: '/api/admin/quotas', tag: 'Quotas', permission: 'files:write',
+        summary: 'Remettre à zéro les quotas d\'un client (client ou ip), ou de tous',
+        query: { client: text(), ip: text() },
+        responses: { 200: ok('Quotas remis à zéro', { reset: integer() }) },
+        errors: [401, 403]
+    },
+
+    // ---------- Versions ----------
+    {
+        method: 'post', path: '/api/admin/files/:id/versions', tag: 'Versions', permission: 'files:write',
+        summary: 'Ajouter une nouvelle version du contenu',
+        multipart: {
+            properties: { file: binary(), secretPolicy: SECRET_POLICY },
+            required: ['file']
+        },
+        responses: { 200: ok('Version ajoutée', { file: ref('File'), version: { type: 'object' } }) },
+        errors: [400, 401, 403, 404]
+    },
+    {
+        method: 'get', path: '/api/admin/files/:id/versions', tag: 'Versions', permission: 'files:read',
+        summary: 'Historique des versions d\'un fichier',
+        responses: { 200: ok('Versions', { currentVersion: integer(), versions: { type: 'array', items: { type: 'object' } } }) },
+        errors: [401, 403, 404]
+    },
+    {
+        method: 'post', path: '/api/admin/files/:id/rollback', tag: 'Versions', permission: 'files:write',
+        summary: 'Revenir à une version antérieure',
+        body: { properties: { version: integer({ minimum: 1 }) }, required: ['version'] },
+        responses: { 200: ok('Version restaurée', { file: ref('File') }) },
+        errors: [400, 401, 403, 404, 409]
+    },
+
+    // ---------- Liens signés ----------
+    {
+        method: 'post', path: '/api/admin/files/:id/links', tag: 'Liens signés', permission: 'files:write',
+        summary: 'Créer un lien de téléchargement signé (24 heures par défaut, 90 jours au plus)',
+        body: {
+            properties: {
+                expiresAt: text({ format: 'date-time' }),
+                expiresInHours: { type: 'number', exclusiveMinimum: 0 },
+                maxUses: nullable(integer({ minimum: 1 }))
+            }
+        },
+        responses: { 200: ok('Lien créé', { link: ref('Link'), url: text({ format: 'uri' }) }) },
+        errors: [400, 401, 403, 404]
+    },
+    {
+        method: 'get', path: '/api/admin/files/:id/links', tag: 'Liens signés', permission: 'files:read',
+        summary: 'Lister les liens actifs d\'un fichier',
+        responses: { 200: ok('Liens', { links: { type: 'array', items: ref('Link') } }) },
+        errors: [401, 403]
+    },
+    {
+        method: 'delete', path: '/api/admin/links/:id', tag: 'Liens signés', permission: 'files:write',
+        summary: 'Révoquer un lien signé',
+        responses: { 200: ok('Lien révoqué') },
+        errors: [401, 403, 404]
+    },
+
+    // ---------- Modèles de configuration ----------
+    {
+        method: 'put', path: '/api/admin/files/:id/template', tag: 'Modèles', permission: 'files:write',
+        summary: 'Remplacer le schéma des variables d\'un modèle (il doit couvrir les emplacements du fichier)',
+        body: {
+            properties: {
+                variables: { type: 'object', additionalProperties: TEMPLATE_VARIABLE }
+            },
+            required: ['variables']
+        },
+        responses: { 200: ok('Schéma mis à jour', { file: ref('File') }) },
+        errors: [400, 401, 403, 404, 409]
+    },
+    {
+        method: 'post', path: '/api/admin/files/:id/render-tokens', tag: 'Modèles', permission: 'files:write',
+        summary: 'Émettre un jeton de rendu qui impose certaines valeurs (24 heures par défaut, 90 jours au plus)',
+        body: {
+            properties: {
+                values: TEMPLATE_VALUES,
+                expiresAt: text({ format: 'date-time' }),
+                expiresInHours: { type: 'number', exclusiveMinimum: 0 }
+            },
+            required: ['values']
+        },
+        responses: {
+            200: ok('Jeton créé', {
+                token: text(),
+                expiresAt: text({ format: 'date-time' }),
+                url: text({ format: 'uri' })
+            })
+        },
+        errors: [400, 401, 403, 404, 409]
+    },
+
+    // ---------- Statistiques et nettoyage ----------
+    {
+        method: 'get', path: '/api/admin/stats', tag: 'Statistiques', permission: 'stats:read',
+        summary: 'Statistiques générales du catalogue',
+        responses: { 200: ok('Statistiques', { stats: { type: 'object' } }) },
+        errors: [401, 403]
+    },
+    {
+        method: 'get', path: '/api/admin/events', tag: 'Statistiques', permission: 'stats:read',
+        summary: 'Flux SSE admin: événements de tous les fichiers (privés compris), file.downloaded et stats',
+        query: LIVE_QUERY,
+        responses: eventStream('Mêmes événements que /api/events avec isPrivate, by et reason, plus file.downloaded; '
+            + 'stats (sans id) porte les chiffres de /api/admin/stats à l\'ouverture et après chaque rafale'),
+        errors: [401, 403]
+    },
+    {
+        method: 'get', path: '/api/admin/analytics', tag: 'Statistiques', permission: 'stats:read',
+        summary: 'Téléchargements par période, par fichier et par réseau',
+        query: {
+            interval: text({ enum: Object.keys(analytics.INTERVALS), default: 'day' }),
+            from: isoDate('Début (30 jours avant to par défaut)'),
+            to: isoDate('Fin (maintenant par défaut)'),
+            fileId: text(),
+            network: text(),
+            limit: integer({ minimum: 1, default: 10 })
+        },
+        responses: { 200: ok('Statistiques', { analytics: { type: 'object' } }) },
+        errors: [400, 401, 403]
+    },
+    {
+        method: 'get', path: '/api/admin/sweeper/dry-run', tag: 'Nettoyage', permission: 'stats:read',
+        summary: 'Simuler un nettoyage des fichiers expirés',
+        responses: { 200: ok('Simulation', { settings: { type: 'object' }, result: { type: 'object' } }) },
+        errors: [401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/sweeper/run', tag: 'Nettoyage', permission: 'files:delete',
+        summary: 'Lancer un nettoyage immédiatement',
+        responses: { 200: ok('Nettoyage terminé', { run: { type: 'object' } }) },
+        errors: [401, 403, 409]
+    },
+    {
+        method: 'get', path: '/api/admin/sweeper/runs', tag: 'Nettoyage', permission: 'stats:read',
+        summary: 'Historique des nettoyages',
+        query: { limit: integer({ minimum: 1, maximum: 100, default: 20 }) },
+        responses: { 200: ok('Nettoyages', { runs: { type: 'array', items: { type: 'object' } } }) },
+        errors: [401, 403]
+    },
+
+    // ---------- Webhooks ----------
+    {
+        method: 'get', path: '/api/admin/webhooks', tag: 'Webhooks', permission: 'webhooks:manage',
+        summary: 'Lister les webhooks et les événements disponibles',
+        responses: {
+            200: ok('Webhooks', {
+                events: { type: 'array', items: text() },
+                webhooks: { type: 'array', items: ref('Webhook') }
+            })
+        },
+        errors: [401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/webhooks', tag: 'Webhooks', permission: 'webhooks:manage',
+        summary: 'Créer un webhook (le secret de signature n\'est affiché qu\'une fois)',
+        body: { properties: WEBHOOK_FIELDS, required: ['url', 'events'] },
+        responses: { 200: ok('Webhook créé', { webhook: ref('Webhook'), secret: text() }) },
+        errors: [400, 401, 403]
+    },
+    {
+        method: 'put', path: '/api/admin/webhooks/:id', tag: 'Webhooks', permission: 'webhooks:manage',
+        summary: 'Modifier un webhook',
+        body: { properties: { ...WEBHOOK_FIELDS, active: { type: 'boolean' } } },
+        responses: { 200: ok('Webhook modifié', { webhook: ref('Webhook') }) },
+        errors: [400, 401, 403, 404]
+    },
+    {
+        method: 'delete', path: '/api/admin/webhooks/:id', tag: 'Webhooks', permission: 'webhooks:manage',
+        summary: 'Supprimer un webhook',
+        responses: { 200: ok('Webhook supprimé') },
+        errors: [401, 403, 404]
+    },
+    {
+        method: 'get', path: '/api/admin/webhooks/:id/deliveries', tag: 'Webhooks', permission: 'webhooks:manage',
+        summary: 'Dernières livraisons d\'un webhook',
+        query: { limit: integer({ minimum: 1, maximum: 500, default: 50 }) },
+        responses: { 200: ok('Livraisons', { deliveries: { type: 'array', items: { type: 'object' } } }) },
+        errors: [401, 403, 404]
+    },
+    {
+        method: 'post', path: '/api/admin/webhooks/:id/test', tag: 'Webhooks', permission: 'webhooks:manage',
+        summary: 'Envoyer un événement de test',
+        responses: { 200: ok('Événement de test mis en file') },
+        errors: [401, 403, 404]
+    },
+
+    // ---------- Journal d'audit ----------
+    {
+        method: 'get', path: '/api/admin/audit', tag: 'Audit', permission: 'audit:read',
+        summary: 'Parcourir le journal d\'audit, du plus récent au plus ancien',
+        query: {
+            actor: text(),
+            action: text({ description: 'Action exacte (file.update) ou préfixe (file)' }),
+            targetId: text(),
+            from: isoDate(),
+            to: isoDate(),
+            limit: integer({ minimum: 1, maximum: audit.MAX_LIMIT, default: audit.DEFAULT_LIMIT }),
+            cursor: integer({ minimum: 1, description: 'nextCursor de la page précédente' })
+        },
+        responses: {
+            200: ok('Entrées', {
+                entries: { type: 'array', items: ref('AuditEntry') },
+                nextCursor: nullable(integer())
+            })
+        },
+        errors: [400, 401, 403]
+    },
+    {
+        method: 'get', path: '/api/admin/audit/verify', tag: 'Audit', permission: 'audit:read',
+        summary: 'Vérifier l\'intégrité de la chaîne du journal',
+        responses: { 200: ok('Résultat de la vérification', { verification: { type: 'object' } }) },
+        errors: [401, 403]
+    },
+
+    // ---------- Sauvegarde et stockage ----------
+    {
+        method: 'get', path: '/api/admin/backup', tag: 'Sauvegarde', permission: 'backup:manage',
+        summary: 'Exporter le catalogue et les fichiers stockés (.tar.gz)',
+        responses: { 200: { description: 'Archive de sauvegarde', content: { 'application/gzip': { schema: binary() } } } },
+        errors: [401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/backup/restore', tag: 'Sauvegarde', permission: 'backup:manage',
+        summary: 'Restaurer une sauvegarde (merge ou replace, dryRun pour vérifier sans appliquer)',
+        multipart: {
+            properties: {
+                archive: binary('Archive .tar.gz produite par l\'export'),
+                mode: text({ enum: backup.MODES, default: 'merge' }),
+                dryRun: formBoolean()
+            },
+            required: ['archive']
+        },
+        responses: { 200: ok('Rapport de restauration', { report: { type: 'object' } }) },
+        errors: [400, 401, 403]
+    },
+    {
+        method: 'get', path: '/api/admin/storage', tag: 'Stockage', permission: 'storage:manage',
+        summary: 'Clé maître active et fichiers chiffrés par clé',
+        responses: { 200: ok('État du chiffrement', { storage: { type: 'object' } }) },
+        errors: [401, 403]
+    },
+    {
+        method: 'post', path: '/api/admin/storage/rotate-key', tag: 'Stockage', permission: 'storage:manage',
+        summary: 'Rechiffrer les clés de données avec la clé maître active (generate: en créer une nouvelle)',
+        body: { properties: { generate: formBoolean() } },
+        responses: {
+            200: ok('Rapport de rotation. Les anciennes clés sont gardées tant que des écritures commencées avant '
+                + 'la rotation sont en cours (report.pendingWrites): relancez alors la rotation', { report: { type: 'object' } }),
+            409: {
+                description: 'Des fichiers sont chiffrés avec une clé maître inconnue (code KEY_ROTATION_INCOMPLETE, '
+                    + 'avec le rapport), ou generate est impossible avec une clé venant de l\'environnement',
+                content: {
+                    'application/json': {
+                        schema: { allOf: [ref('Error'), { type: 'object', properties: { report: { type: 'object' } } }] }
+                    }
+                }
+            }
+        },
+        errors: [401, 403]
+    },
+
+    // ---------- Supervision ----------
+    {
+        method: 'get', path: '/healthz', tag: 'Supervision',
+        summary: 'Le processus répond (aucune dépendance vérifiée)',
+        responses: { 200: ok('En vie', { status: text({ const: 'ok' }), uptime: { type: 'number', description: 'Secondes depuis le démarrage' } }) }
+    },
+    {
+        method: 'get', path: '/readyz', tag: 'Supervision',
+        summary: 'Le service est prêt: base SQLite lisible, uploads/ accessible en écriture, espace disque suffisant',
+        responses: {
+            200: ok('Prêt', { status: text({ const: 'ready' }), checks: ref('ReadinessChecks') }),
+            503: {
+                description: 'Au moins une vérification est en échec (code NOT_READY)',
+                content: {
+                    'application/json': {
+                        schema: { allOf: [ref('Error'), { type: 'object', properties: { checks: ref('ReadinessChecks') } }] }
+                    }
+                }
+            }
+        }
+    },
+    {
+        method: 'get', path: '/metrics', tag: 'Supervision',
+        summary: 'Métriques au format texte Prometheus (Authorization: Bearer METRICS_TOKEN si défini)',
+        responses: { 200: { description: 'Métriques', content: { 'text/plain': { schema: text() } } } },
+        errors: [401]
+    },
+
+    // ---------- Pages et contrat ----------
+    {
+        method: 'get', path: '/api/openapi.json', tag: 'Contrat',
+        summary: 'Ce document OpenAPI',
+        responses: { 200: { description: 'Document OpenAPI 3.1', content: { 'application/json': { schema: { type: 'object' } } } } }
+    },
+    {
+        method: 'get', path: '/admin', tag: 'Pages',
+        summary: 'Interface d\'administration',
+        responses: { 200: { description: 'Page HTML', content: { 'text/html': { schema: text() } } } }
+    },
+    {
+        method: 'get', path: '/', tag: 'Pages',
+        summary: 'Page d\'accueil publique',
+        responses: { 200: { description: 'Page HTML', content: { 'text/html': { schema: text() } } } }
+    }
+];
+
+// ============================================
+// DOCUMENT OPENAPI
+// ============================================
+
+function pathParams(expressPath) {
+    return (expressPath.match(/:(\w+)/g) || []).map(name => name.slice(1));
+}
+
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+// Un corps multipart est validé sur ses champs texte: les fichiers sont contrôlés à part
+function isBinary(schema) {
+    return schema.format === 'binary' || (schema.type === 'array' && schema.items && schema.items.format === 'binary');
+}
+
+function objectSchema({ properties = {}, required = [], ...rest }) {
+    return { type: 'object', properties, ...(required.length > 0 ? { required } : {}), ...rest };
+}
+
+function buildOperation(operation) {
+    const parameters = [
+        ...pathParams(operation.path).map(name => ({ name, in: 'path', required: true, schema: text({ minLength: 1 }) })),
+        ...Object.entries(operation.query || {}).map(([name, schema]) => ({
+            name,
+            in: 'query',
+            required: (operation.requiredQuery || []).includes(name),
+            ...(schema.description ? { description: schema.description } : {}),
+            schema
+        }))
+    ];
+
+    const result = {
+        operationId: `${operation.method}${toOpenApiPath(operation.path)}`,
+        tags: [operation.tag],
+        summary: operation.summary,
+        ...(parameters.length > 0 ? { parameters } : {})
+    };
+
+    if (operation.body) {
+        result.requestBody = {
+            required: Boolean(operation.body.required),
+            content: { 'application/json': { schema: objectSchema(operation.body) } }
+        };
+    }
+    if (operation.multipart) {
+        result.requestBody = {
+            required: true,
+            content: { 'multipart/form-data': { schema: objectSchema(operation.multipart) } }
+        };
+    }
+
+    if (operation.permission !== undefined) {
+        result.security = [{ bearerAuth: [] }, { adminToken: [] }];
+        result['x-permission'] = operation.permission;
+    }
+
+    result.responses = { ...operation.responses };
+    for (const status of operation.errors || []) {
+        result.responses[status] = { $ref: `#/components/responses/Error${status}` };
+    }
+    if (operation.body || operation.multipart || operation.query || pathParams(operation.path).length > 0) {
+        result.responses[400] = result.responses[400] || { $ref: '#/components/responses/Error400' };
+    }
+    result.responses[500] = { $ref: '#/components/responses/Error500' };
+
+    return result;
+}
+
+const ERROR_RESPONSES = {
+    400: 'Requête invalide (VALIDATION_ERROR, INVALID_JSON, INVALID_UPLOAD, SECRETS_DETECTED, QR_TOO_LARGE...)',
+    401: 'Session absente ou invalide (UNAUTHORIZED), identifiants ou second facteur refusés',
+    403: 'Action interdite (FORBIDDEN, FILE_EXPIRED, FILE_EXHAUSTED, LINK_REQUIRED, LINK_INVALID...)',
+    404: 'Ressource non trouvée (NOT_FOUND, STORED_FILE_MISSING)',
+    409: 'Conflit avec l\'état actuel (CONFLICT)',
+    410: 'Lien signé expiré, utilisé ou révoqué (LINK_EXPIRED, LINK_USED, LINK_REVOKED)',
+    416: 'Plage d\'octets non satisfiable',
+    429: 'Trop de requêtes (RATE_LIMITED) ou quota quotidien atteint (QUOTA_EXCEEDED)',
+    500: 'Erreur serveur (INTERNAL_ERROR)'
+};
+
+function buildDocument() {
+    const paths = {};
+    for (const operation of OPERATIONS) {
+        const openApiPath = toOpenApiPath(operation.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][operation.method] = buildOperation(operation);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'NumLab-VPN API',
+            version: packageInfo.version,
+            description: `${packageInfo.description}. Toutes les erreurs JSON ont la forme `
+                + '{ success: false, code, message }: le code est stable, le message est en français.'
+        },
+        servers: [{ url: '/' }],
+        tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Jeton obtenu par POST /api/admin/login' },
+                adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+            },
+            schemas: SCHEMAS,
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+                `Error${status}`,
+                { description, content: { 'application/json': { schema: ref('Error') } } }
+            ]))
+        }
+    };
+}
+
+const document = buildDocument();
+
+// ============================================
+// VALIDATION DES REQUÊTES
+// ============================================
+
+// Les paramètres de chemin et de requête arrivent en texte: ils sont convertis avant validation.
+// Les corps JSON sont validés tels quels.
+const coercing = addFormats(new Ajv2020({ allErrors: true, strict: false, verbose: true, coerceTypes: true }));
+const strict = addFormats(new Ajv2020({ allErrors: true, strict: false, verbose: true }));
+
+function compileOperation(operation) {
+    const params = pathParams(operation.path);
+    const multipart = operation.multipart
+        ? {
+            ...operation.multipart,
+            properties: Object.fromEntries(Object.entries(operation.multipart.properties)
+                .filter(([, schema]) => !isBinary(schema))),
+            required: (operation.multipart.required || []).filter(name => !isBinary(operation.multipart.properties[name]))
+        }
+        : null;
+
+    return {
+        operation,
+        pattern: new RegExp(`^${operation.path.replace(/:(\w+)/g, '([^/]+)')}/?$`),
+        params,
+        binaryFields: operation.multipart
+            ? (operation.multipart.required || []).filter(name => isBinary(operation.multipart.properties[name]))
+            : [],
+        validatePath: params.length > 0
+            ? coercing.compile(objectSchema({
+                properties: Object.fromEntries(params.map(name => [name, text({ minLength: 1 })])),
+                required: params
+            }))
+            : null,
+        validateQuery: operation.query
+            ? coercing.compile(objectSchema({ properties: operation.query, required: operation.requiredQuery || [] }))
+            : null,
+        validateBody: operation.body ? strict.compile(objectSchema(operation.body)) : null,
+        validateMultipart: multipart ? coercing.compile(objectSchema(multipart)) : null
+    };
+}
+
+const ROUTES = OPERATIONS.map(compileOperation);
+
+function findRoute(method, requestPath) {
+    const lower = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+    for (const route of ROUTES) {
+        if (route.operation.method === lower) {
+            const match = route.pattern.exec(requestPath);
+            if (match) {
+                return { route, values: match.slice(1) };
+            }
+        }
+    }
+    return null;
+}
+
+// Message lisible pour une erreur Ajv
+function describeError(error) {
+    const field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    const prefix = field ? `${field}: ` : '';
+    const params = error.params;
+
+    switch (error.keyword) {
+        case 'required':
+            return { field: params.missingProperty, message: 'champ requis' };
+        case 'type':
+            return { field, message: `${prefix}type attendu ${[].concat(params.type).join(' ou ')}` };
+        case 'enum':
+            return { field, message: `${prefix}valeur invalide. Valeurs possibles: ${params.allowedValues.join(', ')}` };
+        case 'const':
+            return { field, message: `${prefix}valeur attendue ${JSON.stringify(params.allowedValue)}` };
+        case 'format':
+            return { field, message: `${prefix}format ${params.format} attendu` };
+        case 'pattern':
+            return {
+                field,
+                message: params.pattern === NON_EMPTY ? `${prefix}ne doit pas être vide` : `${prefix}format invalide (motif ${params.pattern})`
+            };
+        case 'minimum':
+        case 'maximum':
+        case 'exclusiveMinimum':
+        case 'exclusiveMaximum':
+            return { field, message: `${prefix}doit être ${params.comparison} ${params.limit}` };
+        case 'minLength':
+            return { field, message: params.limit === 1 ? `${prefix}ne doit pas être vide` : `${prefix}${params.limit} caractères minimum` };
+        case 'maxLength':
+            return { field, message: `${prefix}${params.limit} caractères maximum` };
+        case 'minItems':
+            return { field, message: `${prefix}au moins ${params.limit} élément(s)` };
+        case 'anyOf':
+        case 'oneOf': {
+            // Dates: "format date ou date-time attendu" plutôt que le détail de chaque branche
+            const branches = error.parentSchema[error.keyword];
+            if (branches.every(branch => branch.format)) {
+                return { field, message: `${prefix}format ${branches.map(branch => branch.format).join(' ou ')} attendu` };
+            }
+            // Champs requis au choix: "networkId ou network requis"
+            if (branches.every(branch => branch.required)) {
+                return { field, message: `${branches.map(branch => branch.required.join(' et ')).join(' ou ')} requis` };
+            }
+            return { field, message: field ? `${prefix}valeur invalide` : 'champ requis manquant' };
+        }
+        default:
+            return { field, message: `${prefix}${error.message}` };
+    }
+}
+
+// Une erreur par champ: l'erreur globale d'un anyOf / oneOf remplace celles de ses branches
+function collectErrors(location, errors = []) {
+    const alternatives = errors.filter(error => ['anyOf', 'oneOf'].includes(error.keyword));
+    const byField = new Map();
+
+    for (const error of errors) {
+        if (alternatives.some(parent => error !== parent && error.schemaPath.startsWith(`${parent.schemaPath}/`))) {
+            continue;
+        }
+        const key = `${error.instancePath}|${error.keyword === 'required' ? error.params.missingProperty : ''}`;
+        if (!byField.has(key)) {
+            byField.set(key, { in: location, ...describeError(error) });
+        }
+    }
+    return [...byField.values()];
+}
+
+function validationFailed(res, errors) {
+    const first = errors[0];
+    const detail = first.field && !first.message.startsWith(first.field) ? `${first.field}: ${first.message}` : first.message;
+    return res.status(400).json({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        message: `Requête invalide (${detail}).`,
+        errors
+    });
+}
+
+// Valider chemin, requête et corps JSON d'une requête associée à son opération (req.openapi).
+// Le corps des formulaires multipart n'est lu qu'après multer: voir validateMultipart.
+function validateRequest(req, res, next) {
+    if (!req.openapi) {
+        return next();
+    }
+
+    const { route, values } = req.openapi;
+    const errors = [];
+
+    if (route.validatePath) {
+        const params = Object.fromEntries(route.params.map((name, i) => [name, decodeURIComponent(values[i])]));
+        if (!route.validatePath(params)) {
+            errors.push(...collectErrors('path', route.validatePath.errors));
+        }
+    }
+
+    if (route.validateQuery && !route.validateQuery({ ...req.query })) {
+        errors.push(...collectErrors('query', route.validateQuery.errors));
+    }
+
+    if (route.validateBody && !req.is('multipart/form-data')) {
+        const body = req.body && typeof req.body === 'object' ? req.body : {};
+        if (!route.validateBody(body)) {
+            errors.push(...collectErrors('body', route.validateBody.errors));
+        }
+    }
+
+    return errors.length > 0 ? validationFailed(res, errors) : next();
+}
+
+// Middleware global: associer la requête à son opération du contrat. Une route publique est
+// validée tout de suite; une route admin l'est par validateRequest une fois la session vérifiée,
+// pour qu'un client non connecté reçoive 401 et non le détail du contrat.
+function matchOperation(req, res, next) {
+    const found = findRoute(req.method, req.path);
+    if (!found) {
+        return next();
+    }
+
+    req.openapi = found;
+    return found.route.operation.permission === undefined ? validateRequest(req, res, next) : next();
+}
+
+function uploadedFiles(req) {
+    return req.files ? Object.values(req.files).flat() : [req.file].filter(Boolean);
+}
+
+// Après multer: valider les champs d'un formulaire multipart et la présence des fichiers requis.
+// En cas d'échec, les fichiers déjà reçus sont supprimés.
+async function validateMultipart(req, res, next) {
+    const route = req.openapi && req.openapi.route;
+    if (!route || !route.validateMultipart) {
+        return next();
+    }
+
+    const received = new Set(uploadedFiles(req).map(file => file.fieldname));
+    const errors = route.binaryFields
+        .filter(name => !received.has(name))
+        .map(name => ({ in: 'body', field: name, message: 'fichier requis' }));
+
+    if (!route.validateMultipart({ ...req.body })) {
+        errors.push(...collectErrors('body', route.validateMultipart.errors));
+    }
+
+    if (errors.length === 0) {
+        return next();
+    }
+
+    for (const file of uploadedFiles(req)) {
+        await fs.remove(file.path);
+    }
+    return validationFailed(res, errors);
+}
+
+// Routes Express absentes du contrat (et l'inverse), signalées au démarrage
+function findUndocumentedRoutes(app) {
+    const documented = new Set(OPERATIONS.map(operation => `${operation.method} ${operation.path}`));
+    const registered = new Set();
+
+    for (const layer of app._router.stack) {
+        if (layer.route) {
+            for (const method of Object.keys(layer.route.methods)) {
+                registered.add(`${method} ${layer.route.path}`);
+            }
+        }
+    }
+
+    return {
+        undocumented: [...registered].filter(route => !documented.has(route)),
+        unimplemented: [...documented].filter(route => !registered.has(route))
+    };
+}
+
+module.exports = {
+    SPEC_PATH,
+    ERROR_CODES,
+    document,
+    codeForStatus,
+    errorCodes,
+    matchOperation,
+    validateRequest,
+    validateMultipart,
+    findUndocumentedRoutes
+};
@@ -0,0 +1,70 @@
+// ============================================
+// NumLab-VPN - Codes QR des configurations (import dans les applications mobiles)
+// Créé par Merdi Madimba
+// ============================================
+
+const path = require('path');
+const QRCode = require('qrcode');
+const vpnConfig = require('./vpn-config');
+
+// Configurations importables par scan: WireGuard (.conf) et OpenVPN (.ovpn)
+const QR_EXTENSIONS = vpnConfig.PARSED_EXTENSIONS;
+
+const FORMATS = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+// Capacité d'un code QR version 40 en mode octet, niveau de correction L (celui de
+// qrencode, utilisé par la documentation WireGuard). Au-delà, aucun code QR ne suffit.
+const MAX_BYTES = 2953;
+
+// Largeur de l'image PNG en pixels
+const DEFAULT_WIDTH = 512;
+const MIN_WIDTH = 128;
+const MAX_WIDTH = 2048;
+
+function qrError(message, code, details) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+function isQrFile(filename) {
+    return QR_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+// Rendre le contenu d'une configuration en code QR.
+// Retourne { contentType, body }; lève une erreur 400 QR_TOO_LARGE si le contenu ne tient pas.
+async function render(content, { format = 'png', width = DEFAULT_WIDTH } = {}) {
+    const size = Buffer.byteLength(content, 'utf8');
+    if (size > MAX_BYTES) {
+        throw qrError(
+            `Configuration trop volumineuse pour un code QR (${size} octets, ${MAX_BYTES} au maximum). Téléchargez le fichier.`,
+            'QR_TOO_LARGE',
+            { size, maxSize: MAX_BYTES }
+        );
+    }
+
+    // Segment octet explicite: la capacité vérifiée ci-dessus est celle de ce mode
+    const segments = [{ data: Buffer.from(content, 'utf8'), mode: 'byte' }];
+    const options = { errorCorrectionLevel: 'L', margin: 2 };
+
+    if (format === 'svg') {
+        return { contentType: FORMATS.svg, body: await QRCode.toString(segments, { ...options, type: 'svg' }) };
+    }
+    return { contentType: FORMATS.png, body: await QRCode.toBuffer(segments, { ...options, type: 'png', width }) };
+}
+
+module.exports = {
+    QR_EXTENSIONS,
+    FORMATS,
+    MAX_BYTES,
+    DEFAULT_WIDTH,
+    MIN_WIDTH,
+    MAX_WIDTH,
+    isQrFile,
+    render
+};
@@ -0,0 +1,218 @@
+// ============================================
+// NumLab-VPN - Limites de téléchargement par fichier et quotas quotidiens par client
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getDb, DATA_DIR } = require('./db');
+
+const SECRET_FILE = path.join(DATA_DIR, 'quota-secret');
+
+// Nombre de téléchargements autorisés par client et par jour (UTC), tout le catalogue confondu.
+// 0 désactive le quota.
+const DAILY_QUOTA = numberFromEnv('DOWNLOAD_DAILY_QUOTA', 0);
+
+// Identification du client: adresse IP, ou cookie signé émis au premier passage
+const KEY_MODES = ['ip', 'cookie'];
+const KEY_MODE = KEY_MODES.includes(process.env.DOWNLOAD_QUOTA_KEY) ? process.env.DOWNLOAD_QUOTA_KEY : 'ip';
+
+const COOKIE_NAME = 'numlab_client';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+let quotaSecret = null;
+
+function numberFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// ============================================
+// SECRET ET IDENTIFICATION DU CLIENT
+// ============================================
+
+// Charger le secret depuis DOWNLOAD_QUOTA_SECRET, ou le générer une fois dans data/
+async function initQuotas() {
+    if (process.env.DOWNLOAD_QUOTA_SECRET) {
+        quotaSecret = process.env.DOWNLOAD_QUOTA_SECRET;
+    } else if (await fs.pathExists(SECRET_FILE)) {
+        quotaSecret = (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+    } else {
+        quotaSecret = crypto.randomBytes(32).toString('hex');
+        await fs.outputFile(SECRET_FILE, quotaSecret, { mode: 0o600 });
+    }
+}
+
+function hmac(value) {
+    return crypto.createHmac('sha256', quotaSecret).update(value).digest('hex');
+}
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+// Identifiant du cookie s'il est correctement signé
+function verifyClientCookie(value) {
+    const match = /^([a-f0-9]{32})\.([a-f0-9]{64})$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const expected = hmac(`cookie:${match[1]}`);
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(match[2])) ? match[1] : null;
+}
+
+// Clé du client pour les quotas. Ni l'IP ni l'identifiant du cookie ne sont stockés en clair.
+// En mode cookie, un nouveau cookie signé est émis si le client n'en a pas de valide.
+function clientKey(req, res) {
+    if (KEY_MODE === 'ip') {
+        return hmac(`ip:${req.ip || ''}`).slice(0, 32);
+    }
+
+    let clientId = verifyClientCookie(readCookie(req, COOKIE_NAME));
+    if (!clientId) {
+        clientId = crypto.randomBytes(16).toString('hex');
+        res.cookie(COOKIE_NAME, `${clientId}.${hmac(`cookie:${clientId}`)}`, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: COOKIE_MAX_AGE_MS
+        });
+    }
+    return hmac(`client:${clientId}`).slice(0, 32);
+}
+
+// Clé correspondant à une adresse IP, pour qu'un admin puisse réinitialiser un client précis
+function keyForIp(ip) {
+    return hmac(`ip:${ip}`).slice(0, 32);
+}
+
+// ============================================
+// QUOTAS QUOTIDIENS
+// ============================================
+
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function nextReset(now = new Date()) {
+    const reset = new Date(now);
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset.toISOString();
+}
+
+function allowance(used, now) {
+    return {
+        limit: DAILY_QUOTA,
+        used: used,
+        remaining: Math.max(DAILY_QUOTA - used, 0),
+        resetsAt: nextReset(now)
+    };
+}
+
+// Quota du client pour aujourd'hui, ou null si les quotas sont désactivés
+function getAllowance(key, now = new Date()) {
+    if (!DAILY_QUOTA) {
+        return null;
+    }
+
+    const row = getDb().prepare('SELECT count FROM download_quotas WHERE client_key = ? AND day = ?').get(key, today(now));
+    return allowance(row ? row.count : 0, now);
+}
+
+// Consommer un téléchargement (mise à jour atomique). Retourne { ok, allowance }.
+function consume(key, now = new Date()) {
+    if (!DAILY_QUOTA) {
+        return { ok: true, allowance: null };
+    }
+
+    const db = getDb();
+    const day = today(now);
+
+    // Les compteurs des jours précédents ne servent plus
+    db.prepare('DELETE FROM download_quotas WHERE day < ?').run(day);
+
+    const row = db.prepare(`
+        INSERT INTO download_quotas (client_key, day, count) VALUES (?, ?, 1)
+        ON CONFLICT (client_key, day) DO UPDATE SET count = count + 1 WHERE count < ?
+        RETURNING count
+    `).get(key, day, DAILY_QUOTA);
+
+    return row
+        ? { ok: true, allowance: allowance(row.count, now) }
+        : { ok: false, allowance: allowance(DAILY_QUOTA, now) };
+}
+
+// Rendre un téléchargement consommé mais finalement refusé
+function release(key, now = new Date()) {
+    if (!DAILY_QUOTA) {
+        return;
+    }
+    getDb()
+        .prepare('UPDATE download_quotas SET count = count - 1 WHERE client_key = ? AND day = ? AND count > 0')
+        .run(key, today(now));
+}
+
+// Consommation du jour, client par client (admin)
+function listUsage(now = new Date()) {
+    return getDb()
+        .prepare('SELECT client_key, count FROM download_quotas WHERE day = ? ORDER BY count DESC, client_key')
+        .all(today(now))
+        .map(row => ({ client: row.client_key, ...allowance(row.count, now) }));
+}
+
+// Remettre à zéro les compteurs d'un client, ou de tous. Retourne le nombre de clients concernés.
+function resetUsage(key) {
+    const db = getDb();
+    return key
+        ? db.prepare('DELETE FROM download_quotas WHERE client_key = ?').run(key).changes
+        : db.prepare('DELETE FROM download_quotas').run().changes;
+}
+
+// ============================================
+// LIMITE PAR FICHIER
+// ============================================
+
+// Téléchargements restants avant épuisement, ou null si le fichier n'est pas limité
+function downloadsRemaining(file) {
+    return file.maxDownloads ? Math.max(file.maxDownloads - (file.downloadCount || 0), 0) : null;
+}
+
+// Un fichier épuisé se comporte comme un fichier expiré: il n'est plus servi
+function isExhausted(file) {
+    return downloadsRemaining(file) === 0;
+}
+
+// En-têtes décrivant ce qu'il reste au client et au fichier
+function setHeaders(res, { quota, file }) {
+    if (quota) {
+        res.setHeader('X-Download-Quota-Limit', quota.limit);
+        res.setHeader('X-Download-Quota-Remaining', quota.remaining);
+        res.setHeader('X-Download-Quota-Reset', quota.resetsAt);
+    }
+    if (file && file.maxDownloads) {
+        res.setHeader('X-File-Downloads-Remaining', downloadsRemaining(file));
+    }
+}
+
+module.exports = {
+    DAILY_QUOTA,
+    KEY_MODE,
+    initQuotas,
+    clientKey,
+    keyForIp,
+    getAllowance,
+    consume,
+    release,
+    listUsage,
+    resetUsage,
+    downloadsRemaining,
+    isExhausted,
+    setHeaders
+};
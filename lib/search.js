@@ -0,0 +1,239 @@
+// ============================================
+// NumLab-VPN - Recherche, filtres, tri et pagination des listes de fichiers
+// Créé par Merdi Madimba
+// ============================================
+
+const path = require('path');
+
+// Clés de tri acceptées et valeur comparée pour chacune
+const SORTS = {
+    createdAt: file => file.createdAt,
+    expiryDate: file => new Date(file.expiryDate).getTime(),
+    name: file => normalize(file.name),
+    downloads: file => file.downloadCount || 0
+};
+
+const STATUSES = ['active', 'expired'];
+
+// Regroupements acceptés (groupBy)
+const GROUPS = ['network'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function invalidQuery(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Minuscules et sans accents, pour une recherche tolérante
+function normalize(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function parseList(value) {
+    return String(value).split(',').map(item => normalize(item.trim())).filter(Boolean);
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw invalidQuery(`Date invalide pour ${name}.`);
+    }
+    return date;
+}
+
+// Type d'un fichier: openvpn / wireguard pour les configurations analysées, sinon son extension
+function fileType(file) {
+    if (file.config && file.config.type) {
+        return file.config.type;
+    }
+    return path.extname(file.filename || '').slice(1).toLowerCase();
+}
+
+// ============================================
+// CURSEUR
+// ============================================
+
+// Le curseur désigne le dernier élément de la page: il reste valable si des fichiers sont ajoutés
+function encodeCursor(sort, order, file) {
+    const payload = { s: sort, o: order, v: SORTS[sort](file), id: file.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let payload = null;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        payload = null;
+    }
+
+    if (!payload || typeof payload.id !== 'string' || !('v' in payload)) {
+        throw invalidQuery('Curseur invalide.');
+    }
+    if (payload.s !== sort || payload.o !== order) {
+        throw invalidQuery('Ce curseur a été obtenu avec un autre tri.');
+    }
+    return payload;
+}
+
+// ============================================
+// ANALYSE DE LA REQUÊTE
+// ============================================
+
+// Valider les paramètres de requête. Les filtres privés ne sont acceptés que pour les admins.
+function parseFileQuery(query, { admin = false } = {}) {
+    const criteria = {
+        terms: query.q ? normalize(query.q).split(/\s+/).filter(Boolean) : [],
+        networks: query.network ? parseList(query.network) : [],
+        types: query.type ? parseList(query.type) : [],
+        status: query.status || null,
+        expiresAfter: query.expiresAfter ? parseDate(query.expiresAfter, 'expiresAfter') : null,
+        expiresBefore: query.expiresBefore ? parseDate(query.expiresBefore, 'expiresBefore') : null,
+        isPrivate: null,
+        sort: query.sort || 'createdAt',
+        order: query.order || 'desc',
+        limit: DEFAULT_LIMIT,
+        cursor: null,
+        groupBy: query.groupBy || null
+    };
+
+    if (criteria.status && !STATUSES.includes(criteria.status)) {
+        throw invalidQuery(`Statut invalide. Valeurs possibles: ${STATUSES.join(', ')}.`);
+    }
+
+    if (criteria.groupBy && !GROUPS.includes(criteria.groupBy)) {
+        throw invalidQuery(`Regroupement invalide. Valeurs possibles: ${GROUPS.join(', ')}.`);
+    }
+
+    if (!SORTS[criteria.sort]) {
+        throw invalidQuery(`Tri invalide. Valeurs possibles: ${Object.keys(SORTS).join(', ')}.`);
+    }
+
+    if (!['asc', 'desc'].includes(criteria.order)) {
+        throw invalidQuery('Ordre invalide. Valeurs possibles: asc, desc.');
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw invalidQuery(`La limite doit être un entier entre 1 et ${MAX_LIMIT}.`);
+        }
+        criteria.limit = limit;
+    }
+
+    if (query.cursor) {
+        criteria.cursor = decodeCursor(query.cursor, criteria.sort, criteria.order);
+    }
+
+    if (admin && query.private !== undefined) {
+        if (!['true', 'false'].includes(query.private)) {
+            throw invalidQuery('Le filtre private doit valoir true ou false.');
+        }
+        criteria.isPrivate = query.private === 'true';
+    }
+
+    return criteria;
+}
+
+// ============================================
+// RECHERCHE
+// ============================================
+
+function matches(file, criteria, now) {
+    if (criteria.terms.length > 0) {
+        const haystack = normalize(`${file.name} ${file.description} ${file.network}`);
+        if (!criteria.terms.every(term => haystack.includes(term))) {
+            return false;
+        }
+    }
+
+    // Réseau désigné par son slug ou son nom
+    if (criteria.networks.length > 0 && !criteria.networks.includes(normalize(file.network))
+        && !criteria.networks.includes(file.networkSlug)) {
+        return false;
+    }
+
+    if (criteria.types.length > 0 && !criteria.types.includes(fileType(file))) {
+        return false;
+    }
+
+    const expiry = new Date(file.expiryDate);
+
+    if (criteria.status === 'active' && expiry < now) {
+        return false;
+    }
+    if (criteria.status === 'expired' && expiry >= now) {
+        return false;
+    }
+    if (criteria.expiresAfter && expiry < criteria.expiresAfter) {
+        return false;
+    }
+    if (criteria.expiresBefore && expiry > criteria.expiresBefore) {
+        return false;
+    }
+
+    if (criteria.isPrivate !== null && file.isPrivate !== criteria.isPrivate) {
+        return false;
+    }
+
+    return true;
+}
+
+function compare(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+// Filtrer, trier et paginer. Retourne { files, total, nextCursor }.
+// Une liste regroupée (groupBy) n'est pas paginée: chaque groupe doit être complet.
+function searchFiles(files, criteria, now = new Date()) {
+    const key = SORTS[criteria.sort];
+    const direction = criteria.order === 'asc' ? 1 : -1;
+
+    // Tri stable sur (clé, id) pour que le curseur désigne une position unique
+    const byKey = (a, b) => direction * (compare(a.value, b.value) || compare(a.file.id, b.file.id));
+
+    const sorted = files
+        .filter(file => matches(file, criteria, now))
+        .map(file => ({ file, value: key(file) }))
+        .sort(byKey);
+
+    if (criteria.groupBy) {
+        return { files: sorted.map(entry => entry.file), total: sorted.length, nextCursor: null };
+    }
+
+    let start = 0;
+    if (criteria.cursor) {
+        const position = { value: criteria.cursor.v, file: { id: criteria.cursor.id } };
+        start = sorted.findIndex(entry => byKey(entry, position) > 0);
+        if (start === -1) {
+            start = sorted.length;
+        }
+    }
+
+    const page = sorted.slice(start, start + criteria.limit).map(entry => entry.file);
+    const hasMore = start + page.length < sorted.length;
+
+    return {
+        files: page,
+        total: sorted.length,
+        nextCursor: hasMore && page.length > 0
+            ? encodeCursor(criteria.sort, criteria.order, page[page.length - 1])
+            : null
+    };
+}
+
+module.exports = {
+    SORTS,
+    STATUSES,
+    GROUPS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    fileType,
+    parseFileQuery,
+    searchFiles
+};
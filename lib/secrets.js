@@ -0,0 +1,127 @@
+// ============================================
+// NumLab-VPN - Détection et retrait des secrets dans les uploads
+// Créé par Merdi Madimba
+// ============================================
+
+const encryption = require('./encryption');
+
+// Extensions analysées à l'upload
+const SCANNED_EXTENSIONS = ['.ovpn', '.conf', '.key', '.pem'];
+
+// Politiques applicables quand un secret est détecté:
+// - warn: le fichier est publié tel quel, les détections sont enregistrées
+// - block: l'upload est refusé
+// - redact: une copie sans les secrets est publiée, l'original reste réservé aux admins
+const POLICIES = ['warn', 'block', 'redact'];
+
+const DEFAULT_POLICY = POLICIES.includes(process.env.SECRET_POLICY_DEFAULT) ? process.env.SECRET_POLICY_DEFAULT : 'warn';
+
+// Blocs inline OpenVPN contenant des secrets propres à un client
+const SECRET_BLOCKS = {
+    'key': {
+        type: 'openvpn-inline-key',
+        description: 'Clé privée inline <key>',
+        replacement: '# [NumLab-VPN] Bloc <key> retiré: ajoutez votre propre clé privée'
+    },
+    'secret': {
+        type: 'openvpn-static-key',
+        description: 'Clé statique inline <secret>',
+        replacement: '# [NumLab-VPN] Bloc <secret> retiré: ajoutez votre propre clé statique'
+    },
+    'auth-user-pass': {
+        type: 'openvpn-inline-credentials',
+        description: 'Identifiants inline <auth-user-pass>',
+        replacement: 'auth-user-pass'
+    }
+};
+
+const PEM_PRIVATE_KEY_BEGIN = /^-----BEGIN ((RSA|EC|DSA|OPENSSH|ENCRYPTED) )?PRIVATE KEY-----$/;
+const PEM_PRIVATE_KEY_END = /^-----END ((RSA|EC|DSA|OPENSSH|ENCRYPTED) )?PRIVATE KEY-----$/;
+
+const WIREGUARD_SECRETS = {
+    privatekey: {
+        type: 'wireguard-private-key',
+        description: 'Clé privée WireGuard (PrivateKey)',
+        replacement: '# PrivateKey = <votre clé privée>'
+    },
+    presharedkey: {
+        type: 'wireguard-preshared-key',
+        description: 'Clé pré-partagée WireGuard (PresharedKey)',
+        replacement: '# PresharedKey = <votre clé pré-partagée>'
+    }
+};
+
+// Parcourir le contenu ligne par ligne: retourne les détections et une version expurgée
+function analyzeSecrets(content) {
+    const findings = [];
+    const output = [];
+    const lines = content.split(/\r?\n/);
+    let block = null;
+    let pem = null;
+
+    lines.forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.trim();
+
+        if (block) {
+            if (line.toLowerCase() === `</${block}>`) {
+                block = null;
+            }
+            return;
+        }
+
+        if (pem) {
+            if (PEM_PRIVATE_KEY_END.test(line)) {
+                pem = null;
+            }
+            return;
+        }
+
+        const opening = line.match(/^<([a-z-]+)>$/i);
+        if (opening && SECRET_BLOCKS[opening[1].toLowerCase()]) {
+            const secret = SECRET_BLOCKS[opening[1].toLowerCase()];
+            block = opening[1].toLowerCase();
+            findings.push({ type: secret.type, line: lineNumber, description: secret.description });
+            output.push(secret.replacement);
+            return;
+        }
+
+        if (PEM_PRIVATE_KEY_BEGIN.test(line)) {
+            pem = true;
+            findings.push({ type: 'pem-private-key', line: lineNumber, description: 'Bloc de clé privée PEM' });
+            output.push('# [NumLab-VPN] Clé privée PEM retirée');
+            return;
+        }
+
+        const assignment = line.match(/^(\w+)\s*=/);
+        if (assignment && WIREGUARD_SECRETS[assignment[1].toLowerCase()]) {
+            const secret = WIREGUARD_SECRETS[assignment[1].toLowerCase()];
+            findings.push({ type: secret.type, line: lineNumber, description: secret.description });
+            output.push(secret.replacement);
+            return;
+        }
+
+        output.push(raw);
+    });
+
+    return { findings, redacted: output.join('\n') };
+}
+
+// Analyser un fichier stocké. Les fichiers binaires ne sont pas analysés.
+async function scanFile(filePath) {
+    const content = (await encryption.readFile(filePath)).toString('utf8');
+
+    if (content.includes('\0')) {
+        return { findings: [], redacted: null };
+    }
+
+    return analyzeSecrets(content);
+}
+
+module.exports = {
+    SCANNED_EXTENSIONS,
+    POLICIES,
+    DEFAULT_POLICY,
+    analyzeSecrets,
+    scanFile
+};
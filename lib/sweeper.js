@@ -0,0 +1,291 @@
+// ============================================
+// NumLab-VPN - Nettoyage des fichiers expirés
+// Créé par Merdi Madimba
+// ============================================
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getDb } = require('./db');
+const catalog = require('./catalog');
+const webhooks = require('./webhooks');
+const audit = require('./audit');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const ARCHIVE_DIR = path.join(__dirname, '..', 'archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Délais comptés à partir de la date d'expiration:
+// - après GRACE_DAYS, le fichier n'apparaît plus dans la liste publique
+// - après ARCHIVE_DAYS, ses fichiers physiques sont déplacés dans archive/
+// - après RETENTION_DAYS, il est supprimé définitivement
+const GRACE_DAYS = numberFromEnv('EXPIRY_GRACE_DAYS', 30);
+const ARCHIVE_DAYS = Math.max(numberFromEnv('EXPIRY_ARCHIVE_DAYS', 60), GRACE_DAYS);
+const RETENTION_DAYS = Math.max(numberFromEnv('EXPIRY_RETENTION_DAYS', 180), ARCHIVE_DAYS);
+
+// Fréquence d'exécution du nettoyage (toutes les heures par défaut). Zéro relancerait le
+// nettoyage sans arrêt: seule une durée positive est acceptée.
+const SWEEP_INTERVAL_MS = (numberFromEnv('SWEEP_INTERVAL_MINUTES', 60) || 60) * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+function daysSinceExpiry(file, now) {
+    return (now - new Date(file.expiryDate)) / DAY_MS;
+}
+
+// Un fichier expiré depuis plus que le délai de grâce n'est plus publié
+function isHidden(file, now = new Date()) {
+    return Boolean(file.archivedAt) || daysSinceExpiry(file, now) > GRACE_DAYS;
+}
+
+// Noms des fichiers physiques de toutes les versions d'un fichier et de ses fichiers joints
+function storedFilenames(file) {
+    const names = [];
+    for (const item of [...catalog.listVersions(file.id), ...catalog.listParts(file.id)]) {
+        names.push(item.storedFilename);
+        if (item.redactedFilename) {
+            names.push(item.redactedFilename);
+        }
+    }
+    return names;
+}
+
+// Emplacement d'un fichier physique, selon qu'il est archivé ou non
+function storedPath(file, filename) {
+    return path.join(file.archivedAt ? ARCHIVE_DIR : UPLOADS_DIR, filename);
+}
+
+// ============================================
+// PLANIFICATION
+// ============================================
+
+// Déterminer l'action à appliquer à chaque fichier expiré, sans rien modifier
+function planSweep(now = new Date()) {
+    const plan = { hidden: [], archive: [], purge: [] };
+
+    for (const file of catalog.listFiles()) {
+        const days = daysSinceExpiry(file, now);
+        if (days <= GRACE_DAYS) continue;
+
+        const entry = {
+            id: file.id,
+            name: file.name,
+            network: file.network,
+            expiryDate: file.expiryDate,
+            daysExpired: Math.floor(days)
+        };
+
+        if (days > RETENTION_DAYS) {
+            plan.purge.push({ ...entry, files: storedFilenames(file) });
+        } else if (days > ARCHIVE_DAYS && !file.archivedAt) {
+            plan.archive.push({ ...entry, files: storedFilenames(file) });
+        } else {
+            plan.hidden.push(entry);
+        }
+    }
+
+    return plan;
+}
+
+// ============================================
+// EXÉCUTION
+// ============================================
+
+async function archiveFile(file) {
+    await fs.ensureDir(ARCHIVE_DIR);
+    for (const name of storedFilenames(file)) {
+        const source = path.join(UPLOADS_DIR, name);
+        if (await fs.pathExists(source)) {
+            await fs.move(source, path.join(ARCHIVE_DIR, name), { overwrite: true });
+        }
+    }
+    catalog.setArchived(file.id, new Date().toISOString());
+}
+
+// Remettre en ligne un fichier archivé (par exemple quand sa date d'expiration est prolongée)
+async function restoreFile(file) {
+    if (!file.archivedAt) {
+        return;
+    }
+    for (const name of storedFilenames(file)) {
+        const source = path.join(ARCHIVE_DIR, name);
+        if (await fs.pathExists(source)) {
+            await fs.move(source, path.join(UPLOADS_DIR, name), { overwrite: true });
+        }
+    }
+    catalog.setArchived(file.id, null);
+}
+
+async function purgeFile(file) {
+    const names = storedFilenames(file);
+    catalog.deleteFile(file.id);
+    for (const name of names) {
+        await fs.remove(path.join(UPLOADS_DIR, name));
+        await fs.remove(path.join(ARCHIVE_DIR, name));
+    }
+    audit.record({
+        actor: 'system',
+        action: 'file.purge',
+        targetType: 'file',
+        targetId: file.id,
+        details: { name: file.name, network: file.network, expiryDate: file.expiryDate, files: names }
+    });
+    webhooks.emit('file.deleted', { file: webhooks.filePayload(file), reason: 'retention' });
+}
+
+// Appliquer le plan et enregistrer le résultat. En mode dryRun, retourne seulement le plan.
+async function runSweep({ dryRun = false } = {}) {
+    const startedAt = new Date();
+    const plan = planSweep(startedAt);
+
+    if (dryRun) {
+        return { dryRun: true, startedAt: startedAt.toISOString(), ...summarize(plan), plan };
+    }
+
+    if (running) {
+        return null;
+    }
+
+    running = true;
+    let error = null;
+    const done = { archive: [], purge: [] };
+
+    try {
+        for (const entry of plan.archive) {
+            const file = catalog.getFile(entry.id);
+            if (file) {
+                await archiveFile(file);
+                done.archive.push(entry);
+            }
+        }
+        for (const entry of plan.purge) {
+            const file = catalog.getFile(entry.id);
+            if (file) {
+                await purgeFile(file);
+                done.purge.push(entry);
+            }
+        }
+    } catch (err) {
+        console.error('Erreur lors du nettoyage des fichiers expirés:', err);
+        error = err.message;
+    } finally {
+        running = false;
+    }
+
+    const result = { hidden: plan.hidden, archive: done.archive, purge: done.purge };
+    const id = getDb().prepare(`
+        INSERT INTO sweep_runs (started_at, finished_at, hidden, archived, purged, details, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        startedAt.toISOString(),
+        new Date().toISOString(),
+        result.hidden.length,
+        result.archive.length,
+        result.purge.length,
+        JSON.stringify(result),
+        error
+    ).lastInsertRowid;
+
+    return getRun(id);
+}
+
+function summarize(plan) {
+    return {
+        hidden: plan.hidden.length,
+        archived: plan.archive.length,
+        purged: plan.purge.length
+    };
+}
+
+function rowToRun(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        hidden: row.hidden,
+        archived: row.archived,
+        purged: row.purged,
+        error: row.error,
+        details: row.details ? JSON.parse(row.details) : null
+    };
+}
+
+function getRun(id) {
+    return rowToRun(getDb().prepare('SELECT * FROM sweep_runs WHERE id = ?').get(id));
+}
+
+function listRuns(limit = 20) {
+    return getDb()
+        .prepare('SELECT * FROM sweep_runs ORDER BY id DESC LIMIT ?')
+        .all(limit)
+        .map(rowToRun);
+}
+
+// Statistiques générales du catalogue, avec le dernier nettoyage
+function catalogStats(now = new Date()) {
+    const files = catalog.listFiles();
+
+    return {
+        totalFiles: files.length,
+        activeFiles: files.filter(f => new Date(f.expiryDate) > now).length,
+        expiredFiles: files.filter(f => new Date(f.expiryDate) <= now).length,
+        totalDownloads: files.reduce((sum, f) => sum + (f.downloadCount || 0), 0),
+        hiddenFiles: files.filter(f => isHidden(f, now)).length,
+        archivedFiles: files.filter(f => f.archivedAt).length,
+        lastSweep: listRuns(1)[0] || null
+    };
+}
+
+// ============================================
+// PLANIFICATEUR
+// ============================================
+
+// Lancer un premier nettoyage au démarrage puis à intervalle régulier
+function startSweeper() {
+    if (timer) {
+        return;
+    }
+
+    const tick = () => runSweep().catch(error => {
+        console.error('Erreur lors du nettoyage des fichiers expirés:', error);
+    });
+
+    tick();
+    timer = setInterval(tick, SWEEP_INTERVAL_MS);
+    timer.unref();
+}
+
+function stopSweeper() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    GRACE_DAYS,
+    ARCHIVE_DAYS,
+    RETENTION_DAYS,
+    SWEEP_INTERVAL_MS,
+    isHidden,
+    storedFilenames,
+    storedPath,
+    planSweep,
+    runSweep,
+    restoreFile,
+    listRuns,
+    catalogStats,
+    startSweeper,
+    stopSweeper
+};
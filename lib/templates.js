@@ -0,0 +1,360 @@
+// ============================================
+// NumLab-VPN - Modèles de configuration rendus au téléchargement
+// Créé par Merdi Madimba
+// ============================================
+
+const path = require('path');
+const vpnConfig = require('./vpn-config');
+
+// Seules les configurations texte OpenVPN / WireGuard peuvent servir de modèle
+const TEMPLATE_EXTENSIONS = vpnConfig.PARSED_EXTENSIONS;
+
+// Emplacements du modèle: {{server}}, {{ client_name }}
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+// Paramètres de requête déjà utilisés par le téléchargement (jeton et lien signé)
+const RESERVED_NAMES = ['token', 'link', 'expires', 'max', 'sig'];
+
+const MAX_VARIABLES = 20;
+const MAX_ENUM_VALUES = 100;
+const MAX_VALUE_LENGTH = 255;
+
+// Un caractère de contrôle (retour à la ligne...) permettrait d'injecter des directives
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+function invalid(message, code = 'INVALID_TEMPLATE', errors) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    error.errors = errors;
+    return error;
+}
+
+function isTemplateFile(filename) {
+    return TEMPLATE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+// ============================================
+// SCHÉMA DES VARIABLES
+// ============================================
+
+// Vérifier et normaliser le schéma déclaré par l'admin (objet ou JSON):
+// { variables: { server: { enum: [...], default }, client: { pattern, description } } }.
+// Chaque variable a des valeurs permises: une liste (enum) ou une expression régulière (pattern).
+// Une variable sans valeur par défaut est obligatoire au téléchargement.
+function parseSchema(input) {
+    let schema = input;
+    if (typeof input === 'string') {
+        try {
+            schema = JSON.parse(input);
+        } catch (error) {
+            throw invalid('Le schéma du modèle n\'est pas un JSON valide.');
+        }
+    }
+
+    if (!schema || typeof schema !== 'object' || !schema.variables || typeof schema.variables !== 'object'
+        || Array.isArray(schema.variables)) {
+        throw invalid('Le schéma du modèle doit avoir la forme { "variables": { "nom": { ... } } }.');
+    }
+
+    const entries = Object.entries(schema.variables);
+    if (entries.length === 0 || entries.length > MAX_VARIABLES) {
+        throw invalid(`Un modèle déclare entre 1 et ${MAX_VARIABLES} variables.`);
+    }
+
+    const variables = {};
+    for (const [name, declared] of entries) {
+        variables[name] = parseVariable(name, declared);
+    }
+    return { variables };
+}
+
+function parseVariable(name, declared) {
+    if (!VARIABLE_NAME.test(name) || RESERVED_NAMES.includes(name)) {
+        throw invalid(`Nom de variable invalide: "${name}" (lettre puis lettres, chiffres ou _, 32 caractères maximum; `
+            + `noms réservés: ${RESERVED_NAMES.join(', ')}).`);
+    }
+    if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+        throw invalid(`Variable "${name}": déclaration invalide.`);
+    }
+
+    const { description, enum: values, pattern, default: defaultValue } = declared;
+    const variable = {};
+
+    if (description !== undefined) {
+        if (typeof description !== 'string' || description.length > 500) {
+            throw invalid(`Variable "${name}": la description doit être une chaîne de 500 caractères maximum.`);
+        }
+        variable.description = description;
+    }
+
+    if ((values === undefined) === (pattern === undefined)) {
+        throw invalid(`Variable "${name}": déclarez soit une liste de valeurs (enum), soit une expression régulière (pattern).`);
+    }
+
+    if (values !== undefined) {
+        if (!Array.isArray(values) || values.length === 0 || values.length > MAX_ENUM_VALUES
+            || !values.every(value => typeof value === 'string' && isSafeValue(value))) {
+            throw invalid(`Variable "${name}": enum doit être une liste de 1 à ${MAX_ENUM_VALUES} chaînes `
+                + `d'au plus ${MAX_VALUE_LENGTH} caractères, sans retour à la ligne.`);
+        }
+        variable.enum = [...new Set(values)];
+    }
+
+    if (pattern !== undefined) {
+        if (typeof pattern !== 'string' || !pattern || pattern.length > 500) {
+            throw invalid(`Variable "${name}": pattern doit être une expression régulière non vide.`);
+        }
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            throw invalid(`Variable "${name}": expression régulière invalide (${error.message}).`);
+        }
+        const problem = patternProblem(pattern);
+        if (problem) {
+            throw invalid(`Variable "${name}": expression régulière refusée (${problem}).`);
+        }
+        variable.pattern = pattern;
+    }
+
+    if (defaultValue !== undefined) {
+        const problem = checkValue(variable, defaultValue);
+        if (problem) {
+            throw invalid(`Variable "${name}": valeur par défaut refusée (${problem}).`);
+        }
+        variable.default = defaultValue;
+    }
+
+    return variable;
+}
+
+// Une expression est évaluée à chaque téléchargement, sur une valeur choisie par le client. Répéter sans
+// limite un groupe qui contient lui-même une répétition ou une alternative ("(a+)+", "(\w|\d)*") peut
+// demander un temps exponentiel (ReDoS): ces formes sont refusées, comme les références arrière.
+// Une répétition bornée reste permise si le groupe ne contient pas de répétition illimitée ("(?:\d{1,3}\.){3}").
+// Retourne la raison du refus, ou null. L'expression doit déjà être valide (compilée par RegExp).
+function patternProblem(pattern) {
+    // Pile des groupes ouverts, avec ce qu'ils contiennent: répétition illimitée (*, +, {n,}),
+    // ou choix entre plusieurs chemins (alternative, quantificateur borné ou ?)
+    const groups = [{ unbounded: false, ambiguous: false }];
+    let previous = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const current = groups[groups.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1])) {
+                return 'références arrière non autorisées';
+            }
+            i++;
+            previous = null;
+        } else if (char === '[') {
+            // Classe de caractères: un seul caractère, quel que soit son contenu
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') {
+                    i++;
+                }
+            }
+            previous = null;
+        } else if (char === '(') {
+            // Préfixes (?:, (?=, (?!, (?<=, (?<! et (?<nom>
+            if (pattern[i + 1] === '?') {
+                const lookbehind = pattern[i + 2] === '<' && /[=!]/.test(pattern[i + 3]);
+                if (pattern[i + 2] === '<' && !lookbehind) {
+                    i = pattern.indexOf('>', i);
+                } else {
+                    i += lookbehind ? 3 : 2;
+                }
+            }
+            groups.push({ unbounded: false, ambiguous: false });
+            previous = null;
+        } else if (char === ')') {
+            const group = groups.pop();
+            const parent = groups[groups.length - 1];
+            parent.unbounded = parent.unbounded || group.unbounded;
+            parent.ambiguous = parent.ambiguous || group.ambiguous;
+            previous = group;
+        } else if (char === '|') {
+            current.ambiguous = true;
+            previous = null;
+        } else if (char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)))) {
+            const quantifier = char === '{' ? pattern.slice(i, pattern.indexOf('}', i) + 1) : char;
+            const [min, max] = char === '{' ? quantifier.slice(1, -1).split(',') : [];
+            const unbounded = char === '*' || char === '+' || max === '';
+            const repeats = unbounded || (char === '{' && Number(max === undefined ? min : max) > 1);
+
+            if (previous && ((repeats && previous.unbounded) || (unbounded && previous.ambiguous))) {
+                return 'répétition d\'un groupe qui contient déjà une répétition ou une alternative';
+            }
+            current.unbounded = current.unbounded || unbounded;
+            current.ambiguous = current.ambiguous || !unbounded;
+
+            i += quantifier.length - 1;
+            // Quantificateur paresseux: "+?", "*?"
+            if (pattern[i + 1] === '?') {
+                i++;
+            }
+            previous = null;
+        } else {
+            previous = null;
+        }
+    }
+
+    return null;
+}
+
+function isSafeValue(value) {
+    return value.length <= MAX_VALUE_LENGTH && !CONTROL_CHARACTERS.test(value);
+}
+
+// Vérifier une valeur. Retourne la raison du refus, ou null si elle est permise.
+function checkValue(variable, value) {
+    if (typeof value !== 'string') {
+        return 'une chaîne de caractères est attendue';
+    }
+    if (!isSafeValue(value)) {
+        return `${MAX_VALUE_LENGTH} caractères maximum, sans retour à la ligne ni caractère de contrôle`;
+    }
+    if (variable.enum && !variable.enum.includes(value)) {
+        return `valeurs possibles: ${variable.enum.join(', ')}`;
+    }
+    // Un schéma enregistré avant ce contrôle n'est pas évalué s'il est dangereux
+    if (variable.pattern && patternProblem(variable.pattern)) {
+        return 'expression régulière du schéma refusée';
+    }
+    // L'expression doit couvrir toute la valeur, pas seulement une partie
+    if (variable.pattern && !new RegExp(`^(?:${variable.pattern})$`).test(value)) {
+        return `format attendu: ${variable.pattern}`;
+    }
+    return null;
+}
+
+// ============================================
+// CONTENU DU MODÈLE
+// ============================================
+
+function placeholders(content) {
+    return new Set([...content.matchAll(PLACEHOLDER)].map(match => match[1]));
+}
+
+// Le contenu et le schéma doivent correspondre exactement: un emplacement non déclaré ne serait
+// jamais remplacé, une variable inutilisée trahit presque toujours une faute de frappe.
+function checkContent(content, schema) {
+    const used = placeholders(content);
+    const declared = Object.keys(schema.variables);
+
+    const undeclared = [...used].filter(name => !declared.includes(name));
+    if (undeclared.length > 0) {
+        throw invalid(`Emplacement(s) non déclaré(s) dans le schéma: ${undeclared.join(', ')}.`);
+    }
+
+    const unused = declared.filter(name => !used.has(name));
+    if (unused.length > 0) {
+        throw invalid(`Variable(s) déclarée(s) mais absente(s) du modèle: ${unused.join(', ')}.`);
+    }
+}
+
+// Valeurs d'exemple (défaut, sinon première valeur permise) pour vérifier la configuration rendue
+// dès l'upload. Retourne null si une variable n'a ni défaut ni liste de valeurs.
+function sampleValues(schema) {
+    const values = {};
+    for (const [name, variable] of Object.entries(schema.variables)) {
+        const sample = variable.default !== undefined ? variable.default : (variable.enum || [])[0];
+        if (sample === undefined) {
+            return null;
+        }
+        values[name] = sample;
+    }
+    return values;
+}
+
+// Vérifier un modèle et décrire la configuration qu'il produit, rendue avec les valeurs d'exemple
+// (null si une variable n'en a pas). Lève INVALID_TEMPLATE ou INVALID_CONFIG.
+function describeTemplate(filename, content, schema) {
+    checkContent(content, schema);
+    const sample = sampleValues(schema);
+    return sample ? parseRendered(filename, render(content, sample)) : null;
+}
+
+function render(content, values) {
+    return content.replace(PLACEHOLDER, (match, name) => values[name]);
+}
+
+// Analyser la configuration rendue (métadonnées publiques, refus d'une configuration malformée)
+function parseRendered(filename, content) {
+    return vpnConfig.parseConfig(path.extname(filename), content);
+}
+
+// ============================================
+// VALEURS DU TÉLÉCHARGEMENT
+// ============================================
+
+// Vérifier des valeurs fournies pour certaines variables (ex. celles d'un jeton signé).
+// Lève une erreur 400 listant chaque valeur refusée.
+function checkValues(schema, values, location = 'body') {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw invalid('Les valeurs doivent être un objet { variable: valeur }.', 'INVALID_TEMPLATE_VALUES');
+    }
+
+    const errors = [];
+    for (const [name, value] of Object.entries(values)) {
+        const variable = schema.variables[name];
+        const problem = variable ? checkValue(variable, value) : 'variable inconnue';
+        if (problem) {
+            errors.push({ in: location, field: name, message: `${name}: ${problem}` });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw invalid(`Valeurs refusées (${errors[0].message}).`, 'INVALID_TEMPLATE_VALUES', errors);
+    }
+}
+
+// Valeurs de rendu: celles du jeton signé sont imposées, les autres viennent de la requête,
+// à défaut de la valeur par défaut. Lève une erreur 400 listant chaque valeur manquante ou refusée.
+function resolveValues(schema, query, fixed = {}) {
+    const values = {};
+    const errors = [];
+
+    for (const [name, variable] of Object.entries(schema.variables)) {
+        const requested = query[name];
+
+        if (fixed[name] !== undefined && requested !== undefined && requested !== fixed[name]) {
+            errors.push({ in: 'query', field: name, message: `${name}: valeur imposée par le jeton` });
+            continue;
+        }
+
+        const value = fixed[name] !== undefined ? fixed[name] : (requested !== undefined ? requested : variable.default);
+        if (value === undefined) {
+            errors.push({ in: 'query', field: name, message: `${name}: valeur requise` });
+            continue;
+        }
+
+        const problem = checkValue(variable, value);
+        if (problem) {
+            errors.push({ in: 'query', field: name, message: `${name}: ${problem}` });
+            continue;
+        }
+        values[name] = value;
+    }
+
+    if (errors.length > 0) {
+        throw invalid(`Valeurs du modèle refusées (${errors[0].message}).`, 'INVALID_TEMPLATE_VALUES', errors);
+    }
+    return values;
+}
+
+module.exports = {
+    TEMPLATE_EXTENSIONS,
+    RESERVED_NAMES,
+    isTemplateFile,
+    parseSchema,
+    checkContent,
+    describeTemplate,
+    render,
+    parseRendered,
+    checkValues,
+    resolveValues
+};
@@ -0,0 +1,288 @@
+// ============================================
+// NumLab-VPN - Second facteur TOTP (RFC 6238) et codes de récupération
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./db');
+
+const ISSUER = 'NumLab-VPN';
+
+// Paramètres compatibles avec toutes les applications d'authentification courantes
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+// Tolérance d'un pas de 30 s avant / après pour le décalage d'horloge
+const WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+}
+
+// ============================================
+// ALGORITHME
+// ============================================
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secret TOTP invalide.');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) pour un compteur donné
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+function generateToken(secret, now = Date.now()) {
+    return hotp(secret, currentStep(now));
+}
+
+// Retourne le pas de temps correspondant au code, ou null. Les pas déjà utilisés sont refusés.
+function matchStep(secret, token, lastStep, now = Date.now()) {
+    if (typeof token !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(token)) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let delta = -WINDOW; delta <= WINDOW; delta++) {
+        const candidate = step + delta;
+        if (lastStep !== null && lastStep !== undefined && candidate <= lastStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, candidate)), Buffer.from(token))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+function otpauthUri(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// ============================================
+// CODES DE RÉCUPÉRATION
+// ============================================
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// Remplacer les codes de récupération d'un compte. Les codes en clair ne sont retournés qu'ici.
+function replaceRecoveryCodes(accountId) {
+    const db = getDb();
+    const codes = [];
+    const now = new Date().toISOString();
+
+    db.prepare('DELETE FROM admin_recovery_codes WHERE account_id = ?').run(accountId);
+    const insert = db.prepare('INSERT INTO admin_recovery_codes (id, account_id, code_hash, created_at) VALUES (?, ?, ?, ?)');
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        insert.run(uuidv4(), accountId, hashRecoveryCode(code), now);
+        codes.push(code);
+    }
+
+    return codes;
+}
+
+// Consommer un code de récupération (usage unique, mise à jour atomique)
+function consumeRecoveryCode(accountId, code) {
+    if (typeof code !== 'string' || !code.trim()) {
+        return false;
+    }
+
+    return getDb().prepare(`
+        UPDATE admin_recovery_codes SET used_at = ?
+        WHERE account_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(new Date().toISOString(), accountId, hashRecoveryCode(code)).changes > 0;
+}
+
+function countRecoveryCodes(accountId) {
+    return getDb()
+        .prepare('SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE account_id = ? AND used_at IS NULL')
+        .get(accountId).count;
+}
+
+// ============================================
+// ENRÔLEMENT
+// ============================================
+
+function getState(accountId) {
+    return getDb()
+        .prepare('SELECT username, totp_secret, totp_enabled, totp_last_step FROM admin_accounts WHERE id = ?')
+        .get(accountId);
+}
+
+function getStatus(accountId) {
+    const state = getState(accountId);
+    return {
+        enabled: Boolean(state && state.totp_enabled),
+        pending: Boolean(state && state.totp_secret && !state.totp_enabled),
+        recoveryCodesLeft: state && state.totp_enabled ? countRecoveryCodes(accountId) : 0
+    };
+}
+
+// Générer un nouveau secret en attente de confirmation. Le TOTP n'est actif qu'après activate().
+function enroll(accountId) {
+    const state = getState(accountId);
+
+    if (state.totp_enabled) {
+        throw conflict('Le TOTP est déjà activé pour ce compte. Désactivez-le avant de le réinitialiser.');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+    getDb().prepare('UPDATE admin_accounts SET totp_secret = ?, totp_last_step = NULL WHERE id = ?').run(secret, accountId);
+
+    return { secret, otpauthUri: otpauthUri(secret, state.username) };
+}
+
+// Confirmer l'enrôlement avec un premier code. Retourne les codes de récupération, ou null si le code est faux.
+function activate(accountId, token) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const state = getState(accountId);
+
+        if (state.totp_enabled) {
+            throw conflict('Le TOTP est déjà activé pour ce compte.');
+        }
+        if (!state.totp_secret) {
+            throw conflict('Aucun enrôlement en cours. Demandez d\'abord un secret.');
+        }
+
+        const step = matchStep(state.totp_secret, token, null);
+        if (step === null) {
+            return null;
+        }
+
+        db.prepare('UPDATE admin_accounts SET totp_enabled = 1, totp_last_step = ? WHERE id = ?').run(step, accountId);
+        return replaceRecoveryCodes(accountId);
+    })();
+}
+
+function disable(accountId) {
+    const db = getDb();
+
+    db.transaction(() => {
+        db.prepare('UPDATE admin_accounts SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?')
+            .run(accountId);
+        db.prepare('DELETE FROM admin_recovery_codes WHERE account_id = ?').run(accountId);
+    })();
+}
+
+// ============================================
+// VÉRIFICATION
+// ============================================
+
+// Vérifier le second facteur: un code TOTP (jamais deux fois le même) ou un code de récupération.
+// Retourne 'totp', 'recovery' ou null.
+function verifySecondFactor(accountId, { otp, recoveryCode }) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const state = getState(accountId);
+
+        if (!state || !state.totp_enabled) {
+            return null;
+        }
+
+        if (otp) {
+            const step = matchStep(state.totp_secret, otp, state.totp_last_step);
+            if (step === null) {
+                return null;
+            }
+            db.prepare('UPDATE admin_accounts SET totp_last_step = ? WHERE id = ?').run(step, accountId);
+            return 'totp';
+        }
+
+        if (recoveryCode && consumeRecoveryCode(accountId, recoveryCode)) {
+            return 'recovery';
+        }
+
+        return null;
+    })();
+}
+
+module.exports = {
+    ISSUER,
+    DIGITS,
+    PERIOD_SECONDS,
+    RECOVERY_CODE_COUNT,
+    base32Encode,
+    base32Decode,
+    generateToken,
+    otpauthUri,
+    getStatus,
+    enroll,
+    activate,
+    disable,
+    verifySecondFactor,
+    replaceRecoveryCodes
+};
@@ -0,0 +1,195 @@
+// ============================================
+// NumLab-VPN - Analyse et stockage des fichiers uploadés
+// Créé par Merdi Madimba
+// ============================================
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { pipeline } = require('stream/promises');
+const vpnConfig = require('./vpn-config');
+const secrets = require('./secrets');
+const checksums = require('./checksums');
+const archives = require('./archives');
+const encryption = require('./encryption');
+const templates = require('./templates');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Types de fichiers acceptés et taille maximale d'un fichier
+const ALLOWED_EXTENSIONS = ['.ovpn', '.conf', '.config', '.txt', '.crt', '.key', '.pem', '.zip', '.rar', '.7z'];
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024; // 50MB max
+
+// Nom de stockage d'un fichier uploadé: horodatage, identifiant unique et extension d'origine
+function storedName(originalname) {
+    return `${Date.now()}-${uuidv4()}${path.extname(originalname)}`;
+}
+
+// Erreur de validation d'upload renvoyée au client avec le statut 400 et son code
+function uploadError(message, { code = 'INVALID_UPLOAD', findings } = {}) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    error.findings = findings;
+    return error;
+}
+
+// Analyser un fichier uploadé: validation des configurations OpenVPN / WireGuard,
+// détection des secrets et, selon la politique, création d'une copie publique expurgée.
+// Un modèle (template: schéma de ses variables) est vérifié contre son schéma et analysé une fois rendu.
+// Retourne { config, secretScan, redactedFilename, size, sha256, archiveEntries }.
+async function processUpload(file, secretPolicy, template = null) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const result = { config: null, secretScan: null, redactedFilename: null, size: file.size, sha256: null, archiveEntries: null };
+
+    // Métadonnées d'une configuration, ou d'un modèle rendu avec ses valeurs d'exemple
+    const describe = content => (template
+        ? templates.describeTemplate(file.originalname, content, template)
+        : vpnConfig.parseConfig(extension, content));
+
+    if (template) {
+        if (!templates.isTemplateFile(file.originalname)) {
+            throw uploadError(`Seuls les fichiers ${templates.TEMPLATE_EXTENSIONS.join(', ')} peuvent servir de modèle.`, { code: 'INVALID_TEMPLATE' });
+        }
+        if (file.size > vpnConfig.MAX_CONFIG_SIZE) {
+            throw uploadError('Modèle trop volumineux (maximum 1 Mo).', { code: 'INVALID_TEMPLATE' });
+        }
+        try {
+            result.config = describe((await encryption.readFile(file.path)).toString('utf8'));
+        } catch (error) {
+            if (error.code === 'INVALID_TEMPLATE' || error.code === 'INVALID_CONFIG') {
+                throw uploadError(error.message, { code: error.code === 'INVALID_TEMPLATE' ? 'INVALID_TEMPLATE' : 'INVALID_UPLOAD' });
+            }
+            throw error;
+        }
+    } else if (vpnConfig.PARSED_EXTENSIONS.includes(extension)) {
+        try {
+            result.config = await vpnConfig.parseConfigFile(file.path, extension);
+        } catch (error) {
+            if (error.code === 'INVALID_CONFIG') {
+                throw uploadError(error.message);
+            }
+            throw error;
+        }
+    }
+
+    // Contenu des archives .zip, refusées si elles sont piégées
+    if (archives.INSPECTED_EXTENSIONS.includes(extension)) {
+        try {
+            result.archiveEntries = await archives.inspectArchive(file.path);
+        } catch (error) {
+            if (error.code === 'INVALID_ARCHIVE') {
+                throw uploadError(error.message);
+            }
+            throw error;
+        }
+    }
+
+    // Empreinte du contenu servi publiquement (remplacée plus bas par celle de la copie expurgée)
+    result.sha256 = await checksums.hashContent(file.path);
+
+    if (!secrets.SCANNED_EXTENSIONS.includes(extension)) {
+        return result;
+    }
+
+    const { findings, redacted } = await secrets.scanFile(file.path);
+    result.secretScan = { policy: secretPolicy, findings: findings, redacted: false };
+
+    if (findings.length > 0 && secretPolicy === 'block') {
+        throw uploadError(`Upload refusé: ${findings.length} secret(s) détecté(s) dans le fichier.`, { code: 'SECRETS_DETECTED', findings });
+    }
+
+    if (findings.length > 0 && secretPolicy === 'redact' && redacted !== null) {
+        // Les métadonnées publiques décrivent la copie réellement servie
+        // (décrite avant l'écriture: un modèle dont l'expurgation retire un emplacement est refusé)
+        if (vpnConfig.PARSED_EXTENSIONS.includes(extension)) {
+            result.config = describe(redacted);
+        }
+
+        const redactedFilename = `${path.basename(file.filename, path.extname(file.filename))}.public${extension}`;
+        await encryption.writeFile(path.join(UPLOADS_DIR, redactedFilename), redacted);
+
+        result.redactedFilename = redactedFilename;
+        result.size = Buffer.byteLength(redacted);
+        result.sha256 = checksums.hashBuffer(redacted);
+        result.secretScan.redacted = true;
+    }
+
+    return result;
+}
+
+// Analyser des fichiers joints et préparer leurs enregistrements. Une clé privée est attendue
+// dans le rôle "key": elle est seulement signalée, jamais bloquée ni expurgée.
+// En cas d'échec, les copies expurgées déjà créées sont supprimées.
+async function processParts(parts, secretPolicy) {
+    const records = [];
+    try {
+        for (const { role, file } of parts) {
+            const processed = await processUpload(file, role === 'key' ? 'warn' : secretPolicy);
+            records.push({
+                id: uuidv4(),
+                role: role,
+                filename: file.originalname,
+                storedFilename: file.filename,
+                redactedFilename: processed.redactedFilename,
+                size: formatFileSize(processed.size),
+                sha256: processed.sha256,
+                config: processed.config,
+                secretScan: processed.secretScan
+            });
+        }
+    } catch (error) {
+        for (const record of records.filter(record => record.redactedFilename)) {
+            await fs.remove(path.join(UPLOADS_DIR, record.redactedFilename));
+        }
+        throw error;
+    }
+    return records;
+}
+
+// Importer un fichier local dans uploads/ (chiffré pendant la copie), comme le ferait multer.
+// Retourne un objet { originalname, filename, path, size } accepté par processUpload.
+async function storeLocalFile(sourcePath, originalname = path.basename(sourcePath)) {
+    const extension = path.extname(originalname).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+        throw uploadError('Type de fichier non autorisé. Types acceptés: ' + ALLOWED_EXTENSIONS.join(', '));
+    }
+
+    const { size } = await fs.stat(sourcePath);
+    if (size > MAX_UPLOAD_SIZE) {
+        throw uploadError('Fichier trop volumineux (maximum 50 Mo).', { code: 'UPLOAD_TOO_LARGE' });
+    }
+
+    await fs.ensureDir(UPLOADS_DIR);
+    const filename = storedName(originalname);
+    const filePath = path.join(UPLOADS_DIR, filename);
+    try {
+        await pipeline(fs.createReadStream(sourcePath), encryption.createEncryptStream(), fs.createWriteStream(filePath));
+    } catch (error) {
+        await fs.remove(filePath);
+        throw error;
+    }
+
+    return { originalname, filename, path: filePath, size };
+}
+
+// Taille lisible enregistrée avec le fichier: 1536 -> "1.5 KB"
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    ALLOWED_EXTENSIONS,
+    MAX_UPLOAD_SIZE,
+    storedName,
+    uploadError,
+    processUpload,
+    processParts,
+    storeLocalFile,
+    formatFileSize
+};
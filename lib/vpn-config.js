@@ -0,0 +1,425 @@
+// ============================================
+// NumLab-VPN - Analyse des configurations OpenVPN / WireGuard
+// Créé par Merdi Madimba
+// ============================================
+
+const encryption = require('./encryption');
+
+// Taille maximale d'un fichier de configuration analysé (1 Mo)
+const MAX_CONFIG_SIZE = 1024 * 1024;
+
+// Blocs inline OpenVPN reconnus (<ca>...</ca>, etc.)
+const OPENVPN_INLINE_BLOCKS = [
+    'ca', 'cert', 'key', 'tls-auth', 'tls-crypt', 'tls-crypt-v2', 'extra-certs',
+    'dh', 'pkcs12', 'secret', 'auth-user-pass', 'http-proxy-user-pass', 'peer-fingerprint', 'connection'
+];
+
+// Blocs devant contenir un objet PEM ou une clé statique
+const PEM_BLOCKS = ['ca', 'cert', 'key', 'extra-certs', 'dh'];
+const STATIC_KEY_BLOCKS = ['tls-auth', 'tls-crypt', 'secret'];
+
+const OPENVPN_PROTOCOLS = ['udp', 'tcp', 'udp4', 'tcp4', 'udp6', 'tcp6', 'tcp-client'];
+
+function invalid(message, line) {
+    const error = new Error(line ? `${message} (ligne ${line})` : message);
+    error.code = 'INVALID_CONFIG';
+    error.line = line || null;
+    return error;
+}
+
+function parsePort(value, line, label) {
+    if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > 65535) {
+        throw invalid(`Port ${label} invalide: "${value}"`, line);
+    }
+    return Number(value);
+}
+
+function splitLines(content) {
+    if (content.includes('\0')) {
+        throw invalid('Le fichier de configuration n\'est pas un fichier texte.');
+    }
+    return content.replace(/^\uFEFF/, '').split(/\r?\n/);
+}
+
+// ============================================
+// OPENVPN
+// ============================================
+
+function parseOpenVpn(content) {
+    const lines = splitLines(content);
+    const remotes = [];
+    const inline = {};
+    const options = {};
+    let defaultPort = 1194;
+    let defaultProto = 'udp';
+    let block = null;
+
+    lines.forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.trim();
+
+        // À l'intérieur d'un bloc inline: on attend la balise fermante
+        if (block) {
+            if (/^<\/[a-z0-9-]+>$/i.test(line)) {
+                const closing = line.slice(2, -1).toLowerCase();
+                if (closing !== block.name) {
+                    throw invalid(`Balise </${closing}> inattendue, </${block.name}> attendue`, lineNumber);
+                }
+                closeInlineBlock(block, inline, lineNumber);
+                block = null;
+            } else if (block.name === 'connection') {
+                parseConnectionLine(line, lineNumber, block);
+            } else {
+                block.content.push(line);
+            }
+            return;
+        }
+
+        if (line === '' || line.startsWith('#') || line.startsWith(';')) {
+            return;
+        }
+
+        const opening = line.match(/^<([a-z0-9-]+)>$/i);
+        if (opening) {
+            const name = opening[1].toLowerCase();
+            if (!OPENVPN_INLINE_BLOCKS.includes(name)) {
+                throw invalid(`Bloc inline inconnu <${name}>`, lineNumber);
+            }
+            block = { name, startLine: lineNumber, content: [], remotes: [] };
+            return;
+        }
+
+        if (/^<\/[a-z0-9-]+>$/i.test(line)) {
+            throw invalid(`Balise fermante ${line} sans balise ouvrante`, lineNumber);
+        }
+
+        const [directive, ...args] = line.split(/\s+/);
+
+        switch (directive.toLowerCase()) {
+            case 'remote':
+                remotes.push(parseRemote(args, lineNumber));
+                break;
+            case 'port':
+            case 'rport':
+                if (!args[0]) throw invalid(`Valeur manquante pour "${directive}"`, lineNumber);
+                defaultPort = parsePort(args[0], lineNumber, directive);
+                break;
+            case 'proto':
+                if (!OPENVPN_PROTOCOLS.includes((args[0] || '').toLowerCase())) {
+                    throw invalid(`Protocole invalide: "${args[0] || ''}" (attendu: ${OPENVPN_PROTOCOLS.join(', ')})`, lineNumber);
+                }
+                defaultProto = args[0].toLowerCase();
+                break;
+            case 'dev':
+                if (!/^(tun|tap|null)\d*$/i.test(args[0] || '')) {
+                    throw invalid(`Périphérique invalide: "${args[0] || ''}" (attendu: tun ou tap)`, lineNumber);
+                }
+                options.dev = args[0].toLowerCase();
+                break;
+            case 'cipher':
+            case 'data-ciphers':
+            case 'auth':
+                if (!args[0]) throw invalid(`Valeur manquante pour "${directive}"`, lineNumber);
+                options[directive.toLowerCase()] = args[0];
+                break;
+            case 'auth-user-pass':
+                options.authUserPass = true;
+                break;
+            case 'client':
+                options.client = true;
+                break;
+        }
+    });
+
+    if (block) {
+        throw invalid(`Bloc <${block.name}> ouvert ligne ${block.startLine} jamais fermé`);
+    }
+
+    if (inline.connections) {
+        remotes.push(...inline.connections);
+    }
+
+    if (remotes.length === 0) {
+        throw invalid('Configuration OpenVPN invalide: aucune directive "remote" trouvée.');
+    }
+
+    if (!options.dev) {
+        throw invalid('Configuration OpenVPN invalide: directive "dev" manquante.');
+    }
+
+    return {
+        type: 'openvpn',
+        remotes: remotes.map(r => ({
+            host: r.host,
+            port: r.port || defaultPort,
+            proto: r.proto || defaultProto
+        })),
+        proto: defaultProto,
+        dev: options.dev,
+        cipher: options.cipher || options['data-ciphers'] || null,
+        auth: options.auth || null,
+        authUserPass: Boolean(options.authUserPass),
+        inline: {
+            ca: Boolean(inline.ca),
+            cert: Boolean(inline.cert),
+            key: Boolean(inline.key),
+            tlsAuth: Boolean(inline['tls-auth']),
+            tlsCrypt: Boolean(inline['tls-crypt'] || inline['tls-crypt-v2'])
+        }
+    };
+}
+
+function parseRemote(args, lineNumber) {
+    if (!args[0]) {
+        throw invalid('Directive "remote" sans hôte', lineNumber);
+    }
+
+    const remote = { host: args[0] };
+    if (args[1]) {
+        remote.port = parsePort(args[1], lineNumber, 'remote');
+    }
+    if (args[2]) {
+        if (!OPENVPN_PROTOCOLS.includes(args[2].toLowerCase())) {
+            throw invalid(`Protocole invalide pour "remote": "${args[2]}"`, lineNumber);
+        }
+        remote.proto = args[2].toLowerCase();
+    }
+    return remote;
+}
+
+// Les blocs <connection> contiennent leurs propres remote/proto
+function parseConnectionLine(line, lineNumber, block) {
+    if (line === '' || line.startsWith('#') || line.startsWith(';')) {
+        return;
+    }
+    const [directive, ...args] = line.split(/\s+/);
+    if (directive.toLowerCase() === 'remote') {
+        block.remotes.push(parseRemote(args, lineNumber));
+    } else if (directive.toLowerCase() === 'proto' && block.remotes.length > 0) {
+        block.remotes[block.remotes.length - 1].proto = (args[0] || '').toLowerCase();
+    }
+}
+
+function closeInlineBlock(block, inline, lineNumber) {
+    const body = block.content.join('\n');
+
+    if (block.name === 'connection') {
+        if (block.remotes.length === 0) {
+            throw invalid('Bloc <connection> sans directive "remote"', lineNumber);
+        }
+        inline.connections = (inline.connections || []).concat(block.remotes);
+        return;
+    }
+
+    if (body.trim() === '') {
+        throw invalid(`Bloc <${block.name}> vide`, block.startLine);
+    }
+
+    if (PEM_BLOCKS.includes(block.name) && !/-----BEGIN [A-Z0-9 ]+-----[\s\S]+-----END [A-Z0-9 ]+-----/.test(body)) {
+        throw invalid(`Bloc <${block.name}> sans objet PEM valide`, block.startLine);
+    }
+
+    if (STATIC_KEY_BLOCKS.includes(block.name) && !/-----BEGIN OpenVPN Static key V1-----[\s\S]+-----END OpenVPN Static key V1-----/.test(body)) {
+        throw invalid(`Bloc <${block.name}> sans clé statique OpenVPN valide`, block.startLine);
+    }
+
+    inline[block.name] = true;
+}
+
+// ============================================
+// WIREGUARD
+// ============================================
+
+const WIREGUARD_KEYS = {
+    interface: ['privatekey', 'address', 'dns', 'listenport', 'mtu', 'table', 'fwmark',
+        'preup', 'postup', 'predown', 'postdown', 'saveconfig'],
+    peer: ['publickey', 'presharedkey', 'endpoint', 'allowedips', 'persistentkeepalive']
+};
+
+function isWireGuardKey(value) {
+    return /^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw480]=$/.test(value);
+}
+
+function isCidr(value) {
+    const [address, prefix] = value.split('/');
+    const isV4 = /^(\d{1,3}\.){3}\d{1,3}$/.test(address) && address.split('.').every(n => Number(n) <= 255);
+    const isV6 = address.includes(':') && /^[0-9a-fA-F:.]+$/.test(address);
+    if (!isV4 && !isV6) return false;
+    if (prefix === undefined) return true;
+    return /^\d+$/.test(prefix) && Number(prefix) <= (isV4 ? 32 : 128);
+}
+
+function splitList(value) {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseEndpoint(value, lineNumber) {
+    const match = value.match(/^\[([0-9a-fA-F:.]+)\]:(\d+)$/) || value.match(/^([^:\s]+):(\d+)$/);
+    if (!match) {
+        throw invalid(`Endpoint invalide: "${value}" (attendu: hôte:port)`, lineNumber);
+    }
+    return { host: match[1], port: parsePort(match[2], lineNumber, 'Endpoint') };
+}
+
+function parseWireGuard(content) {
+    const lines = splitLines(content);
+    const sections = [];
+    let current = null;
+
+    lines.forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.replace(/#.*$/, '').trim();
+
+        if (line === '') {
+            return;
+        }
+
+        const header = line.match(/^\[(\w+)\]$/);
+        if (header) {
+            const name = header[1].toLowerCase();
+            if (!WIREGUARD_KEYS[name]) {
+                throw invalid(`Section inconnue [${header[1]}]`, lineNumber);
+            }
+            current = { name, line: lineNumber, values: {} };
+            sections.push(current);
+            return;
+        }
+
+        const separator = line.indexOf('=');
+        if (separator === -1) {
+            throw invalid(`Ligne invalide, "Clé = Valeur" attendu: "${line}"`, lineNumber);
+        }
+
+        if (!current) {
+            throw invalid('Paramètre en dehors de toute section [Interface] ou [Peer]', lineNumber);
+        }
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (!WIREGUARD_KEYS[current.name].includes(key)) {
+            throw invalid(`Paramètre inconnu "${line.slice(0, separator).trim()}" dans [${current.name === 'peer' ? 'Peer' : 'Interface'}]`, lineNumber);
+        }
+
+        // Address, DNS et AllowedIPs peuvent être répétés
+        if (['address', 'dns', 'allowedips'].includes(key) && current.values[key]) {
+            current.values[key].value += ',' + value;
+        } else {
+            current.values[key] = { value, line: lineNumber };
+        }
+    });
+
+    const interfaces = sections.filter(s => s.name === 'interface');
+    const peers = sections.filter(s => s.name === 'peer');
+
+    if (interfaces.length !== 1) {
+        throw invalid(`Configuration WireGuard invalide: une section [Interface] attendue, ${interfaces.length} trouvée(s).`);
+    }
+
+    if (peers.length === 0) {
+        throw invalid('Configuration WireGuard invalide: aucune section [Peer].');
+    }
+
+    return {
+        type: 'wireguard',
+        interface: parseInterface(interfaces[0]),
+        peers: peers.map(parsePeer)
+    };
+}
+
+function parseInterface(section) {
+    const { privatekey, address, dns, listenport, mtu } = section.values;
+
+    if (privatekey && !isWireGuardKey(privatekey.value)) {
+        throw invalid('PrivateKey invalide (clé base64 de 32 octets attendue)', privatekey.line);
+    }
+
+    const addresses = address ? splitList(address.value) : [];
+    addresses.forEach(a => {
+        if (!isCidr(a)) throw invalid(`Address invalide: "${a}"`, address.line);
+    });
+
+    if (mtu && !/^\d+$/.test(mtu.value)) {
+        throw invalid(`MTU invalide: "${mtu.value}"`, mtu.line);
+    }
+
+    return {
+        address: addresses,
+        dns: dns ? splitList(dns.value) : [],
+        listenPort: listenport ? parsePort(listenport.value, listenport.line, 'ListenPort') : null,
+        mtu: mtu ? Number(mtu.value) : null,
+        hasPrivateKey: Boolean(privatekey)
+    };
+}
+
+function parsePeer(section) {
+    const { publickey, presharedkey, endpoint, allowedips, persistentkeepalive } = section.values;
+
+    if (!publickey) {
+        throw invalid('PublicKey manquante dans la section [Peer]', section.line);
+    }
+    if (!isWireGuardKey(publickey.value)) {
+        throw invalid('PublicKey invalide (clé base64 de 32 octets attendue)', publickey.line);
+    }
+    if (presharedkey && !isWireGuardKey(presharedkey.value)) {
+        throw invalid('PresharedKey invalide (clé base64 de 32 octets attendue)', presharedkey.line);
+    }
+
+    const allowedIPs = allowedips ? splitList(allowedips.value) : [];
+    allowedIPs.forEach(ip => {
+        if (!isCidr(ip)) throw invalid(`AllowedIPs invalide: "${ip}"`, allowedips.line);
+    });
+
+    if (persistentkeepalive && !/^(\d+|off)$/.test(persistentkeepalive.value)) {
+        throw invalid(`PersistentKeepalive invalide: "${persistentkeepalive.value}"`, persistentkeepalive.line);
+    }
+
+    return {
+        publicKey: publickey.value,
+        endpoint: endpoint ? parseEndpoint(endpoint.value, endpoint.line) : null,
+        allowedIPs: allowedIPs,
+        hasPresharedKey: Boolean(presharedkey),
+        persistentKeepalive: persistentkeepalive && persistentkeepalive.value !== 'off' ? Number(persistentkeepalive.value) : null
+    };
+}
+
+// ============================================
+// POINT D'ENTRÉE
+// ============================================
+
+// Extensions dont le contenu est analysé à l'upload
+const PARSED_EXTENSIONS = ['.ovpn', '.conf'];
+
+// Analyser une configuration selon son extension. Un .conf est traité comme
+// WireGuard s'il contient une section [Interface], sinon comme OpenVPN.
+// Lève une erreur (code INVALID_CONFIG) si la configuration est malformée.
+function parseConfig(extension, content) {
+    const ext = extension.toLowerCase();
+
+    if (ext === '.ovpn') {
+        return parseOpenVpn(content);
+    }
+
+    if (ext === '.conf') {
+        return /^\s*\[Interface\]\s*$/mi.test(content) ? parseWireGuard(content) : parseOpenVpn(content);
+    }
+
+    return null;
+}
+
+// Lire et analyser un fichier de configuration stocké sur le disque
+async function parseConfigFile(filePath, extension) {
+    if (await encryption.plainSize(filePath) > MAX_CONFIG_SIZE) {
+        throw invalid('Fichier de configuration trop volumineux pour être analysé (maximum 1 Mo).');
+    }
+    return parseConfig(extension, (await encryption.readFile(filePath)).toString('utf8'));
+}
+
+module.exports = {
+    MAX_CONFIG_SIZE,
+    PARSED_EXTENSIONS,
+    parseConfig,
+    parseConfigFile,
+    parseOpenVpn,
+    parseWireGuard
+};
@@ -0,0 +1,365 @@
+// ============================================
+// NumLab-VPN - Webhooks sortants
+// Créé par Merdi Madimba
+// ============================================
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./db');
+const catalog = require('./catalog');
+const live = require('./live');
+
+// Événements auxquels un webhook peut s'abonner
+const EVENTS = [
+    'file.created',
+    'file.updated',
+    'file.deleted',
+    'file.downloaded',
+    'file.expiring_soon',
+    'file.expired'
+];
+
+// Nombre de jours avant expiration pour l'événement file.expiring_soon
+const EXPIRING_SOON_DAYS = parseFloat(process.env.WEBHOOK_EXPIRING_SOON_DAYS) || 3;
+
+// Les fichiers expirés depuis plus longtemps ne déclenchent plus file.expired
+// (évite une rafale d'événements pour les anciens fichiers)
+const EXPIRED_NOTICE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Tentatives de livraison: 30 s, 1 min, 2 min... plafonné à 6 heures entre deux essais
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// Fréquence de la file d'attente et conservation du journal des livraisons
+const QUEUE_INTERVAL_MS = 15 * 1000;
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+let timer = null;
+let processing = false;
+
+function publicWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        description: row.description,
+        active: Boolean(row.active),
+        createdAt: row.created_at,
+        createdBy: row.created_by
+    };
+}
+
+function publicDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at,
+        payload: JSON.parse(row.payload)
+    };
+}
+
+// Représentation d'un fichier envoyée dans les événements
+function filePayload(file) {
+    return {
+        id: file.id,
+        name: file.name,
+        network: file.network,
+        networkId: file.networkId || null,
+        expiryDate: file.expiryDate,
+        size: file.size,
+        description: file.description,
+        isPrivate: file.isPrivate,
+        downloadCount: file.downloadCount,
+        version: file.currentVersion
+    };
+}
+
+// ============================================
+// GESTION DES WEBHOOKS
+// ============================================
+
+function listWebhooks() {
+    return getDb()
+        .prepare('SELECT * FROM webhooks ORDER BY created_at')
+        .all()
+        .map(publicWebhook);
+}
+
+function getWebhook(id) {
+    const row = getDb().prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    return row ? publicWebhook(row) : null;
+}
+
+// Créer un webhook. Le secret de signature n'est retourné qu'à la création.
+function createWebhook({ url, events, description, createdBy }) {
+    const id = uuidv4();
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    getDb().prepare(`
+        INSERT INTO webhooks (id, url, events, secret, description, active, created_at, created_by)
+        VALUES (?, ?, ?, ?, ?, 1, ?, ?)
+    `).run(id, url, JSON.stringify(events), secret, description || '', new Date().toISOString(), createdBy || null);
+
+    return { webhook: getWebhook(id), secret };
+}
+
+function updateWebhook(id, { url, events, description, active }) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+
+    if (!row) {
+        return null;
+    }
+
+    db.prepare('UPDATE webhooks SET url = ?, events = ?, description = ?, active = ? WHERE id = ?').run(
+        url || row.url,
+        events ? JSON.stringify(events) : row.events,
+        description !== undefined ? description : row.description,
+        typeof active === 'boolean' ? (active ? 1 : 0) : row.active,
+        id
+    );
+
+    return getWebhook(id);
+}
+
+function deleteWebhook(id) {
+    return getDb().prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+}
+
+function listDeliveries(webhookId, limit = 50) {
+    return getDb()
+        .prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+        .all(webhookId, limit)
+        .map(publicDelivery);
+}
+
+// ============================================
+// ÉMISSION DES ÉVÉNEMENTS
+// ============================================
+
+function enqueue(webhookId, event, data) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const payload = { id, event, createdAt: now, data };
+
+    getDb().prepare(`
+        INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+    `).run(id, webhookId, event, JSON.stringify(payload), now, now);
+
+    return id;
+}
+
+// Mettre en file une livraison pour chaque webhook actif abonné à l'événement, et le
+// publier sur les flux en direct. N'échoue jamais: un problème de webhook ne doit pas
+// faire échouer la route appelante.
+function emit(event, data) {
+    live.record(event, data);
+
+    try {
+        const webhooks = getDb().prepare('SELECT id, events FROM webhooks WHERE active = 1').all();
+        let queued = 0;
+
+        for (const webhook of webhooks) {
+            if (JSON.parse(webhook.events).includes(event)) {
+                enqueue(webhook.id, event, data);
+                queued++;
+            }
+        }
+
+        if (queued > 0) {
+            setImmediate(processQueue);
+        }
+    } catch (error) {
+        console.error(`Erreur lors de l'émission de l'événement ${event}:`, error);
+    }
+}
+
+// Envoyer un événement de test à un seul webhook
+function ping(webhookId) {
+    const deliveryId = enqueue(webhookId, 'ping', { message: 'Test de livraison NumLab-VPN' });
+    setImmediate(processQueue);
+    return deliveryId;
+}
+
+// Émettre file.expiring_soon et file.expired une seule fois par date d'expiration
+function checkExpiries(now = new Date()) {
+    const db = getDb();
+    const alreadySent = db.prepare('SELECT 1 FROM webhook_notices WHERE file_id = ? AND event = ? AND expiry_date = ?');
+    const markSent = db.prepare('INSERT INTO webhook_notices (file_id, event, expiry_date, sent_at) VALUES (?, ?, ?, ?)');
+
+    for (const file of catalog.listFiles()) {
+        const expiry = new Date(file.expiryDate);
+        let event = null;
+
+        if (expiry <= now) {
+            if (now - expiry > EXPIRED_NOTICE_WINDOW_MS) continue;
+            event = 'file.expired';
+        } else if (expiry - now <= EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000) {
+            event = 'file.expiring_soon';
+        }
+
+        if (!event || file.archivedAt || alreadySent.get(file.id, event, file.expiryDate)) {
+            continue;
+        }
+
+        markSent.run(file.id, event, file.expiryDate, now.toISOString());
+        emit(event, { file: filePayload(file) });
+    }
+}
+
+// ============================================
+// LIVRAISON
+// ============================================
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_MS * Math.pow(2, attempts - 1), MAX_RETRY_MS);
+}
+
+async function deliver(delivery) {
+    const db = getDb();
+    const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(delivery.webhook_id);
+
+    if (!webhook) {
+        return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'NumLab-VPN-Webhooks/1.0',
+                'X-NumLab-Event': delivery.event,
+                'X-NumLab-Delivery': delivery.id,
+                'X-NumLab-Timestamp': timestamp,
+                'X-NumLab-Signature': sign(webhook.secret, timestamp, delivery.payload)
+            },
+            body: delivery.payload,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+            errorMessage = `Réponse HTTP ${response.status}`;
+        }
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            errorMessage = 'Délai de réponse dépassé';
+        } else {
+            // fetch masque la cause réelle (ECONNREFUSED, ENOTFOUND...) derrière "fetch failed"
+            errorMessage = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+        }
+    }
+
+    const now = new Date();
+
+    if (!errorMessage) {
+        db.prepare(`
+            UPDATE webhook_deliveries SET status = 'success', attempts = ?, last_status_code = ?, last_error = NULL,
+                delivered_at = ?
+            WHERE id = ?
+        `).run(attempts, statusCode, now.toISOString(), delivery.id);
+    } else if (attempts >= MAX_ATTEMPTS) {
+        db.prepare(`
+            UPDATE webhook_deliveries SET status = 'failed', attempts = ?, last_status_code = ?, last_error = ?
+            WHERE id = ?
+        `).run(attempts, statusCode, errorMessage, delivery.id);
+    } else {
+        db.prepare(`
+            UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?
+            WHERE id = ?
+        `).run(attempts, statusCode, errorMessage, new Date(now.getTime() + retryDelay(attempts)).toISOString(), delivery.id);
+    }
+}
+
+// Livrer les événements en attente dont l'heure de tentative est passée
+async function processQueue() {
+    if (processing) {
+        return;
+    }
+    processing = true;
+
+    try {
+        const db = getDb();
+        const due = db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at
+            LIMIT 50
+        `).all(new Date().toISOString());
+
+        for (const delivery of due) {
+            await deliver(delivery);
+        }
+
+        db.prepare('DELETE FROM webhook_deliveries WHERE status != \'pending\' AND created_at < ?')
+            .run(new Date(Date.now() - DELIVERY_RETENTION_MS).toISOString());
+    } catch (error) {
+        console.error('Erreur lors de la livraison des webhooks:', error);
+    } finally {
+        processing = false;
+    }
+}
+
+// Reprendre les livraisons en attente au démarrage puis vérifier régulièrement la file
+function startWebhooks() {
+    if (timer) {
+        return;
+    }
+
+    const tick = () => {
+        try {
+            checkExpiries();
+        } catch (error) {
+            console.error('Erreur lors de la vérification des expirations:', error);
+        }
+        processQueue();
+    };
+
+    tick();
+    timer = setInterval(tick, QUEUE_INTERVAL_MS);
+    timer.unref();
+}
+
+function stopWebhooks() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    EVENTS,
+    filePayload,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    emit,
+    ping,
+    checkExpiries,
+    processQueue,
+    startWebhooks,
+    stopWebhooks
+};
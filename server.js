@@ -9,8 +9,37 @@ const bcrypt = require('bcrypt');
 const multer = require('multer');
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { pipeline } = require('stream/promises');
 const rateLimit = require('express-rate-limit');
+const db = require('./lib/db');
+const catalog = require('./lib/catalog');
+const accounts = require('./lib/accounts');
+const links = require('./lib/links');
+const analytics = require('./lib/analytics');
+const secrets = require('./lib/secrets');
+const sweeper = require('./lib/sweeper');
+const webhooks = require('./lib/webhooks');
+const backup = require('./lib/backup');
+const search = require('./lib/search');
+const checksums = require('./lib/checksums');
+const archives = require('./lib/archives');
+const audit = require('./lib/audit');
+const totp = require('./lib/totp');
+const quotas = require('./lib/quotas');
+const encryption = require('./lib/encryption');
+const bundles = require('./lib/bundles');
+const networks = require('./lib/networks');
+const openapi = require('./lib/openapi');
+const templates = require('./lib/templates');
+const uploads = require('./lib/uploads');
+const metrics = require('./lib/metrics');
+const health = require('./lib/health');
+const live = require('./lib/live');
+const downloads = require('./lib/downloads');
+const qr = require('./lib/qr');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,14 +48,24 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE DE SÉCURITÉ
 // ============================================
 
+// Réponse d'un limiteur de débit atteint, comptée dans les métriques
+function rateLimitHandler(limiter) {
+    return (req, res, next, options) => {
+        metrics.recordRateLimitHit(limiter);
+        res.status(options.statusCode).json(options.message);
+    };
+}
+
 // Rate limiting pour les tentatives de connexion admin
 const loginRateLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 5, // Maximum 5 tentatives
     message: { 
         success: false, 
+        code: 'RATE_LIMITED',
         message: 'Trop de tentatives de connexion. Veuillez réessayer dans 15 minutes.' 
     },
+    handler: rateLimitHandler('login'),
     standardHeaders: true,
     legacyHeaders: false
 });
@@ -37,126 +76,276 @@ const downloadRateLimiter = rateLimit({
     max: 100, // 100 téléchargements par minute max
     message: { 
         success: false, 
+        code: 'RATE_LIMITED',
         message: 'Trop de requêtes. Veuillez patienter.' 
-    }
+    },
+    handler: rateLimitHandler('download')
 });
 
+// Métriques de chaque requête (installé en premier pour compter aussi les refus)
+app.use(metrics.requestMetrics);
+
+// Code d'erreur stable ajouté aux réponses d'erreur JSON qui n'en précisent pas
+app.use(openapi.errorCodes);
+
 // Middleware pour parser JSON
 app.use(express.json());
 
+// Contrat OpenAPI: annoncé sur chaque réponse de l'API, puis vérifié sur chaque requête décrite
+app.use('/api', (req, res, next) => {
+    res.setHeader('Link', `<${openapi.SPEC_PATH}>; rel="service-desc"`);
+    next();
+});
+app.use(openapi.matchOperation);
+
 // Servir les fichiers statiques
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Configuration de Multer pour les uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, path.join(__dirname, 'uploads'));
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
-    }
+// Configuration de Multer pour les uploads (chiffrés au repos pendant l'écriture)
+const storage = encryption.uploadStorage({
+    destination: uploads.UPLOADS_DIR,
+    filename: (file) => uploads.storedName(file.originalname)
 });
 
 const upload = multer({ 
     storage: storage,
     limits: {
-        fileSize: 50 * 1024 * 1024 // 50MB max
+        fileSize: uploads.MAX_UPLOAD_SIZE
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.ovpn', '.conf', '.config', '.txt', '.crt', '.key', '.pem', '.zip', '.rar', '.7z'];
         const ext = path.extname(file.originalname).toLowerCase();
-        if (allowedTypes.includes(ext)) {
+        if (uploads.ALLOWED_EXTENSIONS.includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Type de fichier non autorisé. Types acceptés: ' + uploads.ALLOWED_EXTENSIONS.join(', ')));
+        }
+    }
+});
+
+// Fichier principal ("file") et fichiers joints envoyés dans un champ par rôle (ca, cert, key, docs...)
+const uploadWithParts = [
+    upload.fields([
+        { name: 'file', maxCount: 1 },
+        ...catalog.PART_ROLES.map(role => ({ name: role, maxCount: ['config', 'docs'].includes(role) ? 5 : 1 }))
+    ]),
+    (req, res, next) => {
+        req.file = req.files && req.files.file ? req.files.file[0] : undefined;
+        next();
+    }
+];
+
+// Archives de sauvegarde: stockées temporairement hors de uploads/ le temps de la restauration
+const backupUpload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: 2 * 1024 * 1024 * 1024 // 2GB max
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(tar\.gz|tgz)$/i.test(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Type de fichier non autorisé. Types acceptés: ' + allowedTypes.join(', ')));
+            cb(new Error('Une archive .tar.gz produite par l\'export est attendue.'));
         }
     }
 });
 
 // ============================================
-// GESTION DES DONNÉES (JSON)
+// GESTION DES DONNÉES (SQLite)
 // ============================================
 
-const DATA_FILE = path.join(__dirname, 'data', 'files.json');
+// Ouvrir la base SQLite et importer une seule fois l'ancien data/files.json
+async function initDataStore() {
+    db.openDatabase();
+    await db.migrateLegacyData();
+    
+    // Rattacher au catalogue des réseaux le texte libre des fichiers importés ou migrés
+    const linked = networks.linkFreeTextNetworks();
+    if (linked > 0) {
+        console.log(`${linked} fichier(s) rattaché(s) au catalogue des réseaux.`);
+    }
+}
 
-// Initialiser le fichier de données s'il n'existe pas
-async function initDataFile() {
-    try {
-        await fs.ensureFile(DATA_FILE);
-        const exists = await fs.pathExists(DATA_FILE);
-        if (!exists || (await fs.readFile(DATA_FILE, 'utf8')).trim() === '') {
-            await fs.writeJson(DATA_FILE, []);
-        }
-    } catch (error) {
-        console.error('Erreur lors de l\'initialisation du fichier de données:', error);
+// ============================================
+// FONCTIONS DE SÉCURITÉ
+// ============================================
+
+// Le hash du code admin, utilisé pour créer le premier compte propriétaire
+let ADMIN_HASH = process.env.ADMIN_HASH;
+
+// Si pas de hash dans .env, aucun compte ne sera créé automatiquement
+if (!ADMIN_HASH) {
+    console.log('AVERTISSEMENT: ADMIN_HASH non trouvé dans .env. Utilisation du mode développement.');
+    console.log('Pour générer le hash, exécutez: npm run admin -- hash VOTRE_CODE_14_CHIFFRES');
+}
+
+// Lire le jeton de session envoyé par le client
+function getAdminToken(req) {
+    const header = req.headers['authorization'];
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
     }
+    return req.headers['x-admin-token'];
 }
 
-// Lire les données
-async function readData() {
-    try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Erreur de lecture des données:', error);
-        return [];
+// Middleware de vérification de session admin et du rôle requis
+function verifyAdminSession(permission) {
+    return async (req, res, next) => {
+        try {
+            const found = await accounts.findSession(getAdminToken(req));
+
+            if (!found) {
+                return res.status(401).json({ 
+                    success: false, 
+                    message: 'Non autorisé. Veuillez vous connecter.' 
+                });
+            }
+
+            if (permission && !accounts.hasPermission(found.account.role, permission)) {
+                return res.status(403).json({ 
+                    success: false, 
+                    message: 'Votre rôle ne permet pas cette action.' 
+                });
+            }
+
+            // La requête n'est confrontée au contrat qu'une fois la session vérifiée
+            req.admin = found;
+            openapi.validateRequest(req, res, next);
+        } catch (error) {
+            console.error('Erreur lors de la vérification de la session admin:', error);
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
+    };
+}
+
+// Enregistrer une action dans le journal d'audit, avec l'admin connecté et son IP
+function auditAction(req, action, targetType, targetId, details) {
+    audit.record({
+        actor: req.admin ? req.admin.account.username : null,
+        ip: req.ip,
+        action: action,
+        targetType: targetType,
+        targetId: targetId,
+        details: details
+    });
+}
+
+// ============================================
+// TRAITEMENT DES UPLOADS
+// ============================================
+
+// Fichiers joints reçus avec un upload, dans l'ordre des rôles: [{ role, file }]
+function uploadedParts(req) {
+    const parts = [];
+    for (const role of catalog.PART_ROLES) {
+        for (const file of (req.files && req.files[role]) || []) {
+            parts.push({ role, file });
+        }
     }
+    return parts;
 }
 
-// Écrire les données
-async function writeData(data) {
-    try {
-        await fs.writeJson(DATA_FILE, data, { spaces: 2 });
-    } catch (error) {
-        console.error('Erreur d\'écriture des données:', error);
-        throw error;
+// Supprimer tous les fichiers reçus par une requête refusée
+async function removeUploads(req) {
+    const files = req.files ? Object.values(req.files).flat() : [req.file].filter(Boolean);
+    for (const file of files) {
+        await fs.remove(file.path);
     }
 }
 
 // ============================================
-// FONCTIONS DE SÉCURITÉ
+// TÉLÉCHARGEMENTS CONDITIONNELS ET REPRISES
 // ============================================
 
-// Hasher le code admin (à exécuter une seule fois pour générer le hash)
-async function generateAdminHash(code) {
-    const saltRounds = 10;
-    return await bcrypt.hash(code, saltRounds);
+// Envoyer un fichier stocké (ouvert par encryption.openStored), déchiffré à la volée. Une requête
+// Range (si If-Range correspond encore à l'ETag) reçoit la plage demandée: seuls les blocs
+// concernés sont déchiffrés.
+async function sendStoredFile(req, res, stored, filename, etag) {
+    const size = stored.size;
+    let start = 0;
+    let end = size - 1;
+    
+    res.attachment(filename);
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (etag) {
+        res.setHeader('ETag', etag);
+    }
+    
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === etag)) {
+        const ranges = req.range(size, { combine: true });
+        if (ranges === -1) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+        // Une seule plage est servie: une requête multi-plages reçoit le fichier complet
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            start = ranges[0].start;
+            end = ranges[0].end;
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+    }
+    
+    res.setHeader('Content-Length', end - start + 1);
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+    
+    try {
+        await pipeline(stored.createReadStream({ start, end }), res);
+    } catch (err) {
+        // Une connexion interrompue par le client n'est pas une erreur serveur
+        if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Erreur lors du téléchargement:', err);
+        }
+        res.destroy();
+    }
 }
 
-// Le hash du code admin (sera remplacé par le vrai hash)
-let ADMIN_HASH = process.env.ADMIN_HASH;
+// ============================================
+// RÉSEAUX
+// ============================================
 
-// Si pas de hash dans .env, utiliser un hash par défaut pour le développement
-if (!ADMIN_HASH) {
-    console.log('AVERTISSEMENT: ADMIN_HASH non trouvé dans .env. Utilisation du mode développement.');
-    console.log('Pour générer le hash, exécutez: node -e "require(\'bcrypt\').hash(\'30292812046102\', 10, (err, hash) => console.log(hash))"');
-    // Hash par défaut pour le code 30292812046102
-    ADMIN_HASH = '$2b$10$xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx';
+// Version publique d'un réseau
+function publicNetwork(network) {
+    return {
+        id: network.id,
+        slug: network.slug,
+        name: network.name,
+        country: network.country,
+        description: network.description,
+        icon: network.icon,
+        sortOrder: network.sortOrder
+    };
 }
 
-// Vérifier le code admin
-async function verifyAdminCode(code) {
-    try {
-        return await bcrypt.compare(code, ADMIN_HASH);
-    } catch (error) {
-        console.error('Erreur lors de la vérification du code admin:', error);
-        return false;
+// Nombre de fichiers (et de fichiers non expirés) par identifiant de réseau
+function countFilesByNetwork(files, now = new Date()) {
+    const counts = new Map();
+    for (const file of files) {
+        const count = counts.get(file.networkId) || { fileCount: 0, activeCount: 0 };
+        count.fileCount++;
+        if (new Date(file.expiryDate) >= now) {
+            count.activeCount++;
+        }
+        counts.set(file.networkId, count);
     }
+    return counts;
 }
 
-// Middleware de vérification de session admin
-function verifyAdminSession(req, res, next) {
-    const adminToken = req.headers['x-admin-token'] || req.session.adminToken;
+// Regrouper des fichiers par réseau, dans l'ordre d'affichage des réseaux.
+// Les fichiers sans réseau rattaché forment un dernier groupe (network: null).
+function groupFilesByNetwork(files) {
+    const groups = networks.listNetworks().map(network => ({
+        network: publicNetwork(network),
+        count: 0,
+        files: files.filter(file => file.networkId === network.id)
+    }));
+    groups.push({ network: null, count: 0, files: files.filter(file => !file.networkId) });
     
-    if (adminToken && adminToken === process.env.ADMIN_TOKEN) {
-        next();
-    } else {
-        res.status(401).json({ 
-            success: false, 
-            message: 'Non autorisé. Veuillez vous connecter.' 
-        });
-    }
+    return groups
+        .map(group => ({ ...group, count: group.files.length }))
+        .filter(group => group.count > 0);
 }
 
 // ============================================
@@ -166,288 +355,2156 @@ function verifyAdminSession(req, res, next) {
 // Obtenir la liste des fichiers (version publique)
 app.get('/api/files', downloadRateLimiter, async (req, res) => {
     try {
-        const files = await readData();
+        const criteria = search.parseFileQuery(req.query);
+        const quota = quotas.getAllowance(quotas.clientKey(req, res));
+        const files = catalog.listFiles();
         const now = new Date();
         
-        // Nettoyer les fichiers expirés de plus de 30 jours
-        const cleanedFiles = files.filter(file => {
-            if (new Date(file.expiryDate) < now) {
-                return true; // Garder les expirés pour l'affichage
-            }
-            return true;
-        });
+        // Masquer les fichiers expirés depuis plus que le délai de grâce et les fichiers privés
+        const cleanedFiles = files.filter(file => !sweeper.isHidden(file, now) && !file.isPrivate);
+        const result = search.searchFiles(cleanedFiles, criteria, now);
         
         // Version publique sans informations sensibles
-        const publicFiles = cleanedFiles.map(file => ({
-            id: file.id,
-            name: file.name,
-            network: file.network,
-            expiryDate: file.expiryDate,
-            size: file.size,
-            downloadCount: file.downloadCount,
-            isExpired: new Date(file.expiryDate) < now,
-            description: file.description
-        }));
+        const publicFiles = result.files.map(file => catalog.publicFile(file, now));
+        
+        const response = { success: true, files: publicFiles, total: result.total, nextCursor: result.nextCursor, quota: quota };
+        if (criteria.groupBy === 'network') {
+            response.groups = groupFilesByNetwork(publicFiles);
+        }
         
-        res.json({ success: true, files: publicFiles });
+        res.json(response);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Erreur lors de la récupération des fichiers:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur.' });
     }
 });
 
+// Lister les réseaux avec le nombre de fichiers publics de chacun
+app.get('/api/networks', downloadRateLimiter, async (req, res) => {
+    try {
+        const now = new Date();
+        const visible = catalog.listFiles().filter(file => !sweeper.isHidden(file, now) && !file.isPrivate);
+        const counts = countFilesByNetwork(visible, now);
+        
+        const list = networks.listNetworks().map(network => ({
+            ...publicNetwork(network),
+            ...(counts.get(network.id) || { fileCount: 0, activeCount: 0 })
+        }));
+        
+        res.json({ success: true, networks: list });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des réseaux:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Flux SSE des fichiers publics créés, modifiés, supprimés ou expirés (reprise via Last-Event-ID)
+app.get('/api/events', downloadRateLimiter, (req, res) => {
+    try {
+        live.openStream(req, res, 'public');
+    } catch (error) {
+        console.error('Erreur lors de l\'ouverture du flux d\'événements:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
 // Télécharger un fichier
 app.get('/api/download/:id', downloadRateLimiter, async (req, res) => {
     try {
-        const fileId = req.params.id;
-        const files = await readData();
-        const file = files.find(f => f.id === fileId);
+        const file = catalog.getFile(req.params.id);
         
         if (!file) {
             return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
         }
         
-        // Vérifier si le fichier est expiré
-        if (new Date(file.expiryDate) < new Date()) {
-            return res.status(403).json({ success: false, message: 'Ce fichier est expiré.' });
+        // Un modèle n'est jamais servi brut: ses emplacements doivent être rendus
+        if (file.template) {
+            return res.status(409).json({ success: false, code: 'TEMPLATE_RENDER_REQUIRED', message: `Ce fichier est un modèle: téléchargez-le via /api/download/${file.id}/render.` });
         }
         
-        // Vérifier si le fichier existe physiquement
-        const filePath = path.join(__dirname, 'uploads', file.storedFilename);
-        if (!(await fs.pathExists(filePath))) {
-            return res.status(404).json({ success: false, message: 'Fichier physique non trouvé.' });
+        // Version demandée (?version=N), sinon la version courante
+        let served = file;
+        if (req.query.version !== undefined) {
+            const version = parseInt(req.query.version, 10);
+            served = Number.isInteger(version) ? catalog.getVersion(file.id, version) : null;
+            if (!served) {
+                return res.status(404).json({ success: false, message: 'Version non trouvée.' });
+            }
         }
         
-        // Incrémenter le compteur de téléchargements
-        file.downloadCount = (file.downloadCount || 0) + 1;
-        await writeData(files);
+        // Vérifier si le fichier existe physiquement (copie expurgée si elle existe)
+        const filePath = sweeper.storedPath(file, served.redactedFilename || served.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+        }
         
-        // Envoyer le fichier
-        res.download(filePath, file.filename, (err) => {
-            if (err) {
-                console.error('Erreur lors du téléchargement:', err);
-                if (!res.headersSent) {
-                    res.status(500).json({ success: false, message: 'Erreur lors du téléchargement.' });
-                }
-            }
+        // Revalidation, reprise, lien signé, quotas et comptage
+        const stored = await encryption.openStored(filePath);
+        const etag = checksums.etagFor(served.sha256);
+        const authorized = await downloads.authorizeDownload(req, res, file, {
+            version: served.version,
+            etag: etag,
+            size: stored.size,
+            resourceId: file.id
         });
+        if (!authorized) {
+            return;
+        }
+        
+        // Envoyer le fichier déchiffré (Range et If-Range à partir de l'ETag)
+        await sendStoredFile(req, res, stored, served.filename, etag);
     } catch (error) {
         console.error('Erreur lors du téléchargement:', error);
-        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
     }
 });
 
-// ============================================
-// ROUTES API ADMIN
-// ============================================
-
-// Connexion admin
-app.post('/api/admin/login', loginRateLimiter, async (req, res) => {
+// Lister le contenu d'une archive publique, avec les téléchargements de chaque entrée
+app.get('/api/files/:id/entries', downloadRateLimiter, async (req, res) => {
     try {
-        const { code } = req.body;
+        const file = catalog.getFile(req.params.id);
         
-        if (!code || code.length !== 14) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Code invalide. Le code doit contenir 14 chiffres.' 
-            });
+        if (!file || file.isPrivate) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
         }
         
-        const isValid = await verifyAdminCode(code);
-        
-        if (isValid) {
-            // Générer un token de session
-            const sessionToken = uuidv4();
-            // Stocker le token (dans un vrai projet, utiliser Redis ou une base de données)
-            process.env.ADMIN_TOKEN = sessionToken;
-            
-            res.json({ 
-                success: true, 
-                message: 'Connexion réussie.',
-                token: sessionToken
-            });
-        } else {
-            res.status(401).json({ 
-                success: false, 
-                message: 'Code incorrect.' 
-            });
+        if (!file.archiveEntries) {
+            return res.status(400).json({ success: false, message: 'Ce fichier n\'est pas une archive.' });
         }
+        
+        const counts = catalog.getEntryDownloadCounts(file.id, file.currentVersion);
+        const entries = file.archiveEntries.map(entry => ({
+            name: entry.name,
+            size: entry.size,
+            config: entry.config,
+            downloadable: !entry.encrypted,
+            downloadCount: counts[entry.name] || 0
+        }));
+        
+        res.json({ success: true, version: file.currentVersion, entries: entries });
     } catch (error) {
-        console.error('Erreur lors de la connexion admin:', error);
+        console.error('Erreur lors de la récupération du contenu de l\'archive:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur.' });
     }
 });
 
-// Ajouter un fichier (protégé)
-app.post('/api/admin/files', verifyAdminSession, upload.single('file'), async (req, res) => {
+// Télécharger une seule entrée d'une archive (?name=chemin/dans/archive.ovpn)
+app.get('/api/download/:id/entry', downloadRateLimiter, async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'Aucun fichier uploadé.' });
+        const file = catalog.getFile(req.params.id);
+        const name = req.query.name;
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
         }
         
-        const { name, network, expiryDate, description } = req.body;
+        if (!file.archiveEntries) {
+            return res.status(400).json({ success: false, message: 'Ce fichier n\'est pas une archive.' });
+        }
         
-        // Validation
-        if (!name || !network || !expiryDate) {
-            // Supprimer le fichier uploadé si la validation échoue
-            await fs.remove(path.join(__dirname, 'uploads', req.file.filename));
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Nom, réseau et date d\'expiration requis.' 
-            });
+        if (typeof name !== 'string' || !file.archiveEntries.some(entry => entry.name === name && !entry.encrypted)) {
+            return res.status(404).json({ success: false, message: 'Entrée non trouvée dans l\'archive.' });
         }
         
-        // Vérifier si la date d'expiration est valide
-        if (new Date(expiryDate) <= new Date()) {
-            await fs.remove(path.join(__dirname, 'uploads', req.file.filename));
-            return res.status(400).json({ 
-                success: false, 
-                message: 'La date d\'expiration doit être future.' 
-            });
+        const filePath = sweeper.storedPath(file, file.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
         }
         
-        const files = await readData();
+        const opened = await archives.openEntry(filePath, name);
+        if (!opened) {
+            return res.status(404).json({ success: false, message: 'Entrée non trouvée dans l\'archive.' });
+        }
         
-        const newFile = {
-            id: uuidv4(),
-            filename: req.file.originalname,
-            storedFilename: req.file.filename,
-            name: name.trim(),
-            network: network.trim(),
-            expiryDate: expiryDate,
-            size: formatFileSize(req.file.size),
-            description: description ? description.trim() : '',
-            downloadCount: 0,
-            createdAt: new Date().toISOString()
-        };
+        // Une entrée compte dans le quota du client, mais pas dans la limite du fichier:
+        // celle-ci ne porte que sur les téléchargements de l'archive complète
+        const authorized = await downloads.authorizeDownload(req, res, file, {
+            count: () => catalog.incrementEntryDownloadCount(file.id, file.currentVersion, name),
+            event: { entry: name }
+        });
+        if (!authorized) {
+            opened.stream.destroy();
+            return;
+        }
         
-        files.push(newFile);
-        await writeData(files);
+        res.attachment(path.posix.basename(name));
+        res.setHeader('Content-Length', opened.entry.size);
         
-        res.json({ 
-            success: true, 
-            message: 'Fichier ajouté avec succès.',
-            file: newFile
-        });
+        try {
+            await pipeline(opened.stream, res);
+        } catch (err) {
+            // Une connexion interrompue par le client n'est pas une erreur serveur
+            if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Erreur lors du téléchargement de l\'entrée:', err);
+            }
+            res.destroy();
+        }
     } catch (error) {
-        console.error('Erreur lors de l\'ajout du fichier:', error);
-        res.status(500).json({ success: false, message: 'Erreur lors de l\'ajout du fichier.' });
+        console.error('Erreur lors du téléchargement de l\'entrée:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
     }
 });
 
-// Modifier un fichier (protégé)
-app.put('/api/admin/files/:id', verifyAdminSession, async (req, res) => {
+// Télécharger un seul fichier joint d'une entrée (certificat, clé, documentation...)
+app.get('/api/download/:id/parts/:partId', downloadRateLimiter, async (req, res) => {
     try {
-        const fileId = req.params.id;
-        const { name, network, expiryDate, description } = req.body;
+        const file = catalog.getFile(req.params.id);
+        const part = file ? catalog.getPart(file.id, req.params.partId) : null;
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        if (!part) {
+            return res.status(404).json({ success: false, message: 'Fichier joint non trouvé.' });
+        }
         
-        const files = await readData();
-        const fileIndex = files.findIndex(f => f.id === fileId);
+        const filePath = sweeper.storedPath(file, part.redactedFilename || part.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+        }
+        
+        // Comme une entrée d'archive: compté dans le quota du client, pas dans la limite du fichier
+        const stored = await encryption.openStored(filePath);
+        const etag = checksums.etagFor(part.sha256);
+        const authorized = await downloads.authorizeDownload(req, res, file, {
+            etag: etag,
+            size: stored.size,
+            resourceId: part.id,
+            count: () => catalog.incrementPartDownloadCount(part.id),
+            event: { part: { id: part.id, role: part.role, filename: part.filename } }
+        });
+        if (!authorized) {
+            return;
+        }
+        
+        await sendStoredFile(req, res, stored, part.filename, etag);
+    } catch (error) {
+        console.error('Erreur lors du téléchargement du fichier joint:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
+    }
+});
+
+// Télécharger une entrée complète (fichier principal et fichiers joints) en un seul zip,
+// généré pendant l'envoi. Compte comme un téléchargement du fichier.
+app.get('/api/download/:id/bundle', downloadRateLimiter, async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
         
-        if (fileIndex === -1) {
+        if (!file) {
             return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
         }
         
-        // Validation
-        if (!name || !network || !expiryDate) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Nom, réseau et date d\'expiration requis.' 
-            });
+        if (file.template) {
+            return res.status(409).json({ success: false, code: 'TEMPLATE_RENDER_REQUIRED', message: `Ce fichier est un modèle: téléchargez-le via /api/download/${file.id}/render.` });
         }
         
-        // Vérifier si la date d'expiration est valide
-        if (new Date(expiryDate) <= new Date()) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'La date d\'expiration doit être future.' 
-            });
+        const items = bundles.bundleItems(file, catalog.listParts(file.id), name => sweeper.storedPath(file, name));
+        for (const item of items) {
+            if (!(await fs.pathExists(item.filePath))) {
+                return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+            }
         }
         
-        // Mettre à jour le fichier
-        files[fileIndex] = {
-            ...files[fileIndex],
-            name: name.trim(),
-            network: network.trim(),
-            expiryDate: expiryDate,
-            description: description ? description.trim() : ''
-        };
+        const authorized = await downloads.authorizeDownload(req, res, file, { event: { bundle: true } });
+        if (!authorized) {
+            return;
+        }
         
-        await writeData(files);
+        // Taille inconnue à l'avance: le zip est envoyé en chunked, sans reprise possible
+        res.attachment(bundles.bundleFilename(file));
         
-        res.json({ 
-            success: true, 
-            message: 'Fichier modifié avec succès.',
-            file: files[fileIndex]
-        });
+        try {
+            await pipeline(bundles.createBundleStream(items), res);
+        } catch (err) {
+            // Une connexion interrompue par le client n'est pas une erreur serveur
+            if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Erreur lors de la génération du lot:', err);
+            }
+            res.destroy();
+        }
     } catch (error) {
-        console.error('Erreur lors de la modification du fichier:', error);
-        res.status(500).json({ success: false, message: 'Erreur lors de la modification.' });
+        console.error('Erreur lors du téléchargement du lot:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
     }
 });
 
-// Supprimer un fichier (protégé)
-app.delete('/api/admin/files/:id', verifyAdminSession, async (req, res) => {
+// Télécharger un modèle de configuration rendu pour ce client. Les valeurs viennent d'un jeton
+// signé (?token=...) et/ou des paramètres de requête (?server=...&proto=udp), vérifiées contre
+// le schéma du modèle. Compte comme un téléchargement du fichier.
+app.get('/api/download/:id/render', downloadRateLimiter, async (req, res) => {
     try {
-        const fileId = req.params.id;
-        const files = await readData();
-        const fileIndex = files.findIndex(f => f.id === fileId);
+        const file = catalog.getFile(req.params.id);
         
-        if (fileIndex === -1) {
+        if (!file) {
             return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
         }
         
-        const file = files[fileIndex];
+        if (!file.template) {
+            return res.status(400).json({ success: false, code: 'NOT_A_TEMPLATE', message: 'Ce fichier n\'est pas un modèle de configuration.' });
+        }
+        
+        // Valeurs imposées par un jeton signé, émis pour ce fichier
+        let fixed = {};
+        if (req.query.token !== undefined) {
+            const token = links.readToken('template', req.query.token);
+            if (!token || token.f !== file.id) {
+                return res.status(403).json({ success: false, code: 'TOKEN_INVALID', message: 'Jeton de rendu invalide.' });
+            }
+            if (token.e * 1000 < Date.now()) {
+                return res.status(410).json({ success: false, code: 'TOKEN_EXPIRED', message: 'Ce jeton de rendu a expiré.' });
+            }
+            fixed = token.v;
+        }
         
-        // Supprimer le fichier physique
-        const filePath = path.join(__dirname, 'uploads', file.storedFilename);
-        if (await fs.pathExists(filePath)) {
-            await fs.remove(filePath);
+        let values;
+        try {
+            values = templates.resolveValues(file.template, req.query, fixed);
+        } catch (error) {
+            return res.status(error.status).json({ success: false, code: error.code, message: error.message, errors: error.errors });
         }
         
-        // Supprimer de la base de données
-        files.splice(fileIndex, 1);
-        await writeData(files);
+        const filePath = sweeper.storedPath(file, file.redactedFilename || file.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+        }
         
-        res.json({ success: true, message: 'Fichier supprimé avec succès.' });
+        // Rendre puis vérifier la configuration produite avant de consommer quoi que ce soit
+        const content = (await encryption.readFile(filePath)).toString('utf8');
+        let rendered;
+        try {
+            templates.checkContent(content, file.template);
+            rendered = templates.render(content, values);
+            templates.parseRendered(file.filename, rendered);
+        } catch (error) {
+            if (error.code === 'INVALID_TEMPLATE') {
+                console.error(`Modèle ${file.id} incohérent avec son schéma:`, error.message);
+                return res.status(409).json({ success: false, code: 'INVALID_TEMPLATE', message: 'Ce modèle ne correspond plus à son schéma.' });
+            }
+            if (error.code === 'INVALID_CONFIG') {
+                return res.status(400).json({ success: false, code: 'INVALID_TEMPLATE_VALUES', message: `Configuration rendue invalide: ${error.message}` });
+            }
+            throw error;
+        }
+        
+        const authorized = await downloads.authorizeDownload(req, res, file, { event: { template: true } });
+        if (!authorized) {
+            return;
+        }
+        
+        // Contenu propre à ce client: jamais mis en cache, ni ETag ni reprise
+        res.setHeader('Cache-Control', 'no-store');
+        res.attachment(file.filename);
+        res.send(Buffer.from(rendered, 'utf8'));
     } catch (error) {
-        console.error('Erreur lors de la suppression du fichier:', error);
-        res.status(500).json({ success: false, message: 'Erreur lors de la suppression.' });
+        console.error('Erreur lors du rendu du modèle:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
     }
 });
 
-// Obtenir les statistiques (protégé)
-app.get('/api/admin/stats', verifyAdminSession, async (req, res) => {
+// Code QR d'une configuration .conf ou .ovpn, à scanner depuis l'application mobile.
+// Mêmes vérifications qu'un téléchargement, qu'il compte comme tel: le code QR contient toute la configuration.
+app.get('/api/download/:id/qr', downloadRateLimiter, async (req, res) => {
     try {
-        const files = await readData();
-        const now = new Date();
+        const file = catalog.getFile(req.params.id);
         
-        const stats = {
-            totalFiles: files.length,
-            activeFiles: files.filter(f => new Date(f.expiryDate) > now).length,
-            expiredFiles: files.filter(f => new Date(f.expiryDate) <= now).length,
-            totalDownloads: files.reduce((sum, f) => sum + (f.downloadCount || 0), 0)
-        };
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        if (file.template) {
+            return res.status(409).json({ success: false, code: 'TEMPLATE_RENDER_REQUIRED', message: `Ce fichier est un modèle: téléchargez-le via /api/download/${file.id}/render.` });
+        }
+        
+        // Version demandée (?version=N), sinon la version courante
+        let served = file;
+        if (req.query.version !== undefined) {
+            const version = parseInt(req.query.version, 10);
+            served = Number.isInteger(version) ? catalog.getVersion(file.id, version) : null;
+            if (!served) {
+                return res.status(404).json({ success: false, message: 'Version non trouvée.' });
+            }
+        }
+        
+        if (!qr.isQrFile(served.filename)) {
+            return res.status(400).json({ success: false, code: 'QR_UNSUPPORTED_FILE', message: `Seules les configurations ${qr.QR_EXTENSIONS.join(' et ')} peuvent être exportées en code QR.` });
+        }
+        
+        const filePath = sweeper.storedPath(file, served.redactedFilename || served.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+        }
+        
+        // Générer le code avant de consommer quoi que ce soit: une configuration trop volumineuse ne coûte rien
+        const format = req.query.format || 'png';
+        let image;
+        try {
+            const content = (await encryption.readFile(filePath)).toString('utf8');
+            image = await qr.render(content, { format, width: parseInt(req.query.width, 10) || qr.DEFAULT_WIDTH });
+        } catch (error) {
+            if (error.code === 'QR_TOO_LARGE') {
+                return res.status(error.status).json({ success: false, code: error.code, message: error.message, ...error.details });
+            }
+            throw error;
+        }
+        
+        const authorized = await downloads.authorizeDownload(req, res, file, {
+            version: served.version,
+            event: { qr: format }
+        });
+        if (!authorized) {
+            return;
+        }
         
-        res.json({ success: true, stats: stats });
+        // L'image contient la configuration et ses clés: jamais mise en cache
+        res.setHeader('Cache-Control', 'no-store');
+        res.type(image.contentType);
+        res.send(image.body);
     } catch (error) {
-        console.error('Erreur lors du calcul des statistiques:', error);
-        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        console.error('Erreur lors de la génération du code QR:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
     }
 });
 
-// ============================================
+// Lister les versions d'un fichier public
+app.get('/api/files/:id/versions', downloadRateLimiter, async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file || file.isPrivate) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        const versions = catalog.listVersions(file.id).map(version => ({
+            version: version.version,
+            filename: version.filename,
+            size: version.size,
+            sha256: version.sha256,
+            downloadCount: version.downloadCount,
+            createdAt: version.createdAt,
+            isCurrent: version.version === file.currentVersion
+        }));
+        
+        res.json({ success: true, versions: versions });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des versions:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN
+// ============================================
+
+// Connexion admin
+app.post('/api/admin/login', loginRateLimiter, async (req, res) => {
+    try {
+        const { username, code, otp, recoveryCode } = req.body;
+        
+        const attempted = username !== undefined ? username.trim().toLowerCase() : accounts.DEFAULT_ADMIN_USERNAME;
+        
+        // Types vérifiés par le contrat; le format du code l'est ici pour que la tentative soit journalisée
+        if (code.length !== 14) {
+            audit.record({ actor: attempted, ip: req.ip, action: 'admin.login', details: { success: false, reason: 'invalid-format' } });
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Code invalide. Le code doit contenir 14 chiffres.' 
+            });
+        }
+        
+        const account = await accounts.authenticate(username, code);
+        
+        // Avec le TOTP activé, le code à 14 chiffres seul ne suffit plus
+        let failure = account ? null : 'credentials';
+        let secondFactor = null;
+        if (account && account.totpEnabled) {
+            if (!otp && !recoveryCode) {
+                failure = 'totp-required';
+            } else {
+                secondFactor = totp.verifySecondFactor(account.id, { otp, recoveryCode });
+                failure = secondFactor ? null : 'totp-invalid';
+            }
+        }
+        
+        audit.record({
+            actor: attempted,
+            ip: req.ip,
+            action: 'admin.login',
+            targetType: 'account',
+            targetId: account ? account.id : null,
+            details: {
+                success: !failure,
+                ...(failure && failure !== 'credentials' ? { reason: failure } : {}),
+                ...(secondFactor ? { secondFactor } : {}),
+                userAgent: req.headers['user-agent'] || null
+            }
+        });
+        
+        if (failure === 'credentials') {
+            return res.status(401).json({ 
+                success: false, 
+                code: 'INVALID_CREDENTIALS',
+                message: 'Identifiants incorrects.' 
+            });
+        }
+        
+        if (failure) {
+            return res.status(401).json({
+                success: false,
+                code: failure === 'totp-required' ? 'TOTP_REQUIRED' : 'TOTP_INVALID',
+                totpRequired: true,
+                message: failure === 'totp-required'
+                    ? 'Code TOTP requis (ou un code de récupération).'
+                    : 'Code TOTP ou code de récupération invalide.'
+            });
+        }
+        
+        // Chaque connexion ouvre sa propre session, sans déconnecter les autres
+        const { token, session } = await accounts.createSession(account, {
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.json({ 
+            success: true, 
+            message: 'Connexion réussie.',
+            token: token,
+            expiresAt: session.expiresAt,
+            account: { username: account.username, role: account.role },
+            ...(secondFactor === 'recovery' ? { recoveryCodesLeft: totp.getStatus(account.id).recoveryCodesLeft } : {})
+        });
+    } catch (error) {
+        console.error('Erreur lors de la connexion admin:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Déconnexion admin (révoque la session courante)
+app.post('/api/admin/logout', verifyAdminSession(), async (req, res) => {
+    try {
+        await accounts.revokeSession(req.admin.session.id);
+        auditAction(req, 'admin.logout', 'session', req.admin.session.id);
+        res.json({ success: true, message: 'Déconnexion réussie.' });
+    } catch (error) {
+        console.error('Erreur lors de la déconnexion admin:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Compte connecté et permissions
+app.get('/api/admin/me', verifyAdminSession(), (req, res) => {
+    res.json({ 
+        success: true, 
+        account: req.admin.account,
+        session: req.admin.session,
+        permissions: accounts.ROLES[req.admin.account.role] || []
+    });
+});
+
+// ============================================
+// ROUTES API ADMIN - SECOND FACTEUR (TOTP)
+// ============================================
+
+// État du TOTP pour le compte connecté
+app.get('/api/admin/totp', verifyAdminSession(), (req, res) => {
+    try {
+        res.json({ success: true, totp: totp.getStatus(req.admin.account.id) });
+    } catch (error) {
+        console.error('Erreur lors de la récupération de l\'état TOTP:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Démarrer l'enrôlement: secret et URI otpauth:// à scanner dans l'application d'authentification
+app.post('/api/admin/totp/enroll', verifyAdminSession(), (req, res) => {
+    try {
+        const { secret, otpauthUri } = totp.enroll(req.admin.account.id);
+        auditAction(req, 'totp.enroll', 'account', req.admin.account.id);
+        
+        res.json({
+            success: true,
+            message: 'Scannez le secret puis confirmez avec un premier code pour activer le TOTP.',
+            secret: secret,
+            otpauthUri: otpauthUri
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de l\'enrôlement TOTP:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Confirmer l'enrôlement avec un premier code. Les codes de récupération ne sont affichés qu'une fois.
+app.post('/api/admin/totp/activate', verifyAdminSession(), (req, res) => {
+    try {
+        const recoveryCodes = totp.activate(req.admin.account.id, req.body.otp);
+        
+        if (!recoveryCodes) {
+            return res.status(400).json({ success: false, code: 'TOTP_INVALID', message: 'Code TOTP invalide.' });
+        }
+        
+        auditAction(req, 'totp.enable', 'account', req.admin.account.id);
+        
+        res.json({
+            success: true,
+            message: 'TOTP activé. Conservez les codes de récupération en lieu sûr: ils ne seront plus affichés.',
+            recoveryCodes: recoveryCodes
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de l\'activation TOTP:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Régénérer les codes de récupération (les anciens deviennent invalides)
+app.post('/api/admin/totp/recovery-codes', verifyAdminSession(), (req, res) => {
+    try {
+        const accountId = req.admin.account.id;
+        
+        if (!totp.getStatus(accountId).enabled) {
+            return res.status(409).json({ success: false, message: 'Le TOTP n\'est pas activé pour ce compte.' });
+        }
+        
+        if (totp.verifySecondFactor(accountId, { otp: req.body.otp }) !== 'totp') {
+            return res.status(400).json({ success: false, code: 'TOTP_INVALID', message: 'Code TOTP invalide.' });
+        }
+        
+        const recoveryCodes = totp.replaceRecoveryCodes(accountId);
+        auditAction(req, 'totp.recovery-codes', 'account', accountId);
+        
+        res.json({ success: true, message: 'Nouveaux codes de récupération générés.', recoveryCodes: recoveryCodes });
+    } catch (error) {
+        console.error('Erreur lors de la régénération des codes de récupération:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Désactiver le TOTP: exige le code admin et un second facteur valide
+app.post('/api/admin/totp/disable', verifyAdminSession(), async (req, res) => {
+    try {
+        const { code, otp, recoveryCode } = req.body;
+        const accountId = req.admin.account.id;
+        
+        if (!totp.getStatus(accountId).enabled) {
+            return res.status(409).json({ success: false, message: 'Le TOTP n\'est pas activé pour ce compte.' });
+        }
+        
+        if (!(await accounts.authenticate(req.admin.account.username, code))) {
+            return res.status(401).json({ success: false, code: 'INVALID_CREDENTIALS', message: 'Code admin incorrect.' });
+        }
+        
+        if (!totp.verifySecondFactor(accountId, { otp, recoveryCode })) {
+            return res.status(400).json({ success: false, code: 'TOTP_INVALID', message: 'Code TOTP ou code de récupération invalide.' });
+        }
+        
+        totp.disable(accountId);
+        auditAction(req, 'totp.disable', 'account', accountId);
+        
+        res.json({ success: true, message: 'TOTP désactivé.' });
+    } catch (error) {
+        console.error('Erreur lors de la désactivation TOTP:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - COMPTES ET SESSIONS
+// ============================================
+
+// Lister les comptes (protégé)
+app.get('/api/admin/accounts', verifyAdminSession('accounts:manage'), async (req, res) => {
+    try {
+        res.json({ success: true, accounts: await accounts.listAccounts() });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des comptes:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Créer un compte (protégé)
+app.post('/api/admin/accounts', verifyAdminSession('accounts:manage'), async (req, res) => {
+    try {
+        const { username, code, role } = req.body;
+        const account = await accounts.createAccount({ username, code, role });
+        auditAction(req, 'account.create', 'account', account.id, { username: account.username, role: account.role });
+        
+        res.json({ success: true, message: 'Compte créé avec succès.', account: account });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la création du compte:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la création du compte.' });
+    }
+});
+
+// Modifier un compte: code, rôle ou désactivation (protégé)
+app.put('/api/admin/accounts/:id', verifyAdminSession('accounts:manage'), async (req, res) => {
+    try {
+        const { code, role, disabled } = req.body;
+        const before = await accounts.getAccount(req.params.id);
+        const account = await accounts.updateAccount(req.params.id, { code, role, disabled });
+        
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Compte non trouvé.' });
+        }
+        
+        // Le code n'est jamais journalisé, seulement le fait qu'il a changé
+        auditAction(req, 'account.update', 'account', account.id, {
+            username: account.username,
+            changes: audit.diff(before, account, ['role', 'disabled']),
+            codeChanged: code !== undefined
+        });
+        
+        res.json({ success: true, message: 'Compte modifié avec succès.', account: account });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la modification du compte:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la modification du compte.' });
+    }
+});
+
+// Supprimer un compte (protégé)
+app.delete('/api/admin/accounts/:id', verifyAdminSession('accounts:manage'), async (req, res) => {
+    try {
+        const before = await accounts.getAccount(req.params.id);
+        const deleted = await accounts.deleteAccount(req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Compte non trouvé.' });
+        }
+        
+        auditAction(req, 'account.delete', 'account', req.params.id, { username: before.username, role: before.role });
+        
+        res.json({ success: true, message: 'Compte supprimé avec succès.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la suppression du compte:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la suppression du compte.' });
+    }
+});
+
+// Réinitialiser le TOTP d'un compte qui a perdu son appareil et ses codes de récupération (protégé)
+app.delete('/api/admin/accounts/:id/totp', verifyAdminSession('accounts:manage'), async (req, res) => {
+    try {
+        const account = await accounts.getAccount(req.params.id);
+        
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Compte non trouvé.' });
+        }
+        
+        totp.disable(account.id);
+        auditAction(req, 'totp.reset', 'account', account.id, { username: account.username });
+        
+        res.json({ success: true, message: 'TOTP réinitialisé pour ce compte.' });
+    } catch (error) {
+        console.error('Erreur lors de la réinitialisation TOTP:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Lister les sessions actives (toutes pour un propriétaire, les siennes sinon)
+app.get('/api/admin/sessions', verifyAdminSession(), async (req, res) => {
+    try {
+        const canManage = accounts.hasPermission(req.admin.account.role, 'accounts:manage');
+        const sessions = await accounts.listSessions(canManage ? req.query.accountId : req.admin.account.id);
+        
+        res.json({ success: true, sessions: sessions });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des sessions:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Révoquer une session
+app.delete('/api/admin/sessions/:id', verifyAdminSession(), async (req, res) => {
+    try {
+        const canManage = accounts.hasPermission(req.admin.account.role, 'accounts:manage');
+        const ownSessions = await accounts.listSessions(req.admin.account.id);
+        
+        if (!canManage && !ownSessions.some(s => s.id === req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Session non trouvée.' });
+        }
+        
+        const revoked = await accounts.revokeSession(req.params.id);
+        
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: 'Session non trouvée.' });
+        }
+        
+        auditAction(req, 'session.revoke', 'session', req.params.id);
+        
+        res.json({ success: true, message: 'Session révoquée.' });
+    } catch (error) {
+        console.error('Erreur lors de la révocation de la session:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - FICHIERS
+// ============================================
+
+const UNKNOWN_NETWORK_MESSAGE = 'Réseau inconnu. Choisissez un réseau du catalogue (networkId) ou créez-le d\'abord.';
+
+// Contrôles communs à l'ajout et à la modification d'un fichier, au-delà du contrat OpenAPI
+// (champs requis, format des dates et de la limite). Retourne { network } ou { error: { code, message } }.
+function checkFileMetadata({ networkId, network, expiryDate }) {
+    if (new Date(expiryDate) <= new Date()) {
+        return { error: { code: 'EXPIRY_IN_PAST', message: 'La date d\'expiration doit être future.' } };
+    }
+    
+    // Réseau du catalogue, désigné par networkId (ou par son slug / nom dans network)
+    const selected = networks.findNetwork(networkId || network);
+    if (!selected) {
+        return { error: { code: 'UNKNOWN_NETWORK', message: UNKNOWN_NETWORK_MESSAGE } };
+    }
+    
+    return { network: selected };
+}
+
+// Obtenir la liste complète des fichiers, privés compris (protégé)
+app.get('/api/admin/files', verifyAdminSession('files:read'), async (req, res) => {
+    try {
+        const criteria = search.parseFileQuery(req.query, { admin: true });
+        const now = new Date();
+        const result = search.searchFiles(catalog.listFiles(), criteria, now);
+        
+        res.json({ 
+            success: true, 
+            files: result.files.map(file => ({
+                ...file,
+                isExpired: new Date(file.expiryDate) < now,
+                isExhausted: quotas.isExhausted(file),
+                downloadsRemaining: quotas.downloadsRemaining(file),
+                parts: catalog.listParts(file.id)
+            })),
+            total: result.total,
+            nextCursor: result.nextCursor
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la récupération des fichiers:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Ajouter un fichier (protégé)
+app.post('/api/admin/files', verifyAdminSession('files:write'), uploadWithParts, openapi.validateMultipart, async (req, res) => {
+    try {
+        const { name, expiryDate, description, isPrivate, maxDownloads } = req.body;
+        const secretPolicy = req.body.secretPolicy || secrets.DEFAULT_POLICY;
+        
+        const checked = checkFileMetadata(req.body);
+        if (checked.error) {
+            // Supprimer les fichiers uploadés si la validation échoue
+            await removeUploads(req);
+            return res.status(400).json({ success: false, ...checked.error });
+        }
+        const selectedNetwork = checked.network;
+        
+        // Modèle de configuration: schéma JSON des variables rendues au téléchargement
+        let template = null;
+        if (req.body.template) {
+            try {
+                template = templates.parseSchema(req.body.template);
+            } catch (error) {
+                await removeUploads(req);
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+        }
+        
+        // Valider la configuration et appliquer la politique de secrets
+        let processed;
+        try {
+            processed = await uploads.processUpload(req.file, secretPolicy, template);
+        } catch (error) {
+            await removeUploads(req);
+            if (error.status) {
+                return res.status(error.status).json({ success: false, code: error.code, message: error.message, findings: error.findings });
+            }
+            throw error;
+        }
+        
+        // Fichiers joints (CA, certificat, clé, documentation...) envoyés avec le fichier principal
+        let parts;
+        try {
+            parts = await uploads.processParts(uploadedParts(req), secretPolicy);
+        } catch (error) {
+            await removeUploads(req);
+            if (processed.redactedFilename) {
+                await fs.remove(path.join(__dirname, 'uploads', processed.redactedFilename));
+            }
+            if (error.status) {
+                return res.status(error.status).json({ success: false, code: error.code, message: error.message, findings: error.findings });
+            }
+            throw error;
+        }
+        
+        const newFile = catalog.createFile({
+            id: uuidv4(),
+            filename: req.file.originalname,
+            storedFilename: req.file.filename,
+            name: name.trim(),
+            network: selectedNetwork.name,
+            networkId: selectedNetwork.id,
+            expiryDate: expiryDate,
+            size: uploads.formatFileSize(processed.size),
+            description: description ? description.trim() : '',
+            isPrivate: parseBoolean(isPrivate),
+            maxDownloads: maxDownloads === undefined ? null : parseMaxDownloads(maxDownloads),
+            downloadCount: 0,
+            createdAt: new Date().toISOString(),
+            config: processed.config,
+            redactedFilename: processed.redactedFilename,
+            secretScan: processed.secretScan,
+            sha256: processed.sha256,
+            archiveEntries: processed.archiveEntries,
+            template: template
+        }, req.admin.account.username);
+        newFile.parts = parts.length > 0 ? catalog.addParts(newFile.id, parts) : [];
+        
+        auditAction(req, 'file.create', 'file', newFile.id, {
+            filename: newFile.filename,
+            size: newFile.size,
+            sha256: newFile.sha256,
+            parts: newFile.parts.map(part => ({ role: part.role, filename: part.filename, sha256: part.sha256 })),
+            template: newFile.template ? Object.keys(newFile.template.variables) : null,
+            values: audit.fileValues(newFile)
+        });
+        webhooks.emit('file.created', { file: webhooks.filePayload(newFile), by: req.admin.account.username });
+        
+        res.json({ 
+            success: true, 
+            message: 'Fichier ajouté avec succès.',
+            file: newFile
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'ajout du fichier:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de l\'ajout du fichier.' });
+    }
+});
+
+// Télécharger l'original d'un fichier, avant retrait des secrets (protégé)
+app.get('/api/admin/files/:id/original', verifyAdminSession('files:read'), async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        const filePath = sweeper.storedPath(file, file.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+        }
+        
+        await sendStoredFile(req, res, await encryption.openStored(filePath), file.filename, null);
+    } catch (error) {
+        console.error('Erreur lors du téléchargement de l\'original:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Erreur serveur.' });
+        }
+    }
+});
+
+// Modifier un fichier (protégé)
+app.put('/api/admin/files/:id', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const fileId = req.params.id;
+        const { name, expiryDate, description, isPrivate, maxDownloads } = req.body;
+        
+        const existing = catalog.getFile(fileId);
+        
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        const checked = checkFileMetadata(req.body);
+        if (checked.error) {
+            return res.status(400).json({ success: false, ...checked.error });
+        }
+        const selectedNetwork = checked.network;
+        
+        // Mettre à jour le fichier
+        const updatedFile = catalog.updateFile(fileId, {
+            name: name.trim(),
+            network: selectedNetwork.name,
+            networkId: selectedNetwork.id,
+            expiryDate: expiryDate,
+            description: description ? description.trim() : '',
+            isPrivate: isPrivate === undefined ? existing.isPrivate : parseBoolean(isPrivate),
+            maxDownloads: maxDownloads === undefined ? existing.maxDownloads : parseMaxDownloads(maxDownloads)
+        });
+        
+        // La nouvelle date d'expiration est future: remettre en ligne un fichier archivé
+        if (existing.archivedAt) {
+            await sweeper.restoreFile(existing);
+        }
+        
+        const file = existing.archivedAt ? catalog.getFile(fileId) : updatedFile;
+        auditAction(req, 'file.update', 'file', fileId, {
+            changes: audit.diff(existing, file, audit.FILE_FIELDS),
+            restoredFromArchive: Boolean(existing.archivedAt)
+        });
+        webhooks.emit('file.updated', { file: webhooks.filePayload(file), by: req.admin.account.username });
+        
+        res.json({ 
+            success: true, 
+            message: 'Fichier modifié avec succès.',
+            file: file
+        });
+    } catch (error) {
+        console.error('Erreur lors de la modification du fichier:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la modification.' });
+    }
+});
+
+// Supprimer un fichier (protégé)
+app.delete('/api/admin/files/:id', verifyAdminSession('files:delete'), async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        // Supprimer les fichiers physiques de toutes les versions, des fichiers joints et leurs copies expurgées
+        for (const filename of sweeper.storedFilenames(file)) {
+            await fs.remove(sweeper.storedPath(file, filename));
+        }
+        
+        // Supprimer de la base de données (les liens signés et les fichiers joints sont supprimés en cascade)
+        catalog.deleteFile(file.id);
+        
+        auditAction(req, 'file.delete', 'file', file.id, {
+            filename: file.filename,
+            versions: file.currentVersion,
+            values: audit.fileValues(file)
+        });
+        webhooks.emit('file.deleted', { file: webhooks.filePayload(file), by: req.admin.account.username });
+        
+        res.json({ success: true, message: 'Fichier supprimé avec succès.' });
+    } catch (error) {
+        console.error('Erreur lors de la suppression du fichier:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la suppression.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - FICHIERS JOINTS
+// ============================================
+
+// Joindre un fichier à une entrée existante, avec son rôle (protégé)
+app.post('/api/admin/files/:id/parts', verifyAdminSession('files:write'), upload.single('file'), openapi.validateMultipart, async (req, res) => {
+    try {
+        const role = req.body.role;
+        const secretPolicy = req.body.secretPolicy || secrets.DEFAULT_POLICY;
+        const existing = catalog.getFile(req.params.id);
+        
+        if (!existing) {
+            await fs.remove(req.file.path);
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        // Tous les fichiers d'une entrée doivent rester au même endroit
+        if (existing.archivedAt) {
+            await sweeper.restoreFile(existing);
+        }
+        
+        let records;
+        try {
+            records = await uploads.processParts([{ role, file: req.file }], secretPolicy);
+        } catch (error) {
+            await fs.remove(req.file.path);
+            if (error.status) {
+                return res.status(error.status).json({ success: false, code: error.code, message: error.message, findings: error.findings });
+            }
+            throw error;
+        }
+        
+        // Le fichier a pu être supprimé pendant l'analyse
+        const parts = catalog.addParts(existing.id, records);
+        if (!parts) {
+            await fs.remove(req.file.path);
+            if (records[0].redactedFilename) {
+                await fs.remove(path.join(__dirname, 'uploads', records[0].redactedFilename));
+            }
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        const part = parts[parts.length - 1];
+        auditAction(req, 'file.part.add', 'file', existing.id, {
+            part: part.id,
+            role: part.role,
+            filename: part.filename,
+            size: part.size,
+            sha256: part.sha256
+        });
+        webhooks.emit('file.updated', { file: webhooks.filePayload(existing), by: req.admin.account.username });
+        
+        res.json({ 
+            success: true, 
+            message: 'Fichier joint ajouté avec succès.',
+            part: part,
+            parts: parts
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'ajout du fichier joint:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de l\'ajout du fichier joint.' });
+    }
+});
+
+// Retirer un fichier joint d'une entrée (protégé)
+app.delete('/api/admin/files/:id/parts/:partId', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        const part = file ? catalog.deletePart(file.id, req.params.partId) : null;
+        
+        if (!part) {
+            return res.status(404).json({ success: false, message: 'Fichier joint non trouvé.' });
+        }
+        
+        await fs.remove(sweeper.storedPath(file, part.storedFilename));
+        if (part.redactedFilename) {
+            await fs.remove(sweeper.storedPath(file, part.redactedFilename));
+        }
+        
+        auditAction(req, 'file.part.delete', 'file', file.id, {
+            part: part.id,
+            role: part.role,
+            filename: part.filename,
+            sha256: part.sha256
+        });
+        webhooks.emit('file.updated', { file: webhooks.filePayload(file), by: req.admin.account.username });
+        
+        res.json({ success: true, message: 'Fichier joint retiré avec succès.' });
+    } catch (error) {
+        console.error('Erreur lors du retrait du fichier joint:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors du retrait du fichier joint.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - RÉSEAUX
+// ============================================
+
+// Valeurs normalisées d'un réseau à partir du corps de la requête (undefined: inchangé)
+function networkValues({ slug, name, country, description, icon, sortOrder }) {
+    return {
+        slug: slug,
+        name: typeof name === 'string' ? name.trim() : undefined,
+        country: country === undefined ? undefined : (country ? country.toUpperCase() : null),
+        description: typeof description === 'string' ? description.trim() : undefined,
+        icon: icon === undefined ? undefined : (icon || null),
+        sortOrder: sortOrder
+    };
+}
+
+// Lister les réseaux avec le nombre de fichiers de chacun, privés compris (protégé)
+app.get('/api/admin/networks', verifyAdminSession('files:read'), async (req, res) => {
+    try {
+        const counts = countFilesByNetwork(catalog.listFiles());
+        const list = networks.listNetworks().map(network => ({
+            ...network,
+            ...(counts.get(network.id) || { fileCount: 0, activeCount: 0 })
+        }));
+        
+        res.json({ success: true, networks: list });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des réseaux:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Créer un réseau (protégé)
+app.post('/api/admin/networks', verifyAdminSession('networks:manage'), async (req, res) => {
+    try {
+        const network = networks.createNetwork(networkValues(req.body));
+        
+        auditAction(req, 'network.create', 'network', network.id, { slug: network.slug, name: network.name });
+        
+        res.json({ success: true, message: 'Réseau créé avec succès.', network: network });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la création du réseau:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Modifier un réseau (protégé)
+app.put('/api/admin/networks/:id', verifyAdminSession('networks:manage'), async (req, res) => {
+    try {
+        const before = networks.getNetwork(req.params.id);
+        const network = networks.updateNetwork(req.params.id, networkValues(req.body));
+        
+        if (!network) {
+            return res.status(404).json({ success: false, message: 'Réseau non trouvé.' });
+        }
+        
+        auditAction(req, 'network.update', 'network', network.id, {
+            changes: audit.diff(before, network, ['slug', 'name', 'country', 'description', 'icon', 'sortOrder'])
+        });
+        
+        res.json({ success: true, message: 'Réseau modifié avec succès.', network: network });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la modification du réseau:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Supprimer un réseau. ?moveTo=<id> déplace d'abord ses fichiers vers un autre réseau,
+// ce qui permet de fusionner deux réseaux en doublon (protégé)
+app.delete('/api/admin/networks/:id', verifyAdminSession('networks:manage'), async (req, res) => {
+    try {
+        const result = networks.deleteNetwork(req.params.id, { moveTo: req.query.moveTo });
+        
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Réseau non trouvé.' });
+        }
+        
+        auditAction(req, 'network.delete', 'network', result.network.id, {
+            slug: result.network.slug,
+            name: result.network.name,
+            movedTo: result.moved > 0 ? req.query.moveTo : null,
+            moved: result.moved
+        });
+        
+        res.json({
+            success: true,
+            message: result.moved > 0
+                ? `Réseau supprimé: ${result.moved} fichier(s) déplacé(s).`
+                : 'Réseau supprimé avec succès.',
+            moved: result.moved
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la suppression du réseau:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - LIMITES ET QUOTAS DE TÉLÉCHARGEMENT
+// ============================================
+
+// Remettre à zéro le compteur d'un fichier: un fichier épuisé redevient téléchargeable (protégé)
+app.post('/api/admin/files/:id/downloads/reset', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        catalog.resetDownloadCount(file.id);
+        auditAction(req, 'file.downloads.reset', 'file', file.id, {
+            downloadCount: file.downloadCount,
+            maxDownloads: file.maxDownloads
+        });
+        
+        res.json({ success: true, message: 'Compteur de téléchargements remis à zéro.', file: catalog.getFile(file.id) });
+    } catch (error) {
+        console.error('Erreur lors de la remise à zéro du compteur:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Consommation des quotas quotidiens, client par client (protégé)
+app.get('/api/admin/quotas', verifyAdminSession('files:read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            dailyQuota: quotas.DAILY_QUOTA || null,
+            keyMode: quotas.KEY_MODE,
+            clients: quotas.listUsage()
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des quotas:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Remettre à zéro les quotas: un client (clé de la liste ou ?ip=), ou tous les clients (protégé)
+app.delete('/api/admin/quotas', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const { client, ip } = req.query;
+        const key = client || (ip ? quotas.keyForIp(ip) : null);
+        const reset = quotas.resetUsage(key);
+        
+        auditAction(req, 'quota.reset', 'quota', key, { all: !key, byIp: Boolean(ip && !client), clients: reset });
+        
+        res.json({ success: true, message: 'Quotas remis à zéro.', reset: reset });
+    } catch (error) {
+        console.error('Erreur lors de la remise à zéro des quotas:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - VERSIONS
+// ============================================
+
+// Remplacer le contenu d'un fichier par une nouvelle version (protégé)
+app.post('/api/admin/files/:id/versions', verifyAdminSession('files:write'), upload.single('file'), openapi.validateMultipart, async (req, res) => {
+    try {
+        const secretPolicy = req.body.secretPolicy || secrets.DEFAULT_POLICY;
+        const existing = catalog.getFile(req.params.id);
+        
+        if (!existing) {
+            await fs.remove(req.file.path);
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        // Toutes les versions d'un fichier doivent rester au même endroit
+        if (existing.archivedAt) {
+            await sweeper.restoreFile(existing);
+        }
+        
+        // La nouvelle version d'un modèle doit respecter le schéma de ses variables
+        let processed;
+        try {
+            processed = await uploads.processUpload(req.file, secretPolicy, existing.template);
+        } catch (error) {
+            await fs.remove(req.file.path);
+            if (error.status) {
+                return res.status(error.status).json({ success: false, code: error.code, message: error.message, findings: error.findings });
+            }
+            throw error;
+        }
+        
+        const result = catalog.addVersion(req.params.id, {
+            filename: req.file.originalname,
+            storedFilename: req.file.filename,
+            size: uploads.formatFileSize(processed.size),
+            config: processed.config,
+            redactedFilename: processed.redactedFilename,
+            secretScan: processed.secretScan,
+            sha256: processed.sha256,
+            archiveEntries: processed.archiveEntries
+        }, req.admin.account.username);
+        
+        // Le fichier a pu être supprimé pendant l'analyse
+        if (!result) {
+            await fs.remove(req.file.path);
+            if (processed.redactedFilename) {
+                await fs.remove(path.join(__dirname, 'uploads', processed.redactedFilename));
+            }
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        auditAction(req, 'file.version.create', 'file', result.file.id, {
+            version: result.version.version,
+            filename: result.version.filename,
+            size: result.version.size,
+            sha256: result.version.sha256
+        });
+        webhooks.emit('file.updated', {
+            file: webhooks.filePayload(result.file),
+            by: req.admin.account.username,
+            version: result.version.version
+        });
+        
+        res.json({ 
+            success: true, 
+            message: `Version ${result.version.version} ajoutée avec succès.`,
+            file: result.file,
+            version: result.version
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'ajout de la version:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de l\'ajout de la version.' });
+    }
+});
+
+// Lister l'historique des versions d'un fichier (protégé)
+app.get('/api/admin/files/:id/versions', verifyAdminSession('files:read'), async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        res.json({ 
+            success: true, 
+            currentVersion: file.currentVersion,
+            versions: catalog.listVersions(file.id)
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des versions:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Revenir à une version antérieure (protégé)
+app.post('/api/admin/files/:id/rollback', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const version = req.body.version;
+        const existing = catalog.getFile(req.params.id);
+        
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        // Un modèle ne revient qu'à une version dont les emplacements correspondent à son schéma actuel
+        const target = existing.template ? catalog.getVersion(existing.id, version) : null;
+        if (target) {
+            const targetPath = sweeper.storedPath(existing, target.redactedFilename || target.storedFilename);
+            try {
+                templates.checkContent((await encryption.readFile(targetPath)).toString('utf8'), existing.template);
+            } catch (error) {
+                if (error.code === 'INVALID_TEMPLATE') {
+                    return res.status(409).json({ success: false, code: 'INVALID_TEMPLATE', message: `Version ${version}: ${error.message}` });
+                }
+                throw error;
+            }
+        }
+        
+        const file = catalog.rollbackToVersion(req.params.id, version);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Version non trouvée.' });
+        }
+        
+        auditAction(req, 'file.rollback', 'file', file.id, {
+            changes: { currentVersion: { before: existing.currentVersion, after: file.currentVersion } }
+        });
+        
+        webhooks.emit('file.updated', {
+            file: webhooks.filePayload(file),
+            by: req.admin.account.username,
+            rollbackTo: version
+        });
+        
+        res.json({ 
+            success: true, 
+            message: `Retour à la version ${version} effectué.`,
+            file: file
+        });
+    } catch (error) {
+        console.error('Erreur lors du retour à une version antérieure:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors du retour à la version.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - LIENS SIGNÉS
+// ============================================
+
+// Expiration d'un lien ou d'un jeton signé: 24 heures par défaut, 90 jours au plus.
+// Retourne { expiry } ou { error } (réponse 400).
+function linkExpiry({ expiresAt, expiresInHours }) {
+    const expiry = expiresAt
+        ? new Date(expiresAt)
+        : new Date(Date.now() + (expiresInHours !== undefined ? expiresInHours : 24) * 60 * 60 * 1000);
+    
+    if (expiry <= new Date()) {
+        return { error: { message: 'La date d\'expiration du lien doit être future.' } };
+    }
+    
+    if (expiry.getTime() - Date.now() > links.MAX_LINK_TTL_MS) {
+        return { error: { message: 'Un lien signé ne peut pas être valable plus de 90 jours.' } };
+    }
+    
+    return { expiry };
+}
+
+// Créer un lien de téléchargement signé (protégé)
+app.post('/api/admin/files/:id/links', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const { maxUses } = req.body;
+        
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        const checked = linkExpiry(req.body);
+        if (checked.error) {
+            return res.status(400).json({ success: false, ...checked.error });
+        }
+        
+        const { link, query } = await links.createLink(file.id, {
+            expiresAt: checked.expiry,
+            maxUses: maxUses,
+            createdBy: req.admin.account.username
+        });
+        
+        auditAction(req, 'link.create', 'link', link.id, { fileId: file.id, expiresAt: link.expiresAt, maxUses: link.maxUses });
+        
+        res.json({ 
+            success: true, 
+            message: 'Lien signé créé avec succès.',
+            link: link,
+            url: `${req.protocol}://${req.get('host')}/api/download/${file.id}?${query}`
+        });
+    } catch (error) {
+        console.error('Erreur lors de la création du lien signé:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la création du lien.' });
+    }
+});
+
+// Lister les liens signés actifs d'un fichier (protégé)
+app.get('/api/admin/files/:id/links', verifyAdminSession('files:read'), async (req, res) => {
+    try {
+        res.json({ success: true, links: await links.listLinks(req.params.id) });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des liens:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Révoquer un lien signé (protégé)
+app.delete('/api/admin/links/:id', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const revoked = await links.revokeLink(req.params.id);
+        
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: 'Lien non trouvé.' });
+        }
+        
+        auditAction(req, 'link.revoke', 'link', req.params.id);
+        
+        res.json({ success: true, message: 'Lien révoqué.' });
+    } catch (error) {
+        console.error('Erreur lors de la révocation du lien:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - MODÈLES DE CONFIGURATION
+// ============================================
+
+// Remplacer le schéma des variables d'un modèle (protégé). Le contenu servi n'est pas modifié:
+// le nouveau schéma doit en couvrir exactement les emplacements.
+app.put('/api/admin/files/:id/template', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const existing = catalog.getFile(req.params.id);
+        
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        if (!existing.template) {
+            return res.status(409).json({ success: false, code: 'NOT_A_TEMPLATE', message: 'Ce fichier n\'est pas un modèle de configuration.' });
+        }
+        
+        const filePath = sweeper.storedPath(existing, existing.redactedFilename || existing.storedFilename);
+        if (!(await fs.pathExists(filePath))) {
+            return res.status(404).json({ success: false, code: 'STORED_FILE_MISSING', message: 'Fichier physique non trouvé.' });
+        }
+        
+        let template;
+        let config;
+        try {
+            template = templates.parseSchema(req.body);
+            config = templates.describeTemplate(existing.filename, (await encryption.readFile(filePath)).toString('utf8'), template);
+        } catch (error) {
+            if (error.code === 'INVALID_TEMPLATE' || error.code === 'INVALID_CONFIG') {
+                return res.status(400).json({ success: false, code: 'INVALID_TEMPLATE', message: error.message });
+            }
+            throw error;
+        }
+        
+        const file = catalog.updateFile(existing.id, { template, config });
+        
+        auditAction(req, 'file.template.update', 'file', file.id, {
+            before: Object.keys(existing.template.variables),
+            after: Object.keys(template.variables)
+        });
+        webhooks.emit('file.updated', { file: webhooks.filePayload(file), by: req.admin.account.username });
+        
+        res.json({ success: true, message: 'Schéma du modèle mis à jour.', file: file });
+    } catch (error) {
+        console.error('Erreur lors de la mise à jour du modèle:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Émettre un jeton de rendu (protégé): il impose certaines valeurs (ex. le nom du client)
+// que le téléchargement ne peut pas modifier. Le jeton n'est pas stocké; il expire comme un lien signé.
+app.post('/api/admin/files/:id/render-tokens', verifyAdminSession('files:write'), async (req, res) => {
+    try {
+        const file = catalog.getFile(req.params.id);
+        
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Fichier non trouvé.' });
+        }
+        
+        if (!file.template) {
+            return res.status(409).json({ success: false, code: 'NOT_A_TEMPLATE', message: 'Ce fichier n\'est pas un modèle de configuration.' });
+        }
+        
+        try {
+            templates.checkValues(file.template, req.body.values);
+        } catch (error) {
+            return res.status(error.status).json({ success: false, code: error.code, message: error.message, errors: error.errors });
+        }
+        
+        const checked = linkExpiry(req.body);
+        if (checked.error) {
+            return res.status(400).json({ success: false, ...checked.error });
+        }
+        
+        const token = links.createToken('template', {
+            f: file.id,
+            v: req.body.values,
+            e: Math.floor(checked.expiry.getTime() / 1000)
+        });
+        
+        // Seuls les noms des variables sont audités: les valeurs peuvent identifier le client
+        auditAction(req, 'template.token.create', 'file', file.id, {
+            variables: Object.keys(req.body.values),
+            expiresAt: checked.expiry.toISOString()
+        });
+        
+        res.json({
+            success: true,
+            message: 'Jeton de rendu créé.',
+            token: token,
+            expiresAt: checked.expiry.toISOString(),
+            url: `${req.protocol}://${req.get('host')}/api/download/${file.id}/render?token=${token}`
+        });
+    } catch (error) {
+        console.error('Erreur lors de la création du jeton de rendu:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - STATISTIQUES
+// ============================================
+
+// Obtenir les statistiques (protégé)
+app.get('/api/admin/stats', verifyAdminSession('stats:read'), async (req, res) => {
+    try {
+        res.json({ success: true, stats: sweeper.catalogStats() });
+    } catch (error) {
+        console.error('Erreur lors du calcul des statistiques:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Délai pendant lequel les événements rapprochés sont regroupés avant de recalculer les statistiques
+const LIVE_STATS_DELAY_MS = 1000;
+
+// Flux SSE admin: événements de tous les fichiers, téléchargements et statistiques à jour.
+// Les statistiques sont envoyées à l'ouverture puis après chaque rafale d'événements.
+app.get('/api/admin/events', verifyAdminSession('stats:read'), (req, res) => {
+    try {
+        let statsTimer = null;
+        const sendStats = () => {
+            statsTimer = null;
+            try {
+                send('stats', { stats: sweeper.catalogStats() });
+            } catch (error) {
+                console.error('Erreur lors du calcul des statistiques:', error);
+            }
+        };
+        
+        const send = live.openStream(req, res, 'admin', () => {
+            if (!statsTimer) {
+                statsTimer = setTimeout(sendStats, LIVE_STATS_DELAY_MS);
+            }
+        });
+        if (!send) {
+            return;
+        }
+        
+        // Les événements rejoués à la reprise sont déjà comptés dans ces chiffres
+        clearTimeout(statsTimer);
+        sendStats();
+        res.once('close', () => clearTimeout(statsTimer));
+    } catch (error) {
+        console.error('Erreur lors de l\'ouverture du flux d\'événements admin:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - NETTOYAGE DES EXPIRÉS
+// ============================================
+
+// Simuler un nettoyage: liste ce qui serait masqué, archivé ou supprimé (protégé)
+app.get('/api/admin/sweeper/dry-run', verifyAdminSession('stats:read'), async (req, res) => {
+    try {
+        const result = await sweeper.runSweep({ dryRun: true });
+        
+        res.json({ 
+            success: true, 
+            settings: {
+                graceDays: sweeper.GRACE_DAYS,
+                archiveDays: sweeper.ARCHIVE_DAYS,
+                retentionDays: sweeper.RETENTION_DAYS
+            },
+            result: result
+        });
+    } catch (error) {
+        console.error('Erreur lors de la simulation du nettoyage:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Lancer un nettoyage immédiatement (protégé)
+app.post('/api/admin/sweeper/run', verifyAdminSession('files:delete'), async (req, res) => {
+    try {
+        const run = await sweeper.runSweep();
+        
+        if (!run) {
+            return res.status(409).json({ success: false, message: 'Un nettoyage est déjà en cours.' });
+        }
+        
+        auditAction(req, 'sweeper.run', 'sweep', String(run.id), { archived: run.archived, purged: run.purged });
+        
+        res.json({ success: true, message: 'Nettoyage terminé.', run: run });
+    } catch (error) {
+        console.error('Erreur lors du nettoyage:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors du nettoyage.' });
+    }
+});
+
+// Historique des nettoyages (protégé)
+app.get('/api/admin/sweeper/runs', verifyAdminSession('stats:read'), async (req, res) => {
+    try {
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+        res.json({ success: true, runs: sweeper.listRuns(limit) });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des nettoyages:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - WEBHOOKS
+// ============================================
+
+// Lister les webhooks (protégé)
+app.get('/api/admin/webhooks', verifyAdminSession('webhooks:manage'), async (req, res) => {
+    try {
+        res.json({ success: true, events: webhooks.EVENTS, webhooks: webhooks.listWebhooks() });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des webhooks:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Créer un webhook (protégé). Le secret de signature n'est affiché qu'une seule fois.
+app.post('/api/admin/webhooks', verifyAdminSession('webhooks:manage'), async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+        const result = webhooks.createWebhook({
+            url: url,
+            events: [...new Set(events)],
+            description: description ? description.trim() : '',
+            createdBy: req.admin.account.username
+        });
+        
+        auditAction(req, 'webhook.create', 'webhook', result.webhook.id, { url: result.webhook.url, events: result.webhook.events });
+        
+        res.json({ 
+            success: true, 
+            message: 'Webhook créé. Conservez le secret, il ne sera plus affiché.',
+            webhook: result.webhook,
+            secret: result.secret
+        });
+    } catch (error) {
+        console.error('Erreur lors de la création du webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Modifier un webhook (protégé)
+app.put('/api/admin/webhooks/:id', verifyAdminSession('webhooks:manage'), async (req, res) => {
+    try {
+        const { url, events, description, active } = req.body;
+        const before = webhooks.getWebhook(req.params.id);
+        const webhook = webhooks.updateWebhook(req.params.id, {
+            url: url,
+            events: events ? [...new Set(events)] : undefined,
+            description: description !== undefined ? description.trim() : undefined,
+            active: active
+        });
+        
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé.' });
+        }
+        
+        auditAction(req, 'webhook.update', 'webhook', webhook.id, {
+            changes: audit.diff(before, webhook, ['url', 'events', 'description', 'active'])
+        });
+        
+        res.json({ success: true, message: 'Webhook modifié avec succès.', webhook: webhook });
+    } catch (error) {
+        console.error('Erreur lors de la modification du webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Supprimer un webhook et son journal de livraisons (protégé)
+app.delete('/api/admin/webhooks/:id', verifyAdminSession('webhooks:manage'), async (req, res) => {
+    try {
+        const before = webhooks.getWebhook(req.params.id);
+        
+        if (!webhooks.deleteWebhook(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé.' });
+        }
+        
+        auditAction(req, 'webhook.delete', 'webhook', req.params.id, { url: before.url, events: before.events });
+        
+        res.json({ success: true, message: 'Webhook supprimé avec succès.' });
+    } catch (error) {
+        console.error('Erreur lors de la suppression du webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Journal des livraisons d'un webhook (protégé)
+app.get('/api/admin/webhooks/:id/deliveries', verifyAdminSession('webhooks:manage'), async (req, res) => {
+    try {
+        if (!webhooks.getWebhook(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé.' });
+        }
+        
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+        res.json({ success: true, deliveries: webhooks.listDeliveries(req.params.id, limit) });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des livraisons:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Envoyer un événement de test (protégé)
+app.post('/api/admin/webhooks/:id/test', verifyAdminSession('webhooks:manage'), async (req, res) => {
+    try {
+        if (!webhooks.getWebhook(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé.' });
+        }
+        
+        const deliveryId = webhooks.ping(req.params.id);
+        res.json({ success: true, message: 'Événement de test mis en file.', deliveryId: deliveryId });
+    } catch (error) {
+        console.error('Erreur lors de l\'envoi du test:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - JOURNAL D'AUDIT
+// ============================================
+
+// Parcourir le journal d'audit, du plus récent au plus ancien (protégé)
+// Filtres: actor, action (ex: file ou file.update), targetId, from, to; pagination: limit, cursor
+app.get('/api/admin/audit', verifyAdminSession('audit:read'), async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : audit.DEFAULT_LIMIT;
+        const cursor = req.query.cursor !== undefined ? Number(req.query.cursor) : null;
+        
+        const result = audit.listEntries({
+            actor: req.query.actor,
+            action: req.query.action,
+            targetId: req.query.targetId,
+            from: from,
+            to: to,
+            cursor: cursor,
+            limit: limit
+        });
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Erreur lors de la récupération du journal d\'audit:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Vérifier l'intégrité de la chaîne du journal d'audit (protégé)
+app.get('/api/admin/audit/verify', verifyAdminSession('audit:read'), async (req, res) => {
+    try {
+        const result = audit.verifyChain();
+        
+        res.json({ 
+            success: true, 
+            message: result.valid
+                ? `Journal intègre: ${result.checked} entrée(s) vérifiée(s).`
+                : `Journal altéré à l'entrée ${result.brokenAt}: ${result.reason}`,
+            verification: result
+        });
+    } catch (error) {
+        console.error('Erreur lors de la vérification du journal d\'audit:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - SAUVEGARDE ET RESTAURATION
+// ============================================
+
+// Exporter tout le catalogue et les fichiers stockés dans une archive .tar.gz (protégé)
+app.get('/api/admin/backup', verifyAdminSession('backup:manage'), async (req, res) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
+    
+    try {
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="numlab-vpn-backup-${stamp}.tar.gz"`);
+        const manifest = await backup.exportBackup(res);
+        auditAction(req, 'backup.export', 'backup', null, { fileCount: manifest.fileCount, entries: manifest.entries.length });
+    } catch (error) {
+        console.error('Erreur lors de l\'export de la sauvegarde:', error);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ success: false, message: 'Erreur lors de l\'export.' });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Restaurer une sauvegarde (protégé). mode: merge (par défaut) ou replace; dryRun: vérifier sans appliquer.
+app.post('/api/admin/backup/restore', verifyAdminSession('backup:manage'), backupUpload.single('archive'), openapi.validateMultipart, async (req, res) => {
+    try {
+        const report = await backup.restoreBackup(req.file.path, {
+            mode: req.body.mode || 'merge',
+            dryRun: parseBoolean(req.body.dryRun)
+        });
+        
+        if (!report.dryRun) {
+            auditAction(req, 'backup.restore', 'backup', null, {
+                mode: report.mode,
+                imported: report.imported.map(file => file.id),
+                removed: report.removed.map(file => file.id),
+                conflicts: report.conflicts.length
+            });
+        }
+        
+        const message = report.dryRun
+            ? 'Vérification terminée, aucune modification effectuée.'
+            : `Restauration terminée: ${report.imported.length} fichier(s) importé(s).`;
+        
+        res.json({ success: true, message: message, report: report });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, code: 'INVALID_BACKUP', message: error.message, errors: error.errors });
+        }
+        console.error('Erreur lors de la restauration de la sauvegarde:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la restauration.' });
+    } finally {
+        if (req.file) {
+            await fs.remove(req.file.path);
+        }
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - CHIFFREMENT AU REPOS
+// ============================================
+
+// Clé maître active et nombre de fichiers chiffrés par chaque clé (protégé)
+app.get('/api/admin/storage', verifyAdminSession('storage:manage'), async (req, res) => {
+    try {
+        res.json({ success: true, storage: await encryption.getStatus() });
+    } catch (error) {
+        console.error('Erreur lors de la récupération de l\'état du chiffrement:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Rotation de la clé maître: rechiffrer les clés de données avec la clé active,
+// après en avoir généré une nouvelle si generate vaut true (protégé)
+app.post('/api/admin/storage/rotate-key', verifyAdminSession('storage:manage'), async (req, res) => {
+    try {
+        const report = await encryption.rotateMasterKey({ generate: parseBoolean(req.body.generate) });
+        auditAction(req, 'storage.rotate-key', 'storage', report.keyId, report);
+        
+        // Des fichiers restent chiffrés avec une clé inconnue: la rotation n'est pas terminée
+        if (report.unknownKey.length > 0) {
+            return res.status(409).json({
+                success: false,
+                code: 'KEY_ROTATION_INCOMPLETE',
+                message: `${report.unknownKey.length} fichier(s) chiffré(s) avec une clé inconnue n'ont pas pu être rechiffrés.`,
+                report: report
+            });
+        }
+        
+        // Des uploads commencés avant la rotation gardent l'ancienne clé, conservée jusqu'à la prochaine rotation
+        const message = report.pendingWrites > 0
+            ? `Clés de données rechiffrées. ${report.pendingWrites} écriture(s) en cours utilisent encore l'ancienne clé: relancez la rotation une fois terminées.`
+            : 'Clés de données rechiffrées avec la clé maître active.';
+        res.json({ success: true, message: message, report: report });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur lors de la rotation de la clé maître:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la rotation de la clé maître.' });
+    }
+});
+
+// ============================================
+// ROUTES API ADMIN - STATISTIQUES DE TÉLÉCHARGEMENT
+// ============================================
+
+// Statistiques de téléchargement par fichier et par réseau (protégé)
+app.get('/api/admin/analytics', verifyAdminSession('stats:read'), async (req, res) => {
+    try {
+        const interval = req.query.interval || 'day';
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * analytics.INTERVALS.day);
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 10;
+        
+        if (from >= to) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Période invalide. La date de début doit précéder la date de fin.' 
+            });
+        }
+        
+        if (analytics.countBuckets(from, to, interval) > analytics.MAX_BUCKETS) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Période trop longue pour cet intervalle (maximum ${analytics.MAX_BUCKETS} tranches).` 
+            });
+        }
+        
+        const result = await analytics.getAnalytics({
+            from,
+            to,
+            interval,
+            fileId: req.query.fileId,
+            network: req.query.network,
+            limit,
+            files: catalog.listFiles()
+        });
+        
+        res.json({ success: true, analytics: result });
+    } catch (error) {
+        console.error('Erreur lors du calcul des statistiques de téléchargement:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// ============================================
 // FONCTIONS UTILITAIRES
 // ============================================
 
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Interpréter un booléen venant d'un formulaire multipart ("true", "on", "1") ou du JSON
+function parseBoolean(value) {
+    return value === true || value === 'true' || value === 'on' || value === '1';
+}
+
+// Limite de téléchargements venant d'un formulaire: vide ou null pour aucune limite, sinon un entier positif.
+// Retourne undefined si la valeur est invalide.
+function parseMaxDownloads(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
 }
 
+// ============================================
+// SUPERVISION
+// ============================================
+
+// Fichiers du catalogue par état, calculés à chaque collecte
+metrics.gauge('numlab_files', 'Fichiers du catalogue par état', () => {
+    const stats = sweeper.catalogStats();
+    return [
+        { labels: { state: 'active' }, value: stats.activeFiles },
+        { labels: { state: 'expired' }, value: stats.expiredFiles },
+        { labels: { state: 'hidden' }, value: stats.hiddenFiles },
+        { labels: { state: 'archived' }, value: stats.archivedFiles }
+    ];
+});
+
+// Flux d'événements en direct ouverts, par audience
+metrics.gauge('numlab_live_streams', 'Flux SSE ouverts, par audience', () => {
+    const counts = live.countStreams();
+    return Object.keys(counts).map(audience => ({ labels: { audience }, value: counts[audience] }));
+});
+
+// Le processus répond (liveness): aucune dépendance n'est vérifiée
+app.get('/healthz', (req, res) => {
+    res.json({ success: true, status: 'ok', uptime: process.uptime() });
+});
+
+// Le service peut traiter des requêtes: base lisible, uploads/ accessible en écriture, espace disque suffisant
+app.get('/readyz', async (req, res) => {
+    try {
+        const { ready, checks } = await health.checkReadiness();
+        
+        if (!ready) {
+            const failed = Object.keys(checks).filter(name => !checks[name].ok);
+            return res.status(503).json({ success: false, code: 'NOT_READY', message: `Service non prêt: ${failed.join(', ')}.`, checks: checks });
+        }
+        
+        res.json({ success: true, status: 'ready', checks: checks });
+    } catch (error) {
+        console.error('Erreur lors de la vérification de disponibilité:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Métriques Prometheus, protégées par METRICS_TOKEN s'il est défini
+app.get('/metrics', (req, res) => {
+    try {
+        const expected = process.env.METRICS_TOKEN;
+        if (expected) {
+            const header = req.headers['authorization'] || '';
+            const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+            if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+                return res.status(401).json({ success: false, message: 'Jeton de métriques invalide.' });
+            }
+        }
+        
+        res.type(metrics.CONTENT_TYPE).send(metrics.render());
+    } catch (error) {
+        console.error('Erreur lors de la collecte des métriques:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur.' });
+    }
+});
+
+// Contrat OpenAPI de l'API
+app.get(openapi.SPEC_PATH, (req, res) => {
+    res.json(openapi.document);
+});
+
 // Servir la page admin
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin.html'));
@@ -458,13 +2515,23 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Gestion des erreurs Multer
+// Route d'API inconnue: réponse JSON plutôt que la page d'erreur HTML d'Express
+app.use('/api', (req, res) => {
+    res.status(404).json({ success: false, message: `Route inconnue: ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+// Gestion des erreurs Multer et des corps JSON illisibles
 app.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE' && err.field === 'archive') {
+            return res.status(400).json({ success: false, code: 'UPLOAD_TOO_LARGE', message: 'Archive trop volumineuse. Maximum 2GB.' });
+        }
         if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ success: false, message: 'Fichier trop volumineux. Maximum 50MB.' });
+            return res.status(400).json({ success: false, code: 'UPLOAD_TOO_LARGE', message: 'Fichier trop volumineux. Maximum 50MB.' });
         }
-        return res.status(400).json({ success: false, message: 'Erreur lors de l\'upload: ' + err.message });
+        return res.status(400).json({ success: false, code: 'UPLOAD_REJECTED', message: 'Erreur lors de l\'upload: ' + err.message });
+    } else if (err && err.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, code: 'INVALID_JSON', message: 'Corps de requête JSON invalide.' });
     } else if (err) {
         return res.status(400).json({ success: false, message: err.message });
     }
@@ -481,8 +2548,52 @@ async function startServer() {
         await fs.ensureDir(path.join(__dirname, 'uploads'));
         await fs.ensureDir(path.join(__dirname, 'data'));
         
-        // Initialiser le fichier de données
-        await initDataFile();
+        // Initialiser la base de données
+        await initDataStore();
+        
+        // Initialiser les comptes administrateurs et les sessions
+        await accounts.initAccounts(ADMIN_HASH);
+        
+        // Initialiser le secret des liens signés
+        await links.initLinks();
+        
+        // Initialiser le journal des téléchargements
+        await analytics.initAnalytics();
+        await quotas.initQuotas();
+        await encryption.initEncryption();
+        
+        // Chiffrer en arrière-plan les fichiers stockés en clair avant le chiffrement au repos
+        encryption.migratePlaintext().catch(error => {
+            console.error('Erreur lors du chiffrement des fichiers existants:', error);
+        });
+        
+        // Calculer en arrière-plan les empreintes des fichiers ajoutés avant leur introduction
+        checksums.backfillChecksums().catch(error => {
+            console.error('Erreur lors du calcul des empreintes:', error);
+        });
+        
+        // Démarrer le nettoyage périodique des fichiers expirés
+        sweeper.startSweeper();
+        
+        // Démarrer la livraison des webhooks (reprend les livraisons en attente)
+        webhooks.startWebhooks();
+        
+        // Signaler dès le démarrage une base illisible, un dossier uploads/ en lecture seule ou un disque plein
+        const readiness = await health.checkReadiness();
+        for (const [name, check] of Object.entries(readiness.checks)) {
+            if (!check.ok) {
+                console.warn(`AVERTISSEMENT: vérification "${name}" en échec: ${check.error || `${check.freeBytes} octets libres (minimum ${check.minFreeBytes})`}`);
+            }
+        }
+        
+        // Signaler les routes absentes du contrat OpenAPI (et les opérations sans route)
+        const coverage = openapi.findUndocumentedRoutes(app);
+        for (const route of coverage.undocumented) {
+            console.warn(`AVERTISSEMENT: route absente du contrat OpenAPI: ${route}`);
+        }
+        for (const route of coverage.unimplemented) {
+            console.warn(`AVERTISSEMENT: opération du contrat OpenAPI sans route: ${route}`);
+        }
         
         // Démarrer le serveur
         app.listen(PORT, () => {
@@ -500,7 +2611,10 @@ async function startServer() {
     }
 }
 
-startServer();
+// Démarrage direct (node server.js): les tests importent l'application sans la démarrer
+if (require.main === module) {
+    startServer();
+}
 
 // Export pour les tests
 module.exports = app;
@@ -0,0 +1,54 @@
+// ============================================
+// NumLab-VPN - Tests des comptes admin, rôles et sessions
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase } = require('./helpers');
+const accounts = require('../lib/accounts');
+
+openTestDatabase();
+
+test('le rôle uploader ne gère ni les comptes ni les suppressions', () => {
+    for (const permission of ['files:read', 'files:write', 'stats:read']) {
+        assert.equal(accounts.hasPermission('uploader', permission), true, permission);
+    }
+    for (const permission of ['files:delete', 'accounts:manage', 'webhooks:manage', 'backup:manage', 'storage:manage']) {
+        assert.equal(accounts.hasPermission('uploader', permission), false, permission);
+    }
+    assert.equal(accounts.hasPermission('owner', 'accounts:manage'), true);
+    assert.equal(accounts.hasPermission('inconnu', 'files:read'), false);
+});
+
+test('seul le bon code ouvre une session', async () => {
+    const account = await accounts.createAccount({ username: 'Alice', code: '12345678901234', role: 'uploader' });
+
+    assert.equal(account.username, 'alice');
+    assert.equal(await accounts.authenticate('alice', '00000000000000'), null);
+    assert.equal(await accounts.authenticate('inconnu', '12345678901234'), null);
+    assert.equal((await accounts.authenticate('ALICE', '12345678901234')).id, account.id);
+});
+
+test('une session révoquée ou un compte désactivé ne donnent plus accès', async () => {
+    const account = await accounts.createAccount({ username: 'bob', code: '12345678901234', role: 'uploader' });
+
+    const first = await accounts.createSession(account);
+    assert.equal((await accounts.findSession(first.token)).account.role, 'uploader');
+    assert.equal(await accounts.findSession('jeton-inconnu'), null);
+
+    await accounts.revokeSession(first.session.id);
+    assert.equal(await accounts.findSession(first.token), null);
+
+    const second = await accounts.createSession(account);
+    await accounts.updateAccount(account.id, { disabled: true });
+    assert.equal(await accounts.findSession(second.token), null);
+    assert.equal(await accounts.authenticate('bob', '12345678901234'), null);
+});
+
+test('le dernier propriétaire actif ne peut être ni désactivé ni rétrogradé', async () => {
+    const owner = await accounts.createAccount({ username: 'carole', code: '12345678901234', role: 'owner' });
+
+    await assert.rejects(accounts.updateAccount(owner.id, { disabled: true }), { status: 409 });
+    await assert.rejects(accounts.updateAccount(owner.id, { role: 'uploader' }), { status: 409 });
+});
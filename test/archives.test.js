@@ -0,0 +1,146 @@
+// ============================================
+// NumLab-VPN - Tests de l'inspection des archives zip uploadées
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const yazl = require('yazl');
+const { tempDir } = require('./helpers');
+const encryption = require('../lib/encryption');
+const archives = require('../lib/archives');
+
+const dir = tempDir();
+
+test.before(() => encryption.initEncryption());
+
+const OPENVPN = 'client\ndev tun\nremote vpn.example.com 1194\n';
+
+// Archive produite par yazl, chiffrée au repos comme un upload
+async function storedZip(name, entries) {
+    const zip = new yazl.ZipFile();
+    for (const [entryName, content, options] of entries) {
+        zip.addBuffer(Buffer.from(content), entryName, options);
+    }
+    zip.end();
+
+    const chunks = [];
+    for await (const chunk of zip.outputStream) {
+        chunks.push(chunk);
+    }
+    const filePath = path.join(dir, name);
+    await encryption.writeFile(filePath, Buffer.concat(chunks));
+    return filePath;
+}
+
+// Archive écrite à la main (entrées non compressées), pour les noms et décalages que yazl refuse.
+// "offsetOf" permet de faire pointer une entrée du répertoire central sur l'en-tête d'une autre.
+async function rawZip(name, entries, { offsetOf = {} } = {}) {
+    const locals = [];
+    const offsets = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const fileName = Buffer.from(entry.name);
+        const data = Buffer.from(entry.content);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt32LE(zlib.crc32(data), 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        offsets.push(offset);
+        locals.push(header, fileName, data);
+        offset += header.length + fileName.length + data.length;
+    }
+
+    const central = [];
+    entries.forEach((entry, index) => {
+        const fileName = Buffer.from(entry.name);
+        const data = Buffer.from(entry.content);
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt32LE(zlib.crc32(data), 16);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(fileName.length, 28);
+        header.writeUInt32LE(offsets[offsetOf[index] !== undefined ? offsetOf[index] : index], 42);
+        central.push(header, fileName);
+    });
+
+    const centralSize = central.reduce((total, buffer) => total + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, Buffer.concat([...locals, ...central, end]));
+    return filePath;
+}
+
+function assertRefused(pattern) {
+    return error => {
+        assert.equal(error.code, 'INVALID_ARCHIVE');
+        assert.match(error.message, pattern);
+        return true;
+    };
+}
+
+test('une archive valide est listée avec les configurations qu\'elle contient', async () => {
+    const filePath = await storedZip('valide.zip', [
+        ['bureau/client.ovpn', OPENVPN],
+        ['bureau/casse.ovpn', 'dev tun\n'],
+        ['lisez-moi.txt', 'Bonjour']
+    ]);
+    const entries = await archives.inspectArchive(filePath);
+
+    assert.deepEqual(entries.map(entry => entry.name), ['bureau/client.ovpn', 'bureau/casse.ovpn', 'lisez-moi.txt']);
+    assert.equal(entries[0].config.type, 'openvpn');
+    assert.equal(entries[1].config, null);
+    assert.ok(entries[1].configError);
+    assert.equal(entries[2].config, null);
+
+    const opened = await archives.openEntry(filePath, 'bureau/client.ovpn');
+    const chunks = [];
+    for await (const chunk of opened.stream) {
+        chunks.push(chunk);
+    }
+    assert.equal(Buffer.concat(chunks).toString('utf8'), OPENVPN);
+    assert.equal(await archives.openEntry(filePath, 'absent.ovpn'), null);
+});
+
+test('les chemins absolus et les remontées "../" sont refusés', async () => {
+    const traversal = await rawZip('remontee.zip', [{ name: '../../etc/client.ovpn', content: OPENVPN }]);
+    await assert.rejects(archives.inspectArchive(traversal), assertRefused(/chemin d'entrée non autorisé/));
+
+    const absolute = await rawZip('absolu.zip', [{ name: '/etc/client.ovpn', content: OPENVPN }]);
+    await assert.rejects(archives.inspectArchive(absolute), assertRefused(/chemin d'entrée non autorisé/));
+});
+
+test('une entrée au taux de compression suspect est refusée', async () => {
+    const filePath = await storedZip('bombe.zip', [['zeros.bin', Buffer.alloc(4 * 1024 * 1024)]]);
+    await assert.rejects(archives.inspectArchive(filePath), assertRefused(/taux de compression suspect/));
+});
+
+test('des entrées qui se chevauchent sont refusées', async () => {
+    const filePath = await rawZip('chevauchement.zip', [
+        { name: 'a.ovpn', content: OPENVPN },
+        { name: 'b.ovpn', content: OPENVPN }
+    ], { offsetOf: { 1: 0 } });
+    await assert.rejects(archives.inspectArchive(filePath), assertRefused(/se chevauchent/));
+});
+
+test('une archive avec trop d\'entrées est refusée', async () => {
+    const entries = Array.from({ length: archives.MAX_ENTRIES + 1 }, (item, index) => ({ name: `${index}.txt`, content: '' }));
+    const filePath = await rawZip('nombreuses.zip', entries);
+    await assert.rejects(archives.inspectArchive(filePath), assertRefused(new RegExp(`plus de ${archives.MAX_ENTRIES} entrées`)));
+});
@@ -0,0 +1,83 @@
+// ============================================
+// NumLab-VPN - Tests du journal d'audit chaîné par hash
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { openTestDatabase } = require('./helpers');
+const { getDb } = require('../lib/db');
+const audit = require('../lib/audit');
+
+openTestDatabase();
+
+// Hash d'une ligne tel que le calcule le journal: ce que ferait quelqu'un qui tente de maquiller une entrée
+function seal(row) {
+    const content = JSON.stringify([
+        row.id, row.created_at, row.actor, row.ip, row.action, row.target_type, row.target_id, row.details, row.prev_hash
+    ]);
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Chaque test repart d'un journal vide avec trois entrées
+test.beforeEach(() => {
+    getDb().prepare('DELETE FROM audit_log').run();
+    audit.record({ actor: 'alice', ip: '127.0.0.1', action: 'file.create', targetType: 'file', targetId: 'f1', details: { name: 'A' } });
+    audit.record({ actor: 'bob', action: 'file.update', targetType: 'file', targetId: 'f1', details: { changes: { name: { before: 'A', after: 'B' } } } });
+    audit.record({ actor: 'alice', action: 'account.create', targetType: 'account', targetId: 'carol' });
+});
+
+test('une chaîne intacte est valide et se termine par le hash de la dernière entrée', () => {
+    const result = audit.verifyChain();
+    const last = getDb().prepare('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1').get();
+
+    assert.deepEqual(result, { valid: true, checked: 3, headHash: last.hash, brokenAt: null, reason: null });
+});
+
+test('une entrée modifiée casse la chaîne à cet endroit', () => {
+    getDb().prepare('UPDATE audit_log SET actor = ? WHERE id = 2').run('mallory');
+
+    const result = audit.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 1);
+    assert.equal(result.brokenAt, 2);
+    assert.match(result.reason, /modifié/);
+});
+
+test('une entrée modifiée puis rescellée est détectée par l\'entrée suivante', () => {
+    // Le hash de l'entrée 2 est recalculé après modification: c'est l'entrée 3 qui ne la référence plus
+    const db = getDb();
+    db.prepare('UPDATE audit_log SET details = NULL WHERE id = 2').run();
+    const row = db.prepare('SELECT * FROM audit_log WHERE id = 2').get();
+    db.prepare('UPDATE audit_log SET hash = ? WHERE id = 2').run(seal(row));
+
+    const resigned = audit.verifyChain();
+    assert.equal(resigned.valid, false);
+    assert.equal(resigned.brokenAt, 3);
+    assert.match(resigned.reason, /hash précédent/);
+});
+
+test('une entrée supprimée est signalée comme manquante', () => {
+    getDb().prepare('DELETE FROM audit_log WHERE id = 2').run();
+
+    const result = audit.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 3);
+    assert.match(result.reason, /manquante/);
+});
+
+test('le journal se parcourt du plus récent au plus ancien, avec filtres et curseur', () => {
+    const first = audit.listEntries({ limit: 2 });
+    assert.equal(first.total, 3);
+    assert.deepEqual(first.entries.map(entry => entry.id), [3, 2]);
+    assert.equal(first.nextCursor, '2');
+
+    const next = audit.listEntries({ limit: 2, cursor: Number(first.nextCursor) });
+    assert.deepEqual(next.entries.map(entry => entry.id), [1]);
+    assert.equal(next.nextCursor, null);
+
+    assert.deepEqual(audit.listEntries({ action: 'file' }).entries.map(entry => entry.action), ['file.update', 'file.create']);
+    assert.deepEqual(audit.listEntries({ actor: 'alice', targetId: 'carol' }).entries.map(entry => entry.id), [3]);
+    assert.deepEqual(audit.listEntries({ action: 'file.update' }).entries[0].details, { changes: { name: { before: 'A', after: 'B' } } });
+});
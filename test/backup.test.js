@@ -0,0 +1,150 @@
+// ============================================
+// NumLab-VPN - Tests de la vérification des sauvegardes et des conflits de restauration
+// Créé par Merdi Madimba
+// ============================================
+
+// Lu au chargement de lib/backup.js
+process.env.BACKUP_MAX_ENTRIES = '12';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const tar = require('tar-stream');
+const { pipeline } = require('stream/promises');
+const { tempDir, openTestDatabase, createTestFile } = require('./helpers');
+const catalog = require('../lib/catalog');
+const backup = require('../lib/backup');
+
+openTestDatabase();
+const dir = tempDir();
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function record(id, parts = []) {
+    return {
+        id,
+        name: `Fichier ${id}`,
+        network: 'Test',
+        expiryDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        storedFilename: `${id}.ovpn`,
+        versions: [{ version: 1, storedFilename: `${id}.ovpn` }],
+        parts: parts.map((partId, index) => ({
+            id: partId,
+            position: index + 1,
+            role: 'ca',
+            filename: 'ca.crt',
+            storedFilename: `${partId}.crt`
+        }))
+    };
+}
+
+// Construire une archive comme l'export. "tamper" modifie les entrées après le calcul du manifeste.
+async function buildArchive(name, files, { tamper, extra = [] } = {}) {
+    const contents = new Map();
+    contents.set('catalog.json', Buffer.from(JSON.stringify({ format: backup.FORMAT, formatVersion: 1, networks: [], files })));
+    for (const file of files) {
+        for (const item of [...file.versions, ...file.parts]) {
+            contents.set(`files/${item.storedFilename}`, Buffer.from(`contenu ${item.storedFilename}`));
+        }
+    }
+
+    const manifest = {
+        format: backup.FORMAT,
+        formatVersion: 1,
+        entries: [...contents].map(([entryPath, buffer]) => ({ path: entryPath, size: buffer.length, sha256: sha256(buffer) }))
+    };
+    contents.set('manifest.json', Buffer.from(JSON.stringify(manifest)));
+    extra.forEach(([entryPath, buffer]) => contents.set(entryPath, buffer));
+    if (tamper) {
+        tamper(contents);
+    }
+
+    const archivePath = path.join(dir, name);
+    const pack = tar.pack();
+    for (const [entryPath, buffer] of contents) {
+        pack.entry({ name: entryPath }, buffer);
+    }
+    pack.finalize();
+    await pipeline(pack, zlib.createGzip(), fs.createWriteStream(archivePath));
+    return archivePath;
+}
+
+function assertInvalid(errorTypes) {
+    return error => {
+        assert.equal(error.status, 400);
+        if (errorTypes) {
+            assert.deepEqual(error.errors.map(item => item.type), errorTypes);
+        }
+        return true;
+    };
+}
+
+test('une archive conforme à son manifeste est planifiée sans conflit', async () => {
+    const archivePath = await buildArchive('ok.tar.gz', [record('a', ['a-ca'])]);
+    const report = await backup.restoreBackup(archivePath, { mode: 'merge', dryRun: true });
+
+    assert.deepEqual(report.imported.map(file => file.id), ['a']);
+    assert.deepEqual(report.conflicts, []);
+});
+
+test('une entrée modifiée, manquante ou non listée est refusée', async () => {
+    const modified = await buildArchive('modifiee.tar.gz', [record('b')], {
+        tamper: contents => contents.set('files/b.ovpn', Buffer.from('autre contenu'))
+    });
+    await assert.rejects(backup.restoreBackup(modified, { dryRun: true }), assertInvalid(['checksum-mismatch']));
+
+    const missing = await buildArchive('manquante.tar.gz', [record('c')], {
+        tamper: contents => contents.delete('files/c.ovpn')
+    });
+    await assert.rejects(backup.restoreBackup(missing, { dryRun: true }), assertInvalid(['missing-entry']));
+
+    const unlisted = await buildArchive('non-listee.tar.gz', [record('d')], {
+        extra: [['files/intrus.ovpn', Buffer.from('intrus')]]
+    });
+    await assert.rejects(backup.restoreBackup(unlisted, { dryRun: true }), assertInvalid(['unlisted-entry']));
+
+    const traversal = await buildArchive('evasion.tar.gz', [record('e')], {
+        extra: [['files/../evasion.ovpn', Buffer.from('evasion')]]
+    });
+    await assert.rejects(backup.restoreBackup(traversal, { dryRun: true }), assertInvalid());
+});
+
+test('une archive dépassant le nombre d\'entrées autorisé est refusée', async () => {
+    const files = ['f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7'].map(id => record(id, [`${id}-ca`]));
+    const archivePath = await buildArchive('trop-grande.tar.gz', files);
+
+    await assert.rejects(backup.restoreBackup(archivePath, { dryRun: true }), error => {
+        assert.equal(error.status, 400);
+        assert.match(error.message, /plus de 12 entrées/);
+        return true;
+    });
+});
+
+test('en fusion, les identifiants de fichiers et de fichiers joints déjà pris sont signalés', async () => {
+    const existing = createTestFile();
+    catalog.addParts(existing.id, [{ id: 'part-existante', role: 'ca', filename: 'ca.crt', storedFilename: 'existante.crt', size: 10 }]);
+
+    const archivePath = await buildArchive('conflits.tar.gz', [
+        record(existing.id),
+        record('g', ['part-existante']),
+        record('h', ['part-doublee', 'part-doublee']),
+        record('i', ['part-i']),
+        record('j', ['part-i'])
+    ]);
+    const report = await backup.restoreBackup(archivePath, { mode: 'merge', dryRun: true });
+
+    assert.deepEqual(report.imported.map(file => file.id), ['i']);
+    assert.deepEqual(report.conflicts.map(conflict => [conflict.type, conflict.id, conflict.parts]), [
+        ['duplicate-id', existing.id, undefined],
+        ['duplicate-part-id', 'g', ['part-existante']],
+        ['duplicate-part-id', 'h', ['part-doublee']],
+        ['duplicate-part-id', 'j', ['part-i']]
+    ]);
+
+    // En remplacement, le catalogue actuel disparaît: seuls les doublons internes à l'archive comptent
+    const replaced = await backup.restoreBackup(archivePath, { mode: 'replace', dryRun: true });
+    assert.deepEqual(replaced.imported.map(file => file.id), [existing.id, 'g', 'i']);
+});
@@ -0,0 +1,39 @@
+// ============================================
+// NumLab-VPN - Tests de l'import des anciens fichiers JSON
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { openTestDatabase, tempDir } = require('./helpers');
+const db = require('../lib/db');
+const catalog = require('../lib/catalog');
+
+openTestDatabase();
+
+test('un fichier importé de files.json a sa version 1', async () => {
+    const dataDir = tempDir();
+    await fs.writeJson(path.join(dataDir, 'files.json'), [{
+        id: 'ancien',
+        filename: 'client.ovpn',
+        storedFilename: 'ancien.ovpn',
+        name: 'Ancien',
+        network: 'Test',
+        expiryDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        size: '1 KB',
+        downloadCount: 3,
+        createdAt: '2024-01-01T00:00:00.000Z'
+    }]);
+
+    await db.migrateLegacyData(dataDir);
+
+    const versions = catalog.listVersions('ancien');
+    assert.equal(versions.length, 1);
+    assert.equal(versions[0].version, 1);
+    assert.equal(versions[0].storedFilename, 'ancien.ovpn');
+    assert.equal(versions[0].downloadCount, 3);
+    assert.equal(catalog.listVersionsWithoutChecksum()[0].fileId, 'ancien');
+    assert.ok(await fs.pathExists(path.join(dataDir, 'files.json.migrated')));
+});
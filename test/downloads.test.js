@@ -0,0 +1,185 @@
+// ============================================
+// NumLab-VPN - Tests des reprises et du contrôle d'accès aux téléchargements
+// Créé par Merdi Madimba
+// ============================================
+
+// Lu au chargement de lib/quotas.js
+process.env.DOWNLOAD_DAILY_QUOTA = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase, createTestFile } = require('./helpers');
+const catalog = require('../lib/catalog');
+const links = require('../lib/links');
+const quotas = require('../lib/quotas');
+const analytics = require('../lib/analytics');
+const downloads = require('../lib/downloads');
+
+openTestDatabase();
+
+const ETAG = '"sha256-abc"';
+const SIZE = 1000;
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const queryOf = created => Object.fromEntries(new URLSearchParams(created.query));
+
+// Requête minimale: une plage est envoyée avec If-Range égal à l'ETag, sauf indication contraire
+function request({ ip = '192.0.2.1', range, ifRange = ETAG, query = {} } = {}) {
+    const headers = {};
+    if (range) {
+        headers.range = range;
+    }
+    if (range && ifRange) {
+        headers['if-range'] = ifRange;
+    }
+    return { ip, headers, query };
+}
+
+// Réponse minimale: garde le statut, les en-têtes et le corps JSON
+function response() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        cookie() {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        end() {
+            return this;
+        }
+    };
+}
+
+test.before(async () => {
+    await links.initLinks();
+    await quotas.initQuotas();
+    await analytics.initAnalytics();
+});
+
+test('seule une plage unique qui commence après le premier octet est une reprise', () => {
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=500-' }), ETAG, SIZE), true);
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=500-599' }), ETAG, SIZE), true);
+
+    // Plage suffixe: tout le fichier pour "bytes=-<taille>"
+    assert.equal(downloads.isResumeRange(request({ range: `bytes=-${SIZE}` }), ETAG, SIZE), false);
+    // Plusieurs plages: le fichier entier est renvoyé
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=1-,0-0' }), ETAG, SIZE), false);
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=0-' }), ETAG, SIZE), false);
+    assert.equal(downloads.isResumeRange(request({ range: `bytes=${SIZE}-` }), ETAG, SIZE), false);
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=600-500' }), ETAG, SIZE), false);
+});
+
+test('une reprise exige If-Range égal à l\'ETag actuel', () => {
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=500-', ifRange: null }), ETAG, SIZE), false);
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=500-', ifRange: '"sha256-autre"' }), ETAG, SIZE), false);
+    assert.equal(downloads.isResumeRange(request({ range: 'bytes=500-' }), null, SIZE), false);
+});
+
+test('une reprise n\'est accordée qu\'après un téléchargement compté pour ce client', () => {
+    const target = { clientKey: 'client-a', resourceId: 'fichier-1', etag: ETAG, size: SIZE };
+    const now = new Date('2030-01-01T12:00:00Z');
+    const resume = request({ range: 'bytes=500-' });
+
+    assert.equal(downloads.isResumedDownload(resume, target, now), false);
+
+    downloads.grantResume('client-a', 'fichier-1', ETAG, now);
+    assert.equal(downloads.isResumedDownload(resume, target, now), true);
+
+    // Ni un autre client, ni un autre fichier, ni une plage qui n'est pas une reprise
+    assert.equal(downloads.isResumedDownload(resume, { ...target, clientKey: 'client-b' }, now), false);
+    assert.equal(downloads.isResumedDownload(resume, { ...target, resourceId: 'fichier-2' }, now), false);
+    assert.equal(downloads.isResumedDownload(request({ range: `bytes=-${SIZE}` }), target, now), false);
+    assert.equal(downloads.isResumedDownload(request({ range: 'bytes=1-,0-0' }), target, now), false);
+
+    const later = new Date(now.getTime() + links.RESUME_WINDOW_MS + 1000);
+    assert.equal(downloads.isResumedDownload(resume, target, later), false);
+});
+
+test('une plage suffixe ou multiple ne rejoue pas un lien à usage unique', async () => {
+    const file = createTestFile({ isPrivate: true });
+    const created = await links.createLink(file.id, { expiresAt: inOneHour(), maxUses: 1 });
+    const served = { etag: ETAG, size: SIZE, resourceId: file.id };
+    const query = queryOf(created);
+
+    const first = await downloads.authorizeDownload(request({ ip: '192.0.2.10', query }), response(), file, served);
+    assert.equal(first.resumed, false);
+    assert.equal(first.downloadCount, 1);
+
+    for (const range of [`bytes=-${SIZE}`, 'bytes=1-,0-0', 'bytes=0-']) {
+        const res = response();
+        assert.equal(await downloads.authorizeDownload(request({ ip: '192.0.2.10', range, query }), res, file, served), null, range);
+        assert.equal(res.statusCode, 410, range);
+        assert.equal(res.body.code, 'LINK_USED', range);
+    }
+
+    // Une vraie reprise par le même client passe sans rien compter, pas depuis un autre client
+    const resumed = await downloads.authorizeDownload(request({ ip: '192.0.2.10', range: 'bytes=500-', query }), response(), file, served);
+    assert.equal(resumed.resumed, true);
+
+    const other = response();
+    assert.equal(await downloads.authorizeDownload(request({ ip: '192.0.2.11', range: 'bytes=500-', query }), other, file, served), null);
+    assert.equal(other.body.code, 'LINK_USED');
+
+    assert.equal(catalog.getFile(file.id).downloadCount, 1);
+    assert.equal((await links.listLinks(file.id))[0].uses, 1);
+});
+
+test('une reprise reste soumise à la limite du fichier et au quota du client', async () => {
+    const limited = createTestFile({ maxDownloads: 1 });
+    const served = { etag: ETAG, size: SIZE, resourceId: limited.id };
+    await downloads.authorizeDownload(request({ ip: '192.0.2.20' }), response(), limited, served);
+
+    const exhausted = response();
+    assert.equal(await downloads.authorizeDownload(request({ ip: '192.0.2.20', range: 'bytes=500-' }), exhausted, catalog.getFile(limited.id), served), null);
+    assert.equal(exhausted.statusCode, 403);
+    assert.equal(exhausted.body.code, 'FILE_EXHAUSTED');
+
+    // Le quota (3) est épuisé par trois téléchargements: la reprise du premier est refusée
+    const files = [createTestFile(), createTestFile(), createTestFile()];
+    for (const file of files) {
+        assert.ok(await downloads.authorizeDownload(request({ ip: '192.0.2.21' }), response(), file, { etag: ETAG, size: SIZE, resourceId: file.id }));
+    }
+    const refused = response();
+    assert.equal(await downloads.authorizeDownload(request({ ip: '192.0.2.21', range: 'bytes=500-' }), refused, files[0], { etag: ETAG, size: SIZE, resourceId: files[0].id }), null);
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.body.code, 'QUOTA_EXCEEDED');
+});
+
+test('un téléchargement refusé à la limite du fichier rend l\'usage du lien', async () => {
+    const file = createTestFile({ isPrivate: true, maxDownloads: 1 });
+    const created = await links.createLink(file.id, { expiresAt: inOneHour(), maxUses: 1 });
+    const query = queryOf(created);
+
+    // Une requête concurrente a compté le dernier téléchargement après la lecture du fichier
+    catalog.incrementDownloadCount(file.id, file.currentVersion);
+
+    const res = response();
+    assert.equal(await downloads.authorizeDownload(request({ ip: '192.0.2.40', query }), res, file), null);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'FILE_EXHAUSTED');
+    assert.equal((await links.listLinks(file.id))[0].uses, 0);
+    assert.equal(quotas.getAllowance(quotas.clientKey(request({ ip: '192.0.2.40' }), response())).used, 0);
+});
+
+test('une partie du fichier compte dans le quota mais pas dans la limite du fichier', async () => {
+    const file = createTestFile({ maxDownloads: 1 });
+    let counted = 0;
+
+    const res = response();
+    const authorized = await downloads.authorizeDownload(request({ ip: '192.0.2.30' }), res, file, { count: () => counted++ });
+
+    assert.ok(authorized);
+    assert.equal(counted, 1);
+    assert.equal(catalog.getFile(file.id).downloadCount, 0);
+    assert.equal(res.headers['x-download-quota-remaining'], 2);
+    assert.equal(res.headers['x-file-downloads-remaining'], undefined);
+});
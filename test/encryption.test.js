@@ -0,0 +1,101 @@
+// ============================================
+// NumLab-VPN - Tests du chiffrement au repos
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { tempDir } = require('./helpers');
+const encryption = require('../lib/encryption');
+
+const dir = tempDir();
+
+// Plus de deux blocs de 64 Ko, le dernier incomplet
+const content = crypto.randomBytes(150 * 1024);
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+test.before(() => encryption.initEncryption());
+
+test('le contenu relu est identique et n\'est pas stocké en clair', async () => {
+    const filePath = path.join(dir, 'aller-retour');
+    await encryption.writeFile(filePath, content);
+
+    const stored = await fs.readFile(filePath);
+    assert.ok(stored.indexOf(content.subarray(0, 64)) === -1);
+    assert.deepEqual(await encryption.readFile(filePath), content);
+    assert.equal(await encryption.plainSize(filePath), content.length);
+});
+
+test('une plage est déchiffrée sans relire tout le fichier', async () => {
+    const filePath = path.join(dir, 'plage');
+    await encryption.writeFile(filePath, content);
+
+    const opened = await encryption.openStored(filePath);
+    assert.equal(opened.encrypted, true);
+    assert.equal(opened.size, content.length);
+
+    // À cheval sur la frontière entre le premier et le deuxième bloc
+    const start = 64 * 1024 - 10;
+    const end = 64 * 1024 + 10;
+    assert.deepEqual(await collect(opened.createReadStream({ start, end })), content.subarray(start, end + 1));
+});
+
+test('un fichier altéré ou tronqué est refusé', async () => {
+    const filePath = path.join(dir, 'altere');
+    await encryption.writeFile(filePath, content);
+
+    const stored = await fs.readFile(filePath);
+    const tampered = Buffer.from(stored);
+    tampered[tampered.length - 100] ^= 1;
+    await fs.writeFile(filePath, tampered);
+    await assert.rejects(encryption.readFile(filePath));
+
+    // Dernier bloc retiré: l'avant-dernier n'est pas marqué comme dernier
+    await fs.writeFile(filePath, stored.subarray(0, stored.length - (150 - 128) * 1024 - 16));
+    await assert.rejects(encryption.readFile(filePath));
+});
+
+test('un fichier pas encore migré est lu tel quel', async () => {
+    const filePath = path.join(dir, 'clair');
+    await fs.writeFile(filePath, 'client\n');
+
+    assert.equal((await encryption.readFile(filePath)).toString(), 'client\n');
+    assert.equal((await encryption.openStored(filePath)).encrypted, false);
+});
+
+test('une écriture commencée avant un changement de clé reste comptée jusqu\'à sa fin', async () => {
+    const initialKey = process.env.STORAGE_MASTER_KEY;
+    const filePath = path.join(dir, 'ecriture-en-cours');
+
+    // Upload commencé avec la clé actuelle
+    const writer = encryption.createEncryptStream();
+    const done = pipeline(writer, fs.createWriteStream(filePath));
+    writer.write(content.subarray(0, 1000));
+
+    process.env.STORAGE_MASTER_KEY = '22'.repeat(32);
+    process.env.STORAGE_MASTER_KEY_PREVIOUS = initialKey;
+    try {
+        await encryption.initEncryption();
+        assert.equal((await encryption.getStatus()).pendingWrites, 1);
+
+        writer.end(content.subarray(1000, 2000));
+        await done;
+        assert.equal((await encryption.getStatus()).pendingWrites, 0);
+        assert.deepEqual(await encryption.readFile(filePath), content.subarray(0, 2000));
+    } finally {
+        process.env.STORAGE_MASTER_KEY = initialKey;
+        delete process.env.STORAGE_MASTER_KEY_PREVIOUS;
+        await encryption.initEncryption();
+    }
+});
@@ -0,0 +1,53 @@
+// ============================================
+// NumLab-VPN - Outils communs des tests
+// Créé par Merdi Madimba
+// ============================================
+
+// Secrets fixes avant tout chargement des modules: aucun fichier n'est généré dans data/
+process.env.DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || 'test-link-secret';
+process.env.DOWNLOAD_QUOTA_SECRET = process.env.DOWNLOAD_QUOTA_SECRET || 'test-quota-secret';
+process.env.STORAGE_MASTER_KEY = process.env.STORAGE_MASTER_KEY || '11'.repeat(32);
+process.env.ANALYTICS_IP_SALT = process.env.ANALYTICS_IP_SALT || 'test-analytics-salt';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../lib/db');
+const catalog = require('../lib/catalog');
+
+// Dossier temporaire propre au fichier de test, supprimé à la sortie du processus
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'numlab-test-'));
+    process.once('exit', () => fs.removeSync(dir));
+    return dir;
+}
+
+// Ouvrir une base SQLite neuve (toutes les migrations appliquées) dans un dossier temporaire
+function openTestDatabase() {
+    const dir = tempDir();
+    db.openDatabase(path.join(dir, 'numlab.db'));
+    return dir;
+}
+
+// Ajouter au catalogue un fichier minimal, sans contenu stocké
+function createTestFile(fields = {}) {
+    const id = uuidv4();
+    return catalog.createFile({
+        id,
+        filename: 'client.ovpn',
+        storedFilename: `${id}.ovpn`,
+        name: 'Client',
+        network: 'Test',
+        expiryDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        size: '1 KB',
+        createdAt: new Date().toISOString(),
+        ...fields
+    }, 'test');
+}
+
+module.exports = {
+    tempDir,
+    openTestDatabase,
+    createTestFile
+};
@@ -0,0 +1,77 @@
+// ============================================
+// NumLab-VPN - Tests des liens signés et des jetons
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase, createTestFile } = require('./helpers');
+const links = require('../lib/links');
+
+openTestDatabase();
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const queryOf = created => Object.fromEntries(new URLSearchParams(created.query));
+
+test.before(() => links.initLinks());
+
+test('un lien à usage unique ne sert qu\'une fois', async () => {
+    const file = createTestFile({ isPrivate: true });
+    const created = await links.createLink(file.id, { expiresAt: inOneHour(), maxUses: 1 });
+
+    assert.deepEqual(await links.redeemLink(file.id, queryOf(created)), { ok: true });
+
+    const replay = await links.redeemLink(file.id, queryOf(created));
+    assert.equal(replay.ok, false);
+    assert.equal(replay.code, 'LINK_USED');
+    assert.equal((await links.listLinks(file.id))[0].uses, 1);
+});
+
+test('les utilisations simultanées ne dépassent pas maxUses', async () => {
+    const file = createTestFile({ isPrivate: true });
+    const created = await links.createLink(file.id, { expiresAt: inOneHour(), maxUses: 2 });
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => links.redeemLink(file.id, queryOf(created))));
+    assert.equal(results.filter(result => result.ok).length, 2);
+});
+
+test('une signature modifiée ou un autre fichier sont refusés', async () => {
+    const file = createTestFile({ isPrivate: true });
+    const other = createTestFile({ isPrivate: true });
+    const created = await links.createLink(file.id, { expiresAt: inOneHour(), maxUses: 1 });
+
+    // Retirer max ferait du lien un lien illimité: la signature le couvre
+    const { max, ...unlimited } = queryOf(created);
+    assert.equal((await links.redeemLink(file.id, unlimited)).code, 'LINK_INVALID');
+    assert.equal((await links.redeemLink(other.id, queryOf(created))).code, 'LINK_INVALID');
+    assert.equal((await links.redeemLink(file.id, {})).code, 'LINK_REQUIRED');
+    assert.ok(max);
+});
+
+test('un lien expiré ou révoqué est refusé', async () => {
+    const file = createTestFile({ isPrivate: true });
+
+    const expired = await links.createLink(file.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await links.redeemLink(file.id, queryOf(expired))).code, 'LINK_EXPIRED');
+
+    const revoked = await links.createLink(file.id, { expiresAt: inOneHour() });
+    assert.equal(await links.revokeLink(revoked.link.id), true);
+    assert.equal((await links.redeemLink(file.id, queryOf(revoked))).code, 'LINK_REVOKED');
+});
+
+test('une reprise exige un lien déjà utilisé', async () => {
+    const file = createTestFile({ isPrivate: true });
+    const created = await links.createLink(file.id, { expiresAt: inOneHour(), maxUses: 1 });
+
+    assert.equal((await links.verifyResume(file.id, queryOf(created))).code, 'RESUME_NOT_ALLOWED');
+    await links.redeemLink(file.id, queryOf(created));
+    assert.deepEqual(await links.verifyResume(file.id, queryOf(created)), { ok: true });
+});
+
+test('un jeton signé n\'est accepté que pour son usage', () => {
+    const token = links.createToken('template', { f: 'abc' });
+
+    assert.deepEqual(links.readToken('template', token), { f: 'abc' });
+    assert.equal(links.readToken('other', token), null);
+    assert.equal(links.readToken('template', token.slice(0, -2) + 'xx'), null);
+});
@@ -0,0 +1,121 @@
+// ============================================
+// NumLab-VPN - Tests des flux d'événements en direct
+// Créé par Merdi Madimba
+// ============================================
+
+// Lus au chargement de lib/live.js
+process.env.LIVE_MAX_PUBLIC_CLIENTS = '1';
+process.env.LIVE_MAX_ADMIN_CLIENTS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase, createTestFile } = require('./helpers');
+const catalog = require('../lib/catalog');
+const webhooks = require('../lib/webhooks');
+const live = require('../lib/live');
+
+openTestDatabase();
+
+// Réponse minimale: garde le statut, le corps JSON et les événements écrits
+function response() {
+    return {
+        statusCode: null,
+        body: null,
+        chunks: [],
+        onClose: null,
+        setHeader() {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        once(event, handler) {
+            this.onClose = handler;
+        }
+    };
+}
+
+// Événements reçus (hors ready/resync), après diffusion
+async function received(res) {
+    await new Promise(resolve => setImmediate(resolve));
+    return res.chunks
+        .map(chunk => /event: (\S+)\ndata: (.*)\n/.exec(chunk))
+        .filter(match => match && !['ready', 'resync'].includes(match[1]))
+        .map(match => ({ event: match[1], data: JSON.parse(match[2]) }));
+}
+
+test('un fichier devenu privé disparaît du flux public', async () => {
+    const file = createTestFile();
+    webhooks.emit('file.created', { file: webhooks.filePayload(file) });
+
+    const publicRes = response();
+    const adminRes = response();
+    live.openStream({ headers: {}, query: {} }, publicRes, 'public');
+    live.openStream({ headers: {}, query: {} }, adminRes, 'admin');
+
+    const hidden = catalog.updateFile(file.id, { isPrivate: true });
+    webhooks.emit('file.updated', { file: webhooks.filePayload(hidden) });
+    // Déjà privé: plus rien pour le flux public
+    webhooks.emit('file.updated', { file: webhooks.filePayload(hidden) });
+
+    const publicEvents = await received(publicRes);
+    assert.deepEqual(publicEvents.map(({ event }) => event), ['file.deleted']);
+    assert.deepEqual(publicEvents[0].data, { file: { id: file.id } });
+
+    const adminEvents = await received(adminRes);
+    assert.deepEqual(adminEvents.map(({ event }) => event), ['file.updated', 'file.updated']);
+    assert.equal(adminEvents[0].data.file.isPrivate, true);
+
+    publicRes.onClose();
+    adminRes.onClose();
+});
+
+test('une suppression n\'expose au flux public que l\'identifiant d\'un fichier qui y était visible', async () => {
+    const shown = createTestFile();
+    const hidden = createTestFile({ isPrivate: true });
+    webhooks.emit('file.created', { file: webhooks.filePayload(shown) });
+    webhooks.emit('file.created', { file: webhooks.filePayload(hidden) });
+
+    const publicRes = response();
+    const adminRes = response();
+    live.openStream({ headers: {}, query: {} }, publicRes, 'public');
+    live.openStream({ headers: {}, query: {} }, adminRes, 'admin');
+
+    for (const file of [shown, hidden]) {
+        catalog.deleteFile(file.id);
+        webhooks.emit('file.deleted', { file: webhooks.filePayload(file), reason: 'retention' });
+    }
+
+    assert.deepEqual(await received(publicRes), [{ event: 'file.deleted', data: { file: { id: shown.id } } }]);
+
+    const adminEvents = await received(adminRes);
+    assert.deepEqual(adminEvents.map(({ data }) => [data.file.id, data.file.isPrivate, data.reason]),
+        [[shown.id, false, 'retention'], [hidden.id, true, 'retention']]);
+
+    publicRes.onClose();
+    adminRes.onClose();
+});
+
+test('chaque audience a sa propre limite de connexions', () => {
+    const first = response();
+    live.openStream({ headers: {}, query: {} }, first, 'public');
+
+    const refused = response();
+    assert.equal(live.openStream({ headers: {}, query: {} }, refused, 'public'), null);
+    assert.equal(refused.statusCode, 503);
+    assert.equal(refused.body.code, 'TOO_MANY_STREAMS');
+
+    // Le flux public plein ne bloque pas le flux admin
+    const admin = response();
+    assert.notEqual(live.openStream({ headers: {}, query: {} }, admin, 'admin'), null);
+    assert.equal(admin.statusCode, 200);
+
+    first.onClose();
+    admin.onClose();
+});
@@ -0,0 +1,72 @@
+// ============================================
+// NumLab-VPN - Tests des quotas quotidiens et des limites par fichier
+// Créé par Merdi Madimba
+// ============================================
+
+// Lu au chargement de lib/quotas.js
+process.env.DOWNLOAD_DAILY_QUOTA = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase, createTestFile } = require('./helpers');
+const catalog = require('../lib/catalog');
+const quotas = require('../lib/quotas');
+
+openTestDatabase();
+
+test.before(() => quotas.initQuotas());
+
+test('le quota quotidien est consommé puis refusé', () => {
+    const key = quotas.keyForIp('192.0.2.1');
+
+    assert.equal(quotas.getAllowance(key).remaining, 2);
+    assert.equal(quotas.consume(key).ok, true);
+    assert.equal(quotas.consume(key).allowance.remaining, 0);
+
+    const refused = quotas.consume(key);
+    assert.equal(refused.ok, false);
+    assert.equal(refused.allowance.remaining, 0);
+
+    // Un autre client garde son quota
+    assert.equal(quotas.getAllowance(quotas.keyForIp('192.0.2.2')).remaining, 2);
+});
+
+test('un téléchargement rendu libère son usage', () => {
+    const key = quotas.keyForIp('192.0.2.3');
+
+    quotas.consume(key);
+    quotas.consume(key);
+    quotas.release(key);
+    assert.equal(quotas.getAllowance(key).remaining, 1);
+});
+
+test('le quota repart à zéro le jour suivant', () => {
+    const key = quotas.keyForIp('192.0.2.4');
+    const today = new Date('2030-01-01T12:00:00Z');
+
+    quotas.consume(key, today);
+    quotas.consume(key, today);
+    assert.equal(quotas.consume(key, today).ok, false);
+    assert.equal(quotas.consume(key, new Date('2030-01-02T00:00:01Z')).ok, true);
+});
+
+test('la clé client ne contient pas l\'adresse IP', () => {
+    const key = quotas.clientKey({ ip: '192.0.2.5', headers: {} }, {});
+
+    assert.equal(key, quotas.keyForIp('192.0.2.5'));
+    assert.ok(!key.includes('192.0.2.5'));
+});
+
+test('la limite d\'un fichier n\'est jamais dépassée', () => {
+    const file = createTestFile({ maxDownloads: 2 });
+
+    assert.equal(quotas.downloadsRemaining(file), 2);
+    assert.equal(catalog.incrementDownloadCount(file.id), 1);
+    assert.equal(catalog.incrementDownloadCount(file.id), 2);
+    assert.equal(catalog.incrementDownloadCount(file.id), null);
+
+    const exhausted = catalog.getFile(file.id);
+    assert.equal(exhausted.downloadCount, 2);
+    assert.equal(quotas.isExhausted(exhausted), true);
+    assert.equal(quotas.downloadsRemaining(createTestFile()), null);
+});
@@ -0,0 +1,102 @@
+// ============================================
+// NumLab-VPN - Tests de la recherche, des filtres et de la pagination par curseur
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const search = require('../lib/search');
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+function file(id, fields = {}) {
+    return {
+        id,
+        name: `Fichier ${id}`,
+        description: '',
+        network: 'Orange',
+        networkSlug: 'orange',
+        filename: 'client.ovpn',
+        expiryDate: '2026-12-31T00:00:00Z',
+        createdAt: `2026-01-0${id}T00:00:00Z`,
+        downloadCount: 0,
+        isPrivate: false,
+        ...fields
+    };
+}
+
+const FILES = [
+    file('1', { name: 'Accès Kinshasa', network: 'Vodacom', networkSlug: 'vodacom', downloadCount: 5 }),
+    file('2', { name: 'Bureau Lubumbashi', config: { type: 'wireguard' }, filename: 'wg.conf', downloadCount: 5 }),
+    file('3', { name: 'Ancien accès', expiryDate: '2026-01-15T00:00:00Z', downloadCount: 2 }),
+    file('4', { name: 'Documentation', filename: 'guide.pdf', isPrivate: true }),
+    file('5', { name: 'Accès Goma', description: 'Réseau de secours', downloadCount: 9 })
+];
+
+const ids = result => result.files.map(item => item.id);
+
+function assertInvalid(query, options) {
+    assert.throws(() => search.parseFileQuery(query, options), error => error.status === 400);
+}
+
+test('la recherche ignore la casse et les accents et combine les filtres', () => {
+    const run = query => ids(search.searchFiles(FILES, search.parseFileQuery(query, { admin: true }), NOW));
+
+    assert.deepEqual(run({ q: 'acces', sort: 'name', order: 'asc' }), ['5', '1', '3']);
+    assert.deepEqual(run({ q: 'SECOURS' }), ['5']);
+    assert.deepEqual(run({ network: 'vodacom' }), ['1']);
+    assert.deepEqual(run({ network: 'Orange', type: 'wireguard' }), ['2']);
+    assert.deepEqual(run({ type: 'pdf' }), ['4']);
+    assert.deepEqual(run({ status: 'expired' }), ['3']);
+    assert.deepEqual(run({ status: 'active', expiresBefore: '2027-01-01' }), ['5', '4', '2', '1']);
+    assert.deepEqual(run({ expiresAfter: '2026-02-01', private: 'true' }), ['4']);
+});
+
+test('les paramètres invalides et les filtres réservés aux admins sont refusés', () => {
+    assertInvalid({ status: 'archive' });
+    assertInvalid({ sort: 'size' });
+    assertInvalid({ order: 'up' });
+    assertInvalid({ limit: '0' });
+    assertInvalid({ limit: String(search.MAX_LIMIT + 1) });
+    assertInvalid({ expiresAfter: 'demain' });
+    assertInvalid({ groupBy: 'type' });
+    assertInvalid({ cursor: 'pas-un-curseur' });
+    assertInvalid({ private: 'oui' }, { admin: true });
+
+    // Hors administration, le filtre private est ignoré
+    assert.equal(search.parseFileQuery({ private: 'true' }).isPrivate, null);
+});
+
+test('la pagination par curseur parcourt toute la liste sans doublon, ex aequo compris', () => {
+    const seen = [];
+    let cursor;
+    do {
+        const criteria = search.parseFileQuery({ sort: 'downloads', order: 'desc', limit: '2', cursor });
+        const page = search.searchFiles(FILES, criteria, NOW);
+        assert.equal(page.total, FILES.length);
+        seen.push(...ids(page));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    // Les fichiers à égalité de téléchargements sont départagés par identifiant
+    assert.deepEqual(seen, ['5', '2', '1', '3', '4']);
+});
+
+test('un curseur reste valable après un ajout et refuse un autre tri', () => {
+    const first = search.searchFiles(FILES, search.parseFileQuery({ sort: 'name', order: 'asc', limit: '2' }), NOW);
+    assert.deepEqual(ids(first), ['5', '1']);
+
+    const grown = [...FILES, file('6', { name: 'Aaa nouveau' })];
+    const next = search.searchFiles(grown, search.parseFileQuery({ sort: 'name', order: 'asc', limit: '2', cursor: first.nextCursor }), NOW);
+    assert.deepEqual(ids(next), ['3', '2']);
+
+    assertInvalid({ sort: 'name', order: 'desc', cursor: first.nextCursor });
+});
+
+test('une liste regroupée n\'est pas paginée', () => {
+    const criteria = search.parseFileQuery({ groupBy: 'network', limit: '1' });
+    const result = search.searchFiles(FILES, criteria, NOW);
+
+    assert.equal(result.files.length, FILES.length);
+    assert.equal(result.nextCursor, null);
+});
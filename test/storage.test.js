@@ -0,0 +1,73 @@
+// ============================================
+// NumLab-VPN - Tests de la route de rotation de la clé maître
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase } = require('./helpers');
+const accounts = require('../lib/accounts');
+const encryption = require('../lib/encryption');
+const app = require('../server');
+
+openTestDatabase();
+
+let server = null;
+let baseUrl = null;
+let token = null;
+
+// Rapport de rotation renvoyé par la rotation simulée: les routes ne touchent pas aux vrais dossiers
+let nextReport = null;
+encryption.rotateMasterKey = async () => nextReport;
+
+function report(fields = {}) {
+    return { keyId: 'ab'.repeat(8), generated: false, rewrapped: 0, current: 2, plaintext: 0, unknownKey: [], pendingWrites: 0, ...fields };
+}
+
+async function rotate() {
+    const response = await fetch(`${baseUrl}/api/admin/storage/rotate-key`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-admin-token': token },
+        body: JSON.stringify({})
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(async () => {
+    const account = await accounts.createAccount({ username: 'proprietaire', code: '12345678901234', role: 'owner' });
+    token = (await accounts.createSession(account)).token;
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('une rotation complète répond 200 avec son rapport', async () => {
+    nextReport = report({ rewrapped: 3 });
+    const { status, body } = await rotate();
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.report.rewrapped, 3);
+});
+
+test('des fichiers chiffrés avec une clé inconnue répondent 409 KEY_ROTATION_INCOMPLETE', async () => {
+    nextReport = report({ unknownKey: ['a.ovpn', 'b.conf'] });
+    const { status, body } = await rotate();
+
+    assert.equal(status, 409);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'KEY_ROTATION_INCOMPLETE');
+    assert.deepEqual(body.report.unknownKey, ['a.ovpn', 'b.conf']);
+});
+
+test('des écritures en cours avec l\'ancienne clé sont signalées', async () => {
+    nextReport = report({ pendingWrites: 2 });
+    const { status, body } = await rotate();
+
+    assert.equal(status, 200);
+    assert.equal(body.report.pendingWrites, 2);
+    assert.match(body.message, /2 écriture\(s\) en cours/);
+});
@@ -0,0 +1,16 @@
+// ============================================
+// NumLab-VPN - Tests de la configuration du nettoyage
+// Créé par Merdi Madimba
+// ============================================
+
+// Lu au chargement de lib/sweeper.js
+process.env.SWEEP_INTERVAL_MINUTES = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const sweeper = require('../lib/sweeper');
+
+test('un intervalle de nettoyage nul revient à la valeur par défaut', () => {
+    assert.equal(sweeper.SWEEP_INTERVAL_MS, 60 * 60 * 1000);
+});
@@ -0,0 +1,100 @@
+// ============================================
+// NumLab-VPN - Tests des modèles de configuration à variables
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const templates = require('../lib/templates');
+
+const CONTENT = 'client\ndev tun\nproto {{ proto }}\nremote {{server}} 1194\n';
+
+const SCHEMA = templates.parseSchema({
+    variables: {
+        server: { enum: ['vpn1.example.com', 'vpn2.example.com'], default: 'vpn1.example.com' },
+        proto: { pattern: 'udp|tcp' }
+    }
+});
+
+function assertInvalid(pattern, code = 'INVALID_TEMPLATE') {
+    return error => {
+        assert.equal(error.status, 400);
+        assert.equal(error.code, code);
+        assert.match(error.message, pattern);
+        return true;
+    };
+}
+
+const withPattern = pattern => () => templates.parseSchema({ variables: { value: { pattern } } });
+
+test('un schéma mal formé est refusé', () => {
+    assert.throws(() => templates.parseSchema('{ pas du json'), assertInvalid(/JSON valide/));
+    assert.throws(() => templates.parseSchema({ variables: [] }), assertInvalid(/la forme/));
+    assert.throws(() => templates.parseSchema({ variables: {} }), assertInvalid(/entre 1 et/));
+    assert.throws(() => templates.parseSchema({ variables: { token: { enum: ['a'] } } }), assertInvalid(/Nom de variable invalide/));
+    assert.throws(() => templates.parseSchema({ variables: { '1a': { enum: ['a'] } } }), assertInvalid(/Nom de variable invalide/));
+    assert.throws(() => templates.parseSchema({ variables: { a: {} } }), assertInvalid(/soit une liste/));
+    assert.throws(() => templates.parseSchema({ variables: { a: { enum: ['a'], pattern: 'a' } } }), assertInvalid(/soit une liste/));
+    assert.throws(() => templates.parseSchema({ variables: { a: { enum: ['a\nb'] } } }), assertInvalid(/sans retour à la ligne/));
+    assert.throws(withPattern('(a'), assertInvalid(/expression régulière invalide/));
+    assert.throws(() => templates.parseSchema({ variables: { a: { enum: ['x'], default: 'y' } } }), assertInvalid(/valeur par défaut refusée/));
+
+    // Le JSON est accepté comme l'objet, et les doublons d'une liste sont retirés
+    assert.deepEqual(templates.parseSchema('{"variables":{"a":{"enum":["x","x","y"]}}}'), { variables: { a: { enum: ['x', 'y'] } } });
+});
+
+test('les expressions à retour arrière exponentiel sont refusées', () => {
+    for (const pattern of ['(a+)+$', '(a*)*', '(a|aa)*', '(?:\\w+\\s?)*', '((ab)+c)+', '(a{1,3})+', '(\\d+){2,}', '(a+){10}']) {
+        assert.throws(withPattern(pattern), assertInvalid(/expression régulière refusée \(répétition/), pattern);
+    }
+    assert.throws(withPattern('(a)\\1'), assertInvalid(/références arrière/));
+
+    for (const pattern of ['[a-z0-9.-]+', '([a-z]+)?x', '(?<h>[a-z]+)\\.(?:com|org)', '[(]+', '\\(a+\\)+',
+        '(?:[0-9]{1,3}\\.){3}[0-9]{1,3}', '(ab)+', '(?=a+)b+']) {
+        assert.doesNotThrow(withPattern(pattern), pattern);
+    }
+});
+
+test('une expression dangereuse déjà enregistrée n\'est pas évaluée', () => {
+    const stored = { variables: { value: { pattern: '(a+)+$' } } };
+    const start = Date.now();
+
+    assert.throws(() => templates.resolveValues(stored, { value: `${'a'.repeat(40)}!` }),
+        assertInvalid(/expression régulière du schéma refusée/, 'INVALID_TEMPLATE_VALUES'));
+    assert.ok(Date.now() - start < 1000);
+});
+
+test('le contenu et le schéma doivent correspondre exactement', () => {
+    assert.doesNotThrow(() => templates.checkContent(CONTENT, SCHEMA));
+    assert.throws(() => templates.checkContent(`${CONTENT}port {{ port }}\n`, SCHEMA), assertInvalid(/non déclaré\(s\) dans le schéma: port/));
+    assert.throws(() => templates.checkContent('client\nremote {{server}} 1194\n', SCHEMA), assertInvalid(/absente\(s\) du modèle: proto/));
+});
+
+test('les valeurs viennent du jeton, puis de la requête, puis du défaut', () => {
+    assert.deepEqual(templates.resolveValues(SCHEMA, { proto: 'tcp' }), { server: 'vpn1.example.com', proto: 'tcp' });
+    assert.deepEqual(templates.resolveValues(SCHEMA, { proto: 'udp' }, { server: 'vpn2.example.com' }),
+        { server: 'vpn2.example.com', proto: 'udp' });
+
+    assert.throws(() => templates.resolveValues(SCHEMA, {}), error => {
+        assert.equal(error.code, 'INVALID_TEMPLATE_VALUES');
+        assert.deepEqual(error.errors, [{ in: 'query', field: 'proto', message: 'proto: valeur requise' }]);
+        return true;
+    });
+    assert.throws(() => templates.resolveValues(SCHEMA, { proto: 'udp', server: 'vpn1.example.com' }, { server: 'vpn2.example.com' }),
+        assertInvalid(/imposée par le jeton/, 'INVALID_TEMPLATE_VALUES'));
+
+    // L'expression couvre toute la valeur: pas d'injection d'une directive après une valeur permise
+    assert.throws(() => templates.resolveValues(SCHEMA, { proto: 'udpx' }), assertInvalid(/format attendu/, 'INVALID_TEMPLATE_VALUES'));
+    assert.throws(() => templates.resolveValues(SCHEMA, { proto: 'udp\nup /bin/sh' }), assertInvalid(/caractère de contrôle/, 'INVALID_TEMPLATE_VALUES'));
+    assert.throws(() => templates.checkValues(SCHEMA, { inconnue: 'x' }), assertInvalid(/variable inconnue/, 'INVALID_TEMPLATE_VALUES'));
+});
+
+test('le rendu remplace chaque emplacement et produit une configuration analysée', () => {
+    const rendered = templates.render(CONTENT, { server: 'vpn2.example.com', proto: 'tcp' });
+    assert.equal(rendered, 'client\ndev tun\nproto tcp\nremote vpn2.example.com 1194\n');
+
+    // Le modèle est vérifié dès l'upload avec ses valeurs d'exemple: ici, proto n'en a pas
+    assert.equal(templates.describeTemplate('client.ovpn', CONTENT, SCHEMA), null);
+    const sampled = templates.parseSchema({ variables: { server: { enum: ['vpn1.example.com'] }, proto: { pattern: 'udp|tcp', default: 'udp' } } });
+    assert.equal(templates.describeTemplate('client.ovpn', CONTENT, sampled).type, 'openvpn');
+});
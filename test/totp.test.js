@@ -0,0 +1,57 @@
+// ============================================
+// NumLab-VPN - Tests du second facteur TOTP
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openTestDatabase } = require('./helpers');
+const accounts = require('../lib/accounts');
+const totp = require('../lib/totp');
+
+openTestDatabase();
+
+const PERIOD_MS = totp.PERIOD_SECONDS * 1000;
+
+async function enrolledAccount(username) {
+    const account = await accounts.createAccount({ username, code: '12345678901234', role: 'uploader' });
+    const { secret } = totp.enroll(account.id);
+    const recoveryCodes = totp.activate(account.id, totp.generateToken(secret));
+    return { account, secret, recoveryCodes };
+}
+
+test('les codes de la RFC 6238 sont reproduits', () => {
+    // Secret "12345678901234567890" de l'annexe B, tronqué à 6 chiffres
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+    assert.equal(totp.generateToken(secret, 59 * 1000), '287082');
+    assert.equal(totp.generateToken(secret, 1111111109 * 1000), '081804');
+});
+
+test('un code faux n\'active pas le TOTP', async () => {
+    const account = await accounts.createAccount({ username: 'faux', code: '12345678901234', role: 'uploader' });
+    const { secret } = totp.enroll(account.id);
+    const wrong = String((Number(totp.generateToken(secret)) + 1) % 1000000).padStart(6, '0');
+
+    assert.equal(totp.activate(account.id, wrong), null);
+    assert.equal(totp.getStatus(account.id).enabled, false);
+});
+
+test('un code TOTP ne peut pas être rejoué', async () => {
+    const { account, secret } = await enrolledAccount('rejeu');
+
+    // Le code d'activation est déjà consommé
+    assert.equal(totp.verifySecondFactor(account.id, { otp: totp.generateToken(secret) }), null);
+
+    const next = totp.generateToken(secret, Date.now() + PERIOD_MS);
+    assert.equal(totp.verifySecondFactor(account.id, { otp: next }), 'totp');
+    assert.equal(totp.verifySecondFactor(account.id, { otp: next }), null);
+});
+
+test('un code de récupération ne sert qu\'une fois', async () => {
+    const { account, recoveryCodes } = await enrolledAccount('recuperation');
+
+    assert.equal(recoveryCodes.length, totp.RECOVERY_CODE_COUNT);
+    assert.equal(totp.verifySecondFactor(account.id, { recoveryCode: recoveryCodes[0] }), 'recovery');
+    assert.equal(totp.verifySecondFactor(account.id, { recoveryCode: recoveryCodes[0] }), null);
+    assert.equal(totp.getStatus(account.id).recoveryCodesLeft, totp.RECOVERY_CODE_COUNT - 1);
+});
@@ -0,0 +1,99 @@
+// ============================================
+// NumLab-VPN - Tests de l'analyse des configurations OpenVPN / WireGuard
+// Créé par Merdi Madimba
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const vpnConfig = require('../lib/vpn-config');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+const OPENVPN = [
+    'client',
+    'dev tun',
+    'proto tcp',
+    'remote vpn1.example.com 443',
+    'remote vpn2.example.com 1194 udp',
+    'cipher AES-256-GCM',
+    '<ca>',
+    '-----BEGIN CERTIFICATE-----',
+    'MIIB',
+    '-----END CERTIFICATE-----',
+    '</ca>'
+].join('\n');
+
+function wireGuard(peer = {}) {
+    return [
+        '[Interface]',
+        `PrivateKey = ${key()}`,
+        'Address = 10.0.0.2/32, fd00::2/128',
+        'DNS = 1.1.1.1',
+        '',
+        '[Peer]',
+        `PublicKey = ${peer.publicKey || key()}`,
+        `Endpoint = ${peer.endpoint || 'vpn.example.com:51820'}`,
+        'AllowedIPs = 0.0.0.0/0',
+        'PersistentKeepalive = 25'
+    ].join('\n');
+}
+
+function assertInvalid(run, line) {
+    assert.throws(run, error => {
+        assert.equal(error.code, 'INVALID_CONFIG');
+        if (line !== undefined) {
+            assert.equal(error.line, line);
+        }
+        return true;
+    });
+}
+
+test('une configuration OpenVPN est résumée, ports et protocoles par défaut compris', () => {
+    const parsed = vpnConfig.parseConfig('.ovpn', OPENVPN);
+
+    assert.equal(parsed.type, 'openvpn');
+    assert.equal(parsed.dev, 'tun');
+    assert.equal(parsed.cipher, 'AES-256-GCM');
+    assert.deepEqual(parsed.remotes, [
+        { host: 'vpn1.example.com', port: 443, proto: 'tcp' },
+        { host: 'vpn2.example.com', port: 1194, proto: 'udp' }
+    ]);
+    assert.equal(parsed.inline.ca, true);
+    assert.equal(parsed.inline.key, false);
+});
+
+test('une configuration OpenVPN malformée est refusée avec sa ligne', () => {
+    assertInvalid(() => vpnConfig.parseOpenVpn('dev tun\n'));
+    assertInvalid(() => vpnConfig.parseOpenVpn('remote vpn.example.com\n'));
+    assertInvalid(() => vpnConfig.parseOpenVpn('dev tun\nremote vpn.example.com 70000\n'), 2);
+    assertInvalid(() => vpnConfig.parseOpenVpn('dev tun\nremote vpn.example.com\n<ca>\nfoo\n</ca>\n'), 3);
+    assertInvalid(() => vpnConfig.parseOpenVpn('dev tun\nremote vpn.example.com\n<key>\n'));
+    assertInvalid(() => vpnConfig.parseOpenVpn('dev tun\nremote a\n<inconnu>\n</inconnu>\n'), 3);
+    assertInvalid(() => vpnConfig.parseOpenVpn('dev tun\0'));
+});
+
+test('un .conf avec [Interface] est lu comme WireGuard', () => {
+    const publicKey = key();
+    const parsed = vpnConfig.parseConfig('.conf', wireGuard({ publicKey }));
+
+    assert.equal(parsed.type, 'wireguard');
+    assert.deepEqual(parsed.interface.address, ['10.0.0.2/32', 'fd00::2/128']);
+    assert.equal(parsed.interface.hasPrivateKey, true);
+    assert.equal(parsed.peers[0].publicKey, publicKey);
+    assert.deepEqual(parsed.peers[0].endpoint, { host: 'vpn.example.com', port: 51820 });
+    assert.equal(parsed.peers[0].persistentKeepalive, 25);
+
+    // Sans [Interface], un .conf reste une configuration OpenVPN
+    assert.equal(vpnConfig.parseConfig('.conf', OPENVPN).type, 'openvpn');
+    assert.equal(vpnConfig.parseConfig('.zip', OPENVPN), null);
+});
+
+test('une configuration WireGuard malformée est refusée', () => {
+    assertInvalid(() => vpnConfig.parseWireGuard(wireGuard({ publicKey: 'pas-une-cle' })), 7);
+    assertInvalid(() => vpnConfig.parseWireGuard(wireGuard({ endpoint: 'vpn.example.com' })), 8);
+    assertInvalid(() => vpnConfig.parseWireGuard('[Interface]\nAddress = 10.0.0.2/32\n'));
+    assertInvalid(() => vpnConfig.parseWireGuard('Address = 10.0.0.2/32\n'), 1);
+    assertInvalid(() => vpnConfig.parseWireGuard(wireGuard().replace('DNS', 'Inconnu')), 4);
+    assertInvalid(() => vpnConfig.parseWireGuard(wireGuard().replace('10.0.0.2/32', '10.0.0.300/32')), 3);
+});